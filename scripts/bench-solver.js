@@ -0,0 +1,68 @@
+/**
+ * Compares the Solver with the original exhaustive search (ReferenceSolver):
+ * both must find the same distinct solutions; prints how long each takes.
+ *
+ *   npm run bench:solver
+ */
+import { Solver } from '../src/solver.js';
+import { createRandom } from '../src/random.js';
+import { ReferenceSolver } from './reference-solver.js';
+
+// Every multiset of `size` cards from A (1) to K (13)
+function* hands(size, lowest = 1) {
+    if (size === 0) {
+        yield [];
+        return;
+    }
+    for (let card = lowest; card <= 13; card++) {
+        for (const rest of hands(size - 1, card)) {
+            yield [card, ...rest];
+        }
+    }
+}
+
+function randomHands(size, count, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => Array.from({ length: size }, () => Math.floor(random() * 13) + 1));
+}
+
+const suites = [
+    { name: 'All 1820 four-card hands', hands: [...hands(4)] },
+    { name: 'Four cards, fractions, no negatives', rules: { fractions: true, intermediates: 'non-negative' }, hands: randomHands(4, 200, 1) },
+    { name: 'Three cards, target 10', rules: { target: 10 }, hands: [...hands(3)] },
+    { name: 'Five cards', hands: randomHands(5, 20, 2) },
+    { name: 'Five cards, fractions', rules: { fractions: true }, hands: randomHands(5, 5, 3) },
+    { name: 'Six cards', hands: randomHands(6, 2, 4) }
+];
+
+function time(solver, hand) {
+    const start = performance.now();
+    const solutions = solver.solve(hand);
+    return { ms: performance.now() - start, signatures: solutions.map(sol => sol.signature).sort().join('\n') };
+}
+
+let mismatches = 0;
+
+for (const { name, rules = {}, hands: suiteHands } of suites) {
+    const solver = new Solver(rules);
+    const reference = new ReferenceSolver(rules);
+    let solverMs = 0;
+    let referenceMs = 0;
+
+    for (const hand of suiteHands) {
+        const fast = time(solver, hand);
+        const slow = time(reference, hand);
+        solverMs += fast.ms;
+        referenceMs += slow.ms;
+
+        if (fast.signatures !== slow.signatures) {
+            mismatches++;
+            console.log(`  Different solutions for ${hand}`);
+        }
+    }
+
+    console.log(`${name} (${suiteHands.length} hands): ${solverMs.toFixed(0)} ms, reference ${referenceMs.toFixed(0)} ms (${(referenceMs / solverMs).toFixed(1)}x)`);
+}
+
+console.log(mismatches === 0 ? 'Same solutions everywhere.' : `${mismatches} hands differ!`);
+process.exit(mismatches === 0 ? 0 : 1);
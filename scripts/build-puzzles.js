@@ -0,0 +1,45 @@
+/**
+ * Solves every 4-card hand once and writes the PuzzleBook data module.
+ * Run after changing the solver, the normalizer or the difficulty rating:
+ *
+ *   npm run build:puzzles
+ */
+import { writeFileSync } from 'node:fs';
+import { Solver } from '../src/solver.js';
+import { rateHand } from '../src/difficulty.js';
+import { PuzzleBook } from '../src/puzzlebook.js';
+
+const OUTPUT = new URL('../src/data/puzzles.js', import.meta.url);
+
+// Every multiset of handSize cards from A (1) to K (13), in ascending order
+function* hands(size, lowest = 1) {
+    if (size === 0) {
+        yield [];
+        return;
+    }
+    for (let card = lowest; card <= 13; card++) {
+        for (const rest of hands(size - 1, card)) {
+            yield [card, ...rest];
+        }
+    }
+}
+
+const solver = new Solver(PuzzleBook.RULES);
+const lines = [];
+let solvable = 0;
+
+for (const numbers of hands(PuzzleBook.RULES.handSize)) {
+    const solutions = solver.solve(numbers);
+    if (solutions.length > 0) solvable++;
+
+    const entry = PuzzleBook.encodeEntry(solutions, rateHand(solutions));
+    lines.push(`    ${JSON.stringify(PuzzleBook.key(numbers))}: ${JSON.stringify(entry)}`);
+}
+
+writeFileSync(OUTPUT, `// Generated by scripts/build-puzzles.js, do not edit. Format: see src/puzzlebook.js
+export const PUZZLES = {
+${lines.join(',\n')}
+};
+`);
+
+console.log(`Wrote ${lines.length} hands (${solvable} solvable) to src/data/puzzles.js`);
@@ -0,0 +1,72 @@
+import { Solver } from '../src/solver.js';
+import { Normalizer } from '../src/normalizer.js';
+
+/**
+ * The original exhaustive search, kept to check and time the Solver against
+ * (scripts/bench-solver.js). It merges every ordered pair of items, over and
+ * over, and only drops equivalent solutions at the end. Same rules and
+ * solution objects as Solver; only the search differs.
+ */
+export class ReferenceSolver extends Solver {
+    solve(numbers) {
+        this.solutions = [];
+        if (numbers.length === 0) return [];
+
+        // expr -> solution
+        this.foundSolutions = new Map();
+
+        this._search(numbers.map(n => ({
+            value: n,
+            tree: { type: 'number', value: n },
+            steps: []
+        })));
+
+        const seenSignatures = new Set();
+        for (const solution of this.foundSolutions.values()) {
+            if (!seenSignatures.has(solution.signature)) {
+                seenSignatures.add(solution.signature);
+                this.solutions.push(solution);
+            }
+        }
+        return this.solutions;
+    }
+
+    _search(items) {
+        if (items.length === 1) {
+            const { value, tree, steps } = items[0];
+            if (value === this.target) {
+                const expr = Normalizer.formatTree(tree);
+                if (!this.foundSolutions.has(expr)) {
+                    this.foundSolutions.set(expr, {
+                        expr,
+                        tree,
+                        steps,
+                        signature: this.normalizer.normalizeTree(tree)
+                    });
+                }
+            }
+            return;
+        }
+
+        for (let i = 0; i < items.length; i++) {
+            for (let j = 0; j < items.length; j++) {
+                if (i === j) continue;
+
+                const a = items[i];
+                const b = items[j];
+                const rest = items.filter((_, idx) => idx !== i && idx !== j);
+
+                for (const op of Solver.OPERATORS) {
+                    const value = this.applyOp(a.value, op, b.value);
+                    if (value === null) continue;
+
+                    this._search([...rest, {
+                        value,
+                        tree: { type: 'binary', op, left: a.tree, right: b.tree },
+                        steps: [...a.steps, ...b.steps, { left: a.value, op, right: b.value, value }]
+                    }]);
+                }
+            }
+        }
+    }
+}
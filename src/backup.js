@@ -0,0 +1,258 @@
+import { DIFFICULTY_LEVELS } from './difficulty.js';
+import { HAND_SIZE_CHOICES } from './settings.js';
+import { AVATARS, RECORD_MODES, RECORD_RESULTS, addProfile, currentProfile, cleanName } from './profiles.js';
+import { highScores, addHighScore } from './timed.js';
+import { MIN_CARD, MAX_CARD, newSetId } from './puzzlesets.js';
+
+/**
+ * Progress files: player profiles, their hand histories and high scores, and
+ * 题单 (puzzlesets.js) as one JSON file, to move them between devices
+ * without any network:
+ *
+ *   { format: 'calc24-backup', version, exportedAt,
+ *     profiles, history: { [id]: records }, highScores, puzzleSets }
+ *
+ * Every section is optional, so a file can carry only 题单. A file is
+ * migrated up to FORMAT_VERSION, then checked against the schema as a whole:
+ * one bad part and nothing is imported. When the format changes, bump
+ * FORMAT_VERSION and add the step from the old version to MIGRATIONS, so
+ * older files still import.
+ *
+ * Importing merges into what is on the device (mergeBackup), so importing
+ * the same file twice changes nothing.
+ */
+export const FORMAT = 'calc24-backup';
+export const FORMAT_VERSION = 2;
+
+// MIGRATIONS[n - 1] turns a version n file into a version n + 1 one
+export const MIGRATIONS = [
+    // 2: hands played from a 题单 are recorded in the 'set' mode; a version 1
+    // file has none of them, so it comes in as it is
+    data => data
+];
+
+/**
+ * Thrown by parseBackup when a file can't be imported. `code` is one of
+ * 'not-json' | 'not-a-backup' | 'too-new' | 'invalid'; `message` is written
+ * for the parent, and `path` points at the bad part of an invalid file.
+ */
+export class BackupError extends Error {
+    constructor(code, message, path = null) {
+        super(message);
+        this.name = 'BackupError';
+        this.code = code;
+        this.path = path;
+    }
+}
+
+// A tiny schema language: each checker returns null when the value fits, or the path to what doesn't
+const string = (value, path) => (typeof value === 'string' ? null : path);
+const number = (value, path) => (Number.isFinite(value) ? null : path);
+const boolean = (value, path) => (typeof value === 'boolean' ? null : path);
+const integer = (min = -Infinity, max = Infinity) => (value, path) => (Number.isInteger(value) && value >= min && value <= max ? null : path);
+const oneOf = values => (value, path) => (values.includes(value) ? null : path);
+const nullable = check => (value, path) => (value === null ? null : check(value, path));
+
+const arrayOf = (check, min = 0, max = Infinity) => (value, path) => {
+    if (!Array.isArray(value) || value.length < min || value.length > max) return path;
+    for (let i = 0; i < value.length; i++) {
+        const problem = check(value[i], `${path}[${i}]`);
+        if (problem) return problem;
+    }
+    return null;
+};
+
+const mapOf = check => (value, path) => {
+    if (!isObject(value)) return path;
+    for (const [key, item] of Object.entries(value)) {
+        const problem = check(item, `${path}.${key}`);
+        if (problem) return problem;
+    }
+    return null;
+};
+
+const object = (fields, optional = []) => (value, path) => {
+    if (!isObject(value)) return path;
+    for (const [name, check] of Object.entries(fields)) {
+        if (!(name in value)) {
+            if (optional.includes(name)) continue;
+            return `${path}.${name}`;
+        }
+        const problem = check(value[name], `${path}.${name}`);
+        if (problem) return problem;
+    }
+    return null;
+};
+
+const PROFILES = object({
+    current: string,
+    profiles: arrayOf(object({ id: string, name: string, avatar: oneOf(AVATARS) }), 1)
+});
+
+const RECORD = object({
+    at: number,
+    mode: oneOf(RECORD_MODES),
+    numbers: arrayOf(integer()),
+    target: integer(),
+    level: nullable(oneOf(DIFFICULTY_LEVELS)),
+    factors: arrayOf(string),
+    unsolvable: boolean,
+    result: nullable(oneOf(RECORD_RESULTS)),
+    seconds: nullable(number),
+    hints: integer(0),
+    mistakes: integer(0),
+    answer: nullable(string)
+});
+
+const HIGH_SCORE = object({ score: integer(0), solved: integer(0), hands: integer(0), seconds: integer(0), date: string });
+
+const PUZZLE_SET = object({
+    id: string,
+    name: string,
+    hands: arrayOf(object({
+        numbers: arrayOf(integer(MIN_CARD, MAX_CARD), Math.min(...HAND_SIZE_CHOICES), Math.max(...HAND_SIZE_CHOICES)),
+        target: integer(1)
+    }), 1)
+});
+
+const BACKUP = object({
+    format: string,
+    version: integer(1),
+    exportedAt: string,
+    profiles: PROFILES,
+    history: mapOf(arrayOf(RECORD)),
+    highScores: mapOf(mapOf(arrayOf(HIGH_SCORE))),
+    puzzleSets: arrayOf(PUZZLE_SET)
+}, ['profiles', 'history', 'highScores', 'puzzleSets']);
+
+/**
+ * The file for `profiles` (see profiles.js), `histories` ({ [id]: records }),
+ * `highScores` (see timed.js) and `puzzleSets`.
+ */
+export function createBackup({ profiles, histories, highScores: table, puzzleSets }, now = Date.now()) {
+    return {
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        exportedAt: new Date(now).toISOString(),
+        profiles,
+        history: histories,
+        highScores: table,
+        puzzleSets
+    };
+}
+
+// The backup in `text`, migrated to FORMAT_VERSION and checked; throws BackupError
+export function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new BackupError('not-json', '这不是一个 JSON 文件。');
+    }
+
+    if (!isObject(data) || data.format !== FORMAT || !Number.isInteger(data.version) || data.version < 1) {
+        throw new BackupError('not-a-backup', '这不是算24的进度文件。');
+    }
+    if (data.version > FORMAT_VERSION) {
+        throw new BackupError('too-new', '这个文件是新版本导出的，请先更新游戏再导入。');
+    }
+
+    const backup = migrate(data);
+    const path = BACKUP(backup, 'backup') || unknownPlayer(backup);
+    if (path) throw new BackupError('invalid', `文件里的内容不对（${path}）。`, path);
+    return backup;
+}
+
+// Runs `data` through the migrations from its version up to the latest
+export function migrate(data, migrations = MIGRATIONS) {
+    let backup = data;
+    while (backup.version <= migrations.length) {
+        backup = { ...migrations[backup.version - 1](backup), version: backup.version + 1 };
+    }
+    return backup;
+}
+
+/**
+ * Merges `backup` into what is on the device, `local` ({ profiles, histories,
+ * highScores, puzzleSets } as for createBackup, with a history for every
+ * local profile). Returns the same with `added`: { profiles, records,
+ * puzzleSets } counts of what was new.
+ *
+ * - a player with the same name is the same child; anyone else is added,
+ *   but the current player stays current
+ * - hand records are told apart by when they were dealt and the cards
+ * - high scores go into the player's lists as if just played
+ * - a 题单 already there (the same hands, whatever its name) is left
+ *   alone; one with a taken name gets a number after it
+ */
+export function mergeBackup(local, backup) {
+    let profiles = local.profiles;
+    const histories = { ...local.histories };
+    let table = local.highScores;
+    const puzzleSets = [...local.puzzleSets];
+    const added = { profiles: 0, records: 0, puzzleSets: 0 };
+
+    (backup.profiles ? backup.profiles.profiles : []).forEach(imported => {
+        // Names are kept cleaned (see addProfile), so a long one matches its shortened self
+        const name = cleanName(imported.name);
+        let mine = profiles.profiles.find(profile => profile.name === name);
+        if (!mine) {
+            const state = addProfile(profiles, imported.name, imported.avatar);
+            mine = currentProfile(state);
+            profiles = { ...state, current: profiles.current };
+            added.profiles++;
+        }
+
+        const { history, count } = mergeHistory(histories[mine.id] || [], (backup.history || {})[imported.id] || []);
+        histories[mine.id] = history;
+        added.records += count;
+
+        Object.entries((backup.highScores || {})[imported.id] || {}).forEach(([key, entries]) => {
+            const [mode, difficulty] = key.split(':');
+            entries.forEach(entry => {
+                if (highScores(table, mine.id, mode, difficulty).some(kept => sameScore(kept, entry))) return;
+                table = addHighScore(table, mine.id, mode, difficulty, entry).table;
+            });
+        });
+    });
+
+    (backup.puzzleSets || []).forEach(imported => {
+        const hands = JSON.stringify(imported.hands);
+        if (puzzleSets.some(set => JSON.stringify(set.hands) === hands)) return;
+
+        let name = imported.name;
+        for (let n = 2; puzzleSets.some(set => set.name === name); n++) name = `${imported.name} (${n})`;
+        puzzleSets.push({ id: newSetId(puzzleSets), name, hands: imported.hands });
+        added.puzzleSets++;
+    });
+
+    return { profiles, histories, highScores: table, puzzleSets, added };
+}
+
+// The local records (kept as they are) with the imported ones not there yet, oldest first
+function mergeHistory(history, imported) {
+    const key = record => `${record.at}:${record.numbers.join('-')}`;
+    const known = new Set(history.map(key));
+    const fresh = imported.filter(record => !known.has(key(record)));
+    return { history: [...history, ...fresh].sort((a, b) => a.at - b.at), count: fresh.length };
+}
+
+function sameScore(a, b) {
+    return a.score === b.score && a.solved === b.solved && a.hands === b.hands && a.seconds === b.seconds && a.date === b.date;
+}
+
+// The path to history or high scores for a player who isn't in the file, or null
+function unknownPlayer(backup) {
+    const ids = new Set(backup.profiles ? backup.profiles.profiles.map(profile => profile.id) : []);
+    if (backup.profiles && !ids.has(backup.profiles.current)) return 'backup.profiles.current';
+
+    for (const section of ['history', 'highScores']) {
+        const id = Object.keys(backup[section] || {}).find(key => !ids.has(key));
+        if (id !== undefined) return `backup.${section}.${id}`;
+    }
+    return null;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
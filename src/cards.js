@@ -0,0 +1,6 @@
+/**
+ * The playing cards hands are dealt from: four suits of A (1) to K (13).
+ * Kept on its own so the deck doesn't need the generator (and its puzzle
+ * book) to know them.
+ */
+export const SUITS = ['♥', '♦', '♣', '♠'];
@@ -0,0 +1,226 @@
+import { Normalizer, ParseError } from './normalizer.js';
+import { Solver } from './solver.js';
+import { EXTRA_OPERATORS, EXTRA_SYMBOLS } from './operators.js';
+
+const SYMBOLS = { '+': '+', '-': '-', '*': '×', '/': '÷', '^': '^' };
+
+/**
+ * Checks an expression entered by the player against the dealt cards.
+ *
+ * The expression is parsed with the Normalizer grammar and evaluated under
+ * the same rules the Solver uses:
+ * - every card is used exactly once,
+ * - every step follows the active rules (see Solver.applyOp): division only
+ *   when it divides evenly unless fraction mode is on, and no negative or zero
+ *   intermediate results when that rule is chosen,
+ * - the final value must equal the target.
+ * With extra operators on (see operators.js) it also takes ^, √ and !, and
+ * with joined cards a number like 12 may stand for the cards 1 and 2.
+ *
+ * A rejected answer comes back with an `error` ({ code, message }) whose
+ * message is written for the child, e.g. "这个算式等于 22，不是 24 哦。"
+ */
+export class Checker {
+    constructor({ target = 24, fractions = false, intermediates = 'any', extras = [] } = {}) {
+        this.target = target;
+        this.solver = new Solver({ target, fractions, intermediates, extras });
+        this.normalizer = new Normalizer();
+        this.extras = extras;
+        this.joinsCards = extras.includes('concat');
+    }
+
+    check(expression, numbers) {
+        let ast;
+        try {
+            ast = this.normalizer.parse(this.normalizer.tokenize(Checker.toAscii(expression)));
+        } catch (e) {
+            if (!(e instanceof ParseError)) throw e;
+            return this._reject(e.code, Checker.explainParseError(e, this.extras));
+        }
+
+        // 1. Cards: each dealt card exactly once
+        let used = Checker.collectNumbers(ast);
+        if (this.joinsCards) used = Checker.splitJoined(used, numbers);
+        const cardProblem = Checker.compareCards(used, numbers);
+        if (cardProblem) {
+            return this._reject('cards', cardProblem);
+        }
+
+        // 2. Rules: the same step rules as the solver
+        const { value, error } = this.evaluate(ast);
+        if (error) {
+            return this._reject(error.code, error.message);
+        }
+
+        // 3. Target
+        if (value !== this.target) {
+            return this._reject('value', `这个算式等于 ${value}，不是 ${this.target} 哦。`, value);
+        }
+
+        return { correct: true, value, error: null };
+    }
+
+    _reject(code, message, value = null) {
+        return { correct: false, value, error: { code, message } };
+    }
+
+    // Returns { value } or { error } for the first rule that is broken
+    evaluate(node) {
+        if (node.type === 'number') return { value: node.value };
+
+        if (node.type === 'unary') {
+            const operand = this.evaluate(node.operand);
+            if (operand.error) return operand;
+            return this._step(operand.value, node.op, null);
+        }
+
+        const left = this.evaluate(node.left);
+        if (left.error) return left;
+        const right = this.evaluate(node.right);
+        if (right.error) return right;
+
+        return this._step(left.value, node.op, right.value);
+    }
+
+    _step(a, op, b) {
+        const value = this.solver.applyOp(a, op, b);
+        if (value !== null) return { value };
+
+        const step = Checker.formatStep(a, op, b);
+        switch (this.solver.rejectReason(a, op, b)) {
+            case 'divide-by-zero':
+                return { error: { code: 'division', message: `${a} ÷ 0 不行哦，不能除以 0。` } };
+            case 'uneven-division':
+                return { error: { code: 'division', message: `${step} 除不尽哦，只能用能整除的除法。` } };
+            case 'negative':
+                return { error: { code: 'negative', message: `${step} 得到负数了哦，现在的规则不能出现负数。` } };
+            case 'zero':
+                return { error: { code: 'zero', message: `${step} 得到 0 了哦，现在的规则中间不能出现 0。` } };
+            case 'operator-off':
+                return { error: { code: 'operator', message: `现在的规则不能用「${op}」哦，可以在设置的“更多运算”里打开。` } };
+            case 'no-result':
+                return { error: { code: 'no-result', message: Checker.explainNoResult(step, op) } };
+        }
+        return { error: { code: 'unexpected-token', message: `不认识的运算「${op}」。` } };
+    }
+
+    static formatStep(a, op, b) {
+        if (op === '√') return `√${a}`;
+        if (op === '!') return `${a}!`;
+        return `${a} ${SYMBOLS[op]} ${b}`;
+    }
+
+    static explainNoResult(step, op) {
+        switch (op) {
+            case '^':
+                return `${step} 算不了哦，指数要是整数，结果也不能太大。`;
+            case '√':
+                return `${step} 开不尽哦，只能开能开尽的平方根，比如 √9 = 3。`;
+            default:
+                return `${step} 算不了哦，阶乘只能用在 0 到 10 的整数上。`;
+        }
+    }
+
+    // Map the symbols shown on the keypad (and card faces) to parser tokens
+    static toAscii(expression) {
+        const FACES = { A: '1', J: '11', Q: '12', K: '13' };
+        return expression
+            .replace(/×/g, '*')
+            .replace(/÷/g, '/')
+            .replace(/[−–]/g, '-')
+            .replace(/（/g, '(')
+            .replace(/）/g, ')')
+            .replace(/[AJQK]/gi, face => FACES[face.toUpperCase()]);
+    }
+
+    // `extras` are the extra operators switched on, whose symbols may be typed too
+    static explainParseError(error, extras = []) {
+        switch (error.code) {
+            case 'empty':
+                return '先写一个算式吧！';
+            case 'unknown-symbol': {
+                // Joined cards have no symbol of their own
+                const typed = EXTRA_OPERATORS.filter(name => name !== 'concat' && extras.includes(name)).map(name => EXTRA_SYMBOLS[name]);
+                return `「${error.details.symbol}」不能用哦，只能用牌上的数字和 ${['+', '-', '×', '÷', ...typed, '(', ')'].join(' ')}。`;
+            }
+            case 'unclosed-bracket':
+                return '括号没有配对好哦，少了一个「)」。';
+            case 'unmatched-bracket':
+                return '括号没有配对好哦，多了一个「)」。';
+            case 'unexpected-end':
+                return '算式还没写完哦，最后少了一个数字。';
+            default:
+                return '算式写得不太对，检查一下数字和符号是不是连在一起了。';
+        }
+    }
+
+    static collectNumbers(node, out = []) {
+        if (node.type === 'number') {
+            out.push(node.value);
+        } else if (node.type === 'unary') {
+            Checker.collectNumbers(node.operand, out);
+        } else {
+            Checker.collectNumbers(node.left, out);
+            Checker.collectNumbers(node.right, out);
+        }
+        return out;
+    }
+
+    /**
+     * With joined cards, a number that is not one of the cards may be two of
+     * them side by side: 12 -> 1, 2 when there is no Q left to use.
+     */
+    static splitJoined(used, numbers) {
+        const spare = [...numbers];
+        const take = n => {
+            const index = spare.indexOf(n);
+            if (index !== -1) spare.splice(index, 1);
+            return index !== -1;
+        };
+
+        // Plain cards first, so 12 stays the Q when there is one
+        const plain = [];
+        const joined = [];
+        used.forEach(n => (take(n) ? plain : joined).push(n));
+
+        const split = joined.flatMap(n => {
+            const text = String(n);
+            for (let i = 1; i < text.length; i++) {
+                if (text[i] === '0') continue;
+                const [a, b] = [Number(text.slice(0, i)), Number(text.slice(i))];
+                if (!take(a)) continue;
+                if (take(b)) return [a, b];
+                spare.push(a);
+            }
+            return [n];
+        });
+        return [...plain, ...split];
+    }
+
+    // Describe how the used numbers differ from the dealt cards, or null if they match
+    static compareCards(used, numbers) {
+        const counts = new Map();
+        numbers.forEach(n => counts.set(n, (counts.get(n) || 0) + 1));
+        used.forEach(n => counts.set(n, (counts.get(n) || 0) - 1));
+
+        const problems = [];
+        const missing = [];
+
+        for (const [n, diff] of [...counts].sort((a, b) => a[0] - b[0])) {
+            if (diff < 0) {
+                const dealt = numbers.filter(x => x === n).length;
+                problems.push(dealt === 0
+                    ? `没有 ${n} 这张牌`
+                    : `用了 ${dealt - diff} 次 ${n}`);
+            } else if (diff > 0) {
+                missing.push(n);
+            }
+        }
+
+        if (missing.length > 0) {
+            problems.push(`没有用 ${missing.join('、')}`);
+        }
+
+        return problems.length > 0 ? `你${problems.join('，')}，每张牌要正好用一次哦。` : null;
+    }
+}
@@ -0,0 +1,79 @@
+import { hashSeed } from './random.js';
+
+/**
+ * 今日一题: one hand per calendar day, the same for everyone.
+ *
+ * The hand is dealt from a seed derived from the date, always with the
+ * classic rules and DAILY_DIFFICULTY, so it needs no server and works offline.
+ * The streak of consecutive days solved is kept in localStorage.
+ */
+const STORAGE_KEY = 'calc24.daily';
+
+export const DAILY_SETTINGS = {
+    target: 24,
+    handSize: 4,
+    fractions: false,
+    intermediates: 'any',
+    extras: [],
+    unsolvableRate: 0
+};
+
+export const DAILY_DIFFICULTY = 'medium';
+
+// Local calendar day as 'YYYY-MM-DD', so the puzzle changes at the player's midnight
+export function dateKey(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function dailySeed(day) {
+    return hashSeed(`calc24-daily-${day}`);
+}
+
+export function loadStreak() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            lastSolved: typeof saved.lastSolved === 'string' ? saved.lastSolved : null,
+            streak: Number.isInteger(saved.streak) && saved.streak > 0 ? saved.streak : 0,
+            best: Number.isInteger(saved.best) && saved.best > 0 ? saved.best : 0
+        };
+    } catch (e) {
+        console.warn("Failed to load daily streak:", e);
+        return { lastSolved: null, streak: 0, best: 0 };
+    }
+}
+
+export function saveStreak(record) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+    } catch (e) {
+        console.warn("Failed to save daily streak:", e);
+    }
+    return record;
+}
+
+/**
+ * Days in a row solved, as of `today`. The streak is still alive on the day
+ * after the last solve (today's puzzle may not be done yet).
+ */
+export function currentStreak(record, today) {
+    if (!record.lastSolved) return 0;
+    if (record.lastSolved === today || record.lastSolved === previousDay(today)) {
+        return record.streak;
+    }
+    return 0;
+}
+
+// Returns the record after solving `today`'s puzzle; solving it twice counts once
+export function recordSolve(record, today) {
+    if (record.lastSolved === today) return record;
+
+    const streak = currentStreak(record, today) + 1;
+    return { lastSolved: today, streak, best: Math.max(record.best, streak) };
+}
+
+function previousDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return dateKey(new Date(year, month - 1, date - 1));
+}
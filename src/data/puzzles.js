@@ -0,0 +1,1823 @@
+// Generated by scripts/build-puzzles.js, do not edit. Format: see src/puzzlebook.js
+export const PUZZLES = {
+    "1-1-1-1": "",
+    "1-1-1-2": "",
+    "1-1-1-3": "",
+    "1-1-1-4": "",
+    "1-1-1-5": "",
+    "1-1-1-6": "",
+    "1-1-1-7": "",
+    "1-1-1-8": "5|p|811+1+* 11+1+8*",
+    "1-1-1-9": "",
+    "1-1-1-10": "",
+    "1-1-1-11": "5|p|b1+11+* 11+1b+*",
+    "1-1-1-12": "3|p|c11+*1* 111+*c* 11+1*c*,c11+*1/ 11+c*1/ 11+1/c*,c111*+* 111*+c*,c111/+* 111/+c*",
+    "1-1-1-13": "5|p|d1-11+* 11+d1-*",
+    "1-1-2-2": "",
+    "1-1-2-3": "",
+    "1-1-2-4": "",
+    "1-1-2-5": "",
+    "1-1-2-6": "4|p|62*11+* 11+2*6* 211+*6*,621+1+* 11+2+6*",
+    "1-1-2-7": "5|p|71+21+* 12+17+*",
+    "1-1-2-8": "2|p|821+*1* 112+*8* 12+1*8*,821+*1/ 12+8*1/ 12+1/8*,821*1+* 112*+8*,821/1+* 121/+8*,8211*+* 11*2+8*,8211/+* 11/2+8*",
+    "1-1-2-9": "5|p|91-21+* 12+91-*",
+    "1-1-2-10": "4|p|a2+11+* 11+2a+*,a1+1+2* 211+a+*",
+    "1-1-2-11": "0||b2*1+1+ 11+2b*+,b1+2*1* 12*1b+* 21*1b+*,b1+2*1/ 21b+*1/ 21/1b+*,b11+*2+ 211+b*+,b1*1+2* 211b*+*,b1/1+2* 21b1/+*,b11*+2* 211*b+*,b11/+2* 211/b+*",
+    "1-1-2-12": "0||c2*1+1- 12c*+1- 112c*-- 11-2c*+ 2c*11--,c2*1*1* 11*2*c* 12*1*c* 21*1*c*,c2*1*1/ 12*c*1/ 12*1/c* 21*c*1/ 11/2*c* 2c*11// 21*1/c* 21/1*c* 211//c*,c2*1/1/ 2c*1/1/ 21/c*1/ 2c*11*/ 21/1/c* 211*/c*,c1+1-2* 21c+1-* 211c--* 211-c+* 2c11--*,c21+1-* 12+1-c* 112--c* 11-2+c* 211--c*",
+    "1-1-2-13": "1|l|d1-2*1* 12*d1-* 21*d1-*,d2*1-1- 2d*1-1- 2d*11+-,d1-2*1/ 2d1-*1/ 21/d1-*,d1*1-2* 21d*1-*,d1/1-2* 2d1/1-*,d11*-2* 2d11*-*,d11/-2* 2d11/-*,d11+*2- 11+d*2-",
+    "1-1-3-3": "",
+    "1-1-3-4": "5|p|43*11+* 11+3*4* 311+*4*",
+    "1-1-3-5": "5|p|51+31+* 13+15+*",
+    "1-1-3-6": "2|p|631+*1* 113+*6* 13+1*6*,631+*1/ 13+6*1/ 13+1/6*,61+1+3* 311+6+*,631*1+* 113*+6*,631/1+* 131/+6*,6311*+* 11*3+6*,6311/+* 11/3+6*",
+    "1-1-3-7": "2|p|71+3*1* 13*17+* 31*17+*,71+3*1/ 317+*1/ 31/17+*,71*1+3* 3117*+*,71/1+3* 3171/+*,711*+3* 311*7+*,711/+3* 311/7+*,71-31+* 13+71-*",
+    "1-1-3-8": "0||83*1+1- 138*+1- 1138*-- 11-38*+ 38*11--,83*1*1* 11*3*8* 13*1*8* 31*1*8*,83*1*1/ 13*8*1/ 13*1/8* 31*8*1/ 11/3*8* 38*11// 31*1/8* 31/1*8* 311//8*,83*1/1/ 38*1/1/ 31/8*1/ 38*11*/ 31/1/8* 311*/8*,81+1-3* 318+1-* 3118--* 311-8+* 3811--*,831+1-* 13+1-8* 113--8* 11-3+8* 311--8*",
+    "1-1-3-9": "2|p|91-3*1* 13*91-* 31*91-*,91-3*1/ 391-*1/ 31/91-*,93+11+* 11+39+*,91*1-3* 319*1-*,91/1-3* 391/1-*,911*-3* 3911*-*,911/-3* 3911/-*",
+    "1-1-3-10": "5|p|a1-1-3* 3a1-1-* 3a11+-*",
+    "1-1-3-11": "5|p|b1+31-* 31-1b+*",
+    "1-1-3-12": "2|p|c31-*1* 131-*c* 31-1*c*,c31-*1/ 31-c*1/ 31-1/c*,c31*1-* 13*1-c*,c31/1-* 31/1-c*,c311*-* 311*-c*,c311/-* 311/-c*",
+    "1-1-3-13": "5|p|13-1d-* 31-d1-*",
+    "1-1-4-4": "5|p|41+1+4* 411+4+*",
+    "1-1-4-5": "2|p|51+4*1* 14*15+* 41*15+*,541+*1- 14+5*1-,51+4*1/ 415+*1/ 41/15+*,51*1+4* 4115*+*,51/1+4* 4151/+*,511*+4* 411*5+*,511/+4* 411/5+*",
+    "1-1-4-6": "0||64*1+1- 146*+1- 1146*-- 11-46*+ 46*11--,64*1*1* 11*4*6* 14*1*6* 41*1*6*,64*1*1/ 14*6*1/ 14*1/6* 41*6*1/ 11/4*6* 46*11// 41*1/6* 41/1*6* 411//6*,64*1/1/ 46*1/1/ 41/6*1/ 46*11*/ 41/1/6* 411*/6*,61+1-4* 416+1-* 4116--* 411-6+* 4611--*,641+1-* 14+1-6* 114--6* 11-4+6* 411--6*",
+    "1-1-4-7": "2|p|71-4*1* 14*71-* 41*71-*,71-4*1/ 471-*1/ 41/71-*,71*1-4* 417*1-*,71/1-4* 471/1-*,711*-4* 4711*-*,711/-4* 4711/-*,71+41-* 41-17+*",
+    "1-1-4-8": "2|p|841-*1* 141-*8* 41-1*8*,841-*1/ 41-8*1/ 41-1/8*,84+11+* 11+48+*,81-1-4* 481-1-* 4811+-*,841*1-* 14*1-8*,841/1-* 41/1-8*,8411*-* 411*-8*,8411/-* 411/-8*",
+    "1-1-4-9": "5|p|14-19-* 41-91-*",
+    "1-1-4-10": "5|p|a11+*4+ 411+a*+",
+    "1-1-4-11": "",
+    "1-1-4-12": "4|p|c4*11+/ 4c*11+/ 411+/c*,c41-1-* 41-1-c* 411+-c*",
+    "1-1-4-13": "",
+    "1-1-5-5": "1|l|55*1-1* 155*1-*,55*1*1- 15*5*1- 51*5*1-,55*1/1-,55*1-1/,55*11*-,55*11/-,51+51-* 15+51-* 51-15+*",
+    "1-1-5-6": "2|p|651-*1* 151-*6* 51-1*6*,561-*1-,651-*1/ 51-6*1/ 51-1/6*,651*1-* 15*1-6*,651/1-* 51/1-6*,6511*-* 511*-6*,6511/-* 511/-6*",
+    "1-1-5-7": "4|p|75+11+* 11+57+*,15-17-* 51-71-*",
+    "1-1-5-8": "5|p|851-1-* 51-1-8* 511+-8*",
+    "1-1-5-9": "",
+    "1-1-5-10": "",
+    "1-1-5-11": "",
+    "1-1-5-12": "",
+    "1-1-5-13": "",
+    "1-1-6-6": "4|p|66+11+* 11+66+*,661-1-* 6611+-*",
+    "1-1-6-7": "",
+    "1-1-6-8": "8|dpl|86*11+/ 68*11+/ 611+/8*",
+    "1-1-6-9": "5|p|911+*6+ 611+9*+",
+    "1-1-6-10": "",
+    "1-1-6-11": "",
+    "1-1-6-12": "5|p|c611+*+ 11+6*c+",
+    "1-1-6-13": "",
+    "1-1-7-7": "",
+    "1-1-7-8": "",
+    "1-1-7-9": "",
+    "1-1-7-10": "5|p|711+*a+ 11+7*a+",
+    "1-1-7-11": "",
+    "1-1-7-12": "",
+    "1-1-7-13": "",
+    "1-1-8-8": "5|p|811+*8+ 811+8*+",
+    "1-1-8-9": "",
+    "1-1-8-10": "",
+    "1-1-8-11": "",
+    "1-1-8-12": "",
+    "1-1-8-13": "",
+    "1-1-9-9": "",
+    "1-1-9-10": "",
+    "1-1-9-11": "",
+    "1-1-9-12": "",
+    "1-1-9-13": "3||d9+1+1+ 11+9+d+ 19+1+d+ 91+1+d+",
+    "1-1-10-10": "",
+    "1-1-10-11": "",
+    "1-1-10-12": "3||ca+1+1+ 11+a+c+ 1a+1+c+ a1+1+c+",
+    "1-1-10-13": "0||da+1*1+ 11ad+*+,da+1/1+ 1ad+1/+,d1*a+1+ 1a+1d*+ a1+1d*+,d1/a+1+ 1a+d1/+ a1+d1/+,da1*+1+ 11a*+d+ 1a*1+d+,da1/+1+ 1a1/+d+ a1/1+d+,da+1+1* 11a+d+* 1a1+d+*,da+1+1/ 1a+d+1/ a1+d+1/,da+11*+ 11*a+d+ a11*+d+,da+11/+ 11/a+d+ a11/+d+,d1+1*a+ a11d+*+,d1+1/a+ a1d+1/+,da1+1*+ 11a+*d+,da1+1/+ 1a+1/d+",
+    "1-1-11-11": "3||bb+1+1+ 11+b+b+ 1b+1+b+ b1+1+b+",
+    "1-1-11-12": "0||cb+1*1+ 11bc+*+,cb+1/1+ 1bc+1/+,c1*b+1+ 1b+1c*+ b1+1c*+,c1/b+1+ 1b+c1/+ b1+c1/+,cb1*+1+ 11b*+c+ 1b*1+c+,cb1/+1+ 1b1/+c+ b1/1+c+,cb+1+1* 11b+c+* 1b1+c+*,cb+1+1/ 1b+c+1/ b1+c+1/,cb+11*+ 11*b+c+ b11*+c+,cb+11/+ 11/b+c+ b11/+c+,c1+1*b+ b11c+*+,c1+1/b+ b1c+1/+,cb1+1*+ 11b+*c+,cb1+1/+ 1b+1/c+",
+    "1-1-11-13": "0||db+1+1- 1b+d+1- 1b+1d-- 1d+1b-- 1b+1-d+ 11bd+-- 11d-b-- 11b-d-- b1+d+1- 11-b+d+ bd+11-- b1+1d-- b1+1-d+ b11d+-- b1d-1-- b11-d-- b1-1+d+ d11b+-- d1b-1-- d11-b-- 11b--d+ b11--d+,db+1*1* 11*bd+*,db+1*1/ 1bd+*1/ 11/bd+* bd+11//,d1*b+1* 1b1d*+*,d1/b+1* 1bd1/+*,db1*+1* 11b*d+*,db1/+1* 1b1/d+*,db+1/1/ bd+1/1/ bd+11*/,d1*b+1/ b1d*+1/,d1/b+1/ bd1/+1/,db1*+1/ 1b*d+1/,db1/+1/ b1/d+1/,d1*1*b+ b11*d*+,d1*1/b+ b1d*1/+ b11/d*+ bd11//+,d1/1/b+ bd1/1/+ bd11*/+,d1*b1*+ 1b*1d*+,d1/b1*+ 1b*d1/+,d1*b1/+ b1/1d*+,d1/b1/+ b1/d1/+,db1*1*+ 11*b*d+,db1*1/+ 1b*1/d+ 11/b*d+ b11//d+,db1/1/+ b1/1/d+ b11*/d+",
+    "1-1-12-12": "0||cc+1+1- 1c+c+1- 1c+1c-- 11cc+-- 11c-c-- c1+c+1- 11-c+c+ cc+11-- c1+1c-- c1+1-c+ c11c+-- c1c-1-- c11-c-- c1-1+c+,cc+1*1* 11*cc+*,cc+1*1/ 1cc+*1/ 11/cc+* cc+11//,cc1*+1* 1c1c*+*,cc1/+1* 1cc1/+*,cc+1/1/ cc+11*/,cc1*+1/ c1c*+1/,cc1/+1/,cc1*1*+ c11*c*+,cc1*1/+ c1c*1/+ c11/c*+ cc11//+,cc1/1/+ cc11*/+,c1*c1*+ 1c*1c*+,c1*c1/+ 1c*c1/+ c1/1c*+,c1/c1/+",
+    "1-1-12-13": "1|l|dc+1-1* 1cd+1-* 1c1d--* 1d1c--* 1c1-d+*,dc+1*1- 1cd+*1-,dc+1/1- cd+1/1-,d1*c+1- c1d*+1- c11d*-- 1d*1c-- c1-1d*+,d1/c+1- cd1/+1- c1d1/-- d1/1c-- c1-d1/+,dc1*+1- 1c*d+1- 1c*1d-- d11c*-- 1c*1-d+,dc1/+1- c1/d+1- c1/1d-- d1c1/-- c1/1-d+,dc+1-1/ cd+1-1/ c1d--1/ d1c--1/ c1-d+1/,dc+11*- cd+11*- c11*d-- d11*c-- c11*-d+,dc+11/- cd+11/- c11/d-- d11/c-- c11/-d+,cd1-1*+ c1d1-*+,cd1-1/+,c11d-*-,c1d-1/-,d11c-*-,d1c-1/-,dc1-1*+ 1c1-*d+,dc1-1/+ c1-1/d+",
+    "1-1-13-13": "4|l|dd+1-1- d1d--1- dd+11+- d11+d-- d1d1--- d1-d+1- d1-1d--",
+    "1-2-2-2": "",
+    "1-2-2-3": "",
+    "1-2-2-4": "5|p|421+*2* 212+*4* 12+2*4*",
+    "1-2-2-5": "4|p|51+2*2* 22*15+*,51+22+* 22+15+*",
+    "1-2-2-6": "0||62*2*1* 12*2*6* 21*2*6* 22*1*6*,622+*1* 122+*6* 22+1*6*,62*2*1/ 22*6*1/ 22*1/6* 21/2*6*,622+*1/ 22+6*1/ 22+1/6*,62+21+* 12+26+*,6221*+* 212*+6*,6221/+* 221/+6*",
+    "1-2-2-7": "4|p|71-2*2* 22*71-*,71-22+* 22+71-*",
+    "1-2-2-8": "4|p|822+1-* 22+1-8* 212--8*,822*1-* 22*1-8*",
+    "1-2-2-9": "5|p|92+1+2* 212+9+* 221+9+*",
+    "1-2-2-10": "2|p|a2+2*1* 12*2a+* 21*2a+*,a2+2*1/ 22a+*1/ 21/2a+*,a1+2*2+ 221a+*+,a1*2+2* 221a*+*,a1/2+2* 22a1/+*,a21*+2* 212*a+*,a21/+2* 221/a+*,a2-21+* 12+a2-*",
+    "1-2-2-11": "0||b2*2+1* 122b*+*,b2*2+1/ 22b*+1/,b2*1*2+ 212*b*+ 221*b*+,b2*1/2+ 22b*1/+ 221/b*+,b2+1-2* 22b+1-* 221b--* 2b12--* 221-b+*,b2*21*+ 12*2b*+,b2*21/+ 21/2b*+",
+    "1-2-2-12": "2|p|c1-2*2+ 22c1-*+,221c-*-,c2*21-* 221-*c* 21-2*c*,c2*21-/ 2c*21-/ 221-/c*,c1+2*2- 21c+*2-,c122/+* 122/+c*",
+    "1-2-2-13": "1|l|d2*2-1* 12d*2-*,d2*2-1/ 2d*2-1/,d1+2-2* 21d+2-* 212d--* 212-d+* 2d21--*,d2*1*2- 12*d*2- 21*d*2-,d2*1/2- 2d*1/2- 21/d*2-,d2*21*- 2d*12*-,d2*21/- 2d*21/-",
+    "1-2-3-3": "5|p|31+3*2* 23*13+* 32*13+* 13+2*3*",
+    "1-2-3-4": "1||43*2*1* 12*3*4* 13*2*4* 21*3*4* 23*1*4* 31*2*4* 32*1*4*,43*2*1/ 23*4*1/ 32*4*1/ 23*1/4* 21/3*4* 32*1/4* 31/2*4*,42+31+* 13+24+*,32+1+4* 12+3+4* 21+3+4*",
+    "1-2-3-5": "3|p|532+*1- 23+5*1-,51-3*2* 23*51-* 32*51-*,53+21+* 12+35+*,52+1+3* 312+5+* 321+5+*",
+    "1-2-3-6": "2|p|62+3*1* 13*26+* 31*26+*,62+3*1/ 326+*1/ 31/26+*,62*31-* 231-*6* 31-2*6*,61*2+3* 3216*+*,61/2+3* 3261/+*,621*+3* 312*6+*,621/+3* 321/6+*,632+1-* 23+1-6* 213--6* 312--6* 21-3+6*",
+    "1-2-3-7": "1||73*2+1+ 12+37*+ 21+37*+,721+*3+ 312+7*+,72+1-3* 327+1-* 3217--* 3712--* 321-7+*",
+    "1-2-3-8": "3|p|83+1+2* 213+8+* 231+8+*,83*21-* 21-3*8* 321-*8*,83*21-/ 38*21-/ 321-/8*,82-31+* 13+82-*",
+    "1-2-3-9": "1|l|93+2*1* 12*39+* 21*39+*,93*2-1- 39*2-1- 39*1-2- 39*12+-,93+2*1/ 239+*1/ 21/39+*,91*3+2* 2319*+*,91/3+2* 2391/+*,931*+2* 213*9+*,931/+2* 231/9+*,91+2-3* 319+2-* 3129--* 312-9+* 3921--*,921+*3- 12+9*3-",
+    "1-2-3-10": "0||a2*3+1+ 13+2a*+ 31+2a*+,a2-3*1* 13*a2-* 31*a2-*,a2-3*1/ 3a2-*1/ 31/a2-*,a3+1-2* 23a+1-* 231a--* 2a13--* 231-a+*,a1*2-3* 31a*2-*,a1/2-3* 3a1/2-*,a21*-3* 3a12*-*,a21/-3* 3a21/-*,a2+31-* 31-2a+*",
+    "1-2-3-11": "1|l|b2*3+1- 32b*+1- 312b*-- 2b*13-- 31-2b*+,b31-*2+ 231-b*+,2b13-*- 213-b*-,b3-21+* 12+b3-*,b2-1-3* 3b2-1-* 3b1-2-* 3b12+-*",
+    "1-2-3-12": "4|p|c31+*2/ 13+c*2/ 13+2/c*,c31+2-* 13+2-c* 123--c* 12-3+c* 321--c*",
+    "1-2-3-13": "3|l|d2*1+3- 12d*+3- 132d*-- 13-2d*+ 2d*31--,d31-*2- 31-d*2-",
+    "1-2-4-4": "2|p|42+4*1* 14*24+* 41*24+*,42+4*1/ 424+*1/ 41/24+*,441-*2* 24*41-* 42*41-* 41-2*4*,44+21+* 12+44+*,41*2+4* 4214*+*,41/2+4* 4241/+*,421*+4* 412*4+*,421/+4* 421/4+*",
+    "1-2-4-5": "4|p|52+1-4* 425+1-* 4215--* 4512--* 421-5+*,42+51-* 24+51-*",
+    "1-2-4-6": "3|p|64*21-* 21-4*6* 421-*6*,64*21-/ 46*21-/ 421-/6*,62+41-* 41-26+*",
+    "1-2-4-7": "4|p|74+1+2* 214+7+* 241+7+*,71+2-4* 417+2-* 4127--* 412-7+* 4721--*",
+    "1-2-4-8": "2|p|84+2*1* 12*48+* 21*48+*,82-4*1* 14*82-* 41*82-*,84+2*1/ 248+*1/ 21/48+*,82-4*1/ 482-*1/ 41/82-*,81*4+2* 2418*+*,81/4+2* 2481/+*,841*+2* 214*8+*,841/+2* 241/8+*,81*2-4* 418*2-*,81/2-4* 481/2-*,821*-4* 4812*-*,821/-4* 4821/-*,841+2-* 14+2-8* 124--8* 12-4+8* 421--8*,842/1+* 142/+8*",
+    "1-2-4-9": "3|p|94+1-2* 249+1-* 2419--* 2914--* 241-9+*,91+2*4+ 4219+*+,92-1-4* 492-1-* 491-2-* 4912+-*",
+    "1-2-4-10": "0||a2*4+1* 142a*+*,a2*4+1/ 42a*+1/,a2*1*4+ 412*a*+ 421*a*+,a2*1/4+ 42a*1/+ 421/a*+,a2/1+4* 41a2/+*,14-2a-* 41-a2-*,a2*41*+ 14*2a*+,a2*41/+ 41/2a*+",
+    "1-2-4-11": "3|p|b1+4*2/ 41b+*2/ 42/1b+*,b1-2*4+ 42b1-*+,421b-*-,b1+42-* 42-1b+*",
+    "1-2-4-12": "2|p|c4*1*2/ 14*c*2/ 14*2/c* 41*c*2/ 4c*21// 42/1*c* 421//c*,c42-*1* 142-*c* 42-1*c*,c4*2/1/ 4c*2/1/ 42/c*1/ 4c*1/2/ 41/c*2/ 4c*12*/ 42/1/c* 41/2/c* 412*/c*,c42-*1/ 42-c*1/ 42-1/c*,c4-21+* 12+c4-*,c41*2-* 14*2-c*,c41/2-* 41/2-c*,c421*-* 412*-c*,c421/-* 421/-c*,c421+*+ 12+4*c+",
+    "1-2-4-13": "3|p|d1-4*2/ 4d1-*2/ 42/d1-*,d1+2*4- 21d+*4-,24-1d-* 42-d1-*",
+    "1-2-5-5": "4|l|55*1+2- 155*+2- 1255*-- 12-55*+ 55*21--",
+    "1-2-5-6": "3|p|65+1+2* 215+6+* 251+6+*,51+62-* 15+62-*,651+2-* 15+2-6* 125--6* 12-5+6* 521--6*",
+    "1-2-5-7": "2|p|75+2*1* 12*57+* 21*57+*,572-*1-,75+2*1/ 257+*1/ 21/57+*,71*5+2* 2517*+*,71/5+2* 2571/+*,751*+2* 215*7+*,751/+2* 251/7+*,71+52-* 52-17+*",
+    "1-2-5-8": "2|p|852-*1* 152-*8* 52-1*8*,852-*1/ 52-8*1/ 52-1/8*,85+1-2* 258+1-* 2518--* 2815--* 251-8+*,851+*2/ 15+8*2/ 15+2/8*,15-28-* 51-82-*,851*2-* 15*2-8*,851/2-* 51/2-8*,8521*-* 512*-8*,8521/-* 521/-8*",
+    "1-2-5-9": "1||92*5+1+ 15+29*+ 51+29*+,25-19-* 52-91-*,521+*9+ 12+5*9+",
+    "1-2-5-10": "3|l|a5*2/1- 5a*2/1-,a2*5+1- 52a*+1- 512a*-- 2a*15-- 51-2a*+",
+    "1-2-5-11": "",
+    "1-2-5-12": "3|p|c51-*2/ 51-c*2/ 51-2/c*,c52-1-* 52-1-c* 51-2-c* 512+-c*,c51+2*+ 215+*c+",
+    "1-2-5-13": "2||d52*+1+ 125*+d+ 25*1+d+,d5-21+* 12+d5-*",
+    "1-2-6-6": "2|p|66+2*1* 12*66+* 21*66+*,662-*1* 16*62-* 61*62-*,66+2*1/ 266+*1/ 21/66+*,662-*1/ 61/62-*,661*+2* 2616*+*,661/+2* 2661/+*,621+*6+ 612+6*+,662/1+* 6162/+*,661*2-* 616*2-*,661/2-*,6621*-* 6612*-*,6621/-*",
+    "1-2-6-7": "3|p|76+1-2* 267+1-* 2617--* 2716--* 261-7+*,71+6*2/ 617+*2/ 62/17+*,672-1-* 671-2-* 6712+-*,26-17-* 62-71-*",
+    "1-2-6-8": "3|p|86*1*2/ 16*8*2/ 16*2/8* 61*8*2/ 68*21// 62/1*8* 621//8*,86*2/1/ 68*2/1/ 62/8*1/ 68*1/2/ 61/8*2/ 68*12*/ 62/1/8* 61/2/8* 612*/8*,81+2*6+ 6218+*+,862-1-* 62-1-8* 61-2-8* 612+-8*",
+    "1-2-6-9": "0||92*6+1* 1629*+*,92*6+1/ 629*+1/,91-6*2/ 691-*2/ 62/91-*,92*1*6+ 612*9*+ 621*9*+,92*1/6+ 629*1/+ 621/9*+,92*61*+ 16*29*+,92*61/+ 61/29*+",
+    "1-2-6-10": "2|p|a1-2*6+ 62a1-*+,621a-*-,6a2/1-*,a21+*6- 12+a*6-,61+2*a+ 216+*a+",
+    "1-2-6-11": "3||62*b+1+ 126*+b+ 26*1+b+",
+    "1-2-6-12": "0||c62*+1* 126*c+*,c62*+1/ 26*c+1/,c6*21+/ 6c*12+/ 612+/c*,62*c1*+ 26*1c*+,62*c1/+ 26*c1/+,c62*1*+ 12*6*c+ 21*6*c+,c62*1/+ 26*1/c+ 21/6*c+,c62/1-* 62/1-c*",
+    "1-2-6-13": "4|l|d62*+1- 26*d+1- 26*1d-- d126*-- 26*1-d+",
+    "1-2-7-7": "8|dpl|77*1-2/",
+    "1-2-7-8": "1||82*7+1+ 17+28*+ 71+28*+,871-*2/ 71-8*2/ 71-2/8*,71+2*8+ 217+*8+",
+    "1-2-7-9": "2||72*9+1+ 127*+9+ 27*1+9+,92*7+1- 729*+1- 7129*-- 29*17-- 71-29*+",
+    "1-2-7-10": "0||72*a+1* 127*a+*,72*a+1/ 27*a+1/,72*a1*+ 27*1a*+,72*a1/+ 27*a1/+,72*1*a+ 12*7*a+ 21*7*a+,72*1/a+ 27*1/a+ 21/7*a+",
+    "1-2-7-11": "4|l|72*b+1- 27*b+1- 27*1b-- b127*-- 27*1-b+",
+    "1-2-7-12": "4|p|c217-*-,c71-2*+ 271-*c+",
+    "1-2-7-13": "",
+    "1-2-8-8": "0||82*8+1* 1828*+*,82*8+1/ 828*+1/,82*1*8+ 812*8*+ 821*8*+,82*1/8+ 828*1/+ 821/8*+,882/1-*,82*81*+ 18*28*+,82*81/+ 81/28*+",
+    "1-2-8-9": "2|l|82*9+1- 28*9+1- 28*19-- 9128*-- 28*1-9+,98*21+/ 89*12+/,91-2*8+ 8291-*+,8219-*-",
+    "1-2-8-10": "4|p|a218-*-,81-2*a+ 281-*a+",
+    "1-2-8-11": "",
+    "1-2-8-12": "",
+    "1-2-8-13": "3||d8+2+1+ 12+8+d+ 18+2+d+ 21+8+d+ 28+1+d+ 81+2+d+ 82+1+d+",
+    "1-2-9-9": "",
+    "1-2-9-10": "",
+    "1-2-9-11": "6|pl|b21+*9- 12+b*9-",
+    "1-2-9-12": "3||c9+2+1+ 12+9+c+ 19+2+c+ 21+9+c+ 29+1+c+ 91+2+c+ 92+1+c+",
+    "1-2-9-13": "0||d9+2+1* 129+d+* 192+d+*,d9+2+1/ 29+d+1/ 92+d+1/,d9+1*2+ 219d+*+,d9+1/2+ 29d+1/+,d1*9+2+ 29+1d*+ 92+1d*+,d1/9+2+ 29+d1/+ 92+d1/+,d91*+2+ 219*+d+ 19*2+d+,d91/+2+ 291/+d+ 91/2+d+,d9+21*+ 12*9+d+ 912*+d+,d9+21/+ 21/9+d+ 921/+d+,d2+1*9+ 912d+*+,d2+1/9+ 92d+1/+,d92+1*+ 129+*d+,d92+1/+ 29+1/d+",
+    "1-2-10-10": "",
+    "1-2-10-11": "3||ba+2+1+ 12+a+b+ 1a+2+b+ 21+a+b+ 2a+1+b+ a1+2+b+ a2+1+b+",
+    "1-2-10-12": "0||ca+2+1* 12a+c+* 1a2+c+*,ca+2+1/ 2a+c+1/ a2+c+1/,ca+1*2+ 21ac+*+,ca+1/2+ 2ac+1/+,c1*a+2+ 2a+1c*+ a2+1c*+,c1/a+2+ 2a+c1/+ a2+c1/+,ca1*+2+ 21a*+c+ 1a*2+c+,ca1/+2+ 2a1/+c+ a1/2+c+,ca+21*+ 12*a+c+ a12*+c+,ca+21/+ 21/a+c+ a21/+c+,c2+1*a+ a12c+*+,c2+1/a+ a2c+1/+,ca2+1*+ 12a+*c+,ca2+1/+ 2a+1/c+",
+    "1-2-10-13": "4|l|da+2+1- 2a+d+1- a2+d+1- 2a+1d-- 2d+1a-- 2a+1-d+ 21ad+-- 21d-a-- 21a-d-- ad+12-- 21-a+d+ a2+1d-- a2+1-d+ a12d+-- a1d-2-- a12-d-- a1-2+d+ d12a+-- d1a-2-- d12-a-- 21a--d+ a12--d+",
+    "1-2-11-11": "0||bb+2+1* 12b+b+* 1b2+b+*,bb+2+1/ 2b+b+1/ b2+b+1/,bb+1*2+ 21bb+*+,bb+1/2+ 2bb+1/+,bb1*+2+ 2b+1b*+ b2+1b*+ 1b*2+b+,bb1/+2+ 2b+b1/+ b2+b1/+ b1/2+b+,bb+21*+ 12*b+b+ b12*+b+,bb+21/+ 21/b+b+ b21/+b+,b2+1*b+ b12b+*+,b2+1/b+ b2b+1/+",
+    "1-2-11-12": "4|l|cb+2+1- 2b+c+1- b2+c+1- 2b+1c-- 2c+1b-- 2b+1-c+ 21bc+-- 21c-b-- 21b-c-- bc+12-- 21-b+c+ b2+1c-- b2+1-c+ b12c+-- b1c-2-- b12-c-- b1-2+c+ c12b+-- c1b-2-- c12-b-- 21b--c+ b12--c+",
+    "1-2-11-13": "2|p|db+21-* 21-bd+*,db+21-/ bd+21-/,d21-*b+ b21-d*+,d21-/b+ bd21-/+,bd12-*- b12-d*-,bd12-/-,db12-*- d12-b*-,db12-/-,db21-*+ 21-b*d+,db21-/+ b21-/d+",
+    "1-2-12-12": "2|p|cc+21-* 21-cc+*,cc+21-/,cc21-*+ c21-c*+,cc21-/+,cc12-*- c12-c*-,cc12-/-,c21+*c- 12+c*c-",
+    "1-2-12-13": "4|l|dc+1+2- 1c+d+2- 1c+2d-- 1d+2c-- 1c+2-d+ 12cd+-- 12d-c-- 12c-d-- c1+d+2- 12-c+d+ cd+21-- c1+2d-- c1+2-d+ c2d-1-- c21d+-- c21-d-- c2-1+d+ 12c--d+ c21--d+ d2c-1-- d21c+-- d21-c--",
+    "1-2-13-13": "1|l|dd+2-1* 1dd+2-* 1d2d--*,dd+2-1/ d2d--1/,dd+1*2- 1dd+*2-,dd+1/2-,dd1*+2- d1d*+2- d21d*-- 1d*d+2- 1d*2d--,dd1/+2- d2d1/-- d1/d+2- d1/2d--,dd+21*- dd+12*- d12*d--,dd+21/- d21/d--,dd2-1*+ d1d2-*+,dd2-1/+,d12d-*-,d2d-1/-",
+    "1-3-3-3": "4|p|33*1-3* 333*1-*,33+31+* 13+33+*",
+    "1-3-3-4": "2|p|33+4*1* 133+*4* 33+1*4*,33+4*1/ 33+1/4*,43+1+3* 313+4+* 331+4+*,43*31-* 331-*4* 31-3*4*,331*+4* 313*+4*,331/+4*",
+    "1-3-3-5": "2|p|53+3*1* 13*35+* 31*35+*,53+3*1/ 335+*1/ 31/35+*,51*3+3* 3315*+*,51/3+3* 3351/+*,531*+3* 313*5+*,531/+3* 331/5+*,33+51-*",
+    "1-3-3-6": "4|p|61+3*3+ 3316+*+,63+1-3* 336+1-* 3316--* 3613--* 331-6+*",
+    "1-3-3-7": "0||73*3+1* 1337*+*,73*3+1/ 337*+1/,73*1*3+ 313*7*+ 331*7*+,73*1/3+ 337*1/+ 331/7*+,73*31*+ 13*37*+,73*31/+ 31/37*+",
+    "1-3-3-8": "3|p|81-3*3+ 3381-*+,3318-*-,81+3*3- 318+*3-",
+    "1-3-3-9": "1|l|93*3-1* 139*3-*,93*3-1/ 39*3-1/,93*1*3- 13*9*3- 31*9*3-,93*1/3- 39*1/3- 31/9*3-,93-31+* 13+93-* 31-39+*,93*31*- 39*13*-,93*31/- 39*31/-",
+    "1-3-3-10": "4|p|a1+3-3* 31a+3-* 313a--* 313-a+* 3a31--*,a1-3*3- 3a1-*3-",
+    "1-3-3-11": "2|p|b3-3*1* 13*b3-* 31*b3-*,b3-3*1/ 3b3-*1/ 31/b3-*,b1*3-3* 31b*3-*,b1/3-3* 3b1/3-*,b31*-3* 3b13*-*,b31/-3* 3b31/-*",
+    "1-3-3-12": "3|p|c3-1-3* 3c3-1-* 3c1-3-* 3c13+-*,c133/+* 133/+c*,c31+3*+ 313+*c+",
+    "1-3-3-13": "",
+    "1-3-4-4": "2|p|44+3*1* 13*44+* 31*44+*,44+3*1/ 344+*1/ 31/44+*,441*+3* 3414*+*,441/+3* 3441/+*,43+1-4* 434+1-* 4314--* 4413--* 431-4+*",
+    "1-3-4-5": "1||54*3+1+ 13+45*+ 31+45*+,54+1-3* 345+1-* 3415--* 3514--* 341-5+*,531+*4+ 413+5*+,53+41-* 41-35+*",
+    "1-3-4-6": "",
+    "1-3-4-7": "1|l|74*3-1- 47*3-1- 47*1-3- 47*13+-,73*4+1- 437*+1- 4137*-- 37*14-- 41-37*+,741-*3+ 341-7*+,3714-*- 314-7*-,731+*4- 13+7*4-",
+    "1-3-4-8": "3|p|84+31-* 31-48+*,81+3-4* 418+3-* 4138--* 413-8+* 4831--*,431+*8+ 13+4*8+",
+    "1-3-4-9": "1|l|93*1+4- 139*+4- 1439*-- 14-39*+ 39*41--,93-4*1* 14*93-* 41*93-*,93-4*1/ 493-*1/ 41/93-*,941-*3- 41-9*3-,91*3-4* 419*3-*,91/3-4* 491/3-*,931*-4* 4913*-*,931/-4* 4931/-*,41+3*9+ 314+*9+",
+    "1-3-4-10": "3|p|a4-31+* 13+a4-*,a31-*4+ 431-a*+,4a13-*- 413-a*-,a3-1-4* 4a3-1-* 4a1-3-* 4a13+-*",
+    "1-3-4-11": "1||43*b+1+ 134*+b+ 34*1+b+,b1+4-3* 31b+4-* 314b--* 314-b+* 3b41--*,14-3b-* 41-b3-*",
+    "1-3-4-12": "0||c4-3*1* 13*c4-* 31*c4-*,c43*+1* 134*c+*,c4-3*1/ 3c4-*1/ 31/c4-*,c43*+1/ 34*c+1/,c1*4-3* 31c*4-*,c1/4-3* 3c1/4-*,c41*-3* 3c14*-*,c41/-3* 3c41/-*,c4*31-/ 4c*31-/ 431-/c*,43*c1*+ 34*1c*+,43*c1/+ 34*c1/+,c41+3-* 14+3-c* 134--c* 13-4+c* 431--c*,c43*1*+ 13*4*c+ 31*4*c+,c43*1/+ 34*1/c+ 31/4*c+",
+    "1-3-4-13": "3|l|d43*+1- 34*d+1- 34*1d-- d134*-- 34*1-d+,d4-1-3* 3d4-1-* 3d1-4-* 3d14+-*",
+    "1-3-5-5": "",
+    "1-3-5-6": "2||63*5+1+ 15+36*+ 51+36*+,51+3*6+ 315+*6+",
+    "1-3-5-7": "4|p|75+31-* 31-57+*,51+73-* 15+73-*",
+    "1-3-5-8": "1||53*8+1+ 135*+8+ 35*1+8+,583-*1-,851+3-* 15+3-8* 135--8* 13-5+8* 531--8*",
+    "1-3-5-9": "0||53*9+1* 135*9+*,53*9+1/ 35*9+1/,15-39-* 51-93-*,53*91*+ 35*19*+,53*91/+ 35*91/+,53*1*9+ 13*5*9+ 31*5*9+,53*1/9+ 35*1/9+ 31/5*9+",
+    "1-3-5-10": "3|l|a3*5-1- 3a*5-1- 3a*1-5- 3a*15+-,53*a+1- 35*a+1- 35*1a-- a135*-- 35*1-a+",
+    "1-3-5-11": "4|p|b5-31+* 13+b5-*,b1+53-* 53-1b+*",
+    "1-3-5-12": "2|p|c53-*1* 153-*c* 53-1*c*,c53-*1/ 53-c*1/ 53-1/c*,c1+5-3* 31c+5-* 315c--* 315-c+* 3c51--*,c51+*3/ 15+c*3/ 15+3/c*,c51*3-* 15*3-c*,c51/3-* 51/3-c*,c531*-* 513*-c*,c531/-* 531/-c*,c315-*-,c51-3*+ 351-*c+",
+    "1-3-5-13": "2|p|d5-3*1* 13*d5-* 31*d5-*,d5-3*1/ 3d5-*1/ 31/d5-*,d1*5-3* 31d*5-*,d1/5-3* 3d1/5-*,d51*-3* 3d15*-*,d51/-3* 3d51/-*,35-1d-* 53-d1-*",
+    "1-3-6-6": "0||63*6+1* 1636*+*,63*6+1/ 636*+1/,66+31-* 31-66+*,63*1*6+ 613*6*+ 631*6*+,63*1/6+ 636*1/+ 631/6*+,661+3-* 616+3-* 6136--* 613-6+* 6631--*,63*61*+ 16*36*+,63*61/+ 61/36*+",
+    "1-3-6-7": "1|l|673-*1* 16*73-* 61*73-*,63*7+1- 36*7+1- 36*17-- 7136*-- 36*1-7+,673-*1/ 61/73-*,71-3*6+ 6371-*+,6317-*-,671*3-* 617*3-*,671/3-*,6731*-* 6713*-*,6731/-*,71+63-* 63-17+*",
+    "1-3-6-8": "2|p|863-*1* 163-*8* 63-1*8*,863-*1/ 63-8*1/ 63-1/8*,86*31-/ 68*31-/ 631-/8*,683-1-* 681-3-* 6813+-*,863/1+* 163/+8*,861*3-* 16*3-8*,861/3-* 61/3-8*,8631*-* 613*-8*,8631/-* 631/-8*",
+    "1-3-6-9": "2|p|931-*6+ 631-9*+,6913-*- 613-9*-,693/1+* 6193/+*,91+3*6- 319+*6-,36-19-* 63-91-*,9316-*-,61-3*9+ 361-*9+",
+    "1-3-6-10": "1|l|a3*6-1* 13a*6-*,a3*6-1/ 3a*6-1/,a3*1*6- 13*a*6- 31*a*6-,a3*1/6- 3a*1/6- 31/a*6-,a3*61*- 3a*16*-,a3*61/- 3a*61/-",
+    "1-3-6-11": "5|pl|b1+6*3/ 61b+*3/ 63/1b+*,b1-3*6- 3b1-*6-",
+    "1-3-6-12": "2|p|c6*1*3/ 16*c*3/ 16*3/c* 61*c*3/ 6c*31// 63/1*c* 631//c*,c6*3/1/ 6c*3/1/ 63/c*1/ 6c*1/3/ 61/c*3/ 6c*13*/ 63/1/c* 61/3/c* 613*/c*,c6-31+* 13+c6-*,c63-1-* 63-1-c* 61-3-c* 613+-c*,c613-*- c13-6*-,c631-*+ 31-6*c+",
+    "1-3-6-13": "4|p|d1+6-3* 31d+6-* 316d--* 316-d+* 3d61--*,d1-6*3/ 6d1-*3/ 63/d1-*",
+    "1-3-7-7": "5|p|37-17-* 17-37-* 71-73-*",
+    "1-3-7-8": "5|p|873-1-* 73-1-8* 71-3-8* 713+-8*",
+    "1-3-7-9": "9|dpl|971+*3/ 17+9*3/",
+    "1-3-7-10": "2|l|a3*1+7- 13a*+7- 173a*-- 17-3a*+ 3a*71--,a713-*- a13-7*-,731-*a+ 31-7*a+",
+    "1-3-7-11": "",
+    "1-3-7-12": "9|dpl|c71-*3/ 71-c*3/ 71-3/c*",
+    "1-3-7-13": "2||d7+3+1+ 13+7+d+ 17+3+d+ 31+7+d+ 37+1+d+ 71+3+d+ 73+1+d+,d7-31+* 13+d7-*",
+    "1-3-8-8": "3|p|81+8*3/ 818+*3/,831-*8+ 831-8*+,8813-*- 813-8*-,831+*8- 13+8*8-",
+    "1-3-8-9": "6|dl|98*1*3/ 18*9*3/ 81*9*3/ 89*31//,98*3/1/ 89*3/1/ 89*1/3/ 81/9*3/ 89*13*/",
+    "1-3-8-10": "9|dpl|a1-8*3/ 8a1-*3/",
+    "1-3-8-11": "4|l|b3*8-1- 3b*8-1- 3b*1-8- 3b*18+-",
+    "1-3-8-12": "1||c8+3+1+ 13+8+c+ 18+3+c+ 31+8+c+ 38+1+c+ 81+3+c+ 83+1+c+,c8*31+/ 8c*13+/ 813+/c*,8c3/1-*",
+    "1-3-8-13": "0||d8+3+1* 138+d+* 183+d+*,d8+3+1/ 38+d+1/ 83+d+1/,d8+1*3+ 318d+*+,d8+1/3+ 38d+1/+,d1*8+3+ 38+1d*+ 83+1d*+,d1/8+3+ 38+d1/+ 83+d1/+,d81*+3+ 318*+d+ 18*3+d+,d81/+3+ 381/+d+ 81/3+d+,d8+31*+ 13*8+d+ 813*+d+,d8+31/+ 31/8+d+ 831/+d+,d3+1*8+ 813d+*+,d3+1/8+ 83d+1/+,d83+1*+ 138+*d+,d83+1/+ 38+1/d+",
+    "1-3-9-9": "9|dpl|991-*3/ 91-9*3/",
+    "1-3-9-10": "6|pl|a1+3*9- 31a+*9-",
+    "1-3-9-11": "0||b9+3+1+ 13+9+b+ 19+3+b+ 31+9+b+ 39+1+b+ 91+3+b+ 93+1+b+,b3*9-1* 13b*9-*,b3*9-1/ 3b*9-1/,b3*1*9- 13*b*9- 31*b*9-,b3*1/9- 3b*1/9- 31/b*9-,b3*91*- 3b*19*-,b3*91/- 3b*91/-",
+    "1-3-9-12": "0||c9+3+1* 139+c+* 193+c+*,c9+3+1/ 39+c+1/ 93+c+1/,c9+1*3+ 319c+*+,c9+1/3+ 39c+1/+,c1*9+3+ 39+1c*+ 93+1c*+,c1/9+3+ 39+c1/+ 93+c1/+,c91*+3+ 319*+c+ 19*3+c+,c91/+3+ 391/+c+ 91/3+c+,c9+31*+ 13*9+c+ 913*+c+,c9+31/+ 31/9+c+ 931/+c+,c3+1*9+ 913c+*+,c3+1/9+ 93c+1/+,c1-3*9- 3c1-*9-,c93+1*+ 139+*c+,c93+1/+ 39+1/c+,c93/1-* 93/1-c*,931+*c- 13+9*c-",
+    "1-3-9-13": "4|l|d9+3+1- 39+d+1- 93+d+1- 39+1d-- 3d+19-- 39+1-d+ 319d+-- 31d-9-- 319-d-- 9d+13-- 31-9+d+ 93+1d-- 93+1-d+ 913d+-- 91d-3-- 913-d-- 91-3+d+ d139+-- d19-3-- d13-9-- 319--d+ 913--d+",
+    "1-3-10-10": "3||aa+3+1+ 13+a+a+ 1a+3+a+ 31+a+a+ 3a+1+a+ a1+3+a+ a3+1+a+",
+    "1-3-10-11": "0||b3*1+a- 13b*+a- 1a3b*-- 1a-3b*+ 3b*a1--,ba+3+1* 13a+b+* 1a3+b+*,ba+3+1/ 3a+b+1/ a3+b+1/,ba+1*3+ 31ab+*+,ba+1/3+ 3ab+1/+,b1*a+3+ 3a+1b*+ a3+1b*+,b1/a+3+ 3a+b1/+ a3+b1/+,ba1*+3+ 31a*+b+ 1a*3+b+,ba1/+3+ 3a1/+b+ a1/3+b+,ba+31*+ 13*a+b+ a13*+b+,ba+31/+ 31/a+b+ a31/+b+,b3+1*a+ a13b+*+,b3+1/a+ a3b+1/+,a3+1*b+ 13a+*b+,a3+1/b+ 3a+1/b+",
+    "1-3-10-12": "4|l|ca+3+1- 3a+c+1- a3+c+1- 3a+1c-- 3c+1a-- 3a+1-c+ 31ac+-- 31c-a-- 31a-c-- ac+13-- 31-a+c+ a3+1c-- a3+1-c+ a13c+-- a1c-3-- a13-c-- a1-3+c+ c13a+-- c1a-3-- c13-a-- 31a--c+ a13--c+",
+    "1-3-10-13": "",
+    "1-3-11-11": "4|l|bb+3+1- 3b+b+1- b3+b+1- 3b+1b-- 31bb+-- 31b-b-- bb+13-- 31-b+b+ b3+1b-- b3+1-b+ b13b+-- b1b-3-- b13-b-- b1-3+b+",
+    "1-3-11-12": "3|l|c3*b-1- 3c*b-1- 3c*1-b- 3c*1b+-,b1+3*c- 31b+*c-",
+    "1-3-11-13": "",
+    "1-3-12-12": "1|l|c3*c-1* 13c*c-*,c3*c-1/ 3c*c-1/,c3*1*c- 13*c*c- 31*c*c-,c3*1/c- 3c*1/c- 31/c*c-,c3*c1*- 3c*1c*-,c3*c1/- 3c*c1/-",
+    "1-3-12-13": "3|l|c3*1+d- 13c*+d- 1d3c*-- 3c*1+d- 3c*d1--,d1-3*c- 3d1-*c-",
+    "1-3-13-13": "4|l|dd+1+3- 1d+d+3- 1d+3d-- 13dd+-- 13d-d-- d1+d+3- 13-d+d+ dd+31-- d1+3d-- d1+3-d+ d3d-1-- d31d+-- d31-d--",
+    "1-4-4-4": "4|p|41+4*4+ 4414+*+,44+41-* 41-44+*",
+    "1-4-4-5": "0||54*4+1* 1445*+*,54*4+1/ 445*+1/,54*1*4+ 414*5*+ 441*5*+,54*1/4+ 445*1/+ 441/5*+,54*41*+ 14*45*+,54*41/+ 41/45*+",
+    "1-4-4-6": "3|p|61-4*4+ 4461-*+,4416-*-,61+4*4- 416+*4-",
+    "1-4-4-7": "0||44*7+1+ 144*+7+ 44*1+7+,74*4-1* 147*4-*,74*4-1/ 47*4-1/,74*1*4- 14*7*4- 41*7*4-,74*1/4- 47*1/4- 41/7*4-,74*41*- 47*14*-,74*41/- 47*41/-",
+    "1-4-4-8": "0||44*8+1* 144*8+*,44*8+1/,81-4*4- 481-*4-,44*81*+ 44*18*+,44*81/+,44*1*8+ 14*4*8+ 41*4*8+,44*1/8+",
+    "1-4-4-9": "3|l|44*9+1- 44*19-- 9144*-- 44*1-9+,91+4-4* 419+4-* 4149--* 414-9+* 4941--*",
+    "1-4-4-10": "2|p|a4-4*1* 14*a4-* 41*a4-*,a4-4*1/ 4a4-*1/ 41/a4-*,a1*4-4* 41a*4-*,a1/4-4* 4a1/4-*,a41*-4* 4a14*-*,a41/-4* 4a41/-*",
+    "1-4-4-11": "5|p|b4-1-4* 4b4-1-* 4b1-4-* 4b14+-*",
+    "1-4-4-12": "3|p|14-4c-* 41-c4-*,c144/+* 144/+c*,c414-*-,c441-*+ 441-*c+",
+    "1-4-4-13": "",
+    "1-4-5-5": "2|l|54*5+1- 545*+1- 5145*-- 45*15-- 51-45*+,551-*4+ 4551-*+,4515-*-",
+    "1-4-5-6": "",
+    "1-4-5-7": "3|l|74*1+5- 147*+5- 1547*-- 15-47*+ 47*51--,751-*4- 51-7*4-",
+    "1-4-5-8": "3|p|51+84-* 15+84-*,8415-*-,451-*8+",
+    "1-4-5-9": "3|p|594-*1-,9514-*- 914-5*-,541-*9+ 41-5*9+",
+    "1-4-5-10": "4|p|a1+5-4* 41a+5-* 415a--* 415-a+* 4a51--*,15-4a-* 51-a4-*",
+    "1-4-5-11": "2|p|b5-4*1* 14*b5-* 41*b5-*,b5-4*1/ 4b5-*1/ 41/b5-*,b1*5-4* 41b*5-*,b1/5-4* 4b1/5-*,b51*-4* 4b15*-*,b51/-4* 4b51/-*",
+    "1-4-5-12": "4|p|c5-1-4* 4c5-1-* 4c1-5-* 4c15+-*,c51+4-* 15+4-c* 145--c* 14-5+c* 541--c*",
+    "1-4-5-13": "5|p|14-5d-* 41-d5-*",
+    "1-4-6-6": "3|p|641-*6+ 641-6*+,6614-*- 614-6*-,641+*6- 14+6*6-",
+    "1-4-6-7": "5|p|671+4-* 617+4-* 6147--* 614-7+* 6741--*",
+    "1-4-6-8": "2|p|684-*1* 16*84-* 61*84-*,684-*1/ 61/84-*,681*4-* 618*4-*,681/4-*,6841*-* 6814*-*,6841/-*,861+4-* 16+4-8* 146--8* 14-6+8* 641--8*",
+    "1-4-6-9": "5|p|694-1-* 691-4-* 6914+-*",
+    "1-4-6-10": "6|pl|a41-*6- 41-a*6-",
+    "1-4-6-11": "4|p|b1+6-4* 41b+6-* 416b--* 416-b+* 4b61--*,b1+64-* 64-1b+*",
+    "1-4-6-12": "2|p|c6-4*1* 14*c6-* 41*c6-*,c64-*1* 164-*c* 64-1*c*,c6-4*1/ 4c6-*1/ 41/c6-*,c64-*1/ 64-c*1/ 64-1/c*,c1*6-4* 41c*6-*,c1/6-4* 4c1/6-*,c61*-4* 4c16*-*,c61/-4* 4c61/-*,c6*41-/ 6c*41-/ 641-/c*,6c4/1+* 61c4/+*,c61*4-* 16*4-c*,c61/4-* 61/4-c*,c641*-* 614*-c*,c641/-* 641/-c*",
+    "1-4-6-13": "1||d6+4+1+ 14+6+d+ 16+4+d+ 41+6+d+ 46+1+d+ 61+4+d+ 64+1+d+,d6-1-4* 4d6-1-* 4d1-6-* 4d16+-*,46-1d-* 64-d1-*",
+    "1-4-7-7": "5|p|71+74-* 17+74-*",
+    "1-4-7-8": "1|l|874-*1* 174-*8* 74-1*8*,84*7-1- 48*7-1- 48*1-7- 48*17+-,874-*1/ 74-8*1/ 74-1/8*,48-17-* 17-48-* 71-84-*,871*4-* 17*4-8*,871/4-* 71/4-8*,8741*-* 714*-8*,8741/-* 741/-8*,71+4*8- 417+*8-",
+    "1-4-7-9": "5|p|47-19-* 74-91-*",
+    "1-4-7-10": "",
+    "1-4-7-11": "6|pl|741+*b- 14+7*b-",
+    "1-4-7-12": "1||c7+4+1+ 14+7+c+ 17+4+c+ 41+7+c+ 47+1+c+ 71+4+c+ 74+1+c+,c1+7-4* 41c+7-* 417c--* 417-c+* 4c71--*,c71+*4/ 17+c*4/ 17+4/c*,c74-1-* 74-1-c* 71-4-c* 714+-c*",
+    "1-4-7-13": "0||d7+4+1* 147+d+* 174+d+*,d7-4*1* 14*d7-* 41*d7-*,d7+4+1/ 47+d+1/ 74+d+1/,d7-4*1/ 4d7-*1/ 41/d7-*,d7+1*4+ 417d+*+,d7+1/4+ 47d+1/+,d1*7+4+ 47+1d*+ 74+1d*+,d1/7+4+ 47+d1/+ 74+d1/+,d71*+4+ 417*+d+ 17*4+d+,d71/+4+ 471/+d+ 71/4+d+,d1*7-4* 41d*7-*,d1/7-4* 4d1/7-*,d71*-4* 4d17*-*,d71/-4* 4d71/-*,d7+41*+ 14*7+d+ 714*+d+,d7+41/+ 41/7+d+ 741/+d+,d4+1*7+ 714d+*+,d4+1/7+ 74d+1/+,d74+1*+ 147+*d+,d74+1/+ 47+1/d+",
+    "1-4-8-8": "1|l|84*8-1* 148*8-*,84*8-1/ 48*8-1/,884/1+* 8184/+*,884-1-* 881-4-* 8814+-*,84*1*8- 14*8*8- 41*8*8-,84*1/8- 48*1/8- 41/8*8-,84*81*- 48*18*-,84*81/- 48*81/-",
+    "1-4-8-9": "2|l|84*1+9- 148*+9- 1948*-- 48*1+9- 48*91--,98*41-/ 89*41-/,91-4*8- 491-*8-",
+    "1-4-8-10": "",
+    "1-4-8-11": "2||b8+4+1+ 14+8+b+ 18+4+b+ 41+8+b+ 48+1+b+ 81+4+b+ 84+1+b+,b1+8*4/ 81b+*4/ 84/1b+*",
+    "1-4-8-12": "0||c8+4+1* 148+c+* 184+c+*,c8*1*4/ 18*c*4/ 18*4/c* 81*c*4/ 8c*41// 84/1*c* 841//c*,c8+4+1/ 48+c+1/ 84+c+1/,c8*4/1/ 8c*4/1/ 84/c*1/ 8c*1/4/ 81/c*4/ 8c*14*/ 84/1/c* 81/4/c* 814*/c*,c8+1*4+ 418c+*+,c8+1/4+ 48c+1/+,c1*8+4+ 48+1c*+ 84+1c*+,c1/8+4+ 48+c1/+ 84+c1/+,c81*+4+ 418*+c+ 18*4+c+,c81/+4+ 481/+c+ 81/4+c+,c8+41*+ 14*8+c+ 814*+c+,c8+41/+ 41/8+c+ 841/+c+,c4+1*8+ 814c+*+,c4+1/8+ 84c+1/+,c84+1*+ 148+*c+,c84+1/+ 48+1/c+,81+4*c- 418+*c-",
+    "1-4-8-13": "2|l|d8+4+1- 48+d+1- 84+d+1- 48+1d-- 4d+18-- 48+1-d+ 418d+-- 41d-8-- 418-d-- 8d+14-- 41-8+d+ 84+1d-- 84+1-d+ 814d+-- 81d-4-- 814-d-- 81-4+d+ d148+-- d18-4-- d14-8-- 418--d+ 814--d+,d1+8-4* 41d+8-* 418d--* 418-d+* 4d81--*,d1-8*4/ 8d1-*4/ 84/d1-*",
+    "1-4-9-9": "",
+    "1-4-9-10": "3||a9+4+1+ 14+9+a+ 19+4+a+ 41+9+a+ 49+1+a+ 91+4+a+ 94+1+a+",
+    "1-4-9-11": "0||b9+4+1* 149+b+* 194+b+*,94*b-1- 49*b-1- 49*1b+- 49*1-b-,b9+4+1/ 49+b+1/ 94+b+1/,b9+1*4+ 419b+*+,b9+1/4+ 49b+1/+,b1*9+4+ 49+1b*+ 94+1b*+,b1/9+4+ 49+b1/+ 94+b1/+,b91*+4+ 419*+b+ 19*4+b+,b91/+4+ 491/+b+ 91/4+b+,b9+41*+ 14*9+b+ 914*+b+,b9+41/+ 41/9+b+ 941/+b+,b4+1*9+ 914b+*+,b4+1/9+ 94b+1/+,b41-*9- 41-b*9-,94+1*b+ 149+*b+,94+1/b+ 49+1/b+",
+    "1-4-9-12": "1|l|94*c-1* 149*c-*,c9+4+1- 49+c+1- 94+c+1- 49+1c-- 4c+19-- 49+1-c+ 419c+-- 41c-9-- 419-c-- 9c+14-- 41-9+c+ 94+1c-- 94+1-c+ 914c+-- 91c-4-- 914-c-- 91-4+c+ c149+-- c19-4-- c14-9-- 419--c+ 914--c+,94*c-1/ 49*c-1/,c91-*4/ 91-c*4/ 91-4/c*,94*c1*- 49*1c*-,94*c1/- 49*c1/-,94*1*c- 14*9*c- 41*9*c-,94*1/c- 49*1/c- 41/9*c-",
+    "1-4-9-13": "4|l|94*1+d- 149*+d- 1d49*-- 49*1+d- 49*d1--",
+    "1-4-10-10": "0||aa+4+1* 14a+a+* 1a4+a+*,aa*4/1-,aa+4+1/ 4a+a+1/ a4+a+1/,aa+1*4+ 41aa+*+,aa+1/4+ 4aa+1/+,aa1*+4+ 4a+1a*+ a4+1a*+ 1a*4+a+,aa1/+4+ 4a+a1/+ a4+a1/+ a1/4+a+,aa+41*+ 14*a+a+ a14*+a+,aa+41/+ 41/a+a+ a41/+a+,a4+1*a+ a14a+*+,a4+1/a+ a4a+1/+",
+    "1-4-10-11": "4|l|ba+4+1- 4a+b+1- a4+b+1- 4a+1b-- 4b+1a-- 4a+1-b+ 41ab+-- 41b-a-- 41a-b-- ab+14-- 41-a+b+ a4+1b-- a4+1-b+ a14b+-- a1b-4-- a14-b-- a1-4+b+ b14a+-- b1a-4-- b14-a-- 41a--b+ a14--b+",
+    "1-4-10-12": "5|pl|ca*41+/ ac*14+/ a14+/c*,a1-4*c- 4a1-*c-",
+    "1-4-10-13": "",
+    "1-4-11-11": "",
+    "1-4-11-12": "",
+    "1-4-11-13": "",
+    "1-4-12-12": "5|pl|cc4/1-*,c41-*c- 41-c*c-",
+    "1-4-12-13": "",
+    "1-4-13-13": "",
+    "1-5-5-5": "",
+    "1-5-5-6": "3|l|65*5-1- 56*5-1- 56*1-5- 56*15+-,51+5*6- 515+*6-",
+    "1-5-5-7": "",
+    "1-5-5-8": "",
+    "1-5-5-9": "5|p|51+95-* 15+95-*",
+    "1-5-5-10": "6|pl|5a5-*1-",
+    "1-5-5-11": "5|p|15-5b-* 51-b5-*",
+    "1-5-5-12": "7|dp|c155/+* 155/+c*",
+    "1-5-5-13": "3||d5+5+1+ 15+5+d+ 51+5+d+ 55+1+d+",
+    "1-5-6-6": "1|l|65*6-1* 156*6-*,65*6-1/ 56*6-1/,65*1*6- 15*6*6- 51*6*6-,65*1/6- 56*1/6- 51/6*6-,65*61*- 56*16*-,65*61/- 56*61/-",
+    "1-5-6-7": "3|l|65*1+7- 156*+7- 1756*-- 56*1+7- 56*71--,71-5*6- 571-*6-",
+    "1-5-6-8": "5|p|681+5-* 618+5-* 6158--* 615-8+* 6851--*",
+    "1-5-6-9": "2|p|695-*1* 16*95-* 61*95-*,695-*1/ 61/95-*,691*5-* 619*5-*,691/5-*,6951*-* 6915*-*,6951/-*",
+    "1-5-6-10": "4|p|51+a6-* 15+a6-*,6a5-1-* 6a1-5-* 6a15+-*",
+    "1-5-6-11": "5|pl|5b6-*1-,61+5*b- 516+*b-",
+    "1-5-6-12": "1||c6+5+1+ 15+6+c+ 16+5+c+ 51+6+c+ 56+1+c+ 61+5+c+ 65+1+c+,15-6c-* 51-c6-*,c61+5-* 16+5-c* 156--c* 15-6+c* 651--c*,651+*c- 15+6*c-",
+    "1-5-6-13": "0||d6+5+1* 156+d+* 165+d+*,d6+5+1/ 56+d+1/ 65+d+1/,d6+1*5+ 516d+*+,d6+1/5+ 56d+1/+,d1*6+5+ 56+1d*+ 65+1d*+,d1/6+5+ 56+d1/+ 65+d1/+,d61*+5+ 516*+d+ 16*5+d+,d61/+5+ 561/+d+ 61/5+d+,d6+51*+ 15*6+d+ 615*+d+,d6+51/+ 51/6+d+ 651/+d+,d5+1*6+ 615d+*+,d5+1/6+ 65d+1/+,d65+1*+ 156+*d+,d65+1/+ 56+1/d+",
+    "1-5-7-7": "",
+    "1-5-7-8": "4|p|71+85-* 17+85-*,871+5-* 17+5-8* 157--8* 15-7+8* 751--8*",
+    "1-5-7-9": "5|p|59-17-* 17-59-* 71-95-*",
+    "1-5-7-10": "4|l|75*a-1- 57*a-1- 57*1a+- 57*1-a-",
+    "1-5-7-11": "0||b7+5+1+ 15+7+b+ 17+5+b+ 51+7+b+ 57+1+b+ 71+5+b+ 75+1+b+,75*b-1* 157*b-*,75*b-1/ 57*b-1/,51+b7-* 15+b7-*,b1+75-* 75-1b+*,75*b1*- 57*1b*-,75*b1/- 57*b1/-,75*1*b- 15*7*b- 51*7*b-,75*1/b- 57*1/b- 51/7*b-",
+    "1-5-7-12": "0||75*1+c- 157*+c- 1c57*-- 57*1+c- 57*c1--,c7+5+1* 157+c+* 175+c+*,c75-*1* 175-*c* 75-1*c*,5c7-*1-,c7+5+1/ 57+c+1/ 75+c+1/,c75-*1/ 75-c*1/ 75-1/c*,c7+1*5+ 517c+*+,c7+1/5+ 57c+1/+,c1*7+5+ 57+1c*+ 75+1c*+,c1/7+5+ 57+c1/+ 75+c1/+,c71*+5+ 517*+c+ 17*5+c+,c71/+5+ 571/+c+ 71/5+c+,c7+51*+ 15*7+c+ 715*+c+,c7+51/+ 51/7+c+ 751/+c+,c5+1*7+ 715c+*+,c5+1/7+ 75c+1/+,c75+1*+ 157+*c+,c75+1/+ 57+1/c+,c71*5-* 17*5-c*,c71/5-* 71/5-c*,c751*-* 715*-c*,c751/-* 751/-c*",
+    "1-5-7-13": "2|l|d7+5+1- 57+d+1- 75+d+1- 57+1d-- 5d+17-- 57+1-d+ 517d+-- 51d-7-- 517-d-- 7d+15-- 51-7+d+ 75+1d-- 75+1-d+ 715d+-- 71d-5-- 715-d-- 71-5+d+ d157+-- d17-5-- d15-7-- 517--d+ 715--d+,15-7d-* 51-d7-*,57-1d-* 75-d1-*",
+    "1-5-8-8": "2|p|885-*1* 18*85-* 81*85-*,885-*1/ 81/85-*,881*5-* 818*5-*,881/5-*,8851*-* 8815*-*,8851/-*,851-*8- 51-8*8-",
+    "1-5-8-9": "4|p|895-1-* 891-5-* 8915+-*,58-19-* 85-91-*",
+    "1-5-8-10": "2||a8+5+1+ 15+8+a+ 18+5+a+ 51+8+a+ 58+1+a+ 81+5+a+ 85+1+a+,8a5/1+* 81a5/+*",
+    "1-5-8-11": "0||b8+5+1* 158+b+* 185+b+*,b8+5+1/ 58+b+1/ 85+b+1/,b8+1*5+ 518b+*+,b8+1/5+ 58b+1/+,b1*8+5+ 58+1b*+ 85+1b*+,b1/8+5+ 58+b1/+ 85+b1/+,b81*+5+ 518*+b+ 18*5+b+,b81/+5+ 581/+b+ 81/5+b+,b8+51*+ 15*8+b+ 815*+b+,b8+51/+ 51/8+b+ 851/+b+,b5+1*8+ 815b+*+,b5+1/8+ 85b+1/+,85+1*b+ 158+*b+,85+1/b+ 58+1/b+,81-5*b- 581-*b-",
+    "1-5-8-12": "2|l|c8+5+1- 58+c+1- 85+c+1- 58+1c-- 5c+18-- 58+1-c+ 518c+-- 51c-8-- 518-c-- 8c+15-- 51-8+c+ 85+1c-- 85+1-c+ 815c+-- 81c-5-- 815-c-- 81-5+c+ c158+-- c18-5-- c15-8-- 518--c+ 815--c+,51+c8-* 15+c8-*,c8*51-/ 8c*51-/ 851-/c*,c85-1-* 85-1-c* 81-5-c* 815+-c*",
+    "1-5-8-13": "6|pl|5d8-*1-",
+    "1-5-9-9": "3||99+5+1+ 15+9+9+ 19+5+9+ 51+9+9+ 59+1+9+ 91+5+9+ 95+1+9+",
+    "1-5-9-10": "0||a9+5+1* 159+a+* 195+a+*,a9+5+1/ 59+a+1/ 95+a+1/,a9+1*5+ 519a+*+,a9+1/5+ 59a+1/+,a1*9+5+ 59+1a*+ 95+1a*+,a1/9+5+ 59+a1/+ 95+a1/+,a91*+5+ 519*+a+ 19*5+a+,a91/+5+ 591/+a+ 91/5+a+,a9+51*+ 15*9+a+ 915*+a+,a9+51/+ 51/9+a+ 951/+a+,a5+1*9+ 915a+*+,a5+1/9+ 95a+1/+,95+1*a+ 159+*a+,95+1/a+ 59+1/a+",
+    "1-5-9-11": "4|l|b9+5+1- 59+b+1- 95+b+1- 59+1b-- 5b+19-- 59+1-b+ 519b+-- 51b-9-- 519-b-- 9b+15-- 51-9+b+ 95+1b-- 95+1-b+ 915b+-- 91b-5-- 915-b-- 91-5+b+ b159+-- b19-5-- b15-9-- 519--b+ 915--b+",
+    "1-5-9-12": "5|pl|c91+*5/ 19+c*5/ 19+5/c*,951-*c- 51-9*c-",
+    "1-5-9-13": "5|p|51+d9-* 15+d9-*",
+    "1-5-10-10": "4|l|aa+5+1- 5a+a+1- a5+a+1- 5a+1a-- 51aa+-- 51a-a-- aa+15-- 51-a+a+ a5+1a-- a5+1-a+ a15a+-- a1a-5-- a15-a-- a1-5+a+",
+    "1-5-10-11": "9|dpl|b1+a*5/ a1b+*5/ a5/1b+*",
+    "1-5-10-12": "6|dl|ca*1*5/ 1a*c*5/ 1a*5/c* a1*c*5/ ac*51// a5/1*c* a51//c*,ca*5/1/ ac*5/1/ a5/c*1/ ac*1/5/ a1/c*5/ ac*15*/ a5/1/c* a1/5/c* a15*/c*",
+    "1-5-10-13": "9|dpl|d1-a*5/ ad1-*5/ a5/d1-*",
+    "1-5-11-11": "9|dpl|bb*1-5/",
+    "1-5-11-12": "9|dpl|cb1-*5/ b1-c*5/ b1-5/c*",
+    "1-5-11-13": "",
+    "1-5-12-12": "9|dpl|cc*51+/ cc*15+/",
+    "1-5-12-13": "",
+    "1-5-13-13": "",
+    "1-6-6-6": "6|pl|661-*6-",
+    "1-6-6-7": "",
+    "1-6-6-8": "",
+    "1-6-6-9": "5|p|691+6-* 619+6-* 6169--* 616-9+* 6961--*",
+    "1-6-6-10": "2|p|6a6-*1* 16*a6-* 61*a6-*,6a6-*1/ 61/a6-*,6a1*6-* 61a*6-*,6a1/6-*,6a61*-* 6a16*-*,6a61/-*",
+    "1-6-6-11": "1||b6+6+1+ 16+6+b+ 61+6+b+ 66+1+b+,66*b-1- 66*1b+- 66*1-b-,6b6-1-* 6b1-6-* 6b16+-*",
+    "1-6-6-12": "0||c6+6+1* 166+c+*,66*c-1* 166*c-*,c6+6+1/ 66+c+1/,66*c-1/,c6+1*6+ 616c+*+,c6+1/6+ 66c+1/+,c1*6+6+ 66+1c*+,c1/6+6+ 66+c1/+,c6+61*+ 616*+c+ 16*6+c+,c6+61/+ 661/+c+ 61/6+c+,66*c1*- 66*1c*-,66*c1/-,c66+1*+ 166+*c+,c66+1/+ 66+1/c+,66*1*c- 16*6*c- 61*6*c-,66*1/c-,c166/+* 166/+c*",
+    "1-6-6-13": "3|l|66*1+d- 166*+d- 1d66*-- 66*d1--,d6+6+1- 66+d+1- 66+1d-- 6d+16-- 66+1-d+ 616d+-- 61d-6-- 616-d-- 61-6+d+ d166+-- d16-6-- 616--d+",
+    "1-6-7-7": "",
+    "1-6-7-8": "",
+    "1-6-7-9": "5|p|71+96-* 17+96-*",
+    "1-6-7-10": "1||a7+6+1+ 16+7+a+ 17+6+a+ 61+7+a+ 67+1+a+ 71+6+a+ 76+1+a+,6a1+7-* 61a+7-* 617a--* 617-a+* 6a71--*,6a-17-* 17-6a-* 71-a6-*",
+    "1-6-7-11": "0||b7+6+1* 167+b+* 176+b+*,6b7-*1* 16*b7-* 61*b7-*,b7+6+1/ 67+b+1/ 76+b+1/,6b7-*1/ 61/b7-*,b7+1*6+ 617b+*+,b7+1/6+ 67b+1/+,b1*7+6+ 67+1b*+ 76+1b*+,b1/7+6+ 67+b1/+ 76+b1/+,b71*+6+ 617*+b+ 17*6+b+,b71/+6+ 671/+b+ 71/6+b+,6b1*7-* 61b*7-*,6b1/7-*,6b71*-* 6b17*-*,6b71/-*,b7+61*+ 16*7+b+ 716*+b+,b7+61/+ 61/7+b+ 761/+b+,b6+1*7+ 716b+*+,b6+1/7+ 76b+1/+,76+1*b+ 167+*b+,76+1/b+ 67+1/b+,761-*b- 61-7*b-",
+    "1-6-7-12": "2|l|c7+6+1- 67+c+1- 76+c+1- 67+1c-- 6c+17-- 67+1-c+ 617c+-- 61c-7-- 617-c-- 7c+16-- 61-7+c+ 76+1c-- 76+1-c+ 716c+-- 71c-6-- 716-c-- 71-6+c+ c167+-- c17-6-- c16-7-- 617--c+ 716--c+,6c7-1-* 6c1-7-* 6c17+-*,c71+6-* 17+6-c* 167--c* 16-7+c* 761--c*,671-*c-",
+    "1-6-7-13": "",
+    "1-6-8-8": "5|p|881+6-* 818+6-* 8168--* 816-8+* 8861--*",
+    "1-6-8-9": "0||98+6+1+ 16+8+9+ 18+6+9+ 61+8+9+ 68+1+9+ 81+6+9+ 86+1+9+,896-*1* 18*96-* 81*96-*,896-*1/ 81/96-*,891*6-* 819*6-*,891/6-*,8961*-* 8916*-*,8961/-*",
+    "1-6-8-10": "0||a8+6+1* 168+a+* 186+a+*,a8+6+1/ 68+a+1/ 86+a+1/,a8+1*6+ 618a+*+,a8+1/6+ 68a+1/+,a1*8+6+ 68+1a*+ 86+1a*+,a1/8+6+ 68+a1/+ 86+a1/+,a81*+6+ 618*+a+ 18*6+a+,a81/+6+ 681/+a+ 81/6+a+,a8+61*+ 16*8+a+ 816*+a+,a8+61/+ 61/8+a+ 861/+a+,a6+1*8+ 816a+*+,a6+1/8+ 86a+1/+,8a6-1-* 8a1-6-* 8a16+-*,86+1*a+ 168+*a+,86+1/a+ 68+1/a+",
+    "1-6-8-11": "2|l|b8+6+1- 68+b+1- 86+b+1- 68+1b-- 6b+18-- 68+1-b+ 618b+-- 61b-8-- 618-b-- 8b+16-- 61-8+b+ 86+1b-- 86+1-b+ 816b+-- 81b-6-- 816-b-- 81-6+b+ b168+-- b18-6-- b16-8-- 618--b+ 816--b+,6b1+8-* 61b+8-* 618b--* 618-b+* 6b81--*,b1+86-* 86-1b+*",
+    "1-6-8-12": "2|p|6c8-*1* 16*c8-* 61*c8-*,c86-*1* 186-*c* 86-1*c*,6c8-*1/ 61/c8-*,c86-*1/ 86-c*1/ 86-1/c*,6c1*8-* 61c*8-*,6c1/8-*,6c81*-* 6c18*-*,6c81/-*,8c6/1+* 81c6/+*,c81*6-* 18*6-c*,c81/6-* 81/6-c*,c861*-* 816*-c*,c861/-* 861/-c*",
+    "1-6-8-13": "4|p|6d8-1-* 6d1-8-* 6d18+-*,68-1d-* 86-d1-*",
+    "1-6-9-9": "0||99+6+1* 169+9+* 196+9+*,99+6+1/ 69+9+1/ 96+9+1/,99+1*6+ 6199+*+,99+1/6+ 699+1/+,991*+6+ 69+19*+ 96+19*+ 19*6+9+,991/+6+ 69+91/+ 96+91/+ 91/6+9+,99+61*+ 16*9+9+ 916*+9+,99+61/+ 61/9+9+ 961/+9+,96+1*9+ 9169+*+,96+1/9+ 969+1/+,69-19-* 19-69-* 91-96-*",
+    "1-6-9-10": "4|l|a9+6+1- 69+a+1- 96+a+1- 69+1a-- 6a+19-- 69+1-a+ 619a+-- 61a-9-- 619-a-- 9a+16-- 61-9+a+ 96+1a-- 96+1-a+ 916a+-- 91a-6-- 916-a-- 91-6+a+ a169+-- a19-6-- a16-9-- 619--a+ 916--a+",
+    "1-6-9-11": "",
+    "1-6-9-12": "4|p|6c1+9-* 61c+9-* 619c--* 619-c+* 6c91--*,c96-1-* 96-1-c* 91-6-c* 916+-c*",
+    "1-6-9-13": "2|p|6d9-*1* 16*d9-* 61*d9-*,6d9-*1/ 61/d9-*,6d1*9-* 61d*9-*,6d1/9-*,6d91*-* 6d19*-*,6d91/-*",
+    "1-6-10-10": "",
+    "1-6-10-11": "",
+    "1-6-10-12": "9|dpl|ca*61-/ ac*61-/ a61-/c*",
+    "1-6-10-13": "5|p|6d1+a-* 61d+a-* 61ad--* 61a-d+* 6da1--*",
+    "1-6-11-11": "",
+    "1-6-11-12": "9|dpl|cb1+*6/ 1b+c*6/ 1b+6/c*",
+    "1-6-11-13": "9|dpl|db*1+6/ 1bd*+6/",
+    "1-6-12-12": "6|dl|cc*1*6/ 1c*c*6/ c1*c*6/ cc*61//,cc*6/1/ cc*1/6/ cc*16*/ c1/c*6/",
+    "1-6-12-13": "9|dpl|cd1-*6/ c6/d1-*",
+    "1-6-13-13": "",
+    "1-7-7-7": "",
+    "1-7-7-8": "",
+    "1-7-7-9": "3||97+7+1+ 17+7+9+ 71+7+9+ 77+1+9+",
+    "1-7-7-10": "0||a7+7+1* 177+a+*,a7+7+1/ 77+a+1/,a7+1*7+ 717a+*+,a7+1/7+ 77a+1/+,a1*7+7+ 77+1a*+,a1/7+7+ 77+a1/+,a7+71*+ 717*+a+ 17*7+a+,a7+71/+ 771/+a+ 71/7+a+,71+a7-* 17+a7-*,77+1*a+ 177+*a+,77+1/a+",
+    "1-7-7-11": "3|l|b7+7+1- 77+b+1- 77+1b-- 7b+17-- 77+1-b+ 717b+-- 71b-7-- 717-b-- 71-7+b+ b177+-- b17-7-- 717--b+,7b-17-* 17-7b-* 71-b7-*",
+    "1-7-7-12": "7|dp|c177/+* 177/+c*",
+    "1-7-7-13": "",
+    "1-7-8-8": "3||88+7+1+ 17+8+8+ 18+7+8+ 71+8+8+ 78+1+8+ 81+7+8+ 87+1+8+",
+    "1-7-8-9": "0||98+7+1* 178+9+* 187+9+*,98+7+1/ 78+9+1/ 87+9+1/,98+1*7+ 7189+*+,98+1/7+ 789+1/+,91*8+7+ 78+19*+ 87+19*+,91/8+7+ 78+91/+ 87+91/+,981*+7+ 718*+9+ 18*7+9+,981/+7+ 781/+9+ 81/7+9+,98+71*+ 17*8+9+ 817*+9+,98+71/+ 71/8+9+ 871/+9+,97+1*8+ 8179+*+,97+1/8+ 879+1/+,891+7-* 819+7-* 8179--* 817-9+* 8971--*,87+1*9+ 178+*9+,87+1/9+ 78+1/9+",
+    "1-7-8-10": "1|l|8a7-*1* 18*a7-* 81*a7-*,a8+7+1- 78+a+1- 87+a+1- 78+1a-- 7a+18-- 78+1-a+ 718a+-- 71a-8-- 718-a-- 8a+17-- 71-8+a+ 87+1a-- 87+1-a+ 817a+-- 81a-7-- 817-a-- 81-7+a+ a178+-- a18-7-- a17-8-- 718--a+ 817--a+,8a7-*1/ 81/a7-*,8a1*7-* 81a*7-*,8a1/7-*,8a71*-* 8a17*-*,8a71/-*",
+    "1-7-8-11": "4|p|71+b8-* 17+b8-*,8b7-1-* 8b1-7-* 8b17+-*",
+    "1-7-8-12": "4|p|8c-17-* 17-8c-* 71-c8-*,c81+7-* 18+7-c* 178--c* 17-8+c* 871--c*",
+    "1-7-8-13": "",
+    "1-7-9-9": "4|l|99+7+1- 79+9+1- 97+9+1- 79+19-- 7199+-- 719-9-- 99+17-- 71-9+9+ 97+19-- 97+1-9+ 9179+-- 919-7-- 917-9-- 91-7+9+",
+    "1-7-9-10": "5|p|7a-19-* 19-7a-* 91-a7-*",
+    "1-7-9-11": "5|p|b1+97-* 97-1b+*",
+    "1-7-9-12": "2|p|c97-*1* 197-*c* 97-1*c*,c97-*1/ 97-c*1/ 97-1/c*,71+c9-* 17+c9-*,c91*7-* 19*7-c*,c91/7-* 91/7-c*,c971*-* 917*-c*,c971/-* 971/-c*",
+    "1-7-9-13": "4|p|9d-17-* 17-9d-* 71-d9-*,79-1d-* 97-d1-*",
+    "1-7-10-10": "",
+    "1-7-10-11": "",
+    "1-7-10-12": "5|p|ca7-1-* a7-1-c* a1-7-c* a17+-c*",
+    "1-7-10-13": "5|p|71+da-* 17+da-*",
+    "1-7-11-11": "",
+    "1-7-11-12": "",
+    "1-7-11-13": "",
+    "1-7-12-12": "9|dpl|cc*71-/",
+    "1-7-12-13": "9|dpl|d1+c*7/ c1d+*7/",
+    "1-7-13-13": "9|dpl|dd*1-7/",
+    "1-8-8-8": "0||88+8+1* 188+8+*,88+8+1/,88+1*8+ 8188+*+,88+1/8+ 888+1/+,88+81*+ 88+18*+ 18*8+8+,88+81/+ 81/8+8+",
+    "1-8-8-9": "4|l|98+8+1- 88+9+1- 88+19-- 89+18-- 88+1-9+ 8189+-- 819-8-- 818-9-- 81-8+9+ 9188+-- 918-8-- 818--9+",
+    "1-8-8-10": "5|p|8a1+8-* 81a+8-* 818a--* 818-a+* 8a81--*",
+    "1-8-8-11": "2|p|8b8-*1* 18*b8-* 81*b8-*,8b8-*1/ 81/b8-*,8b1*8-* 81b*8-*,8b1/8-*,8b81*-* 8b18*-*,8b81/-*",
+    "1-8-8-12": "4|p|8c8-1-* 8c1-8-* 8c18+-*,c188/+* 188/+c*",
+    "1-8-8-13": "",
+    "1-8-9-9": "",
+    "1-8-9-10": "",
+    "1-8-9-11": "4|p|8b1+9-* 81b+9-* 819b--* 819-b+* 8b91--*,8b-19-* 19-8b-* 91-b8-*",
+    "1-8-9-12": "2|p|8c9-*1* 18*c9-* 81*c9-*,8c9-*1/ 81/c9-*,8c1*9-* 81c*9-*,8c1/9-*,8c91*-* 8c19*-*,8c91/-*,c91+8-* 19+8-c* 189--c* 18-9+c* 981--c*",
+    "1-8-9-13": "5|p|8d9-1-* 8d1-9-* 8d19+-*",
+    "1-8-10-10": "",
+    "1-8-10-11": "5|p|b1+a8-* a8-1b+*",
+    "1-8-10-12": "2|p|ca8-*1* 1a8-*c* a8-1*c*,ca8-*1/ a8-c*1/ a8-1/c*,8c1+a-* 81c+a-* 81ac--* 81a-c+* 8ca1--*,ca1*8-* 1a*8-c*,ca1/8-* a1/8-c*,ca81*-* a18*-c*,ca81/-* a81/-c*",
+    "1-8-10-13": "2|p|8da-*1* 18*da-* 81*da-*,8da-*1/ 81/da-*,8d1*a-* 81d*a-*,8d1/a-*,8da1*-* 8d1a*-*,8da1/-*,8a-1d-* a8-d1-*",
+    "1-8-11-11": "",
+    "1-8-11-12": "5|p|cb8-1-* b8-1-c* b1-8-c* b18+-c*",
+    "1-8-11-13": "5|p|8d1+b-* 81d+b-* 81bd--* 81b-d+* 8db1--*",
+    "1-8-12-12": "",
+    "1-8-12-13": "",
+    "1-8-13-13": "",
+    "1-9-9-9": "",
+    "1-9-9-10": "",
+    "1-9-9-11": "",
+    "1-9-9-12": "4|p|9c-19-* 19-9c-* 91-c9-*,c199/+* 199/+c*",
+    "1-9-9-13": "",
+    "1-9-10-10": "",
+    "1-9-10-11": "",
+    "1-9-10-12": "5|p|ca1+9-* 1a+9-c* 19a--c* 19-a+c* a91--c*",
+    "1-9-10-13": "5|p|ad-19-* 19-ad-* 91-da-*",
+    "1-9-11-11": "5|p|b1+b9-* 1b+b9-*",
+    "1-9-11-12": "2|p|cb9-*1* 1b9-*c* b9-1*c*,cb9-*1/ b9-c*1/ b9-1/c*,cb1*9-* 1b*9-c*,cb1/9-* b1/9-c*,cb91*-* b19*-c*,cb91/-* b91/-c*",
+    "1-9-11-13": "5|p|9b-1d-* b9-d1-*",
+    "1-9-12-12": "5|p|cc9-1-* cc1-9-* cc19+-*",
+    "1-9-12-13": "",
+    "1-9-13-13": "",
+    "1-10-10-10": "",
+    "1-10-10-11": "",
+    "1-10-10-12": "7|dp|c1aa/+* 1aa/+c*",
+    "1-10-10-13": "",
+    "1-10-11-11": "",
+    "1-10-11-12": "4|p|b1+ca-* 1b+ca-*,cb1+a-* 1b+a-c* 1ab--c* 1a-b+c* ba1--c*",
+    "1-10-11-13": "",
+    "1-10-12-12": "2|p|cca-*1* 1c*ca-* c1*ca-*,cca-*1/ c1/ca-*,cc1*a-* c1c*a-*,cc1/a-*,cca1*-* cc1a*-*,cca1/-*",
+    "1-10-12-13": "4|p|cda-1-* cd1-a-* cd1a+-*,ac-1d-* ca-d1-*",
+    "1-10-13-13": "",
+    "1-11-11-11": "",
+    "1-11-11-12": "7|dp|c1bb/+* 1bb/+c*",
+    "1-11-11-13": "5|p|b1+db-* 1b+db-*",
+    "1-11-12-12": "5|p|cc1+b-* c1c+b-* c1bc--* c1b-c+* ccb1--*",
+    "1-11-12-13": "2|p|cdb-*1* 1c*db-* c1*db-*,cdb-*1/ c1/db-*,cd1*b-* c1d*b-*,cd1/b-*,cdb1*-* cd1b*-*,cdb1/-*",
+    "1-11-13-13": "5|p|bd-1d-* 1d-bd-* d1-db-*",
+    "1-12-12-12": "7|dp|c1cc/+*",
+    "1-12-12-13": "5|p|cd1+c-* c1d+c-* c1cd--* c1c-d+* cdc1--*",
+    "1-12-13-13": "7|dp|c1dd/+*",
+    "1-13-13-13": "",
+    "2-2-2-2": "",
+    "2-2-2-3": "2||32*2*2* 22*2*3*,22+3*2* 222+*3* 22+2*3*",
+    "2-2-2-4": "3|p|42+2*2* 22*24+*,42+22+* 22+24+*,22+2+4*,22*2+4* 222*+4*",
+    "2-2-2-5": "5|p|52*2+2* 2225*+*",
+    "2-2-2-6": "",
+    "2-2-2-7": "5|p|72*2-2* 227*2-*",
+    "2-2-2-8": "2|p|82+2+2* 222+8+*,82-2*2* 22*82-*,822*+2* 222*8+*,82-22+* 22+82-*,8222/+* 222/+8*",
+    "2-2-2-9": "5|p|92+2*2+ 2229+*+",
+    "2-2-2-10": "2||a2*2+2+ 22+2a*+,a2*22*+ 22*2a*+",
+    "2-2-2-11": "5|pl|b22/+2* 222/b+*,b2+2*2- 22b+*2-",
+    "2-2-2-12": "1|l|c2*2+2- 22c*+2- 222c*-- 22-2c*+ 2c*22--,c2+2-2* 22c+2-* 222c--* 222-c+* 2c22--*,c2*2*2/ 22*c*2/ 22*2/c* 2c*22// 22/2*c* 222//c*,c22+*2/ 22+c*2/ 22+2/c*,c22+2-* 22+2-c* 222--c*,c22*2-* 22*2-c*",
+    "2-2-2-13": "3|p|d2-2*2+ 22d2-*+,222d-*-,d22/-2* 2d22/-*",
+    "2-2-3-3": "3|p|33+2*2* 22*33+*,33+22+* 22+33+*,32*2+3* 3223*+*",
+    "2-2-3-4": "4|p|42+2+3* 322+4+*,422*+3* 322*4+*",
+    "2-2-3-5": "5|p|52*2-3* 325*2-*",
+    "2-2-3-6": "3|p|62-3*2* 23*62-* 32*62-*,632*+2* 223*6+*,632*2-* 23*2-6*,6322/+* 22/3+6*",
+    "2-2-3-7": "4|p|73+2+2* 223+7+* 232+7+*,722/+3* 322/7+*",
+    "2-2-3-8": "1|l|83+2*2+ 2238+*+,83*2+2- 238*+2- 2238*-- 22-38*+ 38*22--,83*2*2/ 23*8*2/ 32*8*2/ 22/3*8* 38*22// 32*2/8* 23*2/8* 322//8*,82+2-3* 328+2-* 3228--* 322-8+* 3822--*,832+2-* 23+2-8* 223--8* 22-3+8* 322--8*",
+    "2-2-3-9": "1||93-2*2* 22*93-*,93-22+* 22+93-*,922/-3* 3922/-*,92*32*+ 23*29*+",
+    "2-2-3-10": "6|pl|a3+2*2- 23a+*2-",
+    "2-2-3-11": "5|p|b3+2-2* 23b+2-* 232b--* 2b23--* 232-b+*",
+    "2-2-3-12": "0||c2*32-* 232-*c* 32-2*c*,c2*32-/ 2c*32-/ 232-/c*,c2/2+3* 32c2/+*,c2-2-3* 3c2-2-* 3c22+-*,c22*-3* 3c22*-*,c322/-* 322/-c*,c32*2*+ 22*3*c+,c22+3*+ 22+3*c+",
+    "2-2-3-13": "5|p|d2+3-2* 22d+3-* 223d--* 223-d+* 2d32--*",
+    "2-2-4-4": "4|p|42*4+2* 2424*+*,42*2-4* 424*2-*",
+    "2-2-4-5": "0||54*2+2+ 22+45*+,452-*2* 24*52-* 42*52-*,54*22*+ 22*45*+,52*2*4+ 422*5*+,522+*4+ 422+5*+,522/+4* 422/5+*",
+    "2-2-4-6": "1|l|64*2+2- 246*+2- 2246*-- 22-46*+ 46*22--,64+2+2* 224+6+* 242+6+*,64*2*2/ 24*6*2/ 24*2/6* 42*6*2/ 22/4*6* 46*22// 42*2/6* 42/2*6* 422//6*,62*42-* 242-*6* 42-2*6*,62+2-4* 426+2-* 4226--* 422-6+* 4622--*,42+62-* 24+62-*,642+2-* 24+2-6* 224--6* 22-4+6* 422--6*,6242/+* 242/+6*",
+    "2-2-4-7": "1|l|74+2*2+ 2247+*+,74*2-2- 47*2-2- 47*22+-,74*22*- 47*22*-,722/-4* 4722/-*,72*2*4- 22*7*4-,722+*4- 22+7*4-",
+    "2-2-4-8": "0||82*4-2* 228*4-*,842+*2/ 24+8*2/ 24+2/8*,82+2*4+ 4228+*+,82/2+4* 4282/+*,82*42*+ 24*28*+,8422/-* 422/-8*,42*2*8+ 22*4*8+,422+*8+ 22+4*8+",
+    "2-2-4-9": "2||92*4+2+ 24+29*+ 42+29*+,94+2*2- 249+*2-",
+    "2-2-4-10": "2|p|a4-2*2* 22*a4-*,a4+2-2* 24a+2-* 242a--* 2a24--* 242-a+*,a42/+2* 242/a+*,a2+4*2/ 42a+*2/ 42/2a+*,a4-22+* 22+a4-*,a2-2-4* 4a2-2-* 4a22+-*,a22*-4* 4a22*-*,a2+42-* 42-2a+*",
+    "2-2-4-11": "1|l|b4*2/2+ 24b*2/+ 242/b*+,b42-*2+ 242-b*+,2b24-*- 224-b*-,b2*4+2- 42b*+2- 422b*-- 2b*24-- 42-2b*+,b2*42/+ 42/2b*+",
+    "2-2-4-12": "3|p|c2-2*4+ 42c2-*+,422c-*-,c2+2*4- 22c+*4-,c42+2*+ 224+*c+",
+    "2-2-4-13": "2|l|d2*2+4- 22d*+4- 242d*-- 24-2d*+ 2d*42--,d4*2/2- 4d*2/2- 42/d*2-,d42-*2- 42-d*2-,d2*42/- 2d*42/-",
+    "2-2-5-5": "4|p|55+2+2* 225+5+* 252+5+*,55*22/-",
+    "2-2-5-6": "3|p|65+2*2+ 2256+*+,62+52-* 52-26+*,6522/-* 522/-6*",
+    "2-2-5-7": "3||72*52*+ 25*27*+",
+    "2-2-5-8": "6|pl|85+2*2- 258+*2-",
+    "2-2-5-9": "5|p|95+2-2* 259+2-* 2529--* 2925--* 252-9+*",
+    "2-2-5-10": "3|p|a5*2-2/ 5a*2-2/,25-2a-* 52-a2-*,52+2*a+ 225+*a+",
+    "2-2-5-11": "4|p|b5-2*2* 22*b5-*,b5-22+* 22+b5-*",
+    "2-2-5-12": "3||c52*+2+ 225*+c+ 25*2+c+",
+    "2-2-5-13": "",
+    "2-2-6-6": "2||62+6*2/ 626+*2/ 26+6*2/ 62/26+*,62*62*+ 26*26*+",
+    "2-2-6-7": "4|p|76+2*2- 267+*2-,72+2*6+ 6227+*+",
+    "2-2-6-8": "0||82*6+2+ 26+28*+ 62+28*+,86+2-2* 268+2-* 2628--* 2826--* 262-8+*,682-2-* 6822+-*,6822*-*,26-28-* 62-82-*,62+2*8+ 226+*8+",
+    "2-2-6-9": "4|p|92*6-2* 229*6-*,962/+2* 262/9+*",
+    "2-2-6-10": "1||62*a+2+ 226*+a+ 26*2+a+,a2*6+2- 62a*+2- 622a*-- 2a*26-- 62-2a*+,a2-6*2/ 6a2-*2/ 62/a2-*",
+    "2-2-6-11": "4|p|b2-2*6+ 62b2-*+,622b-*-",
+    "2-2-6-12": "2|p|c6-2*2* 22*c6-*,6c2/+2* 26c2/+*,c62-*2/ 62-c*2/ 62-2/c*,c6-22+* 22+c6-*,6c2/2-*,c62-2-* 62-2-c* 622+-c*,c622*-* 622*-c*",
+    "2-2-6-13": "6|pl|d2+2*6- 22d+*6-",
+    "2-2-7-7": "5|p|77+2-2* 277+2-* 2727--*",
+    "2-2-7-8": "1||72*8+2+ 227*+8+ 27*2+8+,872-2-* 72-2-8* 722+-8*,8722*-* 722*-8*",
+    "2-2-7-9": "",
+    "2-2-7-10": "7|dp|7a2/+2* 27a2/+*",
+    "2-2-7-11": "",
+    "2-2-7-12": "4|l|72*c+2- 27*c+2- 27*2c-- c227*-- 27*2-c+",
+    "2-2-7-13": "1||d7+2+2+ 22+7+d+ 27+2+d+ 72+2+d+,d7-2*2* 22*d7-*,d7+22*+ 22*7+d+ 722*+d+,d7-22+* 22+d7-*",
+    "2-2-8-8": "2|l|882/+2* 2882/+*,882-*2/ 82-8*2/ 82/82-*,82*2*8- 22*8*8-,822+*8- 22+8*8-",
+    "2-2-8-9": "4|l|92*8+2- 829*+2- 8229*-- 29*28-- 82-29*+",
+    "2-2-8-10": "1|l|a2*8-2* 22a*8-*,82*a+2- 28*a+2- 28*2a-- a228*-- 28*2-a+,a2-2*8+ 82a2-*+,822a-*-,8a2/2-*,a2*82/+ 82/2a*+",
+    "2-2-8-11": "",
+    "2-2-8-12": "0||c8+2+2+ 22+8+c+ 28+2+c+ 82+2+c+,c8*2/2/ 8c*2/2/ 82/c*2/ 8c*22*/ 82/2/c* 822*/c*,c8+22*+ 22*8+c+ 822*+c+,c8*22+/ 8c*22+/ 822+/c*,c82-2*+ 282-*c+,c228-*-,c82/2-* 82/2-c*",
+    "2-2-8-13": "",
+    "2-2-9-9": "",
+    "2-2-9-10": "4|p|a229-*-,92-2*a+ 292-*a+",
+    "2-2-9-11": "2||b9+2+2+ 22+9+b+ 29+2+b+ 92+2+b+,b9+22*+ 22*9+b+ 922*+b+",
+    "2-2-9-12": "2|l|92*c2/+ 29*c2/+,92*2*c- 22*9*c-,922+*c- 22+9*c-",
+    "2-2-9-13": "",
+    "2-2-10-10": "2||aa+2+2+ 22+a+a+ 2a+2+a+ a2+2+a+,aa+22*+ 22*a+a+ a22*+a+",
+    "2-2-10-11": "5|p|b2*a-2* 22b*a-*",
+    "2-2-10-12": "",
+    "2-2-10-13": "5|d|da+22/+ 22/a+d+ a22/+d+",
+    "2-2-11-11": "",
+    "2-2-11-12": "5|d|cb+22/+ 22/b+c+ b22/+c+",
+    "2-2-11-13": "2|l|db+2+2- 2b+d+2- 2b+2d-- 2d+2b-- 2b+2-d+ 22bd+-- 22d-b-- 22b-d-- b2+d+2- 22-b+d+ bd+22-- b2+2d-- b2+2-d+ b22d+-- b2d-2-- b22-d-- b2-2+d+ d22b+-- d2b-2-- d22-b-- 22b--d+ b22--d+,db+2*2/ 2bd+*2/ 22/bd+* bd+22//,d2*2/b+ b2d*2/+ b22/d*+ bd22//+,db2*2/+ 2b*2/d+ 22/b*d+ b22//d+",
+    "2-2-12-12": "2|l|cc+2+2- 2c+c+2- 2c+2c-- 22cc+-- 22c-c-- c2+c+2- 22-c+c+ cc+22-- c2+2c-- c2+2-c+ c22c+-- c2c-2-- c22-c-- c2-2+c+,cc+2*2/ 2cc+*2/ 22/cc+* cc+22//,c2*c-2* 22c*c-*,cc2*2/+ c2c*2/+ c22/c*+ cc22//+",
+    "2-2-12-13": "6|dl|dc+22/- cd+22/- c22/d-- d22/c-- c22/-d+",
+    "2-2-13-13": "",
+    "2-3-3-3": "4|p|33*3+2* 2333*+*,33+2+3* 323+3+* 332+3+*",
+    "2-3-3-4": "",
+    "2-3-3-5": "4|p|53*3-2* 235*3-*,52+3*3+ 3325+*+",
+    "2-3-3-6": "0||63+3+2* 233+6+*,63*32*+ 23*36*+,33+62-*,633+2-* 33+2-6* 323--6*,33*2*6+ 23*3*6+ 32*3*6+",
+    "2-3-3-7": "3|p|73-3*2* 23*73-* 32*73-*,73+2-3* 337+2-* 3327--* 3723--* 332-7+*,72+3*3- 327+*3-",
+    "2-3-3-8": "2|p|833+*2/ 33+8*2/ 33+2/8*,83*32-* 332-*8* 32-3*8*,83*32-/ 38*32-/ 332-/8*,8233/+* 233/+8*,832*3-* 23*3-8*",
+    "2-3-3-9": "0||92*3+3+ 33+29*+,92-3*3+ 3392-*+,3329-*-,92+3-3* 329+3-* 3239--* 323-9+* 3932--*,32+3*9+ 323+*9+",
+    "2-3-3-10": "3|l|a2/3+3* 33a2/+*,a3*32*- 3a*23*-",
+    "2-3-3-11": "5|pl|b33/+2* 233/b+*,b2-3*3- 3b2-*3-",
+    "2-3-3-12": "1|l|c3+3-2* 23c+3-* 233c--* 233-c+* 2c33--*,c3*2*3/ 23*c*3/ 23*3/c* 2c*33// 32*c*3/ 33/2*c* 233//c*,c2*3+3- 32c*+3- 332c*-- 33-2c*+ 2c*33--,c33+2*+ 233+*c+,c32+3-* 23+3-c* 233--c* 32+3-c* 332--c*",
+    "2-3-3-13": "1||d33*+2+ 233*+d+ 33*2+d+,d33/-2* 2d33/-*,d3+3*2/ 33d+*2/,d3-2-3* 3d3-2-* 3d2-3-* 3d23+-*",
+    "2-3-4-4": "3|p|44*3*2/ 34*4*2/ 43*4*2/ 42/3*4*,43*42-* 34*42-* 42-3*4*,32+4*4+ 423+4*+",
+    "2-3-4-5": "4|p|54+3+2* 234+5+* 243+5+*,53+2-4* 435+2-* 4325--* 4523--* 432-5+*",
+    "2-3-4-6": "0||63*4+2+ 24+36*+ 42+36*+,463-*2* 24*63-* 42*63-*,64+2-3* 346+2-* 3426--* 3624--* 342-6+*,62*4-3* 326*4-*,642/+3* 342/6+*,64*32-* 32-4*6* 432-*6*,64*32-/ 46*32-/ 432-/6*,362/+4* 4362/+*,43*62*+ 34*26*+,42+3*6+ 324+*6+",
+    "2-3-4-7": "3|p|73+2*4+ 4237+*+,72+3-4* 427+3-* 4237--* 423-7+* 4732--*,42+73-* 24+73-*",
+    "2-3-4-8": "3|p|84-3*2* 23*84-* 32*84-*,482/+3* 3482/+*,842+3-* 24+3-8* 234--8* 23-4+8* 432--8*",
+    "2-3-4-9": "3|p|94*2*3/ 24*9*3/ 42*9*3/,93+4*2/ 439+*2/ 42/39+*,93+42-* 42-39+*",
+    "2-3-4-10": "0||43*a+2+ 234*+a+ 34*2+a+,a3*4-2- 3a*4-2- 3a*2-4- 3a*24+-,a2+4-3* 32a+4-* 324a--* 324-a+* 3a42--*,a42/-3* 3a42/-*,43+2*a+ 234+*a+",
+    "2-3-4-11": "3|p|b4+3-2* 24b+3-* 243b--* 2b34--* 243-b+*,b3-2-4* 4b3-2-* 4b2-3-* 4b23+-*,b3+2*4- 23b+*4-",
+    "2-3-4-12": "2|p|c2*43-* 243-*c* 43-2*c*,c2*43-/ 2c*43-/ 243-/c*,c4+3*2/ 34c+*2/,c42+*3/ 24+c*3/ 24+3/c*,c3/2+4* 42c3/+*,c32*-4* 4c23*-*,c32*4-* 23*4-c*",
+    "2-3-4-13": "1||d3+4-2* 23d+4-* 234d--* 234-d+* 2d43--*,d42*+3+ 324*+d+ 24*3+d+,d3-2*4+ 42d3-*+,423d-*-",
+    "2-3-5-5": "2|l|55*2+3- 255*+3- 2355*-- 23-55*+ 55*32--,55+2-3* 355+2-* 3525--*,53+52-* 52-35+*",
+    "2-3-5-6": "1|l|62*53-* 253-*6* 53-2*6*,53+6*2/ 35+6*2/ 35+2/6*,562/+3* 3562/+*,65*32*- 56*23*-,652+3-* 25+3-6* 235--6* 23-5+6* 532--6*,53*2*6- 23*5*6- 32*5*6-",
+    "2-3-5-7": "1||53*7+2+ 235*+7+ 35*2+7+,73*5+2- 537*+2- 5237*-- 37*25-- 52-37*+,752-*3+ 352-7*+,3725-*- 325-7*-",
+    "2-3-5-8": "2||82*5+3+ 35+28*+ 53+28*+,53+2*8+ 235+*8+",
+    "2-3-5-9": "2|l|93*2+5- 239*+5- 2539*-- 25-39*+ 39*52--,95-3*2* 23*95-* 32*95-*,95*3+2/ 359*+2/,952-*3- 52-9*3-",
+    "2-3-5-10": "4|p|a5+3-2* 25a+3-* 253a--* 2a35--* 253-a+*,a2+53-* 53-2a+*",
+    "2-3-5-11": "0||b53-*2+ 253-b*+,2b35-*- 235-b*-,53*b+2- 35*b+2- 35*2b-- b235*-- 35*2-b+,b5+3*2/ 35b+*2/,b52*+3+ 325*+b+ 25*3+b+,b2+5-3* 32b+5-* 325b--* 325-b+* 3b52--*,b2*5+3- 52b*+3- 532b*-- 2b*35-- 53-2b*+,25-3b-* 52-b3-*",
+    "2-3-5-12": "",
+    "2-3-5-13": "1||d53-*2- 53-d*2-,d2*3+5- 32d*+5- 352d*-- 35-2d*+ 2d*53--,d32*+5+ 23*5+d+ 523*+d+",
+    "2-3-6-6": "2|p|66*2*3/ 26*6*3/ 62*6*3/,63*6-2* 236*6-*,63+2*6+ 6236+*+,6263/+*,632+*6- 23+6*6-,62+63-* 26+63-*",
+    "2-3-6-7": "3|p|76*2/3+ 367*2/+ 362/7*+,72*6-3* 327*6-*,73*62/+ 62/37*+",
+    "2-3-6-8": "2|l|63*8+2- 36*8+2- 36*28-- 8236*-- 36*2-8+,82-3*6+ 6382-*+,6328-*-,82+3*6- 328+*6-",
+    "2-3-6-9": "0||96+3-2* 269+3-* 2639--* 2936--* 263-9+*,62*9+3+ 326*+9+ 26*3+9+,96*2/3- 69*2/3- 62/9*3-,962+*3/ 26+9*3/,693-2-* 692-3-* 6923+-*,26-39-* 62-93-*,93*62/- 39*62/-",
+    "2-3-6-10": "2|p|a6-3*2* 23*a6-* 32*a6-*,a63/+2* 263/a+*,a6+3*2/ 36a+*2/,a2+6*3/ 62a+*3/ 63/2a+*,6a32*-* 6a23*-*,36-2a-* 63-a2-*",
+    "2-3-6-11": "3|d|b6*3/2+ 26b*3/+ 263/b*+,b3-6*2/ 6b3-*2/ 62/b3-*,b62/-3* 3b62/-*,b2*63/+ 63/2b*+",
+    "2-3-6-12": "0||c2+6-3* 32c+6-* 326c--* 326-c+* 3c62--*,c6+32*+ 23*6+c+ 623*+c+,c3-2*6+ 62c3-*+,c3*2/6+ 63c*2/+,623c-*-,c3+2*6- 23c+*6-,c2-3*6- 3c2-*6-,c3*62*- 3c*26*-,63*c2/+ 36*c2/+,63*2*c- 23*6*c- 32*6*c-,c326-*-,c62-3*+ 362-*c+",
+    "2-3-6-13": "1||d6+3+2+ 23+6+d+ 26+3+d+ 32+6+d+ 36+2+d+ 62+3+d+ 63+2+d+,d6*3/2- 6d*3/2- 63/d*2-,d2*63/- 2d*63/-",
+    "2-3-7-7": "3||72*7+3+ 37+27*+ 73+27*+ 27*3+7+",
+    "2-3-7-8": "3|p|87+3-2* 278+3-* 2738--* 2837--* 273-8+*,72+8*3/ 27+8*3/ 27+3/8*,37-28-* 73-82-*",
+    "2-3-7-9": "3|p|73*9-2* 237*9-*,97+3*2/ 379+*2/,9327-*-,72-3*9+ 372-*9+",
+    "2-3-7-10": "3|l|a2*7+3- 72a*+3- 732a*-- 2a*37-- 73-2a*+,a7*2+3/ 27a*+3/",
+    "2-3-7-11": "1||b7-3*2* 23*b7-* 32*b7-*,b3*7-2- 3b*7-2- 3b*2-7- 3b*27+-,b7+32*+ 23*7+b+ 723*+b+,732+*b- 23+7*b-",
+    "2-3-7-12": "1||c7+3+2+ 23+7+c+ 27+3+c+ 32+7+c+ 37+2+c+ 72+3+c+ 73+2+c+,c73-*2/ 73-c*2/ 73-2/c*,c73-2-* 73-2-c* 72-3-c* 723+-c*",
+    "2-3-7-13": "3|l|d2+7-3* 32d+7-* 327d--* 327-d+* 3d72--*,72*d+3- 27*d+3- 27*3d-- d327*-- 27*3-d+",
+    "2-3-8-8": "3|p|88+3*2/ 388+*2/,82*8-3* 328*8-*,883-2-* 882-3-* 8823+-*",
+    "2-3-8-9": "4|p|893-*2/ 82/93-*,8932*-* 8923*-*",
+    "2-3-8-10": "2||a3*2+8- 23a*+8- 283a*-- 28-3a*+ 3a*82--,a8+32*+ 23*8+a+ 823*+a+",
+    "2-3-8-11": "0||b8+3+2+ 23+8+b+ 28+3+b+ 32+8+b+ 38+2+b+ 82+3+b+ 83+2+b+,82*b+3- 28*b+3- 28*3b-- 28*3-b+ b328*--,b2-8*3/ 8b2-*3/,b3-2*8+ 82b3-*+,823b-*-",
+    "2-3-8-12": "2|p|c8-3*2* 23*c8-* 32*c8-*,8c3/+2* 28c3/+*,83*c-2* 238*c-*,c82/-3* 3c82/-*,c82-*3/ 82-c*3/ 82-3/c*,8c2/3-*,c83*2/+ 38*2/c+,c832*-* 823*-c*",
+    "2-3-8-13": "6|pl|d3+2*8- 23d+*8-",
+    "2-3-9-9": "1||993/+2* 2993/+*,92*9+3- 929*+3- 9329*-- 29*9+3- 29*39--,99+32*+ 23*9+9+ 923*+9+,92+3*9- 329+*9-",
+    "2-3-9-10": "1||a9+3+2+ 23+9+a+ 29+3+a+ 32+9+a+ 39+2+a+ 92+3+a+ 93+2+a+,92*a-3* 329*a-*,9a2-*3/ 93/a2-*,a3*2/9+ 93a*2/+",
+    "2-3-9-11": "",
+    "2-3-9-12": "4|p|c239-*-,c93-2*+ 293-*c+",
+    "2-3-9-13": "3|p|d9-3*2* 23*d9-* 32*d9-*,d3*9+2/ 93d*+2/,d2-3*9- 3d2-*9-",
+    "2-3-10-10": "4|p|a3-2*a+ a2a3-*+,a23a-*-",
+    "2-3-10-11": "",
+    "2-3-10-12": "1|l|c3*a-2- 3c*a-2- 3c*2-a- 3c*2a+-,a2*c-3* 32a*c-*,ca*32+/ ac*23+/ a23+/c*,a2*c3/+ 2a*c3/+,a3*c2/- 3a*c2/-,a2+3*c- 32a+*c-,ca2/3-* a2/3-c*",
+    "2-3-10-13": "3|l|da+3+2- 3a+d+2- a3+d+2- 3a+2d-- 3d+2a-- 3a+2-d+ 32ad+-- 32d-a-- 32a-d-- ad+23-- 32-a+d+ a3+2d-- a3+2-d+ a23d+-- a2d-3-- a23-d-- a2-3+d+ d23a+-- d2a-3-- d23-a-- 32a--d+ a23--d+,da2/-3* 3da2/-*",
+    "2-3-11-11": "4|l|b3*2+b- 23b*+b- 2b3b*-- 2b-3b*+ 3b*b2--",
+    "2-3-11-12": "4|l|cb+3+2- 3b+c+2- b3+c+2- 3b+2c-- 3c+2b-- 3b+2-c+ 32bc+-- 32c-b-- 32b-c-- bc+23-- 32-b+c+ b3+2c-- b3+2-c+ b23c+-- b2c-3-- b23-c-- b2-3+c+ c23b+-- c2b-3-- c23-b-- 32b--c+ b23--c+",
+    "2-3-11-13": "2|p|db+32-* 32-bd+*,db+32-/ bd+32-/,d32-*b+ b32-d*+,d32-/b+ bd32-/+,bd23-*- b23-d*-,bd23-/-,db23-*- d23-b*-,db23-/-,db32-*+ 32-b*d+,db32-/+ b32-/d+",
+    "2-3-12-12": "2|p|cc*3/2/ cc*2/3/ cc*23*/ c2/c*3/,c3*c+2/ c3c*+2/,cc+32-* 32-cc+*,cc+32-/,cc32-*+ c32-c*+,cc32-/+,cc23-*- c23-c*-,cc23-/-,cc3/2-*",
+    "2-3-12-13": "4|l|dc+2+3- 2c+d+3- 2c+3d-- 2d+3c-- 2c+3-d+ 23cd+-- 23d-c-- 23c-d-- c2+d+3- 23-c+d+ cd+32-- c2+3d-- c2+3-d+ c3d-2-- c32d+-- c32-d-- c3-2+d+ 23c--d+ c32--d+ d3c-2-- d32c+-- d32-c--",
+    "2-3-13-13": "4|l|d3*d-2- 3d*d-2- 3d*2-d- 3d*2d+-",
+    "2-4-4-4": "0||44+4+2* 244+4+*,44*4-2* 244*4-*,44+2-4* 444+2-* 4424--*,442/+4* 4442/+*,44*42*+ 24*44*+",
+    "2-4-4-5": "3|p|52*4-4* 425*4-*,52+4*4- 425+*4-,44+52-*",
+    "2-4-4-6": "1||44*6+2+ 244*+6+ 44*2+6+,44+6*2/ 44+2/6*,64+2*4+ 4246+*+,642*4-* 24*4-6*",
+    "2-4-4-7": "3|p|474-*2* 24*74-* 42*74-*,72-4*4+ 4472-*+,4427-*-",
+    "2-4-4-8": "0||84+4*2/ 448+*2/ 42/48+*,82*4+4+ 44+28*+,82+4-4* 428+4-* 4248--* 424-8+* 4842--*,842/-4* 4842/-*,42+84-* 24+84-* 42-48+*,84*42*- 48*24*-,44+2*8+ 244+*8+,44*2*8- 24*4*8- 42*4*8-,8244/+* 244/+8*",
+    "2-4-4-9": "6|pl|92-4*4- 492-*4-",
+    "2-4-4-10": "1|l|44*a+2- 44*2a-- a244*-- 44*2-a+,a4*2/4+ 44a*2/+ 442/a*+,a42-*4+ 442-a*+,4a24-*- 424-a*-,a4+2*4- 24a+*4-",
+    "2-4-4-11": "6|dp|b44/+2* 244/b+*,b4*4+2/ 44b*+2/",
+    "2-4-4-12": "0||c4+4-2* 24c+4-* 244c--* 244-c+* 2c44--*,c4*2*4/ 24*c*4/ 24*4/c* 2c*44// 42*c*4/ 4c*42// 44/2*c* 244//c* 442//c*,c2*4+4- 42c*+4- 442c*-- 44-2c*+ 2c*44--,c42*+4+ 424*+c+ 24*4+c+,c4-2-4* 4c4-2-* 4c2-4-* 4c24+-*,c4*42-/ 4c*42-/ 442-/c*,c42+4-* 24+4-c* 244--c* 42+4-c* 442--c*,c442/-* 442/-c*",
+    "2-4-4-13": "6|dp|d44/-2* 2d44/-*,d4*4-2/ 4d*4-2/",
+    "2-4-5-5": "5|p|55+2*4+ 4255+*+",
+    "2-4-5-6": "1|l|65*4-2- 56*4-2- 56*2-4- 56*24+-,54*6+2- 45*6+2- 45*26-- 45*2-6+ 6245*--,562-*4+ 4562-*+,4526-*-,54+2*6+ 245+*6+,42+5*6- 24+5*6-",
+    "2-4-5-7": "4|p|75+4*2/ 457+*2/ 42/57+*,75+42-* 42-57+*",
+    "2-4-5-8": "2|p|485-*2* 24*85-* 42*85-*,54*8-2* 245*8-*,85*2/4+ 458*2/+,54*82/+ 45*82/+,852+4-* 25+4-8* 245--8* 24-5+8* 542--8*,8542/-* 542/-8*,842*5-* 24*5-8*",
+    "2-4-5-9": "3|p|92+5-4* 429+5-* 4259--* 425-9+* 4952--*,95+2*4- 259+*4-,42+95-* 24+95-*",
+    "2-4-5-10": "3||a52*+4+ 425*+a+ 25*4+a+",
+    "2-4-5-11": "2||b5+4-2* 25b+4-* 254b--* 2b45--* 254-b+*,b42*+5+ 24*5+b+ 524*+b+",
+    "2-4-5-12": "2|p|c2*54-* 254-*c* 54-2*c*,c2*54-/ 2c*54-/ 254-/c*,25-4c-* 52-c4-*,c425-*-,c452-*+ 452-*c+",
+    "2-4-5-13": "1||d5+4+2+ 24+5+d+ 25+4+d+ 42+5+d+ 45+2+d+ 52+4+d+ 54+2+d+,d4+5-2* 24d+5-* 245d--* 245-d+* 2d54--*,d5-2-4* 4d5-2-* 4d2-5-* 4d25+-*",
+    "2-4-6-6": "2|p|62*64-* 26*64-*,66+4*2/ 466+*2/ 42/66+*,62*6-4* 426*6-*,66+42-* 42-66+*,662+4-* 626+4-* 6246--* 624-6+* 6642--*,6642/-*",
+    "2-4-6-7": "1||74*2+6- 247*+6- 2647*-- 26-47*+ 47*62--,72*6+4+ 46+27*+ 64+27*+,762-*4- 62-7*4-,62+74-* 26+74-*",
+    "2-4-6-8": "0||86*2*4/ 26*8*4/ 62*8*4/ 68*42// 26*4/8* 642//8*,84*6-2- 48*6-2- 48*2-6- 48*26+-,62*8+4+ 426*+8+ 26*4+8+,86+2*4- 268+*4-,86*42-/ 68*42-/ 642-/8*,6284/+*,62+4*8- 426+*8-,8426-*-,462-*8+",
+    "2-4-6-9": "1|l|496-*2* 24*96-* 42*96-*,962/-4* 4962/-*,94*2/6+ 649*2/+ 642/9*+,942-*6+ 642-9*+,6924-*- 624-9*-,94*62*- 49*26*-",
+    "2-4-6-10": "0||a6+4-2* 26a+4-* 264a--* 2a46--* 264-a+*,a2+6-4* 42a+6-* 426a--* 426-a+* 4a62--*,42+a6-* 24+a6-*,a42*+6+ 24*6+a+ 624*+a+,6a4-2-* 6a2-4-* 6a24+-*,26-4a-* 62-a4-*,a2+64-* 64-2a+*",
+    "2-4-6-11": "2|l|b64-*2+ 264-b*+,2b46-*- 246-b*-,b2*6+4- 62b*+4- 642b*-- 2b*46-- 64-2b*+,b4+2*6- 24b+*6-",
+    "2-4-6-12": "0||c6+4+2+ 24+6+c+ 26+4+c+ 42+6+c+ 46+2+c+ 62+4+c+ 64+2+c+,64*c-2* 246*c-*,c4-6*2/ 6c4-*2/ 62/c4-*,c62+*4/ 26+c*4/ 26+4/c*,6c42*-* 6c24*-*,c64*2/+ 46*2/c+ 42/6*c+,c642-*+ 42-6*c+,c42*6-* 24*6-c*,642+*c- 24+6*c-,c624-*- c24-6*-",
+    "2-4-6-13": "2|l|d64-*2- 64-d*2-,d2*4+6- 42d*+6- 462d*-- 46-2d*+ 2d*64--,d4-2*6+ 62d4-*+,624d-*-",
+    "2-4-7-7": "6|pl|77+2*4- 277+*4-",
+    "2-4-7-8": "3|p|72*8-4* 427*8-*,87*2/4- 78*2/4-,74*82/- 47*82/-",
+    "2-4-7-9": "2||97+4-2* 279+4-* 2749--* 2947--* 274-9+*,942*+7+ 24*7+9+ 724*+9+",
+    "2-4-7-10": "2|p|4a7-*2* 24*a7-* 42*a7-*,47-2a-* 74-a2-*,74*2/a+ 47*2/a+ 42/7*a+,742-*a+ 42-7*a+,a724-*- a24-7*-",
+    "2-4-7-11": "1||b7+4+2+ 24+7+b+ 27+4+b+ 42+7+b+ 47+2+b+ 72+4+b+ 74+2+b+,b2+7-4* 42b+7-* 427b--* 427-b+* 4b72--*,42+b7-* 24+b7-*",
+    "2-4-7-12": "6|pl|72+4*c- 427+*c-",
+    "2-4-7-13": "",
+    "2-4-8-8": "0||88+4-2* 288+4-* 2848--*,88+42*+ 24*8+8+ 824*+8+,84*2/8+ 848*2/+ 842/8*+,842-*8+ 842-8*+,8824-*- 824-8*-,48-28-* 28-48-* 82-84-*",
+    "2-4-8-9": "5|p|894-2-* 892-4-* 8924+-*",
+    "2-4-8-10": "0||a8+4+2+ 24+8+a+ 28+4+a+ 42+8+a+ 48+2+a+ 82+4+a+ 84+2+a+,84*2+a- 248*+a- 2a48*-- 48*2+a- 48*a2--,a84/+2* 284/a+*,a4*8+2/ 84a*+2/,8a4-*2/ 82/a4-*,82*a-4* 428*a-*,a82/-4* 4a82/-*,a2*8+4- 82a*+4- 842a*-- 2a*48-- 84-2a*+,a2+8*4/ 82a+*4/ 84/2a+*,a2-4*8- 4a2-*8-,a4*82*- 4a*28*-",
+    "2-4-8-11": "3|p|b8*4/2+ 28b*4/+ 284/b*+,4b8-*2* 24*b8-* 42*b8-*,8b42*-* 8b24*-*,b2*84/+ 84/2b*+",
+    "2-4-8-12": "1|l|c84-*2/ 84-c*2/ 84-2/c*,c2+8-4* 42c+8-* 428c--* 428-c+* 4c82--*,82*c+4- 28*c+4- 28*4c-- c428*-- 28*4-c+,42+c8-* 24+c8-*,c4-2*8+ 82c4-*+,824c-*-,c4+2*8- 24c+*8-,c84-2-* 84-2-c* 82-4-c* 824+-c*",
+    "2-4-8-13": "5|dl|d8*4/2- 8d*4/2- 84/d*2-,d2*84/- 2d*84/-",
+    "2-4-9-9": "3||99+4+2+ 24+9+9+ 29+4+9+ 42+9+9+ 49+2+9+ 92+4+9+ 94+2+9+",
+    "2-4-9-10": "3|l|94*a-2- 49*a-2- 49*2a+- 49*2-a-,92*a+4- 29*a+4- 29*4a-- a429*-- 29*4-a+",
+    "2-4-9-11": "",
+    "2-4-9-12": "3|p|4c9-*2* 24*c9-* 42*c9-*,9c4/+2* 29c4/+*,94*c+2/ 49*c+2/,92*c-4* 429*c-*",
+    "2-4-9-13": "2|l|d9+4+2- 49+d+2- 94+d+2- 49+2d-- 4d+29-- 49+2-d+ 429d+-- 42d-9-- 429-d-- 9d+24-- 42-9+d+ 94+2d-- 94+2-d+ 924d+-- 92d-4-- 924-d-- 92-4+d+ d249+-- d29-4-- d24-9-- 429--d+ 924--d+,d2+9-4* 42d+9-* 429d--* 429-d+* 4d92--*,42+d9-* 24+d9-*,d9+42/+ 42/9+d+ 942/+d+",
+    "2-4-10-10": "",
+    "2-4-10-11": "2|l|ba2/-4* 4ba2/-*,b4-2*a+ a2b4-*+,a24b-*-,b4*a2*- 4b*2a*-",
+    "2-4-10-12": "1|l|ca+4+2- 4a+c+2- a4+c+2- 4a+2c-- 4c+2a-- 4a+2-c+ 42ac+-- 42c-a-- 42a-c-- ac+24-- 42-a+c+ a4+2c-- a4+2-c+ a24c+-- a2c-4-- a24-c-- a2-4+c+ c24a+-- c2a-4-- c24-a-- 42a--c+ a24--c+,ca2-*4/ a2-c*4/ a2-4/c*,ca+42/+ 42/a+c+ a42/+c+,c24a-*-,ca4-2*+ 2a4-*c+,ca42*-* a24*-c*",
+    "2-4-10-13": "4|p|4da-*2* 24*da-* 42*da-*,d4+2*a- 24d+*a-",
+    "2-4-11-11": "3|l|bb+4+2- 4b+b+2- b4+b+2- 4b+2b-- 42bb+-- 42b-b-- bb+24-- 42-b+b+ b4+2b-- b4+2-b+ b24b+-- b2b-4-- b24-b-- b2-4+b+,bb+42/+ 42/b+b+ b42/+b+",
+    "2-4-11-12": "6|pl|b2-4*c- 4b2-*c-",
+    "2-4-11-13": "",
+    "2-4-12-12": "2|l|cc2/-4* 4cc2/-*,cc*42+/ cc*24+/,cc2/4-*,c4*c2*- 4c*2c*-",
+    "2-4-12-13": "",
+    "2-4-13-13": "3|l|dd+2+4- 2d+d+4- 2d+4d-- 24dd+-- 24d-d-- d2+d+4- 24-d+d+ dd+42-- d2+4d-- d2+4-d+ d4d-2-- d42d+-- d42-d--,dd+42/- d42/d--",
+    "2-5-5-5": "",
+    "2-5-5-6": "",
+    "2-5-5-7": "3||72*5+5+ 55+27*+",
+    "2-5-5-8": "7|dp|8255/+* 255/+8*",
+    "2-5-5-9": "1||52*9+5+ 525*+9+ 25*5+9+,9525-*-,552-*9+",
+    "2-5-5-10": "",
+    "2-5-5-11": "5|pl|b55/+2* 255/b+*,52+5*b- 525+*b-",
+    "2-5-5-12": "0||c5+5+2+ 25+5+c+ 52+5+c+ 55+2+c+,c5+5-2* 25c+5-* 255c--* 255-c+* 2c55--*,c5*2*5/ 25*c*5/ 25*5/c* 2c*55// 52*c*5/ 55/2*c* 255//c*,c2*5+5- 52c*+5- 552c*-- 55-2c*+ 2c*55--,c52+5-* 25+5-c* 255--c* 52+5-c* 552--c*",
+    "2-5-5-13": "3|p|55*d-2* 255*d-*,d55/-2* 2d55/-*,25-5d-* 52-d5-*",
+    "2-5-6-6": "3|p|652-*6+ 652-6*+,6625-*- 625-6*-,652*6-* 625*6-*",
+    "2-5-6-7": "1||62*75-* 26*75-*,62*7+5+ 526*+7+ 26*5+7+,672+5-* 627+5-* 6257--* 625-7+* 6752--*",
+    "2-5-6-8": "0||65*2+8- 256*+8- 2856*-- 56*2+8- 56*82--,52*8+6+ 25*6+8+ 625*+8+,82-5*6- 582-*6-,62+85-* 26+85-*,862+5-* 26+5-8* 256--8* 25-6+8* 652--8*",
+    "2-5-6-9": "6|dl|65*2/9+ 56*2/9+",
+    "2-5-6-10": "4|pl|a6*2*5/ 26*a*5/ 62*a*5/,62a5/+*,a5+2*6- 25a+*6-,a52-*6- 52-a*6-",
+    "2-5-6-11": "1||b6+5+2+ 25+6+b+ 26+5+b+ 52+6+b+ 56+2+b+ 62+5+b+ 65+2+b+,b6+5-2* 26b+5-* 265b--* 2b56--* 265-b+*,6b5-2-* 6b2-5-* 6b25+-*,26-5b-* 62-b5-*",
+    "2-5-6-12": "2|p|c2*65-* 265-*c* 65-2*c*,c2*65-/ 2c*65-/ 265-/c*,c6*52-/ 6c*52-/ 652-/c*,c5*2/6- 5c*2/6-,65*c2/- 56*c2/-,c562/-* 562/-c*",
+    "2-5-6-13": "4|p|d5+6-2* 25d+6-* 256d--* 256-d+* 2d65--*,d5-6*2/ 6d5-*2/ 62/d5-*",
+    "2-5-7-7": "3||52*7+7+ 25*7+7+ 725*+7+",
+    "2-5-7-8": "5|p|852*7-* 25*7-8*",
+    "2-5-7-9": "4|l|75*9-2- 57*9-2- 57*29+- 57*2-9-",
+    "2-5-7-10": "1||a7+5+2+ 25+7+a+ 27+5+a+ 52+7+a+ 57+2+a+ 72+5+a+ 75+2+a+,a7+5-2* 27a+5-* 275a--* 2a57--* 275-a+*,a2+75-* 75-2a+*",
+    "2-5-7-11": "2|l|b75-*2+ 275-b*+,2b57-*- 257-b*-,b5*7-2/ 5b*7-2/,b2*7+5- 72b*+5- 752b*-- 2b*57-- 75-2b*+",
+    "2-5-7-12": "",
+    "2-5-7-13": "2|l|75*2+d- 257*+d- 2d57*-- 57*2+d- 57*d2--,d75-*2- 75-d*2-,75*d+2/ 57*d+2/,d2*5+7- 52d*+7- 572d*-- 57-2d*+ 2d*75--",
+    "2-5-8-8": "3|l|85*8+2/ 858*+2/,85*82*- 58*28*-",
+    "2-5-8-9": "1||98+5+2+ 25+8+9+ 28+5+9+ 52+8+9+ 58+2+9+ 82+5+9+ 85+2+9+,98+5-2* 289+5-* 2859--* 2958--* 285-9+*,98*52-/ 89*52-/,59-28-* 28-59-* 82-95-*",
+    "2-5-8-10": "4|p|8a5-2-* 8a2-5-* 8a25+-*,58-2a-* 85-a2-*",
+    "2-5-8-11": "5|pl|8b5-*2/ 82/b5-*,b5+2*8- 25b+*8-",
+    "2-5-8-12": "4|p|c82+*5/ 28+c*5/ 28+5/c*,c52*8-* 25*8-c*",
+    "2-5-8-13": "1|l|d8+5+2- 58+d+2- 85+d+2- 58+2d-- 5d+28-- 58+2-d+ 528d+-- 52d-8-- 528-d-- 8d+25-- 52-8+d+ 85+2d-- 85+2-d+ 825d+-- 82d-5-- 825-d-- 82-5+d+ d258+-- d28-5-- d25-8-- 528--d+ 825--d+,82*d+5- 28*d+5- 28*5d-- d528*-- 28*5-d+,d2+8*5/ 82d+*5/,d5-2*8+ 82d5-*+,825d-*-,8d52*-* 8d25*-*",
+    "2-5-9-9": "",
+    "2-5-9-10": "4|l|a2*9+5- 92a*+5- 952a*-- 2a*59-- 95-2a*+",
+    "2-5-9-11": "2|l|92*b+5- 29*b+5- 29*5b-- b529*-- 29*5-b+,b52-*9- 52-b*9-,92-5*b- 592-*b-",
+    "2-5-9-12": "2|l|c9+5+2- 59+c+2- 95+c+2- 59+2c-- 5c+29-- 59+2-c+ 529c+-- 52c-9-- 529-c-- 9c+25-- 52-9+c+ 95+2c-- 95+2-c+ 925c+-- 92c-5-- 925-c-- 92-5+c+ c259+-- c29-5-- c25-9-- 529--c+ 925--c+,c95-*2/ 95-c*2/ 95-2/c*,c95-2-* 95-2-c* 92-5-c* 925+-c*",
+    "2-5-9-13": "",
+    "2-5-10-10": "6|dp|aa5/+2* 2aa5/+*,a2+a*5/ a2a+*5/ 2a+a*5/",
+    "2-5-10-11": "2|l|ba*5/2+ 2ab*5/+ 2a5/b*+,ba+5+2- 5a+b+2- a5+b+2- 5a+2b-- 5b+2a-- 5a+2-b+ 52ab+-- 52b-a-- 52a-b-- ab+25-- 52-a+b+ a5+2b-- a5+2-b+ a25b+-- a2b-5-- a25-b-- a2-5+b+ b25a+-- b2a-5-- b25-a-- 52a--b+ a25--b+,b2*a5/+ a5/2b*+",
+    "2-5-10-12": "3|p|c5-2*a+ a2c5-*+,a25c-*-,c5+2*a- 25c+*a-",
+    "2-5-10-13": "2|l|da*5/2- ad*5/2- a5/d*2-,a5*d2*- 5a*2d*-,d2*a5/- 2d*a5/-",
+    "2-5-11-11": "",
+    "2-5-11-12": "4|p|c25b-*-,cb5-2*+ 2b5-*c+",
+    "2-5-11-13": "",
+    "2-5-12-12": "3|p|c5*c-2/ 5c*c-2/,cc2-*5/,cc52*-* cc25*-*,c52-*c- 52-c*c-",
+    "2-5-12-13": "4|d|dc2/+5+ 5c2/+d+ c2/5+d+,d5+2*c- 25d+*c-",
+    "2-5-13-13": "",
+    "2-6-6-6": "1||66*2/6+ 666*2/+,62*6+6+ 66+26*+ 26*6+6+,66*62*- 66*26*-",
+    "2-6-6-7": "4|pl|76*6+2/ 667*+2/,6762/-*,672-*6-",
+    "2-6-6-8": "2|p|62*86-* 26*86-*,682+6-* 628+6-* 6268--* 626-8+* 6862--*,662*8-* 626*8-*,8266/+* 266/+8*,8662/-* 662/-8*",
+    "2-6-6-9": "3|p|96*6-2/ 69*6-2/,96+2*6- 269+*6-,62+96-* 26+96-*",
+    "2-6-6-10": "1||a6+6+2+ 26+6+a+ 62+6+a+ 66+2+a+,66*a-2- 66*2a+- 66*2-a-,a6*2/6- 6a*2/6- 62/a*6-",
+    "2-6-6-11": "7|dp|b66/+2* 266/b+*",
+    "2-6-6-12": "1|l|c6+6-2* 26c+6-* 266c--* 266-c+* 2c66--*,c6*2*6/ 26*c*6/ 26*6/c* 2c*66// 62*c*6/ 6c*62// 66/2*c* 266//c* 662//c*,66*c+2/,c2*6+6- 62c*+6- 662c*-- 66-2c*+ 2c*66--,62c6/+*,6c6-2-* 6c2-6-* 6c26+-*,26-6c-* 62-c6-*,c62+6-* 26+6-c* 266--c* 62+6-c* 662--c*",
+    "2-6-6-13": "7|dp|d66/-2* 2d66/-*",
+    "2-6-7-7": "",
+    "2-6-7-8": "4|p|87+2*6- 278+*6-,872+6-* 27+6-8* 267--8* 26-7+8* 762--8*",
+    "2-6-7-9": "1||97+6+2+ 26+7+9+ 27+6+9+ 62+7+9+ 67+2+9+ 72+6+9+ 76+2+9+,62*97-* 26*97-*,692+7-* 629+7-* 6279--* 627-9+* 6972--*,76*92*- 67*29*-",
+    "2-6-7-10": "4|p|672*a-* 627*a-*,62+a7-* 26+a7-*",
+    "2-6-7-11": "5|p|b7+6-2* 27b+6-* 276b--* 2b67--* 276-b+*",
+    "2-6-7-12": "4|p|c2*76-* 276-*c* 76-2*c*,c2*76-/ 2c*76-/ 276-/c*",
+    "2-6-7-13": "2|l|d6+7-2* 26d+7-* 267d--* 267-d+* 2d76--*,d7+6+2- 67+d+2- 76+d+2- 67+2d-- 6d+27-- 67+2-d+ 627d+-- 62d-7-- 627-d-- 7d+26-- 62-7+d+ 76+2d-- 76+2-d+ 726d+-- 72d-6-- 726-d-- 72-6+d+ d267+-- d27-6-- d26-7-- 627--d+ 726--d+,6d7-2-* 6d2-7-* 6d27+-*,26-7d-* 62-d7-*",
+    "2-6-8-8": "1||88+6+2+ 26+8+8+ 28+6+8+ 62+8+8+ 68+2+8+ 82+6+8+ 86+2+8+,6882/-*,862-*8- 62-8*8-",
+    "2-6-8-9": "4|p|98*2*6/ 28*9*6/ 82*9*6/ 89*62//,862*9-* 826*9-*",
+    "2-6-8-10": "2|p|62*a8-* 26*a8-*,a8+6-2* 28a+6-* 286a--* 2a68--* 286-a+*,6a2+8-* 62a+8-* 628a--* 628-a+* 6a82--*,a6+2*8- 26a+*8-,6a-28-* 28-6a-* 82-a6-*,a2+86-* 86-2a+*",
+    "2-6-8-11": "1|l|b86-*2+ 286-b*+,2b68-*- 268-b*-,b2*8+6- 82b*+6- 862b*-- 2b*68-- 86-2b*+,62+b8-* 26+b8-*,8b6-2-* 8b2-6-* 8b26+-*",
+    "2-6-8-12": "1|l|c8+6+2- 68+c+2- 86+c+2- 68+2c-- 6c+28-- 68+2-c+ 628c+-- 62c-8-- 628-c-- 8c+26-- 62-8+c+ 86+2c-- 86+2-c+ 826c+-- 82c-6-- 826-c-- 82-6+c+ c268+-- c28-6-- c26-8-- 628--c+ 826--c+,8c6-*2/ 82/c6-*,682*c-* 628*c-*,c8*62-/ 8c*62-/ 862-/c*,86*c2*- 68*2c*-,682-*c-,c682/-* 682/-c*",
+    "2-6-8-13": "2|l|d86-*2- 86-d*2-,d2*6+8- 62d*+8- 682d*-- 68-2d*+ 2d*86--,d8+62/+ 62/8+d+ 862/+d+",
+    "2-6-9-9": "5|p|99+6-2* 299+6-* 2969--*",
+    "2-6-9-10": "4|p|69a2/-*,69-2a-* 96-a2-*",
+    "2-6-9-11": "2|l|62*b9-* 26*b9-*,b9+6+2- 69+b+2- 96+b+2- 69+2b-- 6b+29-- 69+2-b+ 629b+-- 62b-9-- 629-b-- 9b+26-- 62-9+b+ 96+2b-- 96+2-b+ 926b+-- 92b-6-- 926-b-- 92-6+b+ b269+-- b29-6-- b26-9-- 629--b+ 926--b+,6b2+9-* 62b+9-* 629b--* 629-b+* 6b92--*,b6*2/9- 6b*2/9- 62/b*9-",
+    "2-6-9-12": "2|l|92*c+6- 29*c+6- 29*6c-- c629*-- 29*6-c+,62+c9-* 26+c9-*,c9+62/+ 62/9+c+ 962/+c+,962-*c- 62-9*c-",
+    "2-6-9-13": "",
+    "2-6-10-10": "3|l|aa+6+2- 6a+a+2- a6+a+2- 6a+2a-- 62aa+-- 62a-a-- aa+26-- 62-a+a+ a6+2a-- a6+2-a+ a26a+-- a2a-6-- a26-a-- a2-6+a+,a2*a+6- a2a*+6- a62a*-- 2a*a+6- 2a*6a--",
+    "2-6-10-11": "4|d|ba+62/+ 62/a+b+ a62/+b+,b6+2*a- 26b+*a-",
+    "2-6-10-12": "2|p|62*ca-* 26*ca-*,ac6/+2* 2ac6/+*,ca6-*2/ a6-c*2/ a6-2/c*,a6*c-2/ 6a*c-2/,6c2+a-* 62c+a-* 62ac--* 62a-c+* 6ca2--*,6ac2/-*,ca2+*6/ 2a+c*6/ 2a+6/c*,ca6-2-* a6-2-c* a2-6-c* a26+-c*,c62*a-* 26*a-c*",
+    "2-6-10-13": "3|d|d6+a2/+ 6a2/+d+ a2/6+d+,62+da-* 26+da-*,d6-2*a+ a2d6-*+,a26d-*-",
+    "2-6-11-11": "",
+    "2-6-11-12": "4|d|cb*6/2+ 2bc*6/+,b2*c6/+ 2b*c6/+",
+    "2-6-11-13": "4|p|62*db-* 26*db-*,6d2+b-* 62d+b-* 62bd--* 62b-d+* 6db2--*",
+    "2-6-12-12": "2|d|c6+c2/+ 6c+c2/+ c2/6+c+,cc6-2*+ c2c6-*+,c26c-*-,c6+2*c- 26c+*c-,c6*2/c- 6c*2/c- 62/c*c-",
+    "2-6-12-13": "5|dl|dc*6/2- cd*6/2- c6/d*2-,d2*c6/- 2d*c6/-",
+    "2-6-13-13": "",
+    "2-7-7-7": "",
+    "2-7-7-8": "2||87+7+2+ 27+7+8+ 72+7+8+ 77+2+8+,8277/+* 277/+8*",
+    "2-7-7-9": "",
+    "2-7-7-10": "",
+    "2-7-7-11": "5|pl|b77/+2* 277/b+*,772-*b-",
+    "2-7-7-12": "1|l|c7+7-2* 27c+7-* 277c--* 277-c+* 2c77--*,c7*2*7/ 27*c*7/ 27*7/c* 2c*77// 72*c*7/ 77/2*c* 277//c*,c7+7+2- 77+c+2- 77+2c-- 7c+27-- 77+2-c+ 727c+-- 72c-7-- 727-c-- 72-7+c+ c277+-- c27-7-- 727--c+,c2*7+7- 72c*+7- 772c*-- 77-2c*+ 2c*77--,c72+7-* 27+7-c* 277--c* 72+7-c* 772--c*",
+    "2-7-7-13": "7|dp|d77/-2* 2d77/-*",
+    "2-7-8-8": "3|p|87*8-2/ 78*8-2/,882+7-* 828+7-* 8278--* 827-8+* 8872--*,8782/-*",
+    "2-7-8-9": "6|pl|97+2*8- 279+*8-",
+    "2-7-8-10": "",
+    "2-7-8-11": "2|l|b8+7-2* 28b+7-* 287b--* 2b78--* 287-b+*,b8+7+2- 78+b+2- 87+b+2- 78+2b-- 7b+28-- 78+2-b+ 728b+-- 72b-8-- 728-b-- 8b+27-- 72-8+b+ 87+2b-- 87+2-b+ 827b+-- 82b-7-- 827-b-- 82-7+b+ b278+-- b28-7-- b27-8-- 728--b+ 827--b+,872*b-* 827*b-*,7b-28-* 28-7b-* 82-b7-*",
+    "2-7-8-12": "3|p|c2*87-* 287-*c* 87-2*c*,c2*87-/ 2c*87-/ 287-/c*,8c7-2-* 8c2-7-* 8c27+-*",
+    "2-7-8-13": "3|p|d7+8-2* 27d+8-* 278d--* 278-d+* 2d87--*,8d7-*2/ 82/d7-*,d7+82/+ 782/+d+ 82/7+d+",
+    "2-7-9-9": "",
+    "2-7-9-10": "2|l|a9+7-2* 29a+7-* 297a--* 2a79--* 297-a+*,a9+7+2- 79+a+2- 97+a+2- 79+2a-- 7a+29-- 79+2-a+ 729a+-- 72a-9-- 729-a-- 9a+27-- 72-9+a+ 97+2a-- 97+2-a+ 927a+-- 92a-7-- 927-a-- 92-7+a+ a279+-- a29-7-- a27-9-- 729--a+ 927--a+,a2+97-* 97-2a+*",
+    "2-7-9-11": "2|l|b97-*2+ 297-b*+,2b79-*- 279-b*-,b2*9+7- 92b*+7- 972b*-- 2b*79-- 97-2b*+",
+    "2-7-9-12": "",
+    "2-7-9-13": "2|l|d97-*2- 97-d*2-,d2*7+9- 72d*+9- 792d*-- 79-2d*+ 2d*97--,92*d+7- 29*d+7- 29*7d-- d729*-- 29*7-d+",
+    "2-7-10-10": "4|p|a7+2*a- 27a+*a-,7a-2a-* 2a-7a-* a2-a7-*",
+    "2-7-10-11": "3|l|a2*b+7- 2a*b+7- 2a*7b-- b72a*-- 2a*7-b+,a7*2/b- 7a*2/b-",
+    "2-7-10-12": "3|d|c7+a2/+ 7a2/+c+ a2/7+c+,ca*72-/ ac*72-/ a72-/c*,c7a2/-* 7a2/-c*",
+    "2-7-10-13": "",
+    "2-7-11-11": "",
+    "2-7-11-12": "3|d|cb7-*2/ b7-c*2/ b7-2/c*,b7+c2/+ 7b+c2/+,b7+2*c- 27b+*c-,cb7-2-* b7-2-c* b2-7-c* b27+-c*",
+    "2-7-11-13": "",
+    "2-7-12-12": "4|p|c2+c*7/ c2c+*7/,c72*c-* c27*c-*",
+    "2-7-12-13": "4|p|cd7-2*+ c2d7-*+,c27d-*-",
+    "2-7-13-13": "",
+    "2-8-8-8": "4|pl|8288/+*,88+2*8- 288+*8-,88*2/8-",
+    "2-8-8-9": "5|p|892+8-* 829+8-* 8289--* 828-9+* 8982--*",
+    "2-8-8-10": "3|l|a8+8+2- 88+a+2- 88+2a-- 8a+28-- 88+2-a+ 828a+-- 82a-8-- 828-a-- 82-8+a+ a288+-- a28-8-- 828--a+,88a2/-*",
+    "2-8-8-11": "7|dp|b88/+2* 288/b+*",
+    "2-8-8-12": "1|l|c8+8-2* 28c+8-* 288c--* 288-c+* 2c88--*,c8*2*8/ 28*c*8/ 28*8/c* 2c*88// 82*c*8/ 8c*82// 88/2*c* 288//c* 882//c*,c2*8+8- 82c*+8- 882c*-- 88-2c*+ 2c*88--,c8+82/+ 882/+c+ 82/8+c+,8c-28-* 28-8c-* 82-c8-*,c82+8-* 28+8-c* 288--c* 82+8-c* 882--c*",
+    "2-8-8-13": "3|p|d88/-2* 2d88/-*,8d8-2-* 8d2-8-* 8d28+-*,882*d-* 828*d-*",
+    "2-8-9-9": "3|l|99+8+2- 89+9+2- 98+9+2- 89+29-- 8299+-- 829-9-- 99+28-- 82-9+9+ 98+29-- 98+2-9+ 9289+-- 929-8-- 928-9-- 92-8+9+,8299/+*",
+    "2-8-9-10": "4|p|8a2+9-* 82a+9-* 829a--* 829-a+* 8a92--*,98+2*a- 289+*a-",
+    "2-8-9-11": "4|p|b9+8-2* 29b+8-* 298b--* 2b89--* 298-b+*,b9+82/+ 82/9+b+ 982/+b+",
+    "2-8-9-12": "3|p|c2*98-* 298-*c* 98-2*c*,c2*98-/ 2c*98-/ 298-/c*,89c2/-*,98*2/c- 89*2/c- 82/9*c-",
+    "2-8-9-13": "4|p|d8+9-2* 28d+9-* 289d--* 289-d+* 2d98--*,9d-28-* 28-9d-* 82-d9-*",
+    "2-8-10-10": "3|p|aa+8-2* 2aa+8-* 2a8a--*,82aa/+*,aa+82/+ 82/a+a+ a82/+a+,a2+a8-* 2a+a8-*",
+    "2-8-10-11": "1|l|ba8-*2+ 2a8-b*+,2b8a-*- 28a-b*-,b8+a2/+ 8a2/+b+ a2/8+b+,8b2+a-* 82b+a-* 82ab--* 82a-b+* 8ba2--*,b2*a+8- a2b*+8- a82b*-- 2b*8a-- a8-2b*+,8b-2a-* 2a-8b-* a2-b8-*",
+    "2-8-10-12": "2|l|a8+c2/+ 8a+c2/+,a2*c+8- 2a*c+8- 2a*8c-- c82a*-- 2a*8-c+,a8+2*c- 28a+*c-",
+    "2-8-10-13": "3|l|da8-*2- a8-d*2-,d2*8+a- 82d*+a- 8a2d*-- 8a-2d*+ 2d*a8--",
+    "2-8-11-11": "7|dp|82bb/+*",
+    "2-8-11-12": "5|p|8c2+b-* 82c+b-* 82bc--* 82b-c+* 8cb2--*",
+    "2-8-11-13": "",
+    "2-8-12-12": "2|p|cc8-*2/ c2/c8-*,82cc/+*,cc*82-/,cc8-2-* cc2-8-* cc28+-*,c8c2/-*",
+    "2-8-12-13": "5|p|8d2+c-* 82d+c-* 82cd--* 82c-d+* 8dc2--*",
+    "2-8-13-13": "7|dp|82dd/+*",
+    "2-9-9-9": "",
+    "2-9-9-10": "",
+    "2-9-9-11": "7|dp|b99/+2* 299/b+*",
+    "2-9-9-12": "1|l|c9+9-2* 29c+9-* 299c--* 299-c+* 2c99--*,c9*2*9/ 29*c*9/ 29*9/c* 2c*99// 92*c*9/ 99/2*c* 299//c*,99+c2/+,c2*9+9- 92c*+9- 992c*-- 99-2c*+ 2c*99--,99+2*c- 299+*c-,c92+9-* 29+9-c* 299--c* 92+9-c* 992--c*",
+    "2-9-9-13": "7|dp|d99/-2* 2d99/-*",
+    "2-9-10-10": "5|d|a9+a2/+ 9a+a2/+ a2/9+a+",
+    "2-9-10-11": "4|p|ba+9-2* 2ab+9-* 2a9b--* 2b9a--* 2a9-b+*,a2+b9-* 2a+b9-*",
+    "2-9-10-12": "3|p|c2*a9-* 2a9-*c* a9-2*c*,c2*a9-/ 2c*a9-/ 2a9-/c*,9c-2a-* 2a-9c-* a2-c9-*",
+    "2-9-10-13": "3|l|d9+a-2* 29d+a-* 29ad--* 29a-d+* 2da9--*,a2*d+9- 2a*d+9- 2a*9d-- d92a*-- 2a*9-d+",
+    "2-9-11-11": "2|l|bb9-*2+ 2bb9-*+,2b9b-*-,b2*b+9- b2b*+9- b92b*-- 2b*b+9- 2b*9b--",
+    "2-9-11-12": "",
+    "2-9-11-13": "3|l|db9-*2- b9-d*2-,d2*9+b- 92d*+b- 9b2d*-- 9b-2d*+ 2d*b9--",
+    "2-9-12-12": "",
+    "2-9-12-13": "4|p|cd9-*2/ c2/d9-*,cd9-2-* cd2-9-* cd29+-*",
+    "2-9-13-13": "7|dp|dd9+2/+ d9d+2/+",
+    "2-10-10-10": "",
+    "2-10-10-11": "7|dp|baa/+2* 2aa/b+*",
+    "2-10-10-12": "1|l|ca+a-2* 2ac+a-* 2aac--* 2aa-c+* 2caa--*,ca*2*a/ 2a*c*a/ 2a*a/c* 2c*aa// a2*c*a/ ac*a2// aa/2*c* 2aa//c* aa2//c*,c2*a+a- a2c*+a- aa2c*-- aa-2c*+ 2c*aa--,a2+ca-* 2a+ca-*,ca2+a-* 2a+a-c* 2aa--c* a2+a-c* aa2--c*",
+    "2-10-10-13": "4|p|daa/-2* 2daa/-*,ad-2a-* 2a-ad-* a2-da-*",
+    "2-10-11-11": "5|p|bb+a-2* 2bb+a-* 2bab--*",
+    "2-10-11-12": "1|l|bca-*2+ 2bca-*+,2bac-*-,c2*ba-* 2ba-*c* ba-2*c*,c2*ba-/ 2c*ba-/ 2ba-/c*,b2*c+a- 2b*c+a- 2b*ac-- ca2b*-- 2b*a-c+",
+    "2-10-11-13": "4|p|da+b-2* 2ad+b-* 2abd--* 2ab-d+* 2dba--*,a2+db-* 2a+db-*",
+    "2-10-12-12": "",
+    "2-10-12-13": "2|l|dca-*2- ca-d*2-,d2*a+c- a2d*+c- ac2d*-- ac-2d*+ 2d*ca--,dca+2/+ ac+2/d+",
+    "2-10-13-13": "",
+    "2-11-11-11": "7|dp|bbb/+2* 2bbb/+*",
+    "2-11-11-12": "2|l|cb+b-2* 2bc+b-* 2bbc--* 2bb-c+* 2cbb--*,cb*2*b/ 2b*c*b/ 2b*b/c* 2c*bb// b2*c*b/ bb/2*c* 2bb//c*,c2*b+b- b2c*+b- bb2c*-- bb-2c*+ 2c*bb--,cb2+b-* 2b+b-c* 2bb--c* b2+b-c* bb2--c*",
+    "2-11-11-13": "1|l|bdb-*2+ 2bdb-*+,2bbd-*-,dbb/-2* 2dbb/-*,b2*d+b- 2b*d+b- 2b*bd-- 2b*b-d+ db2b*--,dbb+2/+ bb+2/d+",
+    "2-11-12-12": "3|p|bcc/+2* 2bcc/+*,c2*cb-* 2c*cb-*,c2*cb-/ 2c*cb-/",
+    "2-11-12-13": "4|p|db+c-2* 2bd+c-* 2bcd--* 2bc-d+* 2dcb--*,cdb+2/+ cbd+2/+",
+    "2-11-13-13": "2|l|bdd/+2* 2bdd/+*,ddb-*2-,dd+2/b+ bdd+2/+,d2*b+d- b2d*+d- bd2d*-- 2d*b+d- 2d*db--",
+    "2-12-12-12": "1|l|cc+c-2* 2cc+c-* 2ccc--*,cc*2*c/ 2c*c*c/ 2c*cc// c2*c*c/ c2*cc// cc*c2//,ccc+2/+,c2*c+c- c2c*+c- cc2c*-- 2c*c+c- 2c*cc--,cc2+c-* c2c+c-* c2cc--* ccc2--*",
+    "2-12-12-13": "3|p|c2*dc-* 2c*dc-*,c2*dc-/ 2c*dc-/,dcc/-2* 2dcc/-*",
+    "2-12-13-13": "2|l|dc+d-2* 2cd+d-* 2cdd--* 2dc+d-* 2ddc--*,dc*2*d/ 2c*d*d/ 2c*dd// c2*d*d/ c2*dd//,cd2+d-* c2d+d-* c2dd--* cdd2--*,c2*d+d- 2c*d+d- 2c*dd-- d2c*+d- dd2c*--",
+    "2-13-13-13": "7|dp|ddd/-2* 2ddd/-*",
+    "3-3-3-3": "4|l|33*3*3-",
+    "3-3-3-4": "4|p|43+3*3+ 3334+*+,33*3-4*",
+    "3-3-3-5": "3||53*33*+ 33*35*+",
+    "3-3-3-6": "1||63*3+3+ 33+36*+,63+3*3- 336+*3-,33+3*6+ 333+*6+,6333/+* 333/+6*",
+    "3-3-3-7": "4|p|733/+3* 333/7+*,33+73-*",
+    "3-3-3-8": "2|l|83*3+3- 338*+3- 3338*-- 33-38*+ 38*33--,83+3-3* 338+3-* 3338--* 333-8+* 3833--*,83*3*3/ 33*8*3/ 33*3/8* 38*33// 33/3*8* 333//8*,833+3-* 33+3-8* 333--8*",
+    "3-3-3-9": "7|dp|933/-3* 3933/-*",
+    "3-3-3-10": "2|l|a3-3*3+ 33a3-*+,333a-*-,a3*3-3- 3a*3-3- 3a*33+-",
+    "3-3-3-11": "4|l|b3*33*- 3b*33*-",
+    "3-3-3-12": "1||c33*+3+ 333*+c+ 33*3+c+,c3-3*3- 3c3-*3-,c33+*3/ 33+c*3/ 33+3/c*,c333/-* 333/-c*",
+    "3-3-3-13": "",
+    "3-3-4-4": "2||43*4-3* 334*4-*,43*43*+ 34*34*+",
+    "3-3-4-5": "3|p|43*53-* 34*53-*,54+3*3- 345+*3-,533/+4* 433/5+*",
+    "3-3-4-6": "2|l|64*3+3- 346*+3- 3346*-- 33-46*+ 46*33--,64*3*3/ 34*6*3/ 43*6*3/ 33/4*6* 46*33// 43*3/6* 34*3/6* 433//6*,63+3-4* 436+3-* 4336--* 433-6+* 4633--*,643+3-* 34+3-6* 334--6* 33-4+6* 433--6*",
+    "3-3-4-7": "4|p|74+3-3* 347+3-* 3437--* 3734--* 343-7+*,733/-4* 4733/-*",
+    "3-3-4-8": "3|p|83*43-* 343-*8* 43-3*8*,83*43-/ 38*43-/ 343-/8*,33+84-*,8433/-* 433/-8*",
+    "3-3-4-9": "1||43*9+3+ 334*+9+ 34*3+9+,93+4-3* 339+4-* 3349--* 334-9+* 3943--*,393/+4* 4393/+*",
+    "3-3-4-10": "",
+    "3-3-4-11": "1||b4-3*3+ 33b4-*+,334b-*-,b33*+4+ 33*4+b+ 433*+b+",
+    "3-3-4-12": "1|l|4c3/+3* 34c3/+*,c3-3-4* 4c3-3-* 4c33+-*,c3*43*- 3c*34*-,c33+4-* 33+4-c* 343--c*,43*3*c- 33*4*c-",
+    "3-3-4-13": "6|pl|d4-3*3- 3d4-*3-",
+    "3-3-5-5": "6|dl|55*33/-",
+    "3-3-5-6": "0||53*6+3+ 335*+6+ 35*3+6+,65+3-3* 356+3-* 3536--* 3635--* 353-6+*,65*3-3- 56*3-3- 56*33+-,53+63-* 35+63-*,33+5*6-,633*5-* 33*5-6*,6533/-* 533/-6*",
+    "3-3-5-7": "5|p|53*7-3* 335*7-*",
+    "3-3-5-8": "",
+    "3-3-5-9": "3|p|593/+3* 3593/+*,953+*3/ 35+9*3/,33+95-*,93+53-* 53-39+*",
+    "3-3-5-10": "2||a3+5-3* 33a+5-* 335a--* 335-a+* 3a53--*,a33*+5+ 33*5+a+ 533*+a+",
+    "3-3-5-11": "",
+    "3-3-5-12": "2|l|c5-3*3+ 33c5-*+,335c-*-,53*c+3- 35*c+3- 35*3c-- c335*-- 35*3-c+",
+    "3-3-5-13": "2||d5+3+3+ 33+5+d+ 35+3+d+ 53+3+d+,d3*53*- 3d*35*-",
+    "3-3-6-6": "7|dp|663/+3* 3663/+*",
+    "3-3-6-7": "2|l|763-*3+ 363-7*+,3736-*- 336-7*-,73*6+3- 637*+3- 6337*-- 37*36-- 63-37*+,73+3*6- 337+*6-",
+    "3-3-6-8": "4|p|63+8*3/ 36+8*3/ 36+3/8*,833*6-* 33*6-8*",
+    "3-3-6-9": "0||93*3+6- 339*+6- 3639*-- 36-39*+ 39*63--,963-*3- 63-9*3-,63*9+3- 36*9+3- 36*39-- 9336*-- 36*3-9+,93+6*3/ 639+*3/ 63/39+*,933*+6+ 33*6+9+ 633*+9+,93-3*6+ 6393-*+,6339-*-",
+    "3-3-6-10": "3|p|63*a-3* 336*a-*,a63/-3* 3a63/-*,33+a6-*,6a3-3-* 6a33+-*",
+    "3-3-6-11": "2|l|b3+6-3* 33b+6-* 336b--* 336-b+* 3b63--*,b3*6-3- 3b*6-3- 3b*3-6- 3b*36+-,36-3b-* 63-b3-*",
+    "3-3-6-12": "2||c6+3+3+ 33+6+c+ 36+3+c+ 63+3+c+,633+*c- 33+6*c-",
+    "3-3-6-13": "3|p|d6-3*3+ 33d6-*+,336d-*-,6d33*-*,d3-3*6- 3d3-*6-",
+    "3-3-7-7": "",
+    "3-3-7-8": "3||33*8+7+ 33*7+8+ 733*+8+",
+    "3-3-7-9": "3|p|97*3/3+ 379*3/+,37-39-* 73-93-*,73*93/+ 37*93/+",
+    "3-3-7-10": "",
+    "3-3-7-11": "2||b7+3+3+ 33+7+b+ 37+3+b+ 73+3+b+,33+b7-*",
+    "3-3-7-12": "3|p|c3+7-3* 33c+7-* 337c--* 337-c+* 3c73--*,c337-*-,c73-3*+ 373-*c+,c33*7-* 33*7-c*",
+    "3-3-7-13": "5|p|73*d-3* 337*d-*",
+    "3-3-8-8": "",
+    "3-3-8-9": "3|p|893-3-* 8933+-*,83+3*9- 338+*9-,9338-*-,83-3*9+ 383-*9+",
+    "3-3-8-10": "3||a8+3+3+ 33+8+a+ 38+3+a+ 83+3+a+",
+    "3-3-8-11": "",
+    "3-3-8-12": "3|p|c3-8*3/ 8c3-*3/,33+c8-*,8c33*-*,c83-3-* 83-3-c* 833+-c*",
+    "3-3-8-13": "5|p|d3+8-3* 33d+8-* 338d--* 338-d+* 3d83--*",
+    "3-3-9-9": "1||99+3+3+ 33+9+9+ 39+3+9+ 93+3+9+,99*3/3-,93*93/- 39*93/-",
+    "3-3-9-10": "4|l|a3*3+9- 33a*+9- 393a*-- 39-3a*+ 3a*93--",
+    "3-3-9-11": "6|dp|b93/-3* 3b93/-*,9b3-*3/ 93/b3-*",
+    "3-3-9-12": "2|l|c3*9-3- 3c*9-3- 3c*3-9- 3c*39+-,c93-*3/ 93-c*3/ 93-3/c*,93+3*c- 339+*c-",
+    "3-3-9-13": "5|p|33+d9-*",
+    "3-3-10-10": "",
+    "3-3-10-11": "",
+    "3-3-10-12": "",
+    "3-3-10-13": "5|d|da+33/+ 33/a+d+ a33/+d+",
+    "3-3-11-11": "",
+    "3-3-11-12": "2|l|b3*3+c- 33b*+c- 3c3b*-- 3b*3+c- 3b*c3--,cb+33/+ 33/b+c+ b33/+c+,cb33*-* b33*-c*",
+    "3-3-11-13": "2|l|db+3+3- 3b+d+3- 3b+3d-- 3d+3b-- 3b+3-d+ 33bd+-- 33d-b-- 33b-d-- b3+d+3- 33-b+d+ bd+33-- b3+3d-- b3+3-d+ b33d+-- b3d-3-- b33-d-- b3-3+d+ d33b+-- d3b-3-- d33-b-- 33b--d+ b33--d+,db+3*3/ 3bd+*3/ 33/bd+* bd+33//,d3*3/b+ b3d*3/+ b33/d*+ bd33//+,db3*3/+ 3b*3/d+ 33/b*d+ b33//d+",
+    "3-3-12-12": "1|l|cc+3+3- 3c+c+3- 3c+3c-- 33cc+-- 33c-c-- c3+c+3- 33-c+c+ cc+33-- c3+3c-- c3+3-c+ c33c+-- c3c-3-- c33-c-- c3-3+c+,cc+3*3/ 3cc+*3/ 33/cc+* cc+33//,cc3/-3* 3cc3/-*,cc*33+/,cc3*3/+ c3c*3/+ c33/c*+ cc33//+",
+    "3-3-12-13": "3|l|d3*c-3- 3d*c-3- 3d*3-c- 3d*3c+-,dc+33/- cd+33/- c33/d-- d33/c-- c33/-d+",
+    "3-3-13-13": "",
+    "3-4-4-4": "6|pl|43+4*4- 434+*4-",
+    "3-4-4-5": "2||44*5+3+ 344*+5+ 44*3+5+,54+3-4* 445+3-* 4435--* 4534--* 443-5+*",
+    "3-4-4-6": "2|p|43*64-* 34*64-*,463/+4* 4463/+*,64*43-* 443-*6* 43-4*6*,64*43-/ 46*43-/ 443-/6*,43*6-4* 434*6-*,44+63-*,6344/+* 344/+6*",
+    "3-4-4-7": "4|p|744/+3* 344/7+*,73+4-4* 437+4-* 4347--* 434-7+* 4743--*",
+    "3-4-4-8": "0||84+4-3* 348+4-* 3448--* 344-8+* 3844--*,84*3*4/ 34*8*4/ 34*4/8* 38*44// 43*8*4/ 44/3*8* 344//8*,44*8-3* 344*8-*,83-4*4+ 4483-*+,83*4+4- 438*+4- 4438*-- 44-38*+ 38*44--,43*8+4+ 434*+8+ 34*4+8+,4438-*-,843+4-* 34+4-8* 344--8* 43+4-8* 443--8*",
+    "3-4-4-9": "2|l|944/-3* 3944/-*,944+*3/ 44+9*3/,94*43*- 49*34*-",
+    "3-4-4-10": "6|pl|a3-4*4- 4a3-*4-",
+    "3-4-4-11": "4|l|44*b+3- 44*3b-- b344*-- 44*3-b+",
+    "3-4-4-12": "6|dp|3c4/+4* 43c4/+*,c344/-* 344/-c*",
+    "3-4-4-13": "2||d4+4+3+ 34+4+d+ 43+4+d+ 44+3+d+,d4-3-4* 4d4-3-* 4d3-4-* 4d34+-*",
+    "3-4-5-5": "2||55*3+4- 355*+4- 3455*-- 34-55*+ 55*43--,53*5+4+ 45+35*+ 54+35*+ 35*4+5+",
+    "3-4-5-6": "5|p|653+4-* 35+4-6* 345--6* 34-5+6* 543--6*",
+    "3-4-5-7": "0||43*75-* 34*75-*,75+4-3* 357+4-* 3547--* 3745--* 354-7+*,54*7+3- 45*7+3- 45*37-- 7345*-- 45*3-7+,573-*4+ 4573-*+,4537-*-,43*7+5+ 34*5+7+ 534*+7+,53+74-* 35+74-*",
+    "3-4-5-8": "1|l|83*54-* 354-*8* 54-3*8*,83*54-/ 38*54-/ 354-/8*,84*5-3- 48*5-3- 48*3-5- 48*35+-,54+8*3/ 45+8*3/ 45+3/8*,83+5-4* 438+5-* 4358--* 435-8+* 4853--*,84+53-* 53-48+*,53+4*8- 435+*8-",
+    "3-4-5-9": "4|p|94+5-3* 349+5-* 3459--* 345-9+* 3954--*,53*9-4* 435*9-*",
+    "3-4-5-10": "3|p|a4*3*5/ 34*a*5/ 43*a*5/,a53-*4+ 453-a*+,4a35-*- 435-a*-",
+    "3-4-5-11": "3|l|b3*5-4- 3b*5-4- 3b*4-5- 3b*45+-,43+5*b- 34+5*b-",
+    "3-4-5-12": "0||c5+4+3+ 34+5+c+ 35+4+c+ 43+5+c+ 45+3+c+ 53+4+c+ 54+3+c+,5c4/+3* 35c4/+*,54*c-3* 345*c-*,c5*3/4+ 45c*3/+,c4*53-/ 4c*53-/ 453-/c*,c53+*4/ 35+c*4/ 35+4/c*,54*c3/+ 45*c3/+,c43+5-* 34+5-c* 354--c* 43+5-c* 453--c*",
+    "3-4-5-13": "3|l|d5+4*3/ 45d+*3/,53*d+4- 35*d+4- 35*4d-- d435*-- 35*4-d+",
+    "3-4-6-6": "1||66+4-3* 366+4-* 3646--*,43*6+6+ 34*6+6+ 634*+6+,66*43*- 66*34*-,64+3*6- 346+*6-",
+    "3-4-6-7": "",
+    "3-4-6-8": "2|p|43*86-* 34*86-*,684/+3* 3684/+*,84+6*3/ 648+*3/ 63/48+*,863/-4* 4863/-*,643*8-* 634*8-*",
+    "3-4-6-9": "4|p|93+6-4* 439+6-* 4369--* 436-9+* 4963--*,93+64-* 64-39+*",
+    "3-4-6-10": "1|l|a4+6-3* 34a+6-* 346a--* 346-a+* 3a64--*,a6*3/4+ 46a*3/+ 463/a*+,63*a+4- 36*a+4- 36*4a-- a436*-- 36*4-a+,a4-3*6+ 63a4-*+,634a-*-",
+    "3-4-6-11": "2||b6+4+3+ 34+6+b+ 36+4+b+ 43+6+b+ 46+3+b+ 63+4+b+ 64+3+b+,6b4-3-* 6b3-4-* 6b34+-*",
+    "3-4-6-12": "2|p|c4*3*6/ 34*c*6/ 43*c*6/ 4c*63// 463//c* 34*6/c*,c6+4*3/ 46c+*3/,63*c-4* 436*c-*,36-4c-* 63-c4-*,63+4*c- 436+*c-,c436-*-,c463-*+ 463-*c+,c463/-* 463/-c*",
+    "3-4-6-13": "9|dpl|d3+6*4/ 63d+*4/",
+    "3-4-7-7": "1|l|774-*3+ 3774-*+,74*3+7- 347*+7- 3747*-- 37-47*+ 47*73--,3747-*-,73*7+4- 737*+4- 7437*-- 37*7+4- 37*47--,773-*4-",
+    "3-4-7-8": "4|p|8437-*-,473-*8+",
+    "3-4-7-9": "2|l|43*97-* 34*97-*,974-*3- 74-9*3-,93*4+7- 439*+7- 4739*-- 47-39*+ 39*74--,74+3*9- 347+*9-",
+    "3-4-7-10": "1||a7+4+3+ 34+7+a+ 37+4+a+ 43+7+a+ 47+3+a+ 73+4+a+ 74+3+a+,a3+7-4* 43a+7-* 437a--* 437-a+* 4a73--*,37-4a-* 73-a4-*",
+    "3-4-7-11": "3|p|b4+7-3* 34b+7-* 347b--* 347-b+* 3b74--*,b7+4*3/ 47b+*3/,47-3b-* 74-b3-*",
+    "3-4-7-12": "3|d|c7*4/3+ 37c*4/+,c7*3/4- 7c*3/4-,73*c4/+ 37*c4/+,74*c3/- 47*c3/-",
+    "3-4-7-13": "",
+    "3-4-8-8": "",
+    "3-4-8-9": "1||98+4+3+ 34+8+9+ 38+4+9+ 43+8+9+ 48+3+9+ 83+4+9+ 84+3+9+,93+8*4/ 839+*4/ 84/39+*,843*9-* 834*9-*,48-39-* 84-93-*",
+    "3-4-8-10": "3|p|43*a8-* 34*a8-*,a84/-3* 3a84/-*,a8+4*3/ 48a+*3/,8a4-3-* 8a3-4-* 8a34+-*",
+    "3-4-8-11": "2|l|84*3+b- 348*+b- 3b48*-- 48*3+b- 48*b3--,b3+8-4* 43b+8-* 438b--* 438-b+* 4b83--*,b3-4*8- 4b3-*8-",
+    "3-4-8-12": "1|l|c4+8-3* 34c+8-* 348c--* 348-c+* 3c84--*,c3*8-4- 3c*8-4- 3c*4-8- 3c*48+-,c4*3/8+ 84c*3/+,c4*83*- 4c*38*-,84+3*c- 348+*c-,c348-*-,c84-3*+ 384-*c+",
+    "3-4-8-13": "9|dpl|d4-8*3/ 8d4-*3/",
+    "3-4-9-9": "1|l|94*9-3- 49*9-3- 49*3-9- 49*39+-,99+4*3/ 499+*3/,993/-4* 4993/-*,94-3*9+ 9394-*+,9349-*-",
+    "3-4-9-10": "",
+    "3-4-9-11": "4|p|43*b9-* 34*b9-*,b9*3-4/ 9b*3-4/",
+    "3-4-9-12": "2|p|c9*4/3- 9c*4/3-,9c4-*3/ 93/c4-*,c3+9-4* 43c+9-* 439c--* 439-c+* 4c93--*,93*c4/- 39*c4/-,c94-3-* 94-3-c* 93-4-c* 934+-c*,c94*3/+ 49*3/c+",
+    "3-4-9-13": "5|p|d4+9-3* 34d+9-* 349d--* 349-d+* 3d94--*",
+    "3-4-10-10": "4|l|a3*4+a- 43a*+a- 4a3a*-- 3a*4+a- 3a*a4--",
+    "3-4-10-11": "",
+    "3-4-10-12": "3|p|43*ca-* 34*ca-*,ca4-*3/ a4-c*3/ a4-3/c*,ac3/-4* 4ac3/-*,c43*a-* 34*a-c*",
+    "3-4-10-13": "2|l|da+4+3- 4a+d+3- a4+d+3- 4a+3d-- 4d+3a-- 4a+3-d+ 43ad+-- 43d-a-- 43a-d-- ad+34-- 43-a+d+ a4+3d-- a4+3-d+ a34d+-- a3d-4-- a34-d-- a3-4+d+ d34a+-- d3a-4-- d34-a-- 43a--d+ a34--d+,a4*d-3- 4a*d-3- 4a*3d+- 4a*3-d-,d3+a-4* 43d+a-* 43ad--* 43a-d+* 4da3--*",
+    "3-4-11-11": "",
+    "3-4-11-12": "2|l|bc4/-3* 3bc4/-*,cb+4+3- 4b+c+3- b4+c+3- 4b+3c-- 4c+3b-- 4b+3-c+ 43bc+-- 43c-b-- 43b-c-- bc+34-- 43-b+c+ b4+3c-- b4+3-c+ b34c+-- b3c-4-- b34-c-- b3-4+c+ c34b+-- c3b-4-- c34-b-- 43b--c+ b34--c+,cb3-*4/ b3-c*4/ b3-4/c*",
+    "3-4-11-13": "1|l|43*db-* 34*db-*,b3*4+d- 43b*+d- 4d3b*-- 3b*4+d- 3b*d4--,d3*b-4- 3d*b-4- 3d*4-b- 3d*4b+-,db+43-* 43-bd+*,db+43-/ bd+43-/,d43-*b+ b43-d*+,d43-/b+ bd43-/+,bd34-*- b34-d*-,bd34-/-,db34-*- d34-b*-,db34-/-,db43-*+ 43-b*d+,db43-/+ b43-/d+",
+    "3-4-12-12": "2|p|cc+43-* 43-cc+*,cc+43-/,cc43-*+ c43-c*+,cc43-/+,cc34-*- c34-c*-,cc34-/-,c3-4*c- 4c3-*c-",
+    "3-4-12-13": "4|l|dc+3+4- 3c+d+4- 3c+4d-- 3d+4c-- 3c+4-d+ 34cd+-- 34d-c-- 34c-d-- c3+d+4- 34-c+d+ cd+43-- c3+4d-- c3+4-d+ c4d-3-- c43d+-- c43-d-- c4-3+d+ 34c--d+ c43--d+ d4c-3-- d43c+-- d43-c--",
+    "3-4-13-13": "",
+    "3-5-5-5": "",
+    "3-5-5-6": "5|pl|55+3*6- 355+*6-,6355/+* 355/+6*",
+    "3-5-5-7": "4|p|755/+3* 355/7+*,75+53-* 53-57+*",
+    "3-5-5-8": "1|l|85+5-3* 358+5-* 3558--* 355-8+* 3855--*,85*3*5/ 35*8*5/ 35*5/8* 38*55// 53*8*5/ 55/3*8* 355//8*,83*5+5- 538*+5- 5538*-- 55-38*+ 38*55--,53+85-* 35+85-*,853+5-* 35+5-8* 355--8* 53+5-8* 553--8*",
+    "3-5-5-9": "7|dp|955/-3* 3955/-*",
+    "3-5-5-10": "",
+    "3-5-5-11": "3||b5+5+3+ 35+5+b+ 53+5+b+ 55+3+b+",
+    "3-5-5-12": "7|dp|c355/-* 355/-c*",
+    "3-5-5-13": "",
+    "3-5-6-6": "4|p|66+53-* 53-66+*,663+5-* 636+5-* 6356--* 635-6+* 6653--*",
+    "3-5-6-7": "4|p|76+5-3* 367+5-* 3657--* 3756--* 365-7+*,75+6*3/ 657+*3/ 63/57+*",
+    "3-5-6-8": "3|p|83*65-* 365-*8* 65-3*8*,83*65-/ 38*65-/ 365-/8*,86*53-/ 68*53-/ 653-/8*,8563/-* 563/-8*",
+    "3-5-6-9": "1|l|65*3+9- 356*+9- 3956*-- 56*3+9- 56*93--,95+6-3* 359+6-* 3569--* 356-9+* 3965--*,53+96-* 35+96-*,953-*6+ 653-9*+,6935-*- 635-9*-,93-5*6- 593-*6-,65+3*9- 356+*9-,9536-*-,563-*9+",
+    "3-5-6-10": "2||a6+5+3+ 35+6+a+ 36+5+a+ 53+6+a+ 56+3+a+ 63+5+a+ 65+3+a+,6a5/+3* 36a5/+*",
+    "3-5-6-11": "2|l|63*b+5- 36*b+5- 36*5b-- b536*-- 36*5-b+,b5-3*6+ 63b5-*+,635b-*-,653*b-* 635*b-*",
+    "3-5-6-12": "3|p|6c5-3-* 6c3-5-* 6c35+-*,c53+6-* 35+6-c* 365--c* 53+6-c* 563--c*,c635-*- c35-6*-,c653-*+ 53-6*c+",
+    "3-5-6-13": "5|p|36-5d-* 63-d5-*",
+    "3-5-7-7": "",
+    "3-5-7-8": "2|l|785-*3+ 3785-*+,3758-*-,75*8-3- 57*8-3- 57*38+- 57*3-8-,73*8+5- 37*8+5- 37*58-- 8537*-- 37*5-8+",
+    "3-5-7-9": "1||97+5+3+ 35+7+9+ 37+5+9+ 53+7+9+ 57+3+9+ 73+5+9+ 75+3+9+,95*73*- 59*37*-,93+75-* 75-39+*",
+    "3-5-7-10": "3|p|a5+7-3* 35a+7-* 357a--* 357-a+* 3a75--*,53+a7-* 35+a7-*,a735-*- a35-7*-,753-*a+ 53-7*a+",
+    "3-5-7-11": "4|p|b7*5-3/ 7b*5-3/,37-5b-* 73-b5-*",
+    "3-5-7-12": "2|l|c3*7-5- 3c*7-5- 3c*5-7- 3c*57+-,c73+*5/ 37+c*5/ 37+5/c*,75+3*c- 357+*c-",
+    "3-5-7-13": "9|dpl|d5*7+3/ 75d*+3/",
+    "3-5-8-8": "1||88+5+3+ 35+8+8+ 38+5+8+ 53+8+8+ 58+3+8+ 83+5+8+ 85+3+8+,853-*8+ 853-8*+,8835-*- 835-8*-",
+    "3-5-8-9": "3|l|985-*3- 85-9*3-,93*5+8- 539*+8- 5839*-- 58-39*+ 39*85--",
+    "3-5-8-10": "",
+    "3-5-8-11": "3|p|b5+8-3* 35b+8-* 358b--* 358-b+* 3b85--*,53+b8-* 35+b8-*,8b5-3-* 8b3-5-* 8b35+-*,58-3b-* 85-b3-*",
+    "3-5-8-12": "4|p|c3+8*5/ 83c+*5/,853*c-* 835*c-*",
+    "3-5-8-13": "4|l|85*d-3- 58*d-3- 58*3d+- 58*3-d-",
+    "3-5-9-9": "4|p|95*3/9+ 959*3/+,59-39-* 39-59-* 93-95-*",
+    "3-5-9-10": "3|p|93+a*5/ 39+a*5/,a5-3*9+ 93a5-*+,935a-*-",
+    "3-5-9-11": "",
+    "3-5-9-12": "2|p|c5+9-3* 35c+9-* 359c--* 359-c+* 3c95--*,53+c9-* 35+c9-*,c359-*-,c95-3*+ 395-*c+,c593/-* 593/-c*",
+    "3-5-9-13": "2|l|d9+5+3- 59+d+3- 95+d+3- 59+3d-- 5d+39-- 59+3-d+ 539d+-- 53d-9-- 539-d-- 9d+35-- 53-9+d+ 95+3d-- 95+3-d+ 935d+-- 93d-5-- 935-d-- 93-5+d+ d359+-- d39-5-- d35-9-- 539--d+ 935--d+,9d5-*3/ 93/d5-*,d9*3+5/ 39d*+5/",
+    "3-5-10-10": "7|dp|aa5/-3* 3aa5/-*",
+    "3-5-10-11": "3|l|a3*5+b- 53a*+b- 5b3a*-- 3a*5+b- 3a*b5--,a3-5*b- 5a3-*b-",
+    "3-5-10-12": "3|l|ca+5+3- 5a+c+3- a5+c+3- 5a+3c-- 5c+3a-- 5a+3-c+ 53ac+-- 53c-a-- 53a-c-- ac+35-- 53-a+c+ a5+3c-- a5+3-c+ a35c+-- a3c-5-- a35-c-- a3-5+c+ c35a+-- c3a-5-- c35-a-- 53a--c+ a35--c+,ca5-3-* a5-3-c* a3-5-c* a35+-c*",
+    "3-5-10-13": "2|l|d5+a-3* 35d+a-* 35ad--* 35a-d+* 3da5--*,d3*a-5- 3d*a-5- 3d*5-a- 3d*5a+-,53+da-* 35+da-*",
+    "3-5-11-11": "4|l|bb+5+3- 5b+b+3- b5+b+3- 5b+3b-- 53bb+-- 53b-b-- bb+35-- 53-b+b+ b5+3b-- b5+3-b+ b35b+-- b3b-5-- b35-b-- b3-5+b+",
+    "3-5-11-12": "9|dpl|cb5-*3/ b5-c*3/ b5-3/c*",
+    "3-5-11-13": "",
+    "3-5-12-12": "3|l|c5*c+3/ c5c*+3/,c5*c3*- 5c*3c*-",
+    "3-5-12-13": "4|p|cd3-*5/,c53*d-* c35*d-*",
+    "3-5-13-13": "4|l|dd+3+5- 3d+d+5- 3d+5d-- 35dd+-- 35d-d-- d3+d+5- 35-d+d+ dd+53-- d3+5d-- d3+5-d+ d5d-3-- d53d+-- d53-d--",
+    "3-6-6-6": "2|p|66+6*3/ 666+*3/ 63/66+*,663-*6+ 6663-*+,6636-*-,6366/+*,6663/-*",
+    "3-6-6-7": "2|l|766/+3* 366/7+*,673+6-* 637+6-* 6367--* 636-7+* 6763--*,76*63*- 67*36*-",
+    "3-6-6-8": "1|l|86+6-3* 368+6-* 3668--* 366-8+* 3866--*,86*3*6/ 36*8*6/ 36*6/8* 38*66// 63*8*6/ 68*63// 66/3*8* 366//8* 663//8*,83*6+6- 638*+6- 6638*-- 66-38*+ 38*66--,683-*6-,863+6-* 36+6-8* 366--8* 63+6-8* 663--8*",
+    "3-6-6-9": "1||96+6+3+ 36+6+9+ 63+6+9+ 66+3+9+,966/-3* 3966/-*,66*9-3- 66*39+- 66*3-9-,96*3/6+ 669*3/+ 663/9*+",
+    "3-6-6-10": "6|pl|a63-*6- 63-a*6-",
+    "3-6-6-11": "9|dpl|b6*6+3/ 66b*+3/",
+    "3-6-6-12": "1|l|6c6/+3* 36c6/+*,c6-3*6+ 63c6-*+,636c-*-,c6*63-/ 6c*63-/ 663-/c*,c3*6-6- 3c*6-6- 3c*66+-,63*c+6- 36*c+6- 36*6c-- 36*6-c+ c636*--,66+3*c- 366+*c-,c66*3/+ 66*3/c+,c366/-* 366/-c*",
+    "3-6-6-13": "4|p|d6*6-3/ 6d*6-3/,6d6-3-* 6d3-6-* 6d36+-*",
+    "3-6-7-7": "4|p|77+6-3* 377+6-* 3767--*,6377/+*",
+    "3-6-7-8": "1||87+6+3+ 36+7+8+ 37+6+8+ 63+7+8+ 67+3+8+ 73+6+8+ 76+3+8+,83*76-* 376-*8* 76-3*8*,83*76-/ 38*76-/ 376-/8*,683+7-* 638+7-* 6378--* 637-8+* 6873--*",
+    "3-6-7-9": "1|l|796-*3+ 3796-*+,3769-*-,96+7-3* 369+7-* 3679--* 367-9+* 3976--*,6793/-*,73*9+6- 37*9+6- 37*69-- 9637*-- 37*6-9+",
+    "3-6-7-10": "6|dl|76*3/a+ 67*3/a+ 63/7*a+",
+    "3-6-7-11": "",
+    "3-6-7-12": "4|p|37-6c-* 73-c6-*,c63+7-* 36+7-c* 376--c* 63+7-c* 673--c*",
+    "3-6-7-13": "2|l|d7-3*6+ 63d7-*+,637d-*-,63*d+7- 36*d+7- 36*7d-- 36*7-d+ d736*--",
+    "3-6-8-8": "2|l|6388/+*,86*3/8+ 868*3/+ 863/8*+,86*83*- 68*38*-",
+    "3-6-8-9": "3|p|693+8-* 639+8-* 6389--* 638-9+* 6983--*,98*63-/ 89*63-/,8693/-*,93+86-* 86-39+*",
+    "3-6-8-10": "5|p|a6+8-3* 36a+8-* 368a--* 368-a+* 3a86--*",
+    "3-6-8-11": "",
+    "3-6-8-12": "4|p|68c3/-*,8c6-3-* 8c3-6-* 8c36+-*",
+    "3-6-8-13": "4|l|d8+6+3- 68+d+3- 86+d+3- 68+3d-- 6d+38-- 68+3-d+ 638d+-- 63d-8-- 638-d-- 8d+36-- 63-8+d+ 86+3d-- 86+3-d+ 836d+-- 83d-6-- 836-d-- 83-6+d+ d368+-- d38-6-- d36-8-- 638--d+ 836--d+",
+    "3-6-9-9": "2|l|996-*3-,93*6+9- 639*+9- 6939*-- 39*6+9- 39*96--,6399/+*",
+    "3-6-9-10": "2|l|6a3+9-* 63a+9-* 639a--* 639-a+* 6a93--*,a9*3/6- 9a*3/6- 93/a*6-,6a-39-* 39-6a-* 93-a6-*,96*a3*- 69*3a*-",
+    "3-6-9-11": "2|p|b6+9-3* 36b+9-* 369b--* 369-b+* 3b96--*,b6-3*9+ 93b6-*+,936b-*-,b63-*9- 63-b*9-,69-3b-* 96-b3-*",
+    "3-6-9-12": "2|l|c6*3*9/ 36*c*9/ 63*c*9/ 6c*93// 693//c* 36*9/c*,c9+6+3- 69+c+3- 96+c+3- 69+3c-- 6c+39-- 69+3-c+ 639c+-- 63c-9-- 639-c-- 9c+36-- 63-9+c+ 96+3c-- 96+3-c+ 936c+-- 93c-6-- 936-c-- 93-6+c+ c369+-- c39-6-- c36-9-- 639--c+ 936--c+,c93+*6/ 39+c*6/ 39+6/c*,693-*c-",
+    "3-6-9-13": "2|l|d3*9-6- 3d*9-6- 3d*6-9- 3d*69+-,d3+9*6/ 93d+*6/,d9+63/+ 63/9+d+ 963/+d+",
+    "3-6-10-10": "7|dp|63aa/+*",
+    "3-6-10-11": "3|l|ba+6+3- 6a+b+3- a6+b+3- 6a+3b-- 6b+3a-- 6a+3-b+ 63ab+-- 63b-a-- 63a-b-- ab+36-- 63-a+b+ a6+3b-- a6+3-b+ a36b+-- a3b-6-- a36-b-- a3-6+b+ b36a+-- b3a-6-- b36-a-- 63a--b+ a36--b+,6b3+a-* 63b+a-* 63ab--* 63a-b+* 6ba3--*",
+    "3-6-10-12": "1|l|c6+a-3* 36c+a-* 36ac--* 36a-c+* 3ca6--*,ac6/-3* 3ac6/-*,a6*c+3/ 6a*c+3/,a3*6+c- 63a*+c- 6c3a*-- 3a*6+c- 3a*c6--,ca+63/+ 63/a+c+ a63/+c+,a6*c3*- 6a*3c*-,c36a-*-,ca6-3*+ 3a6-*c+",
+    "3-6-10-13": "",
+    "3-6-11-11": "4|d|63bb/+*,bb+63/+ 63/b+b+ b63/+b+",
+    "3-6-11-12": "4|p|6c3+b-* 63c+b-* 63bc--* 63b-c+* 6cb3--*,cb6-3-* b6-3-c* b3-6-c* b36+-c*",
+    "3-6-11-13": "5|p|d6+b-3* 36d+b-* 36bd--* 36b-d+* 3db6--*",
+    "3-6-12-12": "4|pl|cc6-*3/ c3/c6-*,63cc/+*,c6c3/-*,c63-*c- 63-c*c-",
+    "3-6-12-13": "5|p|6d3+c-* 63d+c-* 63cd--* 63c-d+* 6dc3--*",
+    "3-6-13-13": "5|dl|63dd/+*,dd+63/- d63/d--",
+    "3-7-7-7": "2||77+7+3+ 37+7+7+ 73+7+7+ 77+3+7+,777/+3* 3777/+*",
+    "3-7-7-8": "2|l|87+7-3* 378+7-* 3778--* 377-8+* 3877--*,87*3*7/ 37*8*7/ 37*7/8* 38*77// 73*8*7/ 77/3*8* 377//8*,83*7+7- 738*+7- 7738*-- 77-38*+ 38*77--,873+7-* 37+7-8* 377--8* 73+7-8* 773--8*",
+    "3-7-7-9": "7|dp|977/-3* 3977/-*",
+    "3-7-7-10": "2|l|7a7-*3+ 37a7-*+,377a-*-,73*a+7- 37*a+7- 37*7a-- a737*-- 37*7-a+",
+    "3-7-7-11": "",
+    "3-7-7-12": "7|dp|c377/-* 377/-c*",
+    "3-7-7-13": "3|l|d7+7+3- 77+d+3- 77+3d-- 7d+37-- 77+3-d+ 737d+-- 73d-7-- 737-d-- 73-7+d+ d377+-- d37-7-- 737--d+,37-7d-* 73-d7-*",
+    "3-7-8-8": "3|p|788/+3* 3788/+*,83*87-* 38*87-*,83*87-/ 38*87-/,873-*8- 73-8*8-",
+    "3-7-8-9": "5|p|97+8-3* 379+8-* 3789--* 378-9+* 3987--*",
+    "3-7-8-10": "",
+    "3-7-8-11": "2|l|7b8-*3+ 37b8-*+,378b-*-,73*b+8- 37*b+8- 37*8b-- 37*8-b+ b837*--,783-*b-",
+    "3-7-8-12": "2|l|c8+7+3- 78+c+3- 87+c+3- 78+3c-- 7c+38-- 78+3-c+ 738c+-- 73c-8-- 738-c-- 8c+37-- 73-8+c+ 87+3c-- 87+3-c+ 837c+-- 83c-7-- 837-c-- 83-7+c+ c378+-- c38-7-- c37-8-- 738--c+ 837--c+,c8*73-/ 8c*73-/ 873-/c*,87c3/-*,c73+8-* 37+8-c* 387--c* 73+8-c* 783--c*",
+    "3-7-8-13": "3|l|d3*8-7- 3d*8-7- 3d*7-8- 3d*78+-,8d7-3-* 8d3-7-* 8d37+-*",
+    "3-7-9-9": "3|p|799/+3* 3799/+*,97*9+3/ 979*+3/,93+97-* 39+97-*",
+    "3-7-9-10": "2|l|a7+9-3* 37a+9-* 379a--* 379-a+* 3a97--*,9a7-*3-,93*7+a- 739*+a- 7a39*-- 39*7+a- 39*a7--",
+    "3-7-9-11": "3|l|b9+7+3- 79+b+3- 97+b+3- 79+3b-- 7b+39-- 79+3-b+ 739b+-- 73b-9-- 739-b-- 9b+37-- 73-9+b+ 97+3b-- 97+3-b+ 937b+-- 93b-7-- 937-b-- 93-7+b+ b379+-- b39-7-- b37-9-- 739--b+ 937--b+,7b-39-* 39-7b-* 93-b7-*",
+    "3-7-9-12": "1|l|7c9-*3+ 37c9-*+,379c-*-,73*c+9- 37*c+9- 37*9c-- 37*9-c+ c937*--,c7-3*9+ 93c7-*+,937c-*-,973-*c- 73-9*c-",
+    "3-7-9-13": "5|l|97*d3*- 79*3d*-",
+    "3-7-10-10": "3|l|7aa/+3* 37aa/+*,aa+7+3- 7a+a+3- a7+a+3- 7a+3a-- 73aa+-- 73a-a-- aa+37-- 73-a+a+ a7+3a-- a7+3-a+ a37a+-- a3a-7-- a37-a-- a3-7+a+",
+    "3-7-10-11": "4|p|b7+a-3* 37b+a-* 37ab--* 37a-b+* 3ba7--*,7a-3b-* a7-b3-*",
+    "3-7-10-12": "",
+    "3-7-10-13": "2|l|7da-*3+ 37da-*+,37ad-*-,a3*7+d- 73a*+d- 7d3a*-- 3a*7+d- 3a*d7--,73*d+a- 37*d+a- 37*ad-- 37*a-d+ da37*--",
+    "3-7-11-11": "7|dp|7bb/+3* 37bb/+*",
+    "3-7-11-12": "3|p|c7+b-3* 37c+b-* 37bc--* 37b-c+* 3cb7--*,b3+c*7/ 3b+c*7/ 3b+7/c*,c37b-*-,cb7-3*+ 3b7-*c+",
+    "3-7-11-13": "",
+    "3-7-12-12": "3|p|7cc/+3* 37cc/+*,c7*c-3/ 7c*c-3/,cc7-3-* cc3-7-* cc37+-*",
+    "3-7-12-13": "3|p|d7+c-3* 37d+c-* 37cd--* 37c-d+* 3dc7--*,cd7-*3/ c3/d7-*,d7+c3/+ 7c3/+d+ c3/7+d+",
+    "3-7-13-13": "7|dp|7dd/+3* 37dd/+*",
+    "3-8-8-8": "1|l|88+8-3* 388+8-* 3888--*,88*3*8/ 38*8*8/ 38*88// 83*8*8/ 83*88//,88*8+3/ 888*+3/,83*8+8- 838*+8- 8838*-- 38*8+8- 38*88--,883+8-* 838+8-* 8388--* 8883--*",
+    "3-8-8-9": "3|p|83*98-* 38*98-*,83*98-/ 38*98-/,988/-3* 3988/-*",
+    "3-8-8-10": "9|dpl|a8*8-3/ 8a*8-3/",
+    "3-8-8-11": "4|l|b8+8+3- 88+b+3- 88+3b-- 8b+38-- 88+3-b+ 838b+-- 83b-8-- 838-b-- 83-8+b+ b388+-- b38-8-- 838--b+",
+    "3-8-8-12": "6|dl|c8*3/8- 8c*3/8-,c388/-* 388/-c*",
+    "3-8-8-13": "",
+    "3-8-9-9": "2|l|98+9-3* 389+9-* 3899--* 398+9-* 3998--*,98*3*9/ 38*9*9/ 38*99// 83*9*9/ 83*99// 89*93//,893+9-* 839+9-* 8399--* 8993--*,83*9+9- 38*9+9- 38*99-- 938*+9- 9938*--",
+    "3-8-9-10": "2|l|83*a9-* 38*a9-*,83*a9-/ 38*a9-/,a9+8+3- 89+a+3- 98+a+3- 89+3a-- 8a+39-- 89+3-a+ 839a+-- 83a-9-- 839-a-- 9a+38-- 83-9+a+ 98+3a-- 98+3-a+ 938a+-- 93a-8-- 938-a-- 93-8+a+ a389+-- a39-8-- a38-9-- 839--a+ 938--a+,93+a8-* 39+a8-*",
+    "3-8-9-11": "3|l|9b8-*3-,93*8+b- 839*+b- 8b39*-- 39*8+b- 39*b8--",
+    "3-8-9-12": "4|p|8c-39-* 39-8c-* 93-c8-*,c83+9-* 38+9-c* 398--c* 83+9-c* 893--c*",
+    "3-8-9-13": "3|d|d8+93/+ 893/+d+ 93/8+d+,d8-3*9+ 93d8-*+,938d-*-",
+    "3-8-10-10": "2|l|a8+a-3* 38a+a-* 38aa--* 3a8+a-* 3aa8--*,a8*3*a/ 38*a*a/ 38*aa// 83*a*a/ 83*aa//,8a3+a-* 83a+a-* 83aa--* 8aa3--*,83*a+a- 38*a+a- 38*aa-- a38*+a- aa38*--",
+    "3-8-10-11": "4|p|83*ba-* 38*ba-*,83*ba-/ 38*ba-/",
+    "3-8-10-12": "9|dpl|ca*83-/ ac*83-/ a83-/c*",
+    "3-8-10-13": "",
+    "3-8-11-11": "1|l|b8+b-3* 38b+b-* 38bb--* 3b8+b-* 3bb8--*,b8*3*b/ 38*b*b/ 38*bb// 83*b*b/ 83*bb//,8b3+b-* 83b+b-* 83bb--* 8bb3--*,83*b+b- 38*b+b- 38*bb-- b38*+b- bb38*--,8b-3b-* 3b-8b-* b3-b8-*",
+    "3-8-11-12": "4|p|83*cb-* 38*cb-*,83*cb-/ 38*cb-/",
+    "3-8-11-13": "",
+    "3-8-12-12": "1|l|c8+c-3* 38c+c-* 38cc--* 3c8+c-* 3cc8--*,c8*3*c/ 38*c*c/ 38*cc// 83*c*c/ 83*cc// 8c*c3// c8*c3// c3*8*c/,c8+c3/+ 8c+c3/+ c3/8+c+,8c3+c-* 83c+c-* 83cc--* 8cc3--*,83*c+c- 38*c+c- 38*cc-- c38*+c- cc38*--,cc8-3*+ c3c8-*+,c38c-*-",
+    "3-8-12-13": "3|p|83*dc-* 38*dc-*,83*dc-/ 38*dc-/,d3+c*8/ c3d+*8/,cd8-3-* cd3-8-* cd38+-*",
+    "3-8-13-13": "2|l|d8+d-3* 38d+d-* 38dd--* 3d8+d-* 3dd8--*,d8*3*d/ 38*d*d/ 38*dd// 83*d*d/ 83*dd//,8d3+d-* 83d+d-* 83dd--* 8dd3--*,83*d+d- 38*d+d- 38*dd-- d38*+d- dd38*--",
+    "3-9-9-9": "2|l|999/-3* 3999/-*,99+9+3- 99+39-- 9399+-- 939-9-- 93-9+9+,99*9-3/",
+    "3-9-9-10": "5|p|99+a-3* 399+a-* 39a9--*",
+    "3-9-9-11": "4|p|b9*3/9- 9b*3/9- 93/b*9-,93+b9-* 39+b9-*",
+    "3-9-9-12": "2|l|9c9-*3-,93*9+c- 939*+c- 9c39*-- 39*9+c- 39*c9--,c9+93/+ 993/+c+ 93/9+c+,c399/-* 399/-c*",
+    "3-9-9-13": "5|p|9d-39-* 39-9d-* 93-d9-*",
+    "3-9-10-10": "7|dp|9aa/-3* 39aa/-*",
+    "3-9-10-11": "4|p|a9+b-3* 39a+b-* 39ba--* 3a9+b-* 3ab9--*,ba+93/+ 93/a+b+ a93/+b+",
+    "3-9-10-12": "4|p|93+ca-* 39+ca-*,c93+a-* 39+a-c* 3a9--c* 93+a-c* 9a3--c*",
+    "3-9-10-13": "3|l|9da-*3-,93*a+d- 39*a+d- 39*da-- a39*+d- ad39*--",
+    "3-9-11-11": "7|dp|9bb/-3* 39bb/-*",
+    "3-9-11-12": "3|p|b9+c-3* 39b+c-* 39cb--* 3b9+c-* 3bc9--*,b9+c3/+ 9b+c3/+,9c-3b-* 3b-9c-* b3-c9-*",
+    "3-9-11-13": "5|p|93+db-* 39+db-*",
+    "3-9-12-12": "5|dp|9cc/-3* 39cc/-*,cc*93-/,c9*3/c- 9c*3/c- 93/c*c-",
+    "3-9-12-13": "3|p|c9+d-3* 39c+d-* 39dc--* 3c9+d-* 3cd9--*,cd9-3*+ c3d9-*+,c39d-*-",
+    "3-9-13-13": "7|dp|9dd/-3* 39dd/-*",
+    "3-10-10-10": "",
+    "3-10-10-11": "",
+    "3-10-10-12": "3|p|aa+c-3* 3aa+c-* 3aca--*,aa+c3/+,c3aa/-* 3aa/-c*",
+    "3-10-10-13": "",
+    "3-10-11-11": "",
+    "3-10-11-12": "5|p|ca3+b-* 3a+b-c* 3ba--c* a3+b-c* ab3--c*",
+    "3-10-11-13": "4|p|ba+d-3* 3ab+d-* 3adb--* 3ba+d-* 3bda--*,ad-3b-* 3b-ad-* b3-da-*",
+    "3-10-12-12": "",
+    "3-10-12-13": "",
+    "3-10-13-13": "",
+    "3-11-11-11": "",
+    "3-11-11-12": "7|dp|c3bb/-* 3bb/-c*",
+    "3-11-11-13": "",
+    "3-11-12-12": "5|p|cb3+c-* c3b+c-* c3cb--* cbc3--*",
+    "3-11-12-13": "",
+    "3-11-13-13": "",
+    "3-12-12-12": "7|dp|c3cc/-*",
+    "3-12-12-13": "5|p|cc3+d-* c3c+d-* c3dc--* ccd3--*",
+    "3-12-13-13": "7|dp|c3dd/-*",
+    "3-13-13-13": "",
+    "4-4-4-4": "3||44*4+4+ 44+44*+",
+    "4-4-4-5": "7|dp|544/+4* 444/5+*",
+    "4-4-4-6": "2|l|64*4+4- 446*+4- 4446*-- 44-46*+ 46*44--,64+4-4* 446+4-* 4446--* 444-6+* 4644--*,64*4*4/ 44*6*4/ 44*4/6* 46*44// 44/4*6* 444//6*,644+4-* 44+4-6* 444--6*",
+    "4-4-4-7": "4|p|744/-4* 4744/-*,44+74-*",
+    "4-4-4-8": "2|l|484/+4* 4484/+*,84*4-4- 48*4-4- 48*44+-,44+4*8- 444+*8-,8444/-* 444/-8*",
+    "4-4-4-9": "4|p|94-4*4+ 4494-*+,4449-*-",
+    "4-4-4-10": "3|l|44*a-4* 444*a-*,a4*44*- 4a*44*-",
+    "4-4-4-11": "6|pl|b4-4*4- 4b4-*4-",
+    "4-4-4-12": "1||c4+4+4+ 44+4+c+,44*c+4- 44*4c-- 44*4-c+ c444*--,c44+*4/ 44+c*4/ 44+4/c*",
+    "4-4-4-13": "",
+    "4-4-5-5": "4|p|55+4-4* 455+4-* 4545--*,55*44/-",
+    "4-4-5-6": "3|p|64*54-* 454-*6* 54-4*6*,64*54-/ 46*54-/ 454-/6*,6544/-* 544/-6*",
+    "4-4-5-7": "5|p|74+5-4* 447+5-* 4457--* 445-7+* 4754--*",
+    "4-4-5-8": "1|l|584-*4+ 4584-*+,4548-*-,54*8+4- 45*8+4- 45*48-- 8445*-- 45*4-8+,44+85-*,85*44*- 58*44*-,844+5-* 44+5-8* 454--8*",
+    "4-4-5-9": "",
+    "4-4-5-10": "3|p|a5-4*4+ 44a5-*+,445a-*-,4a5/+4* 44a5/+*",
+    "4-4-5-11": "2||b5+4+4+ 44+5+b+ 45+4+b+ 54+4+b+,b4*54*- 4b*45*-",
+    "4-4-5-12": "5|pl|c5-4*4- 4c5-*4-,54+4*c- 445+*c-",
+    "4-4-5-13": "4|l|44*d+5- 44*5d-- 44*5-d+ d544*--",
+    "4-4-6-6": "",
+    "4-4-6-7": "",
+    "4-4-6-8": "4|p|84+6-4* 448+6-* 4468--* 446-8+* 4864--*,84+64-* 64-48+*",
+    "4-4-6-9": "4|p|94*4*6/ 44*9*6/,44+96-*",
+    "4-4-6-10": "1||a6+4+4+ 44+6+a+ 46+4+a+ 64+4+a+,a64-*4+ 464-a*+,4a46-*- 446-a*-",
+    "4-4-6-11": "4|p|b6-4*4+ 44b6-*+,446b-*-",
+    "4-4-6-12": "1|l|4c6/+4* 44c6/+*,c4*64-/ 4c*64-/ 464-/c*,c4+6*4/ 64c+*4/,6c4-4-* 6c44+-*,644*c-*,c4*64*- 4c*46*-,c44+6-* 44+6-c* 464--c*",
+    "4-4-6-13": "6|pl|d6-4*4- 4d6-*4-",
+    "4-4-7-7": "",
+    "4-4-7-8": "3|l|74*4+8- 447*+8- 4847*-- 47*4+8- 47*84--,784-*4-",
+    "4-4-7-9": "2||97+4+4+ 44+7+9+ 47+4+9+ 74+4+9+,94+7-4* 449+7-* 4479--* 447-9+* 4974--*",
+    "4-4-7-10": "5|p|44+a7-*",
+    "4-4-7-11": "",
+    "4-4-7-12": "2|p|c7-4*4+ 44c7-*+,447c-*-,47-4c-* 74-c4-*,c447-*-,c474-*+ 474-*c+",
+    "4-4-7-13": "4|l|d4*74*- 4d*47*-",
+    "4-4-8-8": "0||88+4+4+ 44+8+8+ 48+4+8+ 84+4+8+,884/-4* 4884/-*,84+8*4/ 848+*4/ 48+8*4/ 84/48+*,484-*8+ 8484-*+,8448-*-",
+    "4-4-8-9": "4|l|94*8-4- 49*8-4- 49*4-8- 49*48+-",
+    "4-4-8-10": "3|p|a8*4/4+ 48a*4/+ 484/a*+,a4+8-4* 44a+8-* 448a--* 448-a+* 4a84--*,48-4a-* 84-a4-*",
+    "4-4-8-11": "4|p|44+b8-*,8b4-4-* 8b44+-*",
+    "4-4-8-12": "2|l|84*4+c- 448*+c- 4c48*-- 48*4+c- 48*c4--,c4*4*8/ 44*c*8/ 4c*84// 484//c* 44*8/c*,c4-4*8- 4c4-*8-,c484/-* 484/-c*",
+    "4-4-8-13": "3|p|d8-4*4+ 44d8-*+,448d-*-,844*d-*",
+    "4-4-9-9": "",
+    "4-4-9-10": "",
+    "4-4-9-11": "5|p|b4+9-4* 44b+9-* 449b--* 449-b+* 4b94--*",
+    "4-4-9-12": "4|p|9c4/-4* 49c4/-*,44+c9-*",
+    "4-4-9-13": "",
+    "4-4-10-10": "9|dpl|aa*4-4/",
+    "4-4-10-11": "",
+    "4-4-10-12": "2|l|c4+a-4* 44c+a-* 44ac--* 44a-c+* 4ca4--*,a4*c-4- 4a*c-4- 4a*4c+- 4a*4-c-,ca4-4-* a4-4-c* a44+-c*",
+    "4-4-10-13": "4|p|44+da-*,da+44/+ 44/a+d+ a44/+d+",
+    "4-4-11-11": "",
+    "4-4-11-12": "5|d|cb+44/+ 44/b+c+ b44/+c+",
+    "4-4-11-13": "1|l|db+4+4- 4b+d+4- 4b+4d-- 4d+4b-- 4b+4-d+ 44bd+-- 44d-b-- 44b-d-- b4+d+4- 44-b+d+ bd+44-- b4+4d-- b4+4-d+ b44d+-- b4d-4-- b44-d-- b4-4+d+ d44b+-- d4b-4-- d44-b-- 44b--d+ b44--d+,d4+b-4* 44d+b-* 44bd--* 44b-d+* 4db4--*,db+4*4/ 4bd+*4/ 44/bd+* bd+44//,d4*4/b+ b4d*4/+ b44/d*+ bd44//+,db4*4/+ 4b*4/d+ 44/b*d+ b44//d+",
+    "4-4-12-12": "2|l|cc+4+4- 4c+c+4- 4c+4c-- 44cc+-- 44c-c-- c4+c+4- 44-c+c+ cc+44-- c4+4c-- c4+4-c+ c44c+-- c4c-4-- c44-c-- c4-4+c+,cc+4*4/ 4cc+*4/ 44/cc+* cc+44//,cc4-*4/ c4-c*4/ c4/c4-*,cc4*4/+ c4c*4/+ c44/c*+ cc44//+",
+    "4-4-12-13": "5|dl|dc+44/- cd+44/- c44/d-- d44/c-- c44/-d+,d4-4*c- 4d4-*c-",
+    "4-4-13-13": "",
+    "4-5-5-5": "3|l|55*4+5- 455*+5- 4555*-- 45-55*+ 55*54--,555/+4* 4555/+*",
+    "4-5-5-6": "2|l|65+5-4* 456+5-* 4556--* 455-6+* 4655--*,65*4*5/ 45*6*5/ 45*5/6* 46*55// 54*6*5/ 55/4*6* 455//6*,64*5+5- 546*+5- 5546*-- 55-46*+ 46*55--,654+5-* 45+5-6* 455--6* 54+5-6* 554--6*",
+    "4-5-5-7": "7|dp|755/-4* 4755/-*",
+    "4-5-5-8": "7|dp|8455/-* 455/-8*",
+    "4-5-5-9": "2|l|595-*4+ 4595-*+,4559-*-,54*9+5- 45*9+5- 45*59-- 9545*-- 45*5-9+",
+    "4-5-5-10": "3||a5+5+4+ 45+5+a+ 54+5+a+ 55+4+a+",
+    "4-5-5-11": "",
+    "4-5-5-12": "",
+    "4-5-5-13": "",
+    "4-5-6-6": "3|p|566/+4* 4566/+*,64*65-* 46*65-*,64*65-/ 46*65-/",
+    "4-5-6-7": "4|p|75+6-4* 457+6-* 4567--* 456-7+* 4765--*,75+64-* 64-57+*",
+    "4-5-6-8": "5|p|854+6-* 45+6-8* 465--8* 54+6-8* 564--8*",
+    "4-5-6-9": "3||96+5+4+ 45+6+9+ 46+5+9+ 54+6+9+ 56+4+9+ 64+5+9+ 65+4+9+",
+    "4-5-6-10": "1|l|5a6-*4+ 45a6-*+,65*4+a- 456*+a- 4a56*-- 56*4+a- 56*a4--,456a-*-,54*a+6- 45*a+6- 45*6a-- 45*6-a+ a645*--,a4-5*6- 5a4-*6-",
+    "4-5-6-11": "9|dpl|b5+6*4/ 65b+*4/",
+    "4-5-6-12": "9|dpl|c64+*5/ 46+c*5/ 46+5/c*",
+    "4-5-6-13": "5|p|6d5-4-* 6d4-5-* 6d45+-*",
+    "4-5-7-7": "3|l|577/+4* 4577/+*,75*7-4- 57*7-4- 57*4-7- 57*47+-",
+    "4-5-7-8": "1||87+5+4+ 45+7+8+ 47+5+8+ 54+7+8+ 57+4+8+ 74+5+8+ 75+4+8+,85+7-4* 458+7-* 4578--* 457-8+* 4875--*,75+8*4/ 57+8*4/ 57+4/8*,84+75-* 75-48+*",
+    "4-5-7-9": "1|l|795-*4-,74*5+9- 547*+9- 5947*-- 47*5+9- 47*95--,94*7-5- 49*7-5- 49*5-7- 49*57+-,9547-*-,574-*9+",
+    "4-5-7-10": "4|p|a75-*4+ 475-a*+,4a57-*- 457-a*-",
+    "4-5-7-11": "2|l|5b7-*4+ 45b7-*+,457b-*-,54*b+7- 45*b+7- 45*7b-- 45*7-b+ b745*--",
+    "4-5-7-12": "4|p|c4*75-/ 4c*75-/ 475-/c*,c54+7-* 45+7-c* 475--c* 54+7-c* 574--c*",
+    "4-5-7-13": "4|p|d7*5+4/ 57d*+4/,47-5d-* 74-d5-*",
+    "4-5-8-8": "6|dp|588/+4* 4588/+*,8584/-*",
+    "4-5-8-9": "3|p|95+8-4* 459+8-* 4589--* 458-9+* 4985--*,495-*8+ 8495-*+,8459-*-",
+    "4-5-8-10": "6|dp|8a5/-4* 48a5/-*,84+a*5/ 48+a*5/",
+    "4-5-8-11": "4|p|b4+8*5/ 84b+*5/,48-5b-* 84-b5-*",
+    "4-5-8-12": "1|l|5c8-*4+ 45c8-*+,458c-*-,85*c-4- 58*c-4- 58*4c+- 58*4-c-,54*c+8- 45*c+8- 45*8c-- c845*-- 45*8-c+,8c5-4-* 8c4-5-* 8c45+-*,58-4c-* 85-c4-*,c458-*-,c485-*+ 485-*c+",
+    "4-5-8-13": "3|l|84*5+d- 548*+d- 5d48*-- 48*5+d- 48*d5--,d5-4*8- 4d5-*8-",
+    "4-5-9-9": "7|dp|599/+4* 4599/+*",
+    "4-5-9-10": "4|p|a5+9-4* 45a+9-* 459a--* 459-a+* 4a95--*,59-4a-* 95-a4-*",
+    "4-5-9-11": "",
+    "4-5-9-12": "3|l|c5*4/9+ 95c*4/+,c5*94*- 5c*49*-",
+    "4-5-9-13": "2|l|5d9-*4+ 45d9-*+,459d-*-,54*d+9- 45*d+9- 45*9d-- 45*9-d+ d945*--",
+    "4-5-10-10": "6|dl|aa*5/4+ 4aa*5/+,5aa/+4* 45aa/+*",
+    "4-5-10-11": "3|l|b5+a-4* 45b+a-* 45ab--* 45a-b+* 4ba5--*,a4*b-5- 4a*b-5- 4a*5b+- 4a*5-b-",
+    "4-5-10-12": "6|dl|c5*4*a/ 45*c*a/ 4c*a5// 54*c*a/ 4a5//c* 45*a/c*,c4a5/-* 4a5/-c*",
+    "4-5-10-13": "4|l|da+5+4- 5a+d+4- a5+d+4- 5a+4d-- 5d+4a-- 5a+4-d+ 54ad+-- 54d-a-- 54a-d-- ad+45-- 54-a+d+ a5+4d-- a5+4-d+ a45d+-- a4d-5-- a45-d-- a4-5+d+ d45a+-- d4a-5-- d45-a-- 54a--d+ a45--d+",
+    "4-5-11-11": "5|pl|5bb/+4* 45bb/+*,b4-5*b- 5b4-*b-",
+    "4-5-11-12": "2|l|c5+b-4* 45c+b-* 45bc--* 45b-c+* 4cb5--*,cb+5+4- 5b+c+4- b5+c+4- 5b+4c-- 5c+4b-- 5b+4-c+ 54bc+-- 54c-b-- 54b-c-- bc+45-- 54-b+c+ b5+4c-- b5+4-c+ b45c+-- b4c-5-- b45-c-- b4-5+c+ c45b+-- c4b-5-- c45-b-- 54b--c+ b45--c+,cb5-4-* b5-4-c* b4-5-c* b45+-c*",
+    "4-5-11-13": "2|p|db+54-* 54-bd+*,db+54-/ bd+54-/,d54-*b+ b54-d*+,d54-/b+ bd54-/+,bd45-*- b45-d*-,bd45-/-,db45-*- d45-b*-,db45-/-,db54-*+ 54-b*d+,db54-/+ b54-/d+",
+    "4-5-12-12": "2|p|5cc/+4* 45cc/+*,cc+54-* 54-cc+*,cc+54-/,cc54-*+ c54-c*+,cc54-/+,cc45-*- c45-c*-,cc45-/-,c5c4/-*",
+    "4-5-12-13": "2|l|dc+4+5- 4c+d+5- 4c+5d-- 4d+5c-- 4c+5-d+ 45cd+-- 45d-c-- 45c-d-- c4+d+5- 45-c+d+ cd+54-- c4+5d-- c4+5-d+ c5d-4-- c54d+-- c54-d-- c5-4+d+ 45c--d+ c54--d+ d5c-4-- d54c+-- d54-c--,d5+c-4* 45d+c-* 45cd--* 45c-d+* 4dc5--*,cd5-*4/ c4/d5-*",
+    "4-5-13-13": "7|dp|5dd/+4* 45dd/+*",
+    "4-6-6-6": "1|l|66+6-4* 466+6-* 4666--*,66*4*6/ 46*6*6/ 46*66// 64*6*6/ 64*66//,64*6+6- 646*+6- 6646*-- 46*6+6- 46*66--,664+6-* 646+6-* 6466--* 6664--*,66+64-* 64-66+*",
+    "4-6-6-7": "2|p|64*76-* 46*76-*,64*76-/ 46*76-/,766/-4* 4766/-*,674-*6+ 6674-*+,6647-*-",
+    "4-6-6-8": "0||86+6+4+ 46+6+8+ 64+6+8+ 66+4+8+,66*8-4- 66*48+- 66*4-8-,66+8*4/ 66+4/8*,6684/-*,86*64-/ 68*64-/ 664-/8*,86*64*- 68*46*-,8466/-* 466/-8*",
+    "4-6-6-9": "2|l|964-*6+ 664-9*+,6946-*- 646-9*-,694-*6-,94*6-6- 49*6-6- 49*66+-",
+    "4-6-6-10": "9|dpl|a6+6*4/ 66a+*4/",
+    "4-6-6-11": "",
+    "4-6-6-12": "3|p|c6*4/6+ 66c*4/+,c646-*-,c664-*+ 664-*c+",
+    "4-6-6-13": "",
+    "4-6-7-7": "0||77+6+4+ 46+7+7+ 47+6+7+ 64+7+7+ 67+4+7+ 74+6+7+ 76+4+7+,76+7-4* 467+7-* 4677--* 476+7-* 4776--*,76*4*7/ 46*7*7/ 46*77// 64*7*7/ 64*77//,674+7-* 647+7-* 6477--* 6774--*,64*7+7- 46*7+7- 46*77-- 746*+7- 7746*--",
+    "4-6-7-8": "3|p|64*87-* 46*87-*,64*87-/ 46*87-/,864+7-* 46+7-8* 476--8* 64+7-8* 674--8*",
+    "4-6-7-9": "9|dpl|97+6*4/ 679+*4/",
+    "4-6-7-10": "1|l|7a6-*4-,74*6+a- 647*+a- 6a47*-- 47*6+a- 47*a6--,a74-*6- 74-a*6-,a746-*- a46-7*-,764-*a+ 64-7*a+",
+    "4-6-7-11": "",
+    "4-6-7-12": "6|dp|67c4/-*,c6*74-/ 6c*74-/ 674-/c*",
+    "4-6-7-13": "",
+    "4-6-8-8": "1|l|86+8-4* 468+8-* 4688--* 486+8-* 4886--*,86*4*8/ 46*8*8/ 46*88// 64*8*8/ 64*88// 68*84// 86*84// 84*6*8/,88+6*4/ 688+*4/,684+8-* 648+8-* 6488--* 6884--*,64*8+8- 46*8+8- 46*88-- 846*+8- 8846*--,864-*8+ 864-8*+,8846-*- 846-8*-,84+86-* 48+86-*",
+    "4-6-8-9": "3|p|64*98-* 46*98-*,64*98-/ 46*98-/,98*4/6+ 689*4/+ 684/9*+",
+    "4-6-8-10": "3|p|a86-*4+ 486-a*+,4a68-*- 468-a*-,4a6-*8+ 84a6-*+,846a-*-",
+    "4-6-8-11": "",
+    "4-6-8-12": "2|p|8c6/-4* 48c6/-*,c4*86-/ 4c*86-/ 486-/c*,c84+*6/ 48+c*6/ 48+6/c*,86c4/-*,48-6c-* 84-c6-*,c64+8-* 46+8-c* 486--c* 64+8-c* 684--c*,c86*4/+ 68*4/c+",
+    "4-6-8-13": "5|p|8d6-4-* 8d4-6-* 8d46+-*",
+    "4-6-9-9": "2|l|96+9-4* 469+9-* 4699--* 496+9-* 4996--*,96*4*9/ 46*9*9/ 46*99// 64*9*9/ 64*99//,694+9-* 649+9-* 6499--* 6994--*,64*9+9- 46*9+9- 46*99-- 946*+9- 9946*--",
+    "4-6-9-10": "1|l|64*a9-* 46*a9-*,64*a9-/ 46*a9-/,a9*6+4/ 69a*+4/,a6*4/9+ 96a*4/+,a6*94*- 6a*49*-",
+    "4-6-9-11": "",
+    "4-6-9-12": "3|p|c4+9*6/ 94c+*6/,69-4c-* 96-c4-*,c469-*-,c496-*+ 496-*c+",
+    "4-6-9-13": "4|l|d9+6+4- 69+d+4- 96+d+4- 69+4d-- 6d+49-- 69+4-d+ 649d+-- 64d-9-- 649-d-- 9d+46-- 64-9+d+ 96+4d-- 96+4-d+ 946d+-- 94d-6-- 946-d-- 94-6+d+ d469+-- d49-6-- d46-9-- 649--d+ 946--d+",
+    "4-6-10-10": "1|l|a6+a-4* 46a+a-* 46aa--* 4a6+a-* 4aa6--*,a6*4*a/ 46*a*a/ 46*aa// 64*a*a/ 64*aa//,6a4+a-* 64a+a-* 64aa--* 6aa4--*,a4*a-6- 4a*a-6- 4a*6-a- 4a*6a+-,64*a+a- 46*a+a- 46*aa-- a46*+a- aa46*--,6a-4a-* 4a-6a-* a4-a6-*",
+    "4-6-10-11": "4|p|64*ba-* 46*ba-*,64*ba-/ 46*ba-/",
+    "4-6-10-12": "2|l|ca*6/4+ 4ac*6/+,ca+6+4- 6a+c+4- a6+c+4- 6a+4c-- 6c+4a-- 6a+4-c+ 64ac+-- 64c-a-- 64a-c-- ac+46-- 64-a+c+ a6+4c-- a6+4-c+ a46c+-- a4c-6-- a46-c-- a4-6+c+ c46a+-- c4a-6-- c46-a-- 64a--c+ a46--c+,ca*4/6- ac*4/6-,6a4-*c-",
+    "4-6-10-13": "",
+    "4-6-11-11": "1|l|b6+b-4* 46b+b-* 46bb--* 4b6+b-* 4bb6--*,b6*4*b/ 46*b*b/ 46*bb// 64*b*b/ 64*bb//,bb+6+4- 6b+b+4- b6+b+4- 6b+4b-- 64bb+-- 64b-b-- bb+46-- 64-b+b+ b6+4b-- b6+4-b+ b46b+-- b4b-6-- b46-b-- b4-6+b+,6b4+b-* 64b+b-* 64bb--* 6bb4--*,64*b+b- 46*b+b- 46*bb-- b46*+b- bb46*--",
+    "4-6-11-12": "4|p|64*cb-* 46*cb-*,64*cb-/ 46*cb-/",
+    "4-6-11-13": "",
+    "4-6-12-12": "1|l|c6+c-4* 46c+c-* 46cc--* 4c6+c-* 4cc6--*,c6*4*c/ 46*c*c/ 46*cc// 4c*c6// 64*c*c/ 64*cc// 6c*c4// c4*c6// c6*c4// c4*6*c/,6c4+c-* 64c+c-* 64cc--* 6cc4--*,64*c+c- 46*c+c- 46*cc-- c46*+c- cc46*--,c4c6/-*,cc6-4-* cc4-6-* cc46+-*,c6*c4*- 6c*4c*-",
+    "4-6-12-13": "4|p|64*dc-* 46*dc-*,64*dc-/ 46*dc-/",
+    "4-6-13-13": "1|l|dd+4+6- 4d+d+6- 4d+6d-- 46dd+-- 46d-d-- d4+d+6- 46-d+d+ dd+64-- d4+6d-- d4+6-d+ d6d-4-- d64d+-- d64-d--,d6+d-4* 46d+d-* 46dd--* 4d6+d-* 4dd6--*,d6*4*d/ 46*d*d/ 46*dd// 64*d*d/ 64*dd//,6d4+d-* 64d+d-* 64dd--* 6dd4--*,64*d+d- 46*d+d- 46*dd-- d46*+d- dd46*--",
+    "4-7-7-7": "7|dp|777/-4* 4777/-*",
+    "4-7-7-8": "4|p|77+8-4* 477+8-* 4787--*,8477/-* 477/-8*",
+    "4-7-7-9": "",
+    "4-7-7-10": "",
+    "4-7-7-11": "3|l|7b7-*4-,74*7+b- 747*+b- 7b47*-- 47*7+b- 47*b7--",
+    "4-7-7-12": "",
+    "4-7-7-13": "",
+    "4-7-8-8": "2|l|788/-4* 4788/-*,874+8-* 847+8-* 8487--* 8784--*,87*84*- 78*48*-",
+    "4-7-8-9": "3|p|87+9-4* 478+9-* 4798--* 487+9-* 4897--*,98*74-/ 89*74-/,84+97-* 48+97-*",
+    "4-7-8-10": "6|dl|87*4/a+ 78*4/a+",
+    "4-7-8-11": "4|p|4b7-*8+ 84b7-*+,847b-*-",
+    "4-7-8-12": "3|l|7c8-*4-,74*8+c- 47*8+c- 47*c8-- 847*+c- 8c47*--",
+    "4-7-8-13": "3|l|d8+7+4- 78+d+4- 87+d+4- 78+4d-- 7d+48-- 78+4-d+ 748d+-- 74d-8-- 748-d-- 8d+47-- 74-8+d+ 87+4d-- 87+4-d+ 847d+-- 84d-7-- 847-d-- 84-7+d+ d478+-- d48-7-- d47-8-- 748--d+ 847--d+,48-7d-* 84-d7-*",
+    "4-7-9-9": "7|dp|799/-4* 4799/-*",
+    "4-7-9-10": "2|l|a97-*4+ 497-a*+,4a79-*- 479-a*-,97+a-4* 479+a-* 47a9--* 497+a-* 49a7--*,a4*9-7- 4a*9-7- 4a*7-9- 4a*79+-",
+    "4-7-9-11": "5|pl|b74-*9- 74-b*9-,794-*b-",
+    "4-7-9-12": "2|l|c4*97-/ 4c*97-/ 497-/c*,c9+7+4- 79+c+4- 97+c+4- 79+4c-- 7c+49-- 79+4-c+ 749c+-- 74c-9-- 749-c-- 9c+47-- 74-9+c+ 97+4c-- 97+4-c+ 947c+-- 94c-7-- 947-c-- 94-7+c+ c479+-- c49-7-- c47-9-- 749--c+ 947--c+,c74+9-* 47+9-c* 497--c* 74+9-c* 794--c*",
+    "4-7-9-13": "3|l|7d9-*4-,74*9+d- 47*9+d- 47*d9-- 947*+d- 9d47*--",
+    "4-7-10-10": "7|dp|7aa/-4* 47aa/-*",
+    "4-7-10-11": "2|l|a7+b-4* 47a+b-* 47ba--* 4a7+b-* 4ab7--*,ba+7+4- 7a+b+4- a7+b+4- 7a+4b-- 7b+4a-- 7a+4-b+ 74ab+-- 74b-a-- 74a-b-- ab+47-- 74-a+b+ a7+4b-- a7+4-b+ a47b+-- a4b-7-- a47-b-- a4-7+b+ b47a+-- b4a-7-- b47-a-- 74a--b+ a47--b+,7b-4a-* 4a-7b-* a4-b7-*",
+    "4-7-10-12": "3|p|a4+c*7/ 4a+c*7/ 4a+7/c*,7a-4c-* a7-c4-*,c47a-*-,c4a7-*+ 4a7-*c+",
+    "4-7-10-13": "",
+    "4-7-11-11": "7|dp|7bb/-4* 47bb/-*",
+    "4-7-11-12": "5|p|b7+c-4* 47b+c-* 47cb--* 4b7+c-* 4bc7--*",
+    "4-7-11-13": "4|l|b4*d-7- 4b*d-7- 4b*7d+- 4b*7-d-",
+    "4-7-12-12": "4|pl|7cc/-4* 47cc/-*,c7*c+4/ c7c*+4/,c74-*c- 74-c*c-",
+    "4-7-12-13": "4|p|c7+d-4* 47c+d-* 47dc--* 4c7+d-* 4cd7--*,cd7-4-* cd4-7-* cd47+-*",
+    "4-7-13-13": "7|dp|7dd/-4* 47dd/-*",
+    "4-8-8-8": "4|pl|88*4/8+ 888*4/+,8488/-*,884-*8-",
+    "4-8-8-9": "5|p|884+9-* 848+9-* 8498--* 8894--*",
+    "4-8-8-10": "2|l|88+a-4* 488+a-* 48a8--*,a4*8-8- 4a*8-8- 4a*88+-,84+a8-* 48+a8-*,88*a4*- 88*4a*-",
+    "4-8-8-11": "9|dpl|b8*8+4/ 88b*+4/",
+    "4-8-8-12": "2|l|c8+8+4- 88+c+4- 88+4c-- 8c+48-- 88+4-c+ 848c+-- 84c-8-- 848-c-- 84-8+c+ c488+-- c48-8-- 848--c+,4c8-*8+ 84c8-*+,848c-*-,c8*84-/ 8c*84-/ 884-/c*",
+    "4-8-8-13": "9|dpl|d8*8-4/ 8d*8-4/",
+    "4-8-9-9": "7|dp|8499/-*",
+    "4-8-9-10": "5|p|894+a-* 849+a-* 84a9--* 89a4--*",
+    "4-8-9-11": "2|l|98+b-4* 489+b-* 48b9--* 498+b-* 49b8--*,b9+8+4- 89+b+4- 98+b+4- 89+4b-- 8b+49-- 89+4-b+ 849b+-- 84b-9-- 849-b-- 9b+48-- 84-9+b+ 98+4b-- 98+4-b+ 948b+-- 94b-8-- 948-b-- 94-8+b+ b489+-- b49-8-- b48-9-- 849--b+ 948--b+,84+b9-* 48+b9-*",
+    "4-8-9-12": "3|l|98*4*c/ 48*9*c/ 89*c4// 84*9*c/,98*c4*- 89*4c*-,984-*c- 84-9*c-",
+    "4-8-9-13": "3|p|4d9-*8+ 84d9-*+,849d-*-,d9+84/+ 84/9+d+ 984/+d+",
+    "4-8-10-10": "2|l|aa8-*4+ 4aa8-*+,4a8a-*-,aa+8+4- 8a+a+4- a8+a+4- 8a+4a-- 84aa+-- 84a-a-- aa+48-- 84-a+a+ a8+4a-- a8+4-a+ a48a+-- a4a-8-- a48-a-- a4-8+a+,84aa/-*",
+    "4-8-10-11": "5|p|8a4+b-* 84a+b-* 84ba--* 8ab4--*",
+    "4-8-10-12": "2|p|a8+c-4* 48a+c-* 48ca--* 4a8+c-* 4ac8--*,c4*a8-/ 4c*a8-/ 4a8-/c*,84+ca-* 48+ca-*,ca+84/+ 84/a+c+ a84/+c+,8c-4a-* 4a-8c-* a4-c8-*,c84+a-* 48+a-c* 4a8--c* 84+a-c* 8a4--c*",
+    "4-8-10-13": "",
+    "4-8-11-11": "4|d|84bb/-*,bb+84/+ 84/b+b+ b84/+b+",
+    "4-8-11-12": "1|l|8b4+c-* 84b+c-* 84cb--* 8bc4--*,b4*c-8- 4b*c-8- 4b*8c+- 4b*8-c-,8b-4c-* b8-c4-*,c48b-*-,c4b8-*+ 4b8-*c+",
+    "4-8-11-13": "4|p|b8+d-4* 48b+d-* 48db--* 4b8+d-* 4bd8--*,84+db-* 48+db-*",
+    "4-8-12-12": "6|dp|84cc/-*,c4+c*8/ c4c+*8/",
+    "4-8-12-13": "4|d|d8+c4/+ 8c4/+d+ c4/8+d+,8c4+d-* 84c+d-* 84dc--* 8cd4--*",
+    "4-8-13-13": "5|dl|84dd/-*,dd+84/- d84/d--",
+    "4-9-9-9": "",
+    "4-9-9-10": "4|l|a9+9+4- 99+a+4- 99+4a-- 9a+49-- 99+4-a+ 949a+-- 94a-9-- 949-a-- 94-9+a+ a499+-- a49-9-- 949--a+",
+    "4-9-9-11": "",
+    "4-9-9-12": "5|p|99+c-4* 499+c-* 49c9--*",
+    "4-9-9-13": "",
+    "4-9-10-10": "",
+    "4-9-10-11": "4|p|ab9-*4+ 4ab9-*+,4a9b-*-",
+    "4-9-10-12": "9|dpl|ca*94-/ ac*94-/ a94-/c*",
+    "4-9-10-13": "4|p|a9+d-4* 49a+d-* 49da--* 4a9+d-* 4ad9--*,9d-4a-* 4a-9d-* a4-d9-*",
+    "4-9-11-11": "4|l|b4*b-9- 4b*b-9- 4b*9-b- 4b*9b+-",
+    "4-9-11-12": "3|p|c4*b9-/ 4c*b9-/ 4b9-/c*,cb*4/9- bc*4/9-,c94+b-* 49+b-c* 4b9--c* 94+b-c* 9b4--c*",
+    "4-9-11-13": "",
+    "4-9-12-12": "2|d|c9*c-4/ 9c*c-4/,c9+c4/+ 9c+c4/+ c4/9+c+,c4c9-*+,c49c-*-,9c-4c-* 4c-9c-* c4-c9-*",
+    "4-9-12-13": "",
+    "4-9-13-13": "",
+    "4-10-10-10": "",
+    "4-10-10-11": "4|l|b4*a-a- 4b*a-a- 4b*aa+-",
+    "4-10-10-12": "4|p|aca-*4+ 4aca-*+,4aac-*-",
+    "4-10-10-13": "",
+    "4-10-11-11": "",
+    "4-10-11-12": "5|d|ba+c4/+ ab+c4/+",
+    "4-10-11-13": "4|p|adb-*4+ 4adb-*+,4abd-*-",
+    "4-10-12-12": "3|p|c4*ca-/ 4c*ca-/,cc*a4-/,ca4+c-* c4a+c-* c4ca--* cac4--*",
+    "4-10-12-13": "3|p|c4da-*+,c4ad-*-,ad-4c-* 4c-ad-* c4-da-*",
+    "4-10-13-13": "",
+    "4-11-11-11": "",
+    "4-11-11-12": "",
+    "4-11-11-13": "",
+    "4-11-12-12": "",
+    "4-11-12-13": "2|l|c4*db-/ 4c*db-/,c4*d-b- 4c*d-b- 4c*bd+- 4c*b-d-,cb4+d-* c4b+d-* c4db--* cbd4--*",
+    "4-11-13-13": "",
+    "4-12-12-12": "3|l|cc*4/c-,c4*c-c- 4c*c-c- 4c*cc+-",
+    "4-12-12-13": "",
+    "4-12-13-13": "",
+    "4-13-13-13": "",
+    "5-5-5-5": "6|dl|55*55/-",
+    "5-5-5-6": "3|l|55*5+6- 555*+6- 5655*-- 55*65--,6555/-* 555/-6*",
+    "5-5-5-7": "",
+    "5-5-5-8": "",
+    "5-5-5-9": "3||95+5+5+ 55+5+9+",
+    "5-5-5-10": "",
+    "5-5-5-11": "",
+    "5-5-5-12": "9|dpl|c55+*5/ 55+c*5/ 55+5/c*",
+    "5-5-5-13": "",
+    "5-5-6-6": "4|p|55*66/-,655+6-* 6565--*",
+    "5-5-6-7": "3|l|75*6-5- 57*6-5- 57*5-6- 57*56+-,55*6+7- 55*76-- 655*+7- 6755*--",
+    "5-5-6-8": "3||86+5+5+ 55+6+8+ 56+5+8+ 65+5+8+",
+    "5-5-6-9": "",
+    "5-5-6-10": "",
+    "5-5-6-11": "3|l|65*5+b- 556*+b- 5b56*-- 56*5+b- 56*b5--,b5-5*6- 5b5-*6-",
+    "5-5-6-12": "",
+    "5-5-6-13": "",
+    "5-5-7-7": "1||77+5+5+ 55+7+7+ 57+5+7+ 75+5+7+,55*77/-,77*55*-,75+75-* 57+75-* 75-57+*",
+    "5-5-7-8": "3|l|55*7+8- 55*87-- 755*+8- 7855*--,855+7-* 55+7-8* 575--8*",
+    "5-5-7-9": "",
+    "5-5-7-10": "9|dpl|75+a*5/ 57+a*5/",
+    "5-5-7-11": "",
+    "5-5-7-12": "",
+    "5-5-7-13": "",
+    "5-5-8-8": "6|dl|55*88/-",
+    "5-5-8-9": "2|l|55*8+9- 55*98-- 855*+9- 8955*--,9558-*-,585-*9+",
+    "5-5-8-10": "6|dp|a5+8*5/ 85a+*5/,85a5/-*",
+    "5-5-8-11": "4|l|85*b-5- 58*b-5- 58*5b+- 58*5-b-",
+    "5-5-8-12": "5|p|c55+8-* 55+8-c* 585--c*",
+    "5-5-8-13": "4|p|8d5-5-* 8d55+-*,58-5d-* 85-d5-*",
+    "5-5-9-9": "6|dl|55*99/-",
+    "5-5-9-10": "4|l|55*9+a- 55*a9-- 955*+a- 9a55*--",
+    "5-5-9-11": "5|p|59-5b-* 95-b5-*",
+    "5-5-9-12": "",
+    "5-5-9-13": "",
+    "5-5-10-10": "6|dl|55*aa/-",
+    "5-5-10-11": "4|l|55*a+b- 55*ba-- a55*+b- ab55*--",
+    "5-5-10-12": "",
+    "5-5-10-13": "5|d|da+55/+ 55/a+d+ a55/+d+",
+    "5-5-11-11": "6|dl|55*bb/-",
+    "5-5-11-12": "2|l|55*b+c- 55*cb-- b55*+c- bc55*--,cb+55/+ 55/b+c+ b55/+c+,c5-5*b- 5c5-*b-",
+    "5-5-11-13": "2|l|db+5+5- 5b+d+5- 5b+5d-- 5d+5b-- 5b+5-d+ 55bd+-- 55d-b-- 55b-d-- b5+d+5- 55-b+d+ bd+55-- b5+5d-- b5+5-d+ b55d+-- b5d-5-- b55-d-- b5-5+d+ d55b+-- d5b-5-- d55-b-- 55b--d+ b55--d+,db+5*5/ 5bd+*5/ 55/bd+* bd+55//,d5*5/b+ b5d*5/+ b55/d*+ bd55//+,db5*5/+ 5b*5/d+ 55/b*d+ b55//d+",
+    "5-5-12-12": "1|l|cc+5+5- 5c+c+5- 5c+5c-- 55cc+-- 55c-c-- c5+c+5- 55-c+c+ cc+55-- c5+5c-- c5+5-c+ c55c+-- c5c-5-- c55-c-- c5-5+c+,cc+5*5/ 5cc+*5/ 55/cc+* cc+55//,55*cc/-,cc5*5/+ c5c*5/+ c55/c*+ cc55//+,cc5-5-* cc55+-*",
+    "5-5-12-13": "3|l|55*c+d- 55*dc-- c55*+d- cd55*--,dc+55/- cd+55/- c55/d-- d55/c-- c55/-d+",
+    "5-5-13-13": "6|dl|55*dd/-",
+    "5-6-6-6": "7|dp|6566/-*",
+    "5-6-6-7": "1||76+6+5+ 56+6+7+ 65+6+7+ 66+5+7+,66*7-5- 66*57+- 66*5-7-,665+7-* 656+7-* 6576--* 6675--*,66+75-*",
+    "5-6-6-8": "4|p|685-*6+ 6685-*+,6658-*-",
+    "5-6-6-9": "4|l|96*65*- 69*56*-",
+    "5-6-6-10": "4|pl|66+a*5/,66a5/-*,6a5-*6-",
+    "5-6-6-11": "",
+    "5-6-6-12": "2|l|65*6+c- 656*+c- 6c56*-- 56*6+c- 56*c6--,c6-5*6- 5c6-*6-,c5*66*- 5c*66*-",
+    "5-6-6-13": "",
+    "5-6-7-7": "7|dp|6577/-*",
+    "5-6-7-8": "3|p|675+8-* 657+8-* 6587--* 6785--*,86*75-/ 68*75-/ 675-/8*,75+86-* 57+86-*",
+    "5-6-7-9": "4|p|975-*6+ 675-9*+,6957-*- 657-9*-",
+    "5-6-7-10": "",
+    "5-6-7-11": "",
+    "5-6-7-12": "3|p|c75+*6/ 57+c*6/ 57+6/c*,c657-*-,c675-*+ 675-*c+",
+    "5-6-7-13": "2|l|76*d-5- 67*d-5- 67*5d+- 67*5-d-,d7+6*5/ 67d+*5/,d7-5*6- 5d7-*6-,65*7+d- 56*7+d- 56*d7-- 756*+d- 7d56*--",
+    "5-6-8-8": "4|p|6588/-*,865+8-* 856+8-* 8586--* 8685--*",
+    "5-6-8-9": "4|p|96+8*5/ 869+*5/,685+9-* 658+9-* 6598--* 6895--*",
+    "5-6-8-10": "2|l|86*5*a/ 68*a5// 65*8*a/ 86*a5// 85*6*a/ 56*8*a/,a85-*6- 85-a*6-,85*a-6- 58*a-6- 58*6a+- 58*6-a-",
+    "5-6-8-11": "",
+    "5-6-8-12": "5|dp|c8+6*5/ 68c+*5/,c6*85-/ 6c*85-/ 685-/c*,85c6/-*",
+    "5-6-8-13": "9|dpl|d5+8*6/ 85d+*6/",
+    "5-6-9-9": "3|p|6599/-*,596-*9+ 9596-*+,9569-*-",
+    "5-6-9-10": "4|p|a9*5/6+ 69a*5/+,695+a-* 659+a-* 65a9--* 69a5--*",
+    "5-6-9-11": "8|dpl|b9+6*5/ 69b+*5/,b5+9*6/ 95b+*6/",
+    "5-6-9-12": "4|p|59-6c-* 95-c6-*,c65+9-* 56+9-c* 596--c* 65+9-c* 695--c*",
+    "5-6-9-13": "5|p|69-5d-* 96-d5-*",
+    "5-6-10-10": "6|dp|aa+6*5/ 6aa+*5/,65aa/-*",
+    "5-6-10-11": "4|p|6a5+b-* 65a+b-* 65ba--* 6ab5--*,6a-5b-* a6-b5-*",
+    "5-6-10-12": "6|dl|ca6*5/+ 6a*5/c+",
+    "5-6-10-13": "4|l|da+6+5- 6a+d+5- a6+d+5- 6a+5d-- 6d+5a-- 6a+5-d+ 65ad+-- 65d-a-- 65a-d-- ad+56-- 65-a+d+ a6+5d-- a6+5-d+ a56d+-- a5d-6-- a56-d-- a5-6+d+ d56a+-- d5a-6-- d56-a-- 65a--d+ a56--d+",
+    "5-6-11-11": "7|dp|65bb/-*",
+    "5-6-11-12": "2|l|cb+6+5- 6b+c+5- b6+c+5- 6b+5c-- 6c+5b-- 6b+5-c+ 65bc+-- 65c-b-- 65b-c-- bc+56-- 65-b+c+ b6+5c-- b6+5-c+ b56c+-- b5c-6-- b56-c-- b5-6+c+ c56b+-- c5b-6-- c56-b-- 65b--c+ b56--c+,6b5+c-* 65b+c-* 65cb--* 6bc5--*,6b5-*c-",
+    "5-6-11-13": "2|p|db+65-* 65-bd+*,db+65-/ bd+65-/,d65-*b+ b65-d*+,d65-/b+ bd65-/+,bd56-*- b56-d*-,bd56-/-,d6-5*b- 5d6-*b-,db56-*- d56-b*-,db56-/-,db65-*+ 65-b*d+,db65-/+ b65-/d+",
+    "5-6-12-12": "2|p|65cc/-*,cc+65-* 65-cc+*,cc+65-/,cc65-*+ c65-c*+,cc65-/+,cc56-*- c56-c*-,cc56-/-",
+    "5-6-12-13": "2|l|dc+5+6- 5c+d+6- 5c+6d-- 5d+6c-- 5c+6-d+ 56cd+-- 56d-c-- 56c-d-- c5+d+6- 56-c+d+ cd+65-- c5+6d-- c5+6-d+ c6d-5-- c65d+-- c65-d-- c6-5+d+ 56c--d+ c65--d+ d6c-5-- d65c+-- d65-c--,6c5+d-* 65c+d-* 65dc--* 6cd5--*,cd6-5-* cd5-6-* cd56+-*",
+    "5-6-13-13": "7|dp|65dd/-*",
+    "5-7-7-7": "",
+    "5-7-7-8": "",
+    "5-7-7-9": "5|p|75+97-* 57+97-*",
+    "5-7-7-10": "4|p|a757-*-,775-*a+",
+    "5-7-7-11": "",
+    "5-7-7-12": "",
+    "5-7-7-13": "",
+    "5-7-8-8": "3|p|87+8*5/ 878+*5/,875-*8+ 875-8*+,8857-*- 857-8*-",
+    "5-7-8-9": "3|l|85*9-7- 58*9-7- 58*79+- 58*7-9-,875+9-* 857+9-* 8597--* 8795--*",
+    "5-7-8-10": "5|p|75+a8-* 57+a8-*",
+    "5-7-8-11": "",
+    "5-7-8-12": "",
+    "5-7-8-13": "",
+    "5-7-9-9": "",
+    "5-7-9-10": "4|p|5a7-*9+ 95a7-*+,957a-*-",
+    "5-7-9-11": "5|p|75+b9-* 57+b9-*",
+    "5-7-9-12": "9|dpl|95+c*7/ 59+c*7/ 59+7/c*",
+    "5-7-9-13": "3|l|d9+7+5- 79+d+5- 97+d+5- 79+5d-- 7d+59-- 79+5-d+ 759d+-- 75d-9-- 759-d-- 9d+57-- 75-9+d+ 97+5d-- 97+5-d+ 957d+-- 95d-7-- 957-d-- 95-7+d+ d579+-- d59-7-- d57-9-- 759--d+ 957--d+,59-7d-* 95-d7-*",
+    "5-7-10-10": "7|dl|a7*5/a+ a7a*5/+",
+    "5-7-10-11": "6|pl|7a5-*b-",
+    "5-7-10-12": "2|l|ca+7+5- 7a+c+5- a7+c+5- 7a+5c-- 7c+5a-- 7a+5-c+ 75ac+-- 75c-a-- 75a-c-- ac+57-- 75-a+c+ a7+5c-- a7+5-c+ a57c+-- a5c-7-- a57-c-- a5-7+c+ c57a+-- c5a-7-- c57-a-- 75a--c+ a57--c+,75+ca-* 57+ca-*,c75+a-* 57+a-c* 5a7--c* 75+a-c* 7a5--c*",
+    "5-7-10-13": "5|p|7a-5d-* a7-d5-*",
+    "5-7-11-11": "3|l|bb+7+5- 7b+b+5- b7+b+5- 7b+5b-- 75bb+-- 75b-b-- bb+57-- 75-b+b+ b7+5b-- b7+5-b+ b57b+-- b5b-7-- b57-b-- b5-7+b+,7b-5b-* 5b-7b-* b5-b7-*",
+    "5-7-11-12": "",
+    "5-7-11-13": "5|p|75+db-* 57+db-*",
+    "5-7-12-12": "5|l|c7*c5*- 7c*5c*-",
+    "5-7-12-13": "",
+    "5-7-13-13": "4|l|dd+5+7- 5d+d+7- 5d+7d-- 57dd+-- 57d-d-- d5+d+7- 57-d+d+ dd+75-- d5+7d-- d5+7-d+ d7d-5-- d75d+-- d75-d--",
+    "5-8-8-8": "3|l|85*8-8- 58*8-8- 58*88+-,88*85*- 88*58*-",
+    "5-8-8-9": "5|pl|98*85-/ 89*85-/,895-*8-",
+    "5-8-8-10": "4|p|a8*5/8+ 88a*5/+,885+a-* 858+a-* 85a8--* 88a5--*",
+    "5-8-8-11": "",
+    "5-8-8-12": "",
+    "5-8-8-13": "4|l|d8+8+5- 88+d+5- 88+5d-- 8d+58-- 88+5-d+ 858d+-- 85d-8-- 858-d-- 85-8+d+ d588+-- d58-8-- 858--d+",
+    "5-8-9-9": "",
+    "5-8-9-10": "",
+    "5-8-9-11": "3|p|895+b-* 859+b-* 85b9--* 89b5--*,5b8-*9+ 95b8-*+,958b-*-,b85-*9- 85-b*9-",
+    "5-8-9-12": "3|l|c9+8+5- 89+c+5- 98+c+5- 89+5c-- 8c+59-- 89+5-c+ 859c+-- 85c-9-- 859-c-- 9c+58-- 85-9+c+ 98+5c-- 98+5-c+ 958c+-- 95c-8-- 958-c-- 95-8+c+ c589+-- c59-8-- c58-9-- 859--c+ 958--c+,c8*95-/ 8c*95-/ 895-/c*",
+    "5-8-9-13": "4|l|95*d-8- 59*d-8- 59*8d+- 59*8-d-",
+    "5-8-10-10": "",
+    "5-8-10-11": "4|l|ba+8+5- 8a+b+5- a8+b+5- 8a+5b-- 8b+5a-- 8a+5-b+ 85ab+-- 85b-a-- 85a-b-- ab+58-- 85-a+b+ a8+5b-- a8+5-b+ a58b+-- a5b-8-- a58-b-- a5-8+b+ b58a+-- b5a-8-- b58-a-- 85a--b+ a58--b+",
+    "5-8-10-12": "5|p|8a5+c-* 85a+c-* 85ca--* 8ac5--*",
+    "5-8-10-13": "",
+    "5-8-11-11": "",
+    "5-8-11-12": "3|p|b5+c*8/ 5b+c*8/ 5b+8/c*,8c-5b-* 5b-8c-* b5-c8-*,c85+b-* 58+b-c* 5b8--c* 85+b-c* 8b5--c*",
+    "5-8-11-13": "4|p|8b5+d-* 85b+d-* 85db--* 8bd5--*,8b-5d-* b8-d5-*",
+    "5-8-12-12": "6|pl|c85-*c- 85-c*c-",
+    "5-8-12-13": "",
+    "5-8-13-13": "",
+    "5-9-9-9": "",
+    "5-9-9-10": "",
+    "5-9-9-11": "4|l|b9+9+5- 99+b+5- 99+5b-- 9b+59-- 99+5-b+ 959b+-- 95b-9-- 959-b-- 95-9+b+ b599+-- b59-9-- 959--b+",
+    "5-9-9-12": "2|l|5c9-*9+ 95c9-*+,959c-*-,95*c-9- 59*c-9- 59*9c+- 59*9-c-,995-*c-",
+    "5-9-9-13": "",
+    "5-9-10-10": "4|l|aa+9+5- 9a+a+5- a9+a+5- 9a+5a-- 95aa+-- 95a-a-- aa+59-- 95-a+a+ a9+5a-- a9+5-a+ a59a+-- a5a-9-- a59-a-- a5-9+a+",
+    "5-9-10-11": "4|l|95*b-a- 59*ab+- 59*b-a- 59*a-b-",
+    "5-9-10-12": "",
+    "5-9-10-13": "3|p|5da-*9+ 95da-*+,d9+a5/+ 9a5/+d+ a5/9+d+,95ad-*-",
+    "5-9-11-11": "",
+    "5-9-11-12": "",
+    "5-9-11-13": "5|p|9d-5b-* 5b-9d-* b5-d9-*",
+    "5-9-12-12": "4|p|c9*c+5/ c9c*+5/,c95+c-* c59+c-* c5c9--* c9c5--*",
+    "5-9-12-13": "4|p|d5+c*9/ c5d+*9/,9c-5d-* c9-d5-*",
+    "5-9-13-13": "",
+    "5-10-10-10": "",
+    "5-10-10-11": "9|dpl|ba*a+5/ aab*+5/",
+    "5-10-10-12": "4|d|ca+a5/+ aa5/+c+ a5/a+c+,ca*a5-/ ac*a5-/ aa5-/c*",
+    "5-10-10-13": "9|dpl|da*a-5/ ad*a-5/",
+    "5-10-11-11": "5|d|bb+a5/+ a5/b+b+ ba5/+b+",
+    "5-10-11-12": "",
+    "5-10-11-13": "",
+    "5-10-12-12": "",
+    "5-10-12-13": "5|p|ca5+d-* c5a+d-* c5da--* cad5--*",
+    "5-10-13-13": "2|l|a5*d-d- 5a*dd+- 5a*d-d-,dd+a5/- da5/d--,ad-5d-* 5d-ad-* d5-da-*",
+    "5-11-11-11": "",
+    "5-11-11-12": "",
+    "5-11-11-13": "",
+    "5-11-12-12": "8|dpl|cb*c-5/ bc*c-5/,cc*b5-/",
+    "5-11-12-13": "",
+    "5-11-13-13": "",
+    "5-12-12-12": "",
+    "5-12-12-13": "",
+    "5-12-13-13": "",
+    "5-13-13-13": "",
+    "6-6-6-6": "2||66+6+6+,66*6-6- 66*66+-",
+    "6-6-6-7": "",
+    "6-6-6-8": "4|p|666+8-* 6686--*,66+86-*",
+    "6-6-6-9": "3|p|696-*6+ 6696-*+,6669-*-,66*6*9/",
+    "6-6-6-10": "4|l|a6*66*- 6a*66*-",
+    "6-6-6-11": "6|pl|6b6-*6-",
+    "6-6-6-12": "6|dp|66c6/-*,c66+*6/ 66+c*6/ 66+6/c*",
+    "6-6-6-13": "",
+    "6-6-7-7": "",
+    "6-6-7-8": "",
+    "6-6-7-9": "4|p|676+9-* 667+9-* 6697--* 6796--*,66+97-*",
+    "6-6-7-10": "4|p|6a7-*6+ 66a7-*+,667a-*-",
+    "6-6-7-11": "5|l|b6*76*- 6b*67*-",
+    "6-6-7-12": "3|l|6c7-*6-,76*c-6- 67*c-6- 67*6c+- 67*6-c-",
+    "6-6-7-13": "",
+    "6-6-8-8": "8|dpl|86*86-/ 68*86-/",
+    "6-6-8-9": "3|p|986-*6+ 686-9*+,6968-*- 668-9*-,866+9-* 8696--*",
+    "6-6-8-10": "4|p|686+a-* 668+a-* 66a8--* 68a6--*,66+a8-*",
+    "6-6-8-11": "4|p|6b8-*6+ 66b8-*+,668b-*-",
+    "6-6-8-12": "2|l|86*6*c/ 68*c6// 66*8*c/ 86*c6//,c6+8*6/ 86c+*6/,c6*86*- 6c*68*-,c668-*-,c686-*+ 686-*c+",
+    "6-6-8-13": "6|pl|6d8-*6-",
+    "6-6-9-9": "",
+    "6-6-9-10": "5|pl|a96-*6- 96-a*6-,a6+9*6/ 96a+*6/",
+    "6-6-9-11": "4|p|696+b-* 669+b-* 66b9--* 69b6--*,66+b9-*",
+    "6-6-9-12": "3|p|6c9-*6+ 66c9-*+,c9*6/6+ 69c*6/+,669c-*-,c6*96-/ 6c*96-/ 696-/c*",
+    "6-6-9-13": "5|l|d6*96*- 6d*69*-",
+    "6-6-10-10": "",
+    "6-6-10-11": "",
+    "6-6-10-12": "3|p|6a6+c-* 66a+c-* 66ca--* 6ac6--*,66+ca-*,6a-6c-* a6-c6-*,c66+a-* 66+a-c* 6a6--c*",
+    "6-6-10-13": "3|p|6da-*6+ 66da-*+,66ad-*-,da+66/+ 66/a+d+ a66/+d+",
+    "6-6-11-11": "",
+    "6-6-11-12": "5|d|cb+66/+ 66/b+c+ b66/+c+",
+    "6-6-11-13": "1|l|db+6+6- 6b+d+6- 6b+6d-- 6d+6b-- 6b+6-d+ 66bd+-- 66d-b-- 66b-d-- b6+d+6- 66-b+d+ bd+66-- b6+6d-- b6+6-d+ b66d+-- b6d-6-- b66-d-- b6-6+d+ d66b+-- d6b-6-- d66-b-- 66b--d+ b66--d+,6b6+d-* 66b+d-* 66db--* 6bd6--*,db+6*6/ 6bd+*6/ 66/bd+* bd+66//,66+db-*,d6*6/b+ b6d*6/+ b66/d*+ bd66//+,db6*6/+ 6b*6/d+ 66/b*d+ b66//d+",
+    "6-6-12-12": "2|l|cc+6+6- 6c+c+6- 6c+6c-- 66cc+-- 66c-c-- c6+c+6- 66-c+c+ cc+66-- c6+6c-- c6+6-c+ c66c+-- c6c-6-- c66-c-- c6-6+c+,cc+6*6/ 6cc+*6/ 66/cc+* cc+66//,cc6*6/+ c6c*6/+ c66/c*+ cc66//+,6c6-*c-",
+    "6-6-12-13": "6|dl|dc+66/- cd+66/- c66/d-- d66/c-- c66/-d+",
+    "6-6-13-13": "",
+    "6-7-7-7": "",
+    "6-7-7-8": "",
+    "6-7-7-9": "",
+    "6-7-7-10": "5|p|677+a-* 67a7--*",
+    "6-7-7-11": "4|l|76*b-7- 67*b-7- 67*7b+- 67*7-b-",
+    "6-7-7-12": "",
+    "6-7-7-13": "",
+    "6-7-8-8": "",
+    "6-7-8-9": "8|dpl|86*97-/ 68*97-/",
+    "6-7-8-10": "2|l|76*a-8- 67*8a+- 67*a-8- 67*8-a-,876+a-* 867+a-* 86a7--* 87a6--*,a768-*-,786-*a+",
+    "6-7-8-11": "4|p|687+b-* 678+b-* 67b8--* 68b7--*,b7+8*6/ 87b+*6/",
+    "6-7-8-12": "9|dpl|86+c*7/ 68+c*7/ 68+7/c*",
+    "6-7-8-13": "",
+    "6-7-9-9": "2|l|997-*6+ 6997-*+,6979-*-,97+9*6/ 979+*6/,76*9-9- 67*99+- 67*9-9-",
+    "6-7-9-10": "",
+    "6-7-9-11": "",
+    "6-7-9-12": "3|p|697+c-* 679+c-* 67c9--* 69c7--*,c679-*-,c697-*+ 697-*c+",
+    "6-7-9-13": "",
+    "6-7-10-10": "6|pl|aa7-*6-",
+    "6-7-10-11": "",
+    "6-7-10-12": "3|l|c6*a7-/ 6c*a7-/ 6a7-/c*,c7*6/a+ a7c*6/+,c7*a6*- 7c*6a*-",
+    "6-7-10-13": "2|l|6a7+d-* 67a+d-* 67da--* 6ad7--*,da+7+6- 7a+d+6- a7+d+6- 7a+6d-- 7d+6a-- 7a+6-d+ 76ad+-- 76d-a-- 76a-d-- ad+67-- 76-a+d+ a7+6d-- a7+6-d+ a67d+-- a6d-7-- a67-d-- a6-7+d+ d67a+-- d6a-7-- d67-a-- 76a--d+ a67--d+,6a-7d-* a6-d7-*",
+    "6-7-11-11": "6|pl|7b6-*b-",
+    "6-7-11-12": "2|l|cb+7+6- 7b+c+6- b7+c+6- 7b+6c-- 7c+6b-- 7b+6-c+ 76bc+-- 76c-b-- 76b-c-- bc+67-- 76-b+c+ b7+6c-- b7+6-c+ b67c+-- b6c-7-- b67-c-- b6-7+c+ c67b+-- c6b-7-- c67-b-- 76b--c+ b67--c+,7b-6c-* b7-c6-*,c76+b-* 67+b-c* 6b7--c* 76+b-c* 7b6--c*",
+    "6-7-11-13": "2|p|db+76-* 76-bd+*,db+76-/ bd+76-/,d76-*b+ b76-d*+,d76-/b+ bd76-/+,bd67-*- b67-d*-,bd67-/-,db67-*- d67-b*-,db67-/-,db76-*+ 76-b*d+,db76-/+ b76-/d+",
+    "6-7-12-12": "2|p|cc+76-* 76-cc+*,cc+76-/,cc76-*+ c76-c*+,cc76-/+,cc67-*- c67-c*-,cc67-/-",
+    "6-7-12-13": "3|l|dc+6+7- 6c+d+7- 6c+7d-- 6d+7c-- 6c+7-d+ 67cd+-- 67d-c-- 67c-d-- c6+d+7- 67-c+d+ cd+76-- c6+7d-- c6+7-d+ c7d-6-- c76d+-- c76-d-- c7-6+d+ 67c--d+ c76--d+ d7c-6-- d76c+-- d76-c--,6d7-*c-",
+    "6-7-13-13": "",
+    "6-8-8-8": "4|p|886-*8+ 8886-*+,8868-*-",
+    "6-8-8-9": "4|l|88+9*6/,98*86*- 89*68*-",
+    "6-8-8-10": "4|pl|86*a8-/ 68*a8-/,a8+8*6/ 88a+*6/,8a6-*8-",
+    "6-8-8-11": "5|p|886+b-* 868+b-* 86b8--* 88b6--*",
+    "6-8-8-12": "4|p|688+c-* 68c8--*,c8*6/8+ 88c*6/+",
+    "6-8-8-13": "",
+    "6-8-9-9": "8|dpl|99+8*6/ 899+*6/,98*96-/ 89*96-/",
+    "6-8-9-10": "4|p|9a8-*6+ 69a8-*+,698a-*-",
+    "6-8-9-11": "8|dpl|86*b9-/ 68*b9-/",
+    "6-8-9-12": "4|p|896+c-* 869+c-* 86c9--* 89c6--*,c98*6/+ 89*6/c+",
+    "6-8-9-13": "3|l|698+d-* 689+d-* 68d9--* 69d8--*,d9+8+6- 89+d+6- 98+d+6- 89+6d-- 8d+69-- 89+6-d+ 869d+-- 86d-9-- 869-d-- 9d+68-- 86-9+d+ 98+6d-- 98+6-d+ 968d+-- 96d-8-- 968-d-- 96-8+d+ d689+-- d69-8-- d68-9-- 869--d+ 968--d+",
+    "6-8-10-10": "",
+    "6-8-10-11": "6|pl|ab8-*6-",
+    "6-8-10-12": "1|l|86*ca-/ 68*ca-/,ca+8+6- 8a+c+6- a8+c+6- 8a+6c-- 8c+6a-- 8a+6-c+ 86ac+-- 86c-a-- 86a-c-- ac+68-- 86-a+c+ a8+6c-- a8+6-c+ a68c+-- a6c-8-- a68-c-- a6-8+c+ c68a+-- c6a-8-- c68-a-- 86a--c+ a68--c+,c8*a6-/ 8c*a6-/ 8a6-/c*,a6+c*8/ 6a+c*8/ 6a+8/c*,c68a-*-,c6a8-*+ 6a8-*c+",
+    "6-8-10-13": "5|p|8a6+d-* 86a+d-* 86da--* 8ad6--*",
+    "6-8-11-11": "4|l|bb+8+6- 8b+b+6- b8+b+6- 8b+6b-- 86bb+-- 86b-b-- bb+68-- 86-b+b+ b8+6b-- b8+6-b+ b68b+-- b6b-8-- b68-b-- b6-8+b+",
+    "6-8-11-12": "9|dpl|c6*b8-/ 6c*b8-/ 6b8-/c*",
+    "6-8-11-13": "3|l|86*db-/ 68*db-/,86*d-b- 68*bd+- 68*d-b- 68*b-d-",
+    "6-8-12-12": "1|l|cc*8/6+ 6cc*8/+,86*c-c- 68*cc+- 68*c-c-,c86+c-* c68+c-* c6c8--* c8c6--*,8c-6c-* 6c-8c-* c6-c8-*,c8*c6*- 8c*6c*-",
+    "6-8-12-13": "",
+    "6-8-13-13": "4|l|dd+6+8- 6d+d+8- 6d+8d-- 68dd+-- 68d-d-- d6+d+8- 68-d+d+ dd+86-- d6+8d-- d6+8-d+ d8d-6-- d86d+-- d86-d--",
+    "6-9-9-9": "",
+    "6-9-9-10": "7|dl|a9*6/9+ 99a*6/+",
+    "6-9-9-11": "3|p|9b9-*6+ 69b9-*+,699b-*-,b96-*9- 96-b*9-",
+    "6-9-9-12": "4|l|c9+9+6- 99+c+6- 99+6c-- 9c+69-- 99+6-c+ 969c+-- 96c-9-- 969-c-- 96-9+c+ c699+-- c69-9-- 969--c+",
+    "6-9-9-13": "",
+    "6-9-10-10": "",
+    "6-9-10-11": "3|l|ba+9+6- 9a+b+6- a9+b+6- 9a+6b-- 9b+6a-- 9a+6-b+ 96ab+-- 96b-a-- 96a-b-- ab+69-- 96-a+b+ a9+6b-- a9+6-b+ a69b+-- a6b-9-- a69-b-- a6-9+b+ b69a+-- b6a-9-- b69-a-- 96a--b+ a69--b+,a9*b6*- 9a*6b*-",
+    "6-9-10-12": "3|p|9ca-*6+ 69ca-*+,69ac-*-,ac9-*6-,9a6-*c-",
+    "6-9-10-13": "",
+    "6-9-11-11": "",
+    "6-9-11-12": "4|p|c69b-*-,c6b9-*+ 6b9-*c+",
+    "6-9-11-13": "4|p|9db-*6+ 69db-*+,69bd-*-",
+    "6-9-12-12": "4|pl|c6*c9-/ 6c*c9-/,c6+c*9/ c6c+*9/,c96-*c- 96-c*c-",
+    "6-9-12-13": "3|d|d9+c6/+ 9c6/+d+ c6/9+d+,c96+d-* c69+d-* c6d9--* c9d6--*,9d-6c-* 6c-9d-* c6-d9-*",
+    "6-9-13-13": "",
+    "6-10-10-10": "4|l|aa+a+6- aa+6a-- a6aa+-- a6a-a-- a6-a+a+",
+    "6-10-10-11": "",
+    "6-10-10-12": "",
+    "6-10-10-13": "6|pl|ada-*6-",
+    "6-10-11-11": "",
+    "6-10-11-12": "9|dpl|ca*b6-/ ac*b6-/ ab6-/c*",
+    "6-10-11-13": "",
+    "6-10-12-12": "3|d|ca+c6/+ ac+c6/+ c6/a+c+,c6ca-*+,c6ac-*-",
+    "6-10-12-13": "9|dpl|c6*da-/ 6c*da-/",
+    "6-10-13-13": "",
+    "6-11-11-11": "",
+    "6-11-11-12": "5|d|bb+c6/+",
+    "6-11-11-13": "",
+    "6-11-12-12": "9|dpl|cb*c+6/ cbc*+6/",
+    "6-11-12-13": "4|p|c6db-*+,c6bd-*-",
+    "6-11-13-13": "",
+    "6-12-12-12": "9|dpl|cc*c6-/",
+    "6-12-12-13": "9|dpl|dc*c-6/ cd*c-6/",
+    "6-12-13-13": "6|dl|dd+c6/- dc6/d--",
+    "6-13-13-13": "",
+    "7-7-7-7": "",
+    "7-7-7-8": "",
+    "7-7-7-9": "",
+    "7-7-7-10": "",
+    "7-7-7-11": "",
+    "7-7-7-12": "9|dpl|77+c*7/ 77+7/c*",
+    "7-7-7-13": "",
+    "7-7-8-8": "",
+    "7-7-8-9": "",
+    "7-7-8-10": "",
+    "7-7-8-11": "5|p|877+b-* 87b7--*",
+    "7-7-8-12": "",
+    "7-7-8-13": "",
+    "7-7-9-9": "",
+    "7-7-9-10": "4|p|a779-*-,797-*a+",
+    "7-7-9-11": "",
+    "7-7-9-12": "",
+    "7-7-9-13": "",
+    "7-7-10-10": "",
+    "7-7-10-11": "",
+    "7-7-10-12": "",
+    "7-7-10-13": "5|d|da+77/+ 77/a+d+ a77/+d+",
+    "7-7-11-11": "",
+    "7-7-11-12": "4|d|cb+77/+ 77/b+c+ b77/+c+,7c7-*b-",
+    "7-7-11-13": "1|l|db+7+7- 7b+d+7- 7b+7d-- 7d+7b-- 7b+7-d+ 77bd+-- 77d-b-- 77b-d-- b7+d+7- 77-b+d+ bd+77-- b7+7d-- b7+7-d+ b77d+-- b7d-7-- b77-d-- b7-7+d+ d77b+-- d7b-7-- d77-b-- 77b--d+ b77--d+,db+7*7/ 7bd+*7/ 77/bd+* bd+77//,d7*7/b+ b7d*7/+ b77/d*+ bd77//+,7b-7d-* b7-d7-*,db7*7/+ 7b*7/d+ 77/b*d+ b77//d+",
+    "7-7-12-12": "2|l|cc+7+7- 7c+c+7- 7c+7c-- 77cc+-- 77c-c-- c7+c+7- 77-c+c+ cc+77-- c7+7c-- c7+7-c+ c77c+-- c7c-7-- c77-c-- c7-7+c+,cc+7*7/ 7cc+*7/ 77/cc+* cc+77//,cc7*7/+ c7c*7/+ c77/c*+ cc77//+,c77+c-* c7c7--*",
+    "7-7-12-13": "3|l|77*d-c- 77*cd+- 77*c-d-,dc+77/- cd+77/- c77/d-- d77/c-- c77/-d+",
+    "7-7-13-13": "",
+    "7-8-8-8": "",
+    "7-8-8-9": "4|p|897-*8+ 8897-*+,8879-*-",
+    "7-8-8-10": "5|l|a8*87*- 8a*78*-",
+    "7-8-8-11": "6|pl|8b7-*8-",
+    "7-8-8-12": "5|p|887+c-* 878+c-* 87c8--* 88c7--*",
+    "7-8-8-13": "9|dpl|d8+8*7/ 88d+*7/",
+    "7-8-9-9": "",
+    "7-8-9-10": "9|dpl|98*a7-/ 89*a7-/",
+    "7-8-9-11": "",
+    "7-8-9-12": "8|dpl|c9+8*7/ 89c+*7/,97+c*8/ 79+c*8/ 79+8/c*",
+    "7-8-9-13": "5|p|897+d-* 879+d-* 87d9--* 89d7--*",
+    "7-8-10-10": "4|p|7a8-*a+ a7a8-*+,a78a-*-",
+    "7-8-10-11": "9|dpl|ba+8*7/ 8ab+*7/",
+    "7-8-10-12": "",
+    "7-8-10-13": "4|l|da+8+7- 8a+d+7- a8+d+7- 8a+7d-- 8d+7a-- 8a+7-d+ 87ad+-- 87d-a-- 87a-d-- ad+78-- 87-a+d+ a8+7d-- a8+7-d+ a78d+-- a7d-8-- a78-d-- a7-8+d+ d78a+-- d7a-8-- d78-a-- 87a--d+ a78--d+",
+    "7-8-11-11": "",
+    "7-8-11-12": "3|l|cb+8+7- 8b+c+7- b8+c+7- 8b+7c-- 8c+7b-- 8b+7-c+ 87bc+-- 87c-b-- 87b-c-- bc+78-- 87-b+c+ b8+7c-- b8+7-c+ b78c+-- b7c-8-- b78-c-- b7-8+c+ c78b+-- c7b-8-- c78-b-- 87b--c+ b78--c+,c8*b7-/ 8c*b7-/ 8b7-/c*",
+    "7-8-11-13": "2|p|db+87-* 87-bd+*,db+87-/ bd+87-/,d87-*b+ b87-d*+,d87-/b+ bd87-/+,bd78-*- b78-d*-,bd78-/-,7d8-*b-,db78-*- d78-b*-,db78-/-,db87-*+ 87-b*d+,db87-/+ b87-/d+",
+    "7-8-12-12": "2|p|cc+87-* 87-cc+*,cc+87-/,cc87-*+ c87-c*+,cc87-/+,cc78-*- c78-c*-,cc78-/-",
+    "7-8-12-13": "2|l|dc+7+8- 7c+d+8- 7c+8d-- 7d+8c-- 7c+8-d+ 78cd+-- 78d-c-- 78c-d-- c7+d+8- 78-c+d+ cd+87-- c7+8d-- c7+8-d+ c8d-7-- c87d+-- c87-d-- c8-7+d+ 78c--d+ c87--d+ d8c-7-- d87c+-- d87-c--,c87+d-* c78+d-* c7d8--* c8d7--*,8c-7d-* c8-d7-*",
+    "7-8-13-13": "",
+    "7-9-9-9": "",
+    "7-9-9-10": "",
+    "7-9-9-11": "",
+    "7-9-9-12": "",
+    "7-9-9-13": "4|l|d9+9+7- 99+d+7- 99+7d-- 9d+79-- 99+7-d+ 979d+-- 97d-9-- 979-d-- 97-9+d+ d799+-- d79-9-- 979--d+",
+    "7-9-10-10": "",
+    "7-9-10-11": "3|p|ba7-*9- a7-b*9-,7b9-*a+ a7b9-*+,a79b-*-",
+    "7-9-10-12": "4|l|ca+9+7- 9a+c+7- a9+c+7- 9a+7c-- 9c+7a-- 9a+7-c+ 97ac+-- 97c-a-- 97a-c-- ac+79-- 97-a+c+ a9+7c-- a9+7-c+ a79c+-- a7c-9-- a79-c-- a7-9+c+ c79a+-- c7a-9-- c79-a-- 97a--c+ a79--c+",
+    "7-9-10-13": "",
+    "7-9-11-11": "4|l|bb+9+7- 9b+b+7- b9+b+7- 9b+7b-- 97bb+-- 97b-b-- bb+79-- 97-b+b+ b9+7b-- b9+7-b+ b79b+-- b7b-9-- b79-b-- b7-9+b+",
+    "7-9-11-12": "5|pl|b7+c*9/ 7b+c*9/ 7b+9/c*,9b7-*c-",
+    "7-9-11-13": "",
+    "7-9-12-12": "5|l|c9*c7*- 9c*7c*-",
+    "7-9-12-13": "",
+    "7-9-13-13": "3|l|dd+7+9- 7d+d+9- 7d+9d-- 79dd+-- 79d-d-- d7+d+9- 79-d+d+ dd+97-- d7+9d-- d7+9-d+ d9d-7-- d97d+-- d97-d--,9d-7d-* 7d-9d-* d7-d9-*",
+    "7-10-10-10": "",
+    "7-10-10-11": "4|l|ba+a+7- aa+b+7- aa+7b-- ab+7a-- aa+7-b+ a7ab+-- a7b-a-- a7a-b-- a7-a+b+ b7aa+-- b7a-a-- a7a--b+",
+    "7-10-10-12": "4|p|7ca-*a+ a7ca-*+,a7ac-*-",
+    "7-10-10-13": "",
+    "7-10-11-11": "",
+    "7-10-11-12": "",
+    "7-10-11-13": "4|p|7db-*a+ a7db-*+,a7bd-*-",
+    "7-10-12-12": "5|pl|ca*c7-/ ac*c7-/,ca7-*c- a7-c*c-",
+    "7-10-12-13": "9|dpl|d7+c*a/ c7d+*a/",
+    "7-10-13-13": "",
+    "7-11-11-11": "",
+    "7-11-11-12": "",
+    "7-11-11-13": "",
+    "7-11-12-12": "",
+    "7-11-12-13": "",
+    "7-11-13-13": "",
+    "7-12-12-12": "",
+    "7-12-12-13": "8|dpl|dc*c+7/ ccd*+7/,cc*d7-/",
+    "7-12-13-13": "",
+    "7-13-13-13": "",
+    "8-8-8-8": "",
+    "8-8-8-9": "",
+    "8-8-8-10": "4|p|8a8-*8+ 88a8-*+,888a-*-",
+    "8-8-8-11": "5|l|b8*88*- 8b*88*-",
+    "8-8-8-12": "5|pl|8c8-*8-,88+c*8/ 88+8/c*",
+    "8-8-8-13": "5|p|888+d-* 88d8--*",
+    "8-8-9-9": "",
+    "8-8-9-10": "",
+    "8-8-9-11": "3|p|8b9-*8+ 88b9-*+,889b-*-,98*b8-/ 89*b8-/",
+    "8-8-9-12": "5|l|c8*98*- 8c*89*-",
+    "8-8-9-13": "6|pl|8d9-*8-",
+    "8-8-10-10": "",
+    "8-8-10-11": "",
+    "8-8-10-12": "4|p|8ca-*8+ 88ca-*+,88ac-*-",
+    "8-8-10-13": "4|d|da+88/+ 88/a+d+ a88/+d+,d8*a8*- 8d*8a*-",
+    "8-8-11-11": "",
+    "8-8-11-12": "5|d|cb+88/+ 88/b+c+ b88/+c+",
+    "8-8-11-13": "1|l|8db-*8+ 88db-*+,db+8+8- 8b+d+8- 8b+8d-- 8d+8b-- 8b+8-d+ 88bd+-- 88d-b-- 88b-d-- b8+d+8- 88-b+d+ bd+88-- b8+8d-- b8+8-d+ b88d+-- b8d-8-- b88-d-- b8-8+d+ d88b+-- d8b-8-- d88-b-- 88b--d+ b88--d+,88bd-*-,db+8*8/ 8bd+*8/ 88/bd+* bd+88//,d8*8/b+ b8d*8/+ b88/d*+ bd88//+,db8*8/+ 8b*8/d+ 88/b*d+ b88//d+",
+    "8-8-12-12": "2|l|cc+8+8- 8c+c+8- 8c+8c-- 88cc+-- 88c-c-- c8+c+8- 88-c+c+ cc+88-- c8+8c-- c8+8-c+ c88c+-- c8c-8-- c88-c-- c8-8+c+,cc+8*8/ 8cc+*8/ 88/cc+* cc+88//,c8*c8-/ 8c*c8-/,cc8*8/+ c8c*8/+ c88/c*+ cc88//+",
+    "8-8-12-13": "6|dl|dc+88/- cd+88/- c88/d-- d88/c-- c88/-d+",
+    "8-8-13-13": "",
+    "8-9-9-9": "",
+    "8-9-9-10": "",
+    "8-9-9-11": "",
+    "8-9-9-12": "9|dpl|98*c9-/ 89*c9-/",
+    "8-9-9-13": "",
+    "8-9-10-10": "",
+    "8-9-10-11": "",
+    "8-9-10-12": "6|dl|ca*8/9+ 9ac*8/+,a8+c*9/ 8a+c*9/ 8a+9/c*",
+    "8-9-10-13": "3|l|98*da-/ 89*da-/,da+9+8- 9a+d+8- a9+d+8- 9a+8d-- 9d+8a-- 9a+8-d+ 98ad+-- 98d-a-- 98a-d-- ad+89-- 98-a+d+ a9+8d-- a9+8-d+ a89d+-- a8d-9-- a89-d-- a8-9+d+ d89a+-- d8a-9-- d89-a-- 98a--d+ a89--d+",
+    "8-9-11-11": "6|pl|bb8-*9-",
+    "8-9-11-12": "4|l|cb+9+8- 9b+c+8- b9+c+8- 9b+8c-- 9c+8b-- 9b+8-c+ 98bc+-- 98c-b-- 98b-c-- bc+89-- 98-b+c+ b9+8c-- b9+8-c+ b89c+-- b8c-9-- b89-c-- b8-9+c+ c89b+-- c8b-9-- c89-b-- 98b--c+ b89--c+",
+    "8-9-11-13": "2|p|db+98-* 98-bd+*,db+98-/ bd+98-/,d98-*b+ b98-d*+,d98-/b+ bd98-/+,bd89-*- b89-d*-,bd89-/-,db89-*- d89-b*-,db89-/-,db98-*+ 98-b*d+,db98-/+ b98-/d+",
+    "8-9-12-12": "2|p|cc*9/8+ 8cc*9/+,cc+98-* 98-cc+*,cc+98-/,cc98-*+ c98-c*+,cc98-/+,cc89-*- c89-c*-,cc89-/-,9c8-*c-",
+    "8-9-12-13": "3|l|dc+8+9- 8c+d+9- 8c+9d-- 8d+9c-- 8c+9-d+ 89cd+-- 89d-c-- 89c-d-- c8+d+9- 89-c+d+ cd+98-- c8+9d-- c8+9-d+ c9d-8-- c98d+-- c98-d-- c9-8+d+ 89c--d+ c98--d+ d9c-8-- d98c+-- d98-c--,c8*d9-/ 8c*d9-/",
+    "8-9-13-13": "",
+    "8-10-10-10": "",
+    "8-10-10-11": "",
+    "8-10-10-12": "4|l|ca+a+8- aa+c+8- aa+8c-- ac+8a-- aa+8-c+ a8ac+-- a8c-a-- a8a-c-- a8-a+c+ c8aa+-- c8a-a-- a8a--c+",
+    "8-10-10-13": "",
+    "8-10-11-11": "4|l|bb+a+8- ab+b+8- ba+b+8- ab+8b-- a8bb+-- a8b-b-- bb+8a-- a8-b+b+ ba+8b-- ba+8-b+ b8ab+-- b8b-a-- b8a-b-- b8-a+b+",
+    "8-10-11-12": "",
+    "8-10-11-13": "",
+    "8-10-12-12": "4|l|c8+c*a/ c8c+*a/,ca*c8*- ac*8c*-",
+    "8-10-12-13": "9|dpl|ca*d8-/ ac*d8-/",
+    "8-10-13-13": "4|l|dd+8+a- 8d+d+a- 8d+ad-- 8add+-- 8ad-d-- d8+d+a- 8a-d+d+ dd+a8-- d8+ad-- d8+a-d+ dad-8-- da8d+-- da8-d--",
+    "8-11-11-11": "",
+    "8-11-11-12": "",
+    "8-11-11-13": "",
+    "8-11-12-12": "6|pl|cb8-*c- b8-c*c-",
+    "8-11-12-13": "",
+    "8-11-13-13": "",
+    "8-12-12-12": "",
+    "8-12-12-13": "",
+    "8-12-13-13": "",
+    "8-13-13-13": "",
+    "9-9-9-9": "",
+    "9-9-9-10": "",
+    "9-9-9-11": "",
+    "9-9-9-12": "9|dpl|99+c*9/ 99+9/c*",
+    "9-9-9-13": "",
+    "9-9-10-10": "",
+    "9-9-10-11": "",
+    "9-9-10-12": "",
+    "9-9-10-13": "5|d|da+99/+ 99/a+d+ a99/+d+",
+    "9-9-11-11": "",
+    "9-9-11-12": "4|d|bc9-*9-,cb+99/+ 99/b+c+ b99/+c+",
+    "9-9-11-13": "2|l|db+9+9- 9b+d+9- 9b+9d-- 9d+9b-- 9b+9-d+ 99bd+-- 99d-b-- 99b-d-- b9+d+9- 99-b+d+ bd+99-- b9+9d-- b9+9-d+ b99d+-- b9d-9-- b99-d-- b9-9+d+ d99b+-- d9b-9-- d99-b-- 99b--d+ b99--d+,db+9*9/ 9bd+*9/ 99/bd+* bd+99//,d9*9/b+ b9d*9/+ b99/d*+ bd99//+,db9*9/+ 9b*9/d+ 99/b*d+ b99//d+",
+    "9-9-12-12": "2|l|cc+9+9- 9c+c+9- 9c+9c-- 99cc+-- 99c-c-- c9+c+9- 99-c+c+ cc+99-- c9+9c-- c9+9-c+ c99c+-- c9c-9-- c99-c-- c9-9+c+,cc+9*9/ 9cc+*9/ 99/cc+* cc+99//,cc9*9/+ c9c*9/+ c99/c*+ cc99//+",
+    "9-9-12-13": "5|dl|dc+99/- cd+99/- c99/d-- d99/c-- c99/-d+,9d9-*c-",
+    "9-9-13-13": "",
+    "9-10-10-10": "",
+    "9-10-10-11": "",
+    "9-10-10-12": "",
+    "9-10-10-13": "4|l|da+a+9- aa+d+9- aa+9d-- ad+9a-- aa+9-d+ a9ad+-- a9d-a-- a9a-d-- a9-a+d+ d9aa+-- d9a-a-- a9a--d+",
+    "9-10-11-11": "",
+    "9-10-11-12": "3|l|cb+a+9- ab+c+9- ba+c+9- ab+9c-- ac+9b-- ab+9-c+ a9bc+-- a9c-b-- a9b-c-- bc+9a-- a9-b+c+ ba+9c-- ba+9-c+ b9ac+-- b9c-a-- b9a-c-- b9-a+c+ c9ab+-- c9b-a-- c9a-b-- a9b--c+ b9a--c+,b9+c*a/ 9b+c*a/ 9b+a/c*",
+    "9-10-11-13": "2|p|bda-*9-,db+a9-* a9-bd+*,db+a9-/ bd+a9-/,da9-*b+ ba9-d*+,da9-/b+ bda9-/+,bd9a-*- b9a-d*-,bd9a-/-,db9a-*- d9a-b*-,db9a-/-,dba9-*+ a9-b*d+,dba9-/+ ba9-/d+",
+    "9-10-12-12": "2|p|cc+a9-* a9-cc+*,cc+a9-/,cca9-*+ ca9-c*+,cca9-/+,cc9a-*- c9a-c*-,cc9a-/-",
+    "9-10-12-13": "4|l|dc+9+a- 9c+d+a- 9c+ad-- 9d+ac-- 9c+a-d+ 9acd+-- 9ad-c-- 9ac-d-- c9+d+a- 9a-c+d+ cd+a9-- c9+ad-- c9+a-d+ cad-9-- ca9d+-- ca9-d-- ca-9+d+ 9ac--d+ ca9--d+ dac-9-- da9c+-- da9-c--",
+    "9-10-13-13": "",
+    "9-11-11-11": "4|l|bb+b+9- bb+9b-- b9bb+-- b9b-b-- b9-b+b+",
+    "9-11-11-12": "",
+    "9-11-11-13": "",
+    "9-11-12-12": "5|l|cb*c9*- bc*9c*-",
+    "9-11-12-13": "9|dpl|d9+c*b/ c9d+*b/",
+    "9-11-13-13": "4|l|dd+9+b- 9d+d+b- 9d+bd-- 9bdd+-- 9bd-d-- d9+d+b- 9b-d+d+ dd+b9-- d9+bd-- d9+b-d+ dbd-9-- db9d+-- db9-d--",
+    "9-12-12-12": "6|pl|cc9-*c-",
+    "9-12-12-13": "",
+    "9-12-13-13": "",
+    "9-13-13-13": "",
+    "10-10-10-10": "",
+    "10-10-10-11": "",
+    "10-10-10-12": "9|dpl|aa+c*a/ aa+a/c*",
+    "10-10-10-13": "5|d|da+aa/+ aaa/+d+ aa/a+d+",
+    "10-10-11-11": "",
+    "10-10-11-12": "5|d|cb+aa/+ aa/b+c+ baa/+c+",
+    "10-10-11-13": "2|l|db+a+a- ab+d+a- ab+ad-- ad+ab-- ab+a-d+ aabd+-- aad-b-- aab-d-- ba+d+a- aa-b+d+ bd+aa-- ba+ad-- ba+a-d+ baad+-- bad-a-- baa-d-- ba-a+d+ daab+-- dab-a-- daa-b-- aab--d+ baa--d+,db+a*a/ abd+*a/ aa/bd+* bd+aa//,da*a/b+ bad*a/+ baa/d*+ bdaa//+,dba*a/+ ab*a/d+ aa/b*d+ baa//d+",
+    "10-10-12-12": "2|l|cc+a+a- ac+c+a- ac+ac-- aacc+-- aac-c-- ca+c+a- aa-c+c+ cc+aa-- ca+ac-- ca+a-c+ caac+-- cac-a-- caa-c-- ca-a+c+,cc+a*a/ acc+*a/ aa/cc+* cc+aa//,cca*a/+ cac*a/+ caa/c*+ ccaa//+",
+    "10-10-12-13": "6|dl|dc+aa/- cd+aa/- caa/d-- daa/c-- caa/-d+",
+    "10-10-13-13": "",
+    "10-11-11-11": "",
+    "10-11-11-12": "4|l|cb+b+a- bb+c+a- bb+ac-- bc+ab-- bb+a-c+ babc+-- bac-b-- bab-c-- ba-b+c+ cabb+-- cab-b-- bab--c+",
+    "10-11-11-13": "2|d|da+bb/+ abb/+d+ bb/a+d+,dba-*b+ bba-d*+,dba-/b+ bdba-/+,bdab-*- bab-d*-,bdab-/-,db+ba-* ba-bd+*,db+ba-/ bd+ba-/,dbba-*+ bba-*d+,dbba-/+ bba-/d+,dbab-*-,dbab-/-",
+    "10-11-12-12": "2|p|ca+c*b/ cac+*b/,cc+ba-* ba-cc+*,cc+ba-/,ccba-*+ cba-c*+,ccba-/+,ccab-*- cab-c*-,ccab-/-",
+    "10-11-12-13": "4|l|dc+a+b- ac+d+b- ac+bd-- ad+bc-- ac+b-d+ abcd+-- abd-c-- abc-d-- ca+d+b- ab-c+d+ cd+ba-- ca+bd-- ca+b-d+ cbd-a-- cbad+-- cba-d-- cb-a+d+ abc--d+ cba--d+ dbc-a-- dbac+-- dba-c--",
+    "10-11-13-13": "",
+    "10-12-12-12": "5|l|cc*ca*- cc*ac*-",
+    "10-12-12-13": "4|d|da+cc/+ acc/+d+ cc/a+d+,cda-*c-",
+    "10-12-13-13": "4|l|dd+a+c- ad+d+c- ad+cd-- acdd+-- acd-d-- da+d+c- ac-d+d+ dd+ca-- da+cd-- da+c-d+ dcd-a-- dcad+-- dca-d--",
+    "10-13-13-13": "5|d|da+dd/+ ad+dd/+",
+    "11-11-11-11": "",
+    "11-11-11-12": "4|d|cb+bb/+ bbb/+c+ bb/b+c+,bb+c*b/ bb+b/c*",
+    "11-11-11-13": "2|l|db+b+b- bb+d+b- bb+bd-- bb+b-d+ bd+bb-- bbbd+-- bbd-b-- bbb-d-- bb-b+d+ dbbb+-- dbb-b-- bbb--d+,db*b/b+ bbd*b/+ bbb/d*+ bdbb//+,db+b*b/ bbd+*b/ bb/bd+* bd+bb//,dbb*b/+ bb*b/d+ bbb//d+",
+    "11-11-12-12": "2|l|cc+b+b- bc+c+b- bc+bc-- bbcc+-- bbc-c-- cb+c+b- bb-c+c+ cc+bb-- cb+bc-- cb+b-c+ cbbc+-- cbc-b-- cbb-c-- cb-b+c+,cc+b*b/ bcc+*b/ bb/cc+* cc+bb//,ccb*b/+ cbc*b/+ cbb/c*+ ccbb//+",
+    "11-11-12-13": "2|p|dcb-*b+ bcb-d*+,dcb-/b+ bdcb-/+,bdbc-*- bbc-d*-,bdbc-/-,dc+bb/- cd+bb/- cbb/d-- dbb/c-- cbb/-d+,db+cb-* cb-bd+*,db+cb-/ bd+cb-/,dbbc-*-,dbbc-/-,dbcb-*+ bcb-*d+,dbcb-/+ bcb-/d+",
+    "11-11-13-13": "",
+    "11-12-12-12": "2|d|cb+cc/+ bc+cc/+,cccb-*+,cccb-/+,ccbc-*-,ccbc-/-,cc+cb-* cb-cc+*,cc+cb-/",
+    "11-12-12-13": "1|l|dc+b+c- bc+d+c- bc+cd-- bc+c-d+ bd+cc-- bccd+-- bcd-c-- bcc-d-- cb+d+c- cb+cd-- cb+c-d+ cd+cb-- ccd-b-- ccbd+-- ccb-d-- bc-c+d+ cc-b+d+ bcc--d+ ccb--d+ dcc-b-- dcbc+-- dcb-c--,dc*c/b+ bcd*c/+ bcc/d*+ bdcc//+,db+c*c/ cbd+*c/ cc/bd+* bd+cc//,dc*cb*- cd*bc*-,dcb*c/+ bc*c/d+ bcc//d+",
+    "11-12-13-13": "2|d|cb+dd/+ bc+dd/+,ddc-*b+ bddc-*+,ddc-/b+ bddc-/+,bdcd-*-,bdcd-/-,dbdc-*+,dbdc-/+,dbcd-*-,dbcd-/-,db+dc-* bd+dc-*,db+dc-/ bd+dc-/",
+    "11-13-13-13": "2|l|dd+b+d- bd+d+d- bd+dd-- bddd+-- bdd-d-- db+d+d- db+dd-- dd+db-- ddd-b-- ddbd+-- ddb-d-- bd-d+d+,dd*d/b+ bdd*d/+ bddd//+,ddb*d/+ dbd*d/+ dbdd//+,db+d*d/ dbd+*d/ bd+d*d/ bd+dd//",
+    "12-12-12-12": "2|l|cc+c+c- cc+cc-- cccc+-- ccc-c-- cc-c+c+,ccc*c/+ cccc//+,cc+c*c/ ccc+*c/ cc+cc// cc/cc+*",
+    "12-12-12-13": "2|p|ccdc-*+,ccdc-/+,dc+cc/- cd+cc/- ccc/d-- ccc/-d+ dcc/c--,cccd-*-,cccd-/-,cc+dc-*,cc+dc-/",
+    "12-12-13-13": "2|l|dc+c+d- cc+d+d- cc+dd-- cd+c+d- cd+dc-- cdd-c-- cdcd+-- cdc-d-- dc+dc-- ddc-c-- ddcc+-- cd-c+d+,cdc*d/+ ccd*d/+ ccdd//+,cc+d*d/ cc+dd//",
+    "12-13-13-13": "5|dl|dc+dd/- cd+dd/- cdd/d-- ddd/c--,dd+c*d/ cdd+*d/",
+    "13-13-13-13": ""
+};
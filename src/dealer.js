@@ -0,0 +1,145 @@
+import { Generator } from './generator.js';
+
+/**
+ * Promise-based front for Generator that does the work in a Web Worker,
+ * so dealing never freezes the page (animations, speech, taps).
+ *
+ * Only one deal runs at a time: starting another one, or cancel(), rejects
+ * the running one with DealError 'cancelled'. A deal that takes longer than
+ * TIMEOUT ms is stopped with DealError 'timeout'. Where workers aren't
+ * available the Generator runs on the page instead, after a repaint.
+ */
+export class DealError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'DealError';
+        this.code = code; // 'cancelled' | 'timeout' | 'failed'
+    }
+}
+
+export class Dealer {
+    // Give up on the requested difficulty after this long (see Generator.generate)
+    static SEARCH_TIME = 3000;
+    // Stop the worker altogether after this long
+    static TIMEOUT = 15000;
+
+    constructor(settings, { useWorker = typeof Worker !== 'undefined' } = {}) {
+        this.settings = { ...settings };
+        this.generator = new Generator(settings);
+        this.solver = this.generator.solver;
+        this.useWorker = useWorker;
+        this.worker = null;
+        this.job = null; // { id, resolve, reject, timer }
+        this.nextId = 1;
+    }
+
+    generate({ difficulty = null, seed } = {}) {
+        return this._run('generate', [{ difficulty, seed, timeLimit: Dealer.SEARCH_TIME }]);
+    }
+
+    describe(numbers, { suits = null, seed = null } = {}) {
+        return this._run('describe', [numbers, { suits, seed }]);
+    }
+
+    cancel() {
+        if (!this.job) return;
+
+        // A worker can't be interrupted mid-search: drop it, the next deal starts a fresh one
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this._finish(this.job.id, job => job.reject(new DealError('cancelled', 'Deal cancelled')));
+    }
+
+    // Stops any deal and frees the worker (e.g. when the settings change)
+    close() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    _run(method, args) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                if (this.worker) {
+                    this.worker.terminate();
+                    this.worker = null;
+                }
+                this._finish(id, job => job.reject(new DealError('timeout', `Dealing took over ${Dealer.TIMEOUT} ms`)));
+            }, Dealer.TIMEOUT);
+            this.job = { id, method, args, resolve, reject, timer };
+
+            const worker = this.useWorker && this._ensureWorker();
+            if (worker) {
+                worker.postMessage({ id, settings: this.settings, method, args });
+            } else {
+                this._runHere(this.job);
+            }
+        });
+    }
+
+    // Without a worker; the skeleton cards still get to paint before the page is busy
+    _runHere({ id, method, args }) {
+        setTimeout(() => {
+            if (!this.job || this.job.id !== id) return;
+            try {
+                const hand = this.generator[method](...args);
+                this._finish(id, job => job.resolve(hand));
+            } catch (e) {
+                this._finish(id, job => job.reject(new DealError('failed', e.message)));
+            }
+        }, 0);
+    }
+
+    _ensureWorker() {
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            // e.g. an older browser without module workers: deal on the page from now on
+            console.warn("Dealing without a worker:", e);
+            this.useWorker = false;
+            return null;
+        }
+
+        this.worker.onmessage = ({ data: { id, hand, error } }) => {
+            this._finish(id, job => (error
+                ? job.reject(new DealError('failed', error))
+                : job.resolve(this._unpack(hand))));
+        };
+        this.worker.onerror = event => {
+            // The worker script failed to load or crashed: deal on the page from now on
+            event.preventDefault();
+            console.warn("Dealer worker failed:", event.message);
+            this.worker.terminate();
+            this.worker = null;
+            this.useWorker = false;
+            if (this.job) this._runHere(this.job);
+        };
+        return this.worker;
+    }
+
+    // Settles the job with this id, if it is still the running one
+    _finish(id, settle) {
+        if (!this.job || this.job.id !== id) return;
+        const job = this.job;
+        this.job = null;
+        clearTimeout(job.timer);
+        settle(job);
+    }
+
+    // Rebuilds the solution objects (with their Fraction values) from the worker's trees
+    _unpack(hand) {
+        return {
+            ...hand,
+            solutions: hand.solutions.map(({ tree, signature, variants }) => this.solver.fromTree(tree, signature, variants))
+        };
+    }
+}
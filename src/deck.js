@@ -0,0 +1,92 @@
+import { createRandom, randomSeed } from './random.js';
+import { SUITS } from './cards.js';
+
+/**
+ * 一副牌: a shuffled 52-card deck, dealt a hand at a time without putting
+ * cards back, the way the game is played with real cards. The round is over
+ * when fewer cards are left than a hand needs.
+ *
+ * Every hand dealt gets one outcome, for the score at the end:
+ *   'solved'    the target was made
+ *   'no-answer' 没有答案, and the hand really has none
+ *   'missed'    没有答案, but the hand has a solution
+ *   'skipped'   a hand without an answer, put aside unplayed
+ *   'passed'    moved on (or looked at the answers) without solving it
+ */
+export const DECK_OUTCOMES = ['solved', 'no-answer', 'missed', 'skipped', 'passed'];
+
+export class Deck {
+    static SIZE = 52;
+
+    // The same seed always shuffles the same deck
+    constructor(seed = randomSeed()) {
+        this.seed = seed;
+        this.cards = Deck.shuffle(seed);
+        this.dealt = 0;
+        this.hands = []; // { numbers, suits, outcome }
+    }
+
+    get remaining() {
+        return this.cards.length - this.dealt;
+    }
+
+    get current() {
+        return this.hands[this.hands.length - 1] || null;
+    }
+
+    canDeal(handSize) {
+        return this.remaining >= handSize;
+    }
+
+    // Returns { numbers, suits } for the next hand, or null when the deck has run out.
+    // A hand left without an outcome counts as passed.
+    deal(handSize) {
+        if (!this.canDeal(handSize)) return null;
+        this.record('passed');
+
+        const cards = this.cards.slice(this.dealt, this.dealt + handSize);
+        this.dealt += handSize;
+
+        const hand = { numbers: cards.map(card => card.value), suits: cards.map(card => card.suit), outcome: null };
+        this.hands.push(hand);
+        return { numbers: hand.numbers, suits: hand.suits };
+    }
+
+    // Sets the current hand's outcome; only the first one counts. Returns whether it was set.
+    record(outcome) {
+        const hand = this.current;
+        if (!hand || hand.outcome !== null) return false;
+        hand.outcome = outcome;
+        return true;
+    }
+
+    /**
+     * Counts per outcome (a hand still being played counts as passed), plus
+     * `score`, the hands solved or rightly called 没有答案, out of `played`,
+     * the hands that weren't skipped.
+     */
+    summary() {
+        const counts = Object.fromEntries(DECK_OUTCOMES.map(outcome => [outcome, 0]));
+        this.hands.forEach(hand => counts[hand.outcome || 'passed']++);
+
+        return {
+            ...counts,
+            hands: this.hands.length,
+            played: this.hands.length - counts.skipped,
+            score: counts.solved + counts['no-answer'],
+            left: this.remaining
+        };
+    }
+
+    // Four suits of A to K, in Fisher–Yates order
+    static shuffle(seed) {
+        const random = createRandom(seed);
+        const cards = SUITS.flatMap(suit => Array.from({ length: 13 }, (_, i) => ({ value: i + 1, suit })));
+
+        for (let i = cards.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [cards[i], cards[j]] = [cards[j], cards[i]];
+        }
+        return cards;
+    }
+}
@@ -0,0 +1,118 @@
+import { Solver } from './solver.js';
+
+/**
+ * Difficulty rating for a hand, based on its solutions (from Solver.solve).
+ *
+ * Each solution gets a cost for what it asks of the player:
+ *   - division                                  +2
+ *   - a product of sums, e.g. (2 + 4) * (7 - 3) +2
+ *   - a fraction along the way                  +3
+ *   - big intermediate values (over 24 / 60)    +1 / +2
+ *   - ^, √, ! or joined cards (see operators.js) +2
+ * The hand takes the cost of its easiest solution, plus a penalty when
+ * there are only a few distinct solutions to stumble upon.
+ */
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+export const DIFFICULTY_LABELS = {
+    easy: '简单',
+    medium: '中等',
+    hard: '困难'
+};
+
+export function rateSolution(solution) {
+    let cost = 0;
+    const factors = [];
+
+    if (solution.steps.some(step => step.op === '/')) {
+        cost += 2;
+        factors.push('division');
+    }
+    if (hasProductOfSums(solution.tree)) {
+        cost += 2;
+        factors.push('product-of-sums');
+    }
+    if (Solver.usesFractions(solution)) {
+        cost += 3;
+        factors.push('fractions');
+    }
+    if (solution.steps.some(step => !Solver.OPERATORS.includes(step.op))) {
+        cost += 2;
+        factors.push('extras');
+    }
+
+    const largest = Math.max(...solution.steps.map(step => Math.abs(step.value)));
+    if (largest > 60) {
+        cost += 2;
+        factors.push('large-values');
+    } else if (largest > 24) {
+        cost += 1;
+        factors.push('large-values');
+    }
+
+    return { cost, factors, largest };
+}
+
+/**
+ * How easy one solution is to follow, lower is simpler: its rateSolution cost
+ * (division, products of sums, fractions, big values), plus one per pair of
+ * brackets and one per kind of operator beyond the first.
+ * 4 * 6 * 1 * 1 scores 0, (10 * 10 - 4) / 4 scores 9.
+ */
+export function simplicityScore(solution) {
+    const brackets = (solution.expr.match(/\(/g) || []).length;
+    const operators = new Set(solution.steps.map(step => step.op)).size;
+    return rateSolution(solution).cost + brackets + Math.max(operators - 1, 0);
+}
+
+// Solutions from simplest to hardest; equal scores keep the solver's order
+export function rankSolutions(solutions) {
+    return solutions
+        .map(solution => ({ solution, score: simplicityScore(solution) }))
+        .sort((a, b) => a.score - b.score)
+        .map(({ solution }) => solution);
+}
+
+/**
+ * Rates a hand: { score, level, factors, solutionCount }.
+ * `factors` lists what every easiest route needs (e.g. ['division']).
+ */
+export function rateHand(solutions) {
+    if (solutions.length === 0) {
+        return { score: Infinity, level: null, factors: [], solutionCount: 0 };
+    }
+
+    const ratings = solutions.map(rateSolution);
+    const easiest = ratings.reduce((best, rating) => (rating.cost < best.cost ? rating : best));
+
+    let scarcity = 0;
+    if (solutions.length === 1) scarcity = 3;
+    else if (solutions.length === 2) scarcity = 2;
+    else if (solutions.length <= 4) scarcity = 1;
+
+    const score = easiest.cost + scarcity;
+
+    return {
+        score,
+        level: levelForScore(score),
+        factors: easiest.factors,
+        solutionCount: solutions.length
+    };
+}
+
+export function levelForScore(score) {
+    if (score <= 1) return 'easy';
+    if (score <= 4) return 'medium';
+    return 'hard';
+}
+
+// A multiplication or division with a sum or difference on either side
+function hasProductOfSums(node) {
+    if (node.type !== 'binary') return false;
+
+    const isSum = child => child.type === 'binary' && (child.op === '+' || child.op === '-');
+    if ((node.op === '*' || node.op === '/') && (isSum(node.left) || isSum(node.right))) {
+        return true;
+    }
+    return hasProductOfSums(node.left) || hasProductOfSums(node.right);
+}
@@ -0,0 +1,75 @@
+/**
+ * Exact rational numbers for fraction mode.
+ *
+ * Game values are either plain integers (numbers) or Fraction instances.
+ * The static helpers accept both and always collapse whole results back to
+ * plain numbers, so integer-only play never sees a Fraction and `value === 24`
+ * stays an exact comparison in both modes.
+ */
+export class Fraction {
+    constructor(num, den) {
+        this.num = num;
+        this.den = den;
+    }
+
+    // Build a normalized value: a number when whole, otherwise a reduced Fraction
+    static of(num, den = 1) {
+        if (den === 0) return null;
+        if (den < 0) {
+            num = -num;
+            den = -den;
+        }
+        const g = gcd(Math.abs(num), den);
+        num /= g;
+        den /= g;
+        return den === 1 ? num : new Fraction(num, den);
+    }
+
+    static add(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') return a + b;
+        const [x, y] = [parts(a), parts(b)];
+        return Fraction.of(x.num * y.den + y.num * x.den, x.den * y.den);
+    }
+
+    static sub(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        const [x, y] = [parts(a), parts(b)];
+        return Fraction.of(x.num * y.den - y.num * x.den, x.den * y.den);
+    }
+
+    static mul(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') return a * b;
+        const [x, y] = [parts(a), parts(b)];
+        return Fraction.of(x.num * y.num, x.den * y.den);
+    }
+
+    // Returns null when dividing by zero
+    static div(a, b) {
+        const [x, y] = [parts(a), parts(b)];
+        return Fraction.of(x.num * y.den, x.den * y.num);
+    }
+
+    static isFraction(value) {
+        return value instanceof Fraction;
+    }
+
+    toString() {
+        return `${this.num}/${this.den}`;
+    }
+
+    // Lets fractions take part in <, >, Math.abs and sorting as approximate numbers
+    valueOf() {
+        return this.num / this.den;
+    }
+}
+
+function parts(value) {
+    return typeof value === 'number' ? { num: value, den: 1 } : value;
+}
+
+function gcd(a, b) {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a || 1;
+}
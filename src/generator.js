@@ -1,22 +1,126 @@
 import { Solver } from './solver.js';
+import { rateHand, rankSolutions } from './difficulty.js';
+import { createRandom, randomSeed } from './random.js';
+import { PuzzleBook } from './puzzlebook.js';
+import { SUITS } from './cards.js';
 
 export class Generator {
-    constructor() {
-        this.solver = new Solver();
+    // Deals to try before settling for another difficulty level (or, when
+    // hardly any hand has an answer under the rules, for one without)
+    static MAX_ATTEMPTS = 300;
+    // Solutions a hand lists at most: 'strict' lists run to tens of thousands on 6 cards
+    static MAX_LISTED = 100;
+
+    constructor({ target = 24, handSize = 4, fractions = false, intermediates = 'any', equivalence = 'commutative', extras = [], unsolvableRate = 0 } = {}) {
+        this.target = target;
+        this.handSize = handSize;
+        // Share of deals that are meant to have no answer (the 没有答案 challenge)
+        this.unsolvableRate = unsolvableRate;
+        this.solver = new Solver({ target, fractions, intermediates, extras });
+        // Deals and ratings always count solutions the default way; the
+        // equivalence setting only changes which solutions are listed
+        this.listSolver = equivalence === 'commutative'
+            ? null
+            : new Solver({ target, fractions, intermediates, equivalence, extras });
+        // Classic games look their hands up instead of solving them
+        this.book = PuzzleBook.covers({ target, handSize, fractions, intermediates, extras })
+            ? new PuzzleBook(this.solver)
+            : null;
+    }
+
+    /**
+     * Deals a hand that is solvable under the solver's rules.
+     * `difficulty` ('easy' | 'medium' | 'hard') asks for a hand of that level;
+     * if none turns up within MAX_ATTEMPTS deals (or `timeLimit` ms), the
+     * first solvable one is used, or the last one dealt when none was
+     * solvable (rules under which almost no hand has an answer).
+     * With an `unsolvableRate`, that share of deals is an unsolvable hand
+     * instead (whatever the difficulty), when one turns up within
+     * MAX_ATTEMPTS deals: with some rules almost every hand has an answer.
+     * The same `seed` (and settings) always deals the same cards and suits,
+     * unless the time limit cut the search short.
+     *
+     * Returns { numbers, suits, seed, solutions, needsFractions, difficulty },
+     * see describe().
+     */
+    generate({ difficulty = null, seed = randomSeed(), timeLimit = Infinity } = {}) {
+        const random = createRandom(seed);
+        const deadline = Date.now() + timeLimit;
+        let fallback = null;
+        let attempts = 0;
+
+        // Without the challenge no number is drawn, so seeds keep dealing the same hands
+        if (this.unsolvableRate > 0 && random() < this.unsolvableRate) {
+            const hand = this._dealUnsolvable(random, seed, deadline);
+            if (hand) return hand;
+        }
+
+        while (true) {
+            const { numbers, suits } = this._deal(random);
+
+            // Only the level is needed to accept or skip a deal
+            const { level, solutions } = this._level(numbers);
+            if (level !== null) {
+                if (!difficulty || level === difficulty) return this.describe(numbers, { suits, seed, solutions });
+                fallback = fallback || { numbers, suits, solutions };
+            }
+
+            if (++attempts >= Generator.MAX_ATTEMPTS || Date.now() > deadline) {
+                const hand = fallback || { numbers, suits, solutions };
+                return this.describe(hand.numbers, { suits: hand.suits, seed, solutions: hand.solutions });
+            }
+        }
     }
 
-    generate() {
-        let numbers;
-        let solutions;
+    _dealUnsolvable(random, seed, deadline) {
+        for (let attempt = 0; attempt < Generator.MAX_ATTEMPTS && Date.now() <= deadline; attempt++) {
+            const { numbers, suits } = this._deal(random);
+            const { level, solutions } = this._level(numbers);
+            if (level === null) return this.describe(numbers, { suits, seed, solutions });
+        }
+        return null;
+    }
+
+    _deal(random) {
+        const numbers = Array.from({ length: this.handSize }, () => Math.floor(random() * 13) + 1);
+        const suits = numbers.map(() => SUITS[Math.floor(random() * SUITS.length)]);
+        return { numbers, suits };
+    }
+
+    // The book rates a hand without building its solutions; otherwise solve it (and keep them)
+    _level(numbers) {
+        const rating = this.book && this.book.rate(numbers);
+        // No solutions yet: describe() reads them from the book for the dealt hand
+        if (rating) return { level: rating.level, solutions: undefined };
 
-        do {
-            numbers = Array.from({ length: 4 }, () => Math.floor(Math.random() * 13) + 1);
-            solutions = this.solver.solve(numbers);
-        } while (solutions.length === 0);
+        const solutions = this.solver.solve(numbers);
+        return { level: rateHand(solutions).level, solutions };
+    }
+
+    // Solver.solve(), from the puzzle book when it has the hand
+    solve(numbers) {
+        return (this.book && this.book.solutions(numbers)) || this.solver.solve(numbers);
+    }
 
+    /**
+     * Builds the full puzzle for a given hand (e.g. one opened from a link).
+     * `needsFractions` marks hands that can only be solved through a fraction
+     * (only possible when the solver allows fractions) and `difficulty` is the
+     * rateHand() result. An unsolvable hand has no solutions and no level.
+     * `solutions` are listed by the equivalence setting (see Normalizer),
+     * simplest first (rankSolutions) and at most MAX_LISTED of them;
+     * `totalSolutions` counts them all.
+     */
+    describe(numbers, { suits = null, seed = null, solutions = this.solve(numbers) } = {}) {
+        const listed = rankSolutions(this.listSolver ? this.listSolver.solve(numbers) : solutions);
         return {
             numbers,
-            solutions
+            suits: suits || numbers.map(() => SUITS[Math.floor(Math.random() * SUITS.length)]),
+            seed,
+            solutions: listed.slice(0, Generator.MAX_LISTED),
+            totalSolutions: listed.length,
+            needsFractions: solutions.length > 0 && solutions.every(sol => Solver.usesFractions(sol)),
+            difficulty: (this.book && this.book.rate(numbers)) || rateHand(solutions)
         };
     }
 }
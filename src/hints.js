@@ -0,0 +1,80 @@
+import { Solver } from './solver.js';
+
+const SYMBOLS = { '+': '+', '-': '-', '*': '×', '/': '÷', '^': '^' };
+
+/**
+ * Step-by-step hints for one hand, revealed one level at a time:
+ *   1. whether the hand needs multiplication / division (or fractions)
+ *   2. the first pair to combine, e.g. "先算 6 × 4，得到 24"
+ *   3. the next step (and so on for bigger hands)
+ *   last. a full solution
+ *
+ * `solutions` come from Solver.solve(); the hints follow the first one.
+ */
+export class HintLadder {
+    constructor(solutions, target = 24) {
+        this.solutions = solutions;
+        this.target = target;
+        this.solution = solutions[0] || null;
+        this.levels = this.solution ? this._buildLevels() : [];
+        this.level = 0;
+    }
+
+    get hasMore() {
+        return this.level < this.levels.length;
+    }
+
+    get total() {
+        return this.levels.length;
+    }
+
+    // Returns the next hint text, or null when everything has been revealed
+    next() {
+        if (!this.hasMore) return null;
+        return this.levels[this.level++];
+    }
+
+    _buildLevels() {
+        const levels = [this.describeOperations()];
+        const steps = this.solution.steps;
+
+        // The last step is the full answer itself, so stop one short
+        steps.slice(0, -1).forEach((step, index) => {
+            const lead = index === 0 ? '先' : '再';
+            levels.push(step.op === '&'
+                ? `${lead}把 ${step.left} 和 ${step.right} 拼成 ${step.value}。`
+                : `${lead}算 ${HintLadder.formatStep(step)}，得到 ${step.value}。`);
+        });
+
+        levels.push(`完整答案：${this.solution.expr} = ${this.target}`);
+        return levels;
+    }
+
+    // Level 1: look across every solution, not just the one we follow
+    describeOperations() {
+        const uses = (sol, op) => sol.steps.some(step => step.op === op);
+
+        if (this.solutions.every(sol => Solver.usesFractions(sol))) {
+            return '这一组要用到分数哦！中间结果可以不是整数。';
+        }
+        if (this.solutions.every(sol => sol.steps.some(step => !Solver.OPERATORS.includes(step.op)))) {
+            return '这一组要用到更多运算哦！想想乘方、开方、阶乘或者把两张牌拼起来。';
+        }
+        if (this.solutions.some(sol => sol.steps.every(step => step.op === '+' || step.op === '-'))) {
+            return `只用加法和减法就能凑出 ${this.target}！`;
+        }
+        if (this.solutions.every(sol => uses(sol, '/'))) {
+            return '这一组一定要用到除法哦！';
+        }
+        if (this.solutions.every(sol => uses(sol, '*'))) {
+            return '这一组一定要用到乘法哦！';
+        }
+        return '这一组要用到乘法或者除法。';
+    }
+
+    static formatStep(step) {
+        if (step.op === '√') return `√${step.left}`;
+        if (step.op === '!') return `${step.left}!`;
+        return `${step.left} ${SYMBOLS[step.op]} ${step.right}`;
+    }
+}
@@ -1,6 +1,24 @@
-import { Generator } from './generator.js';
+import { Dealer } from './dealer.js';
+import { Deck } from './deck.js';
+import { Checker } from './checker.js';
+import { MergeGame } from './merge.js';
+import { HintLadder } from './hints.js';
+import { DIFFICULTY_LEVELS, DIFFICULTY_LABELS } from './difficulty.js';
+import { loadSettings, saveSettings, handRules, TARGET_CHOICES, HAND_SIZE_CHOICES, INTERMEDIATE_CHOICES, EQUIVALENCE_CHOICES, EXTRA_CHOICES, UNSOLVABLE_RATE_CHOICES, DECK_UNSOLVABLE_CHOICES } from './settings.js';
+import { EXTRAS_MAX_HAND_SIZE } from './operators.js';
+import { encodePuzzle, decodePuzzle } from './share.js';
+import { TIMED_MODES, TimedRound, formatClock, loadHighScores, saveHighScores, highScores, addHighScore } from './timed.js';
+import { AVATARS, loadProfiles, saveProfiles, currentProfile, addProfile, selectProfile, updateProfile, removeProfile, loadHistory, saveHistory, clearHistory, startRecord, finishRecord } from './profiles.js';
+import { KIND_LABELS, handKinds, summarizeHistory } from './stats.js';
+import { BOX_DAYS, NEW_HANDS_PER_REVIEW, buildReviewQueue, dueReviews } from './review.js';
+import { DEFAULT_TARGET, SetPlay, loadPuzzleSets, savePuzzleSets, newSetId, parseHands } from './puzzlesets.js';
+import { BackupError, createBackup, parseBackup, mergeBackup } from './backup.js';
+import { DAILY_SETTINGS, DAILY_DIFFICULTY, dateKey, dailySeed, loadStreak, saveStreak, currentStreak, recordSolve } from './daily.js';
 
-const generator = new Generator();
+let playerSettings = loadSettings(); // the player's own, as saved
+let settings = playerSettings; // the rules in play: a link's hand may be played by others (see playBy)
+let dealer = new Dealer(settings);
+let checker = new Checker(settings);
 
 // DOM Elements
 const cardsContainer = document.getElementById('cards-container');
@@ -11,10 +29,119 @@ const solutionsList = document.getElementById('solutions-list');
 const solutionCountSpan = document.getElementById('solution-count');
 const mascotMessage = document.getElementById('mascot-message');
 const antiRoteTip = document.getElementById('anti-rote-tip');
+const readRestBtn = document.getElementById('read-rest-btn');
+const answerBtn = document.getElementById('answer-btn');
+const answerPanel = document.getElementById('answer-panel');
+const answerInput = document.getElementById('answer-input');
+const answerCards = document.getElementById('answer-cards');
+const answerOps = document.getElementById('answer-ops');
+const answerDeleteBtn = document.getElementById('answer-delete-btn');
+const answerClearBtn = document.getElementById('answer-clear-btn');
+const answerSubmitBtn = document.getElementById('answer-submit-btn');
+const mergeBtn = document.getElementById('merge-btn');
+const mergePanel = document.getElementById('merge-panel');
+const mergeHint = document.getElementById('merge-hint');
+const mergeOps = document.getElementById('merge-ops');
+const mergeUndoBtn = document.getElementById('merge-undo-btn');
+const mergeRestartBtn = document.getElementById('merge-restart-btn');
+const hintPanel = document.getElementById('hint-panel');
+const hintList = document.getElementById('hint-list');
+const settingsBtn = document.getElementById('settings-btn');
+const settingsPanel = document.getElementById('settings-panel');
+const targetSelect = document.getElementById('target-select');
+const handSizeSelect = document.getElementById('hand-size-select');
+const fractionsToggle = document.getElementById('fractions-toggle');
+const intermediatesSelect = document.getElementById('intermediates-select');
+const equivalenceSelect = document.getElementById('equivalence-select');
+const difficultySelect = document.getElementById('difficulty-select');
+const extrasOptions = document.getElementById('extras-options');
+const unsolvableRateSelect = document.getElementById('unsolvable-rate-select');
+const deckUnsolvableSelect = document.getElementById('deck-unsolvable-select');
+const rulesNote = document.getElementById('rules-note');
+const puzzleBadge = document.getElementById('puzzle-badge');
+const shareBtn = document.getElementById('share-btn');
+const dailyBtn = document.getElementById('daily-btn');
+const streakBadge = document.getElementById('streak-badge');
+const deckBtn = document.getElementById('deck-btn');
+const deckPanel = document.getElementById('deck-panel');
+const deckSummary = document.getElementById('deck-summary');
+const deckAgainBtn = document.getElementById('deck-again-btn');
+const noAnswerBtn = document.getElementById('no-answer-btn');
+const timedBtn = document.getElementById('timed-btn');
+const timedPanel = document.getElementById('timed-panel');
+const timedModes = document.getElementById('timed-modes');
+const highScoresEl = document.getElementById('high-scores');
+const roundStatus = document.getElementById('round-status');
+const roundPanel = document.getElementById('round-panel');
+const roundTitle = document.getElementById('round-title');
+const roundTable = document.getElementById('round-table');
+const setsBtn = document.getElementById('sets-btn');
+const setsPanel = document.getElementById('sets-panel');
+const setList = document.getElementById('set-list');
+const setNewBtn = document.getElementById('set-new-btn');
+const setEditor = document.getElementById('set-editor');
+const setNameInput = document.getElementById('set-name');
+const setHandsInput = document.getElementById('set-hands');
+const setCheck = document.getElementById('set-check');
+const setSaveBtn = document.getElementById('set-save-btn');
+const setCancelBtn = document.getElementById('set-cancel-btn');
+const setDonePanel = document.getElementById('set-done-panel');
+const setDoneTitle = document.getElementById('set-done-title');
+const setSummary = document.getElementById('set-summary');
+const setAgainBtn = document.getElementById('set-again-btn');
+const roundHighScores = document.getElementById('round-high-scores');
+const roundAgainBtn = document.getElementById('round-again-btn');
+const profileBtn = document.getElementById('profile-btn');
+const profilePanel = document.getElementById('profile-panel');
+const profileList = document.getElementById('profile-list');
+const profileNameInput = document.getElementById('profile-name');
+const avatarChoices = document.getElementById('avatar-choices');
+const profileAddBtn = document.getElementById('profile-add-btn');
+const profileSaveBtn = document.getElementById('profile-save-btn');
+const profileRemoveBtn = document.getElementById('profile-remove-btn');
+const statsBtn = document.getElementById('stats-btn');
+const exportBtn = document.getElementById('export-btn');
+const importBtn = document.getElementById('import-btn');
+const importFile = document.getElementById('import-file');
+const statsPanel = document.getElementById('stats-panel');
+const statsOverview = document.getElementById('stats-overview');
+const statsDays = document.getElementById('stats-days');
+const statsKinds = document.getElementById('stats-kinds');
+const statsWeak = document.getElementById('stats-weak');
+const reviewTable = document.getElementById('review-table');
 
 // State
+let currentNumbers = [];
+let currentSuits = [];
 let currentSolutions = [];
+let totalSolutions = 0; // the hand may have more than currentSolutions lists (Generator.MAX_LISTED)
 let isSolutionsVisible = false;
+let isAnswerVisible = false;
+let isMergeMode = false;
+let mergeGame = null;
+let selectedCardIds = [];
+let hintLadder = null;
+let dailyDay = null; // date of the 今日一题 on the table, null for other hands
+let streakRecord = loadStreak();
+let deck = null; // the 一副牌 being played, null while hands are dealt at random
+let round = null; // the 计时赛 being played
+let roundClock = null; // interval updating the round's clock
+let roundNext = null; // timeout dealing the round's next hand
+let highScoreTable = loadHighScores();
+let profiles = loadProfiles();
+let profile = currentProfile(profiles);
+let handHistory = loadHistory(profile.id);
+let handRecord = null; // the player's history record for the hand on the table
+let chosenAvatar = profile.avatar; // picked in the profile panel
+let isReviewHand = false; // the hand on the table is a 复习 (see review.js)
+let newHandsSinceReview = 0;
+let puzzleSets = loadPuzzleSets();
+let setPlay = null; // the 题单 being played
+let editingSetId = null; // the 题单 open in the editor, null for a new one
+let setChecker = null; // Dealer checking the editor's hands, with its own worker
+const setChecks = new Map(); // setCheckKey() → describe() result, null when the check failed
+let setCheckTimer = null;
+let setCheckPass = 0; // bumped whenever the editor's hands change, to drop stale checks
 
 // Speech Synthesis
 let speechUtterance = null;
@@ -23,8 +150,6 @@ let isSpeaking = false;
 let shouldStopSpeaking = false;
 
 // Helpers
-const SUITS = ['♥', '♦', '♣', '♠'];
-const getSuit = () => SUITS[Math.floor(Math.random() * SUITS.length)];
 const isRed = (suit) => suit === '♥' || suit === '♦';
 
 const formatNumber = (num) => {
@@ -35,6 +160,9 @@ const formatNumber = (num) => {
   return num.toString();
 };
 
+const formatPercent = value => (value === null ? '—' : `${Math.round(value * 100)}%`);
+const formatSeconds = value => (value === null ? '—' : `${Math.round(value)} 秒`);
+
 const convertToSpeakingNumber = (num) => {
   if (num === 11) return '11';
   if (num === 12) return '12';
@@ -58,7 +186,7 @@ const MESSAGES = [
   "不要偷看答案，除非你真的试过了！",
   "算错了没关系，再试一次！",
   "你是最棒的数学小天才！",
-  "想想看，有什么办法能凑成24？"
+  "想想看，有什么办法能凑成{target}？"
 ];
 
 // Speech Synthesis Functions
@@ -66,12 +194,24 @@ function processTextForTTS(text) {
   // Remove emojis
   let processedText = text.replace(/[\u{1F000}-\u{1F6FF}\u{1F900}-\u{1F9FF}\u{2600}-\u{26FF}\u{2700}-\u{27BF}]/gu, '');
   
+  // Read fractions the Chinese way: 8/3 -> 3分之8
+  processedText = processedText.replace(/(\d+)\/(\d+)/g, '$2分之$1');
+
+  // Extra operators: 2^3 -> 2的3次方, √9 -> 根号9, 4! -> 4的阶乘
+  processedText = processedText
+    .replace(/\^\s*(\d+)/g, '的$1次方')
+    .replace(/\^\s*\(([^()]*)\)/g, '的($1)次方')
+    .replace(/√/g, '根号')
+    .replace(/([\d)])!/g, '$1的阶乘');
+
   // Convert math symbols to Chinese characters
   processedText = processedText
     .replace(/\+/g, '加')
-    .replace(/-/g, '减')
+    .replace(/[-−]/g, '减')
     .replace(/\*/g, '乘')
+    .replace(/×/g, '乘')
     .replace(/\//g, '除')
+    .replace(/÷/g, '除')
     .replace(/=/g, '等于');
   
   return processedText;
@@ -122,17 +262,94 @@ function stopSpeech() {
   shouldStopSpeaking = true;
 }
 
+function speakMessage(text) {
+  // Interrupt whatever is being read and say this instead
+  stopSpeech();
+  shouldStopSpeaking = false;
+  addToSpeechQueue(text);
+}
+
 // Functions
-function initGame() {
+function dealHand(seed) {
+  const difficulty = settings.difficulty === 'any' ? null : settings.difficulty;
+  return dealer.generate({ difficulty, seed });
+}
+
+// Free play: after every few new hands, a hand the player struggled with that is due again
+async function dealNext() {
+  if (newHandsSinceReview >= NEW_HANDS_PER_REVIEW) {
+    const due = dueReviews(buildReviewQueue(handHistory), dateKey())
+      .filter(item => item.target === settings.target && item.numbers.length === settings.handSize);
+
+    // The rules may have changed since: only a hand that still has an answer comes back
+    for (const item of due.slice(0, 3)) {
+      const hand = await dealer.describe(item.numbers);
+      if (hand.solutions.length > 0) {
+        newHandsSinceReview = 0;
+        return { ...hand, review: true };
+      }
+    }
+  }
+
+  newHandsSinceReview++;
+  return dealHand();
+}
+
+// Shows skeleton cards while `request` (a Dealer promise) deals in the background,
+// then starts the game with the hand. Resolves to false if no hand came.
+async function startGame(request = dealNext(), options = {}) {
+  stopSpeech();
+  renderSkeleton();
+
+  try {
+    const hand = await request;
+    // The deck ran out before another hand to play: its summary shows instead
+    if (!hand) return false;
+
+    initGame(hand, options);
+    return true;
+  } catch (e) {
+    // A newer deal took over; it shows its own cards
+    if (e.code === 'cancelled') return false;
+
+    console.warn("Failed to deal:", e);
+    updateMascot(e.code === 'timeout'
+      ? "这次发牌想得太久啦，点“换一组”再试一次吧！"
+      : "发牌出了点问题，点“换一组”再试一次吧！");
+    return false;
+  }
+}
+
+// `hand` is a Generator puzzle. `day` is set when it is that day's 今日一题.
+function initGame(hand, { day = null, message = "新的题目来了！加油！" } = {}) {
   // Stop any ongoing speech when starting a new game
   stopSpeech();
   
-  const { numbers, solutions } = generator.generate();
+  dailyDay = day;
+  isReviewHand = hand.review === true;
+  const { numbers, suits, solutions, needsFractions, difficulty: rating } = hand;
+  startHandRecord(hand);
+  currentNumbers = numbers;
+  currentSuits = suits;
+  // Simplest first (the dealer ranks them): the hints and the answer list both lead with it
   currentSolutions = solutions;
+  totalSolutions = hand.totalSolutions;
+  hintLadder = new HintLadder(currentSolutions, settings.target);
+  if (round) {
+    round.startHand({ numbers, solution: currentSolutions[0] ? currentSolutions[0].expr : null, levels: hintLadder.total });
+  }
 
   renderCards(numbers);
+  renderBadge(rating, needsFractions);
+  noAnswerBtn.classList.toggle('hidden', !isNoAnswerChallenge());
+  noAnswerBtn.disabled = false;
   resetSolutions();
-  updateMascot("新的题目来了！加油！");
+  resetAnswer();
+  resetMerge();
+  updateMascot(isReviewHand ? "这一组之前有点难，我们再来试一次吧！" : message);
+
+  // Keep the puzzle in the address bar so a reload or a shared link shows it again
+  history.replaceState(null, '', encodePuzzle({ ...hand, target: settings.target, fractions: settings.fractions, intermediates: settings.intermediates, extras: settings.extras }));
   
   // Speak the numbers after a short delay to let the mascot message finish
   setTimeout(() => {
@@ -140,30 +357,183 @@ function initGame() {
   }, 1000);
 }
 
+// Placeholder cards (as in index.html) while a hand is being dealt
+function renderSkeleton() {
+  cardsContainer.className = `cards-container hand-${settings.handSize}`;
+  cardsContainer.innerHTML = '<div class="card skeleton">?</div>'.repeat(settings.handSize);
+  puzzleBadge.classList.add('hidden');
+}
+
 function renderCards(numbers) {
   cardsContainer.innerHTML = '';
+  cardsContainer.className = `cards-container hand-${numbers.length}`;
 
   numbers.forEach((num, index) => {
-    const suit = getSuit();
-    const displayNum = formatNumber(num);
-    const colorClass = isRed(suit) ? 'red' : 'black';
-
-    const cardEl = document.createElement('div');
-    cardEl.className = `card ${colorClass}`;
+    const cardEl = createCardElement(num, currentSuits[index]);
 
     // Animation delay
     cardEl.style.animation = `bounce 0.5s ease ${index * 0.1}s`;
 
-    cardEl.innerHTML = `
-      <div class="suit top-left">${suit}</div>
-      <div class="number">${displayNum}</div>
-      <div class="suit bottom-right">${suit}</div>
-    `;
+    cardsContainer.appendChild(cardEl);
+  });
+}
+
+const DIFFICULTY_STARS = { easy: '⭐', medium: '⭐⭐', hard: '⭐⭐⭐' };
+
+function renderBadge(rating, needsFractions) {
+  const parts = [];
+  if (isNoAnswerChallenge()) {
+    // The rating would give away whether there is an answer
+    parts.push('🤔 有答案吗？');
+  } else {
+    parts.push(rating.level
+      ? `${DIFFICULTY_STARS[rating.level]} ${DIFFICULTY_LABELS[rating.level]}`
+      : '🤔 这一组可能没有答案');
+    if (needsFractions) parts.push('🍰 分数题');
+  }
+  if (dailyDay) parts.unshift('📅 今日一题');
+  if (isReviewHand) parts.unshift('🔁 复习');
+  if (deck) parts.unshift(`🃏 还剩 ${deck.remaining} 张`);
+  if (setPlay) parts.unshift(`📝 ${setPlay.set.name} ${setPlay.outcomes.length}/${setPlay.set.hands.length}`);
+
+  puzzleBadge.textContent = parts.join(' · ');
+  puzzleBadge.classList.remove('hidden');
+}
+
+function createCardElement(num, suit) {
+  const displayNum = formatNumber(num);
+  const colorClass = isRed(suit) ? 'red' : 'black';
+
+  const cardEl = document.createElement('div');
+  cardEl.className = `card ${colorClass}`;
+
+  cardEl.innerHTML = `
+    <div class="suit top-left">${suit}</div>
+    <div class="number">${displayNum}</div>
+    <div class="suit bottom-right">${suit}</div>
+  `;
+
+  return cardEl;
+}
+
+// Merge mode: the table shows the merge game's cards, which can be selected
+function renderMergeCards(newCardId = null) {
+  cardsContainer.innerHTML = '';
+  cardsContainer.className = `cards-container hand-${currentNumbers.length}`;
+
+  mergeGame.cards.forEach(card => {
+    let cardEl;
+    if (card.index !== null) {
+      cardEl = createCardElement(card.value, currentSuits[card.index]);
+    } else {
+      cardEl = document.createElement('div');
+      cardEl.className = 'card merged';
+      cardEl.innerHTML = `
+        <div class="number">${card.value}</div>
+        <div class="merge-expr">${card.expr}</div>
+      `;
+    }
+
+    cardEl.classList.add('selectable');
+    cardEl.classList.toggle('selected', selectedCardIds.includes(card.id));
+    cardEl.dataset.id = card.id;
+    if (card.id === newCardId) {
+      cardEl.style.animation = 'bounce 0.5s ease';
+    }
 
     cardsContainer.appendChild(cardEl);
   });
 }
 
+function toggleMergeMode() {
+  isMergeMode = !isMergeMode;
+  mergePanel.classList.toggle('hidden', !isMergeMode);
+
+  if (isMergeMode) {
+    if (isAnswerVisible) toggleAnswerPanel();
+    resetMerge();
+    updateMascot(`点两张牌，把它们合成一张新牌，最后剩下${settings.target}就赢啦！`);
+  } else {
+    renderCards(currentNumbers);
+  }
+}
+
+function resetMerge() {
+  mergeGame = new MergeGame(currentNumbers, dealer.solver);
+  selectedCardIds = [];
+  if (isMergeMode) {
+    renderMergeCards();
+    renderMergeOps();
+  }
+}
+
+function selectMergeCard(id) {
+  if (mergeGame.isFinished) return;
+
+  if (selectedCardIds.includes(id)) {
+    selectedCardIds = selectedCardIds.filter(selected => selected !== id);
+  } else if (selectedCardIds.length < 2) {
+    selectedCardIds.push(id);
+  } else {
+    // Third tap starts a new pair
+    selectedCardIds = [id];
+  }
+
+  renderMergeCards();
+  renderMergeOps();
+}
+
+function renderMergeOps() {
+  const [idA, idB] = selectedCardIds;
+  const options = selectedCardIds.length === 2 ? mergeGame.options(idA, idB) : [];
+
+  if (mergeGame.isFinished) {
+    mergeHint.textContent = mergeGame.isSolved ? '🎉 凑出来啦！' : `没有凑出${settings.target}，撤销一步试试？`;
+  } else if (selectedCardIds.length < 2) {
+    mergeHint.textContent = '点两张牌，再选一个算法';
+  } else {
+    mergeHint.textContent = '选一个算法：';
+  }
+
+  mergeOps.innerHTML = options
+    .map((option, index) => {
+      const text = `${option.left.value} ${MergeGame.symbol(option.op)} ${option.right.value}`;
+      return option.allowed
+        ? `<button class="key op-option" data-option="${index}">${text} = ${option.value}</button>`
+        : `<button class="key op-option" disabled>${text}<small>${option.reason}</small></button>`;
+    })
+    .join('');
+
+  mergeUndoBtn.disabled = mergeGame.history.length === 0;
+}
+
+function applyMergeOption(index) {
+  const [idA, idB] = selectedCardIds;
+  const option = mergeGame.options(idA, idB)[index];
+  if (!option || !option.allowed) return;
+
+  const merged = mergeGame.merge(option.left.id, option.op, option.right.id);
+  selectedCardIds = [];
+  renderMergeCards(merged.id);
+  renderMergeOps();
+
+  if (mergeGame.isSolved) {
+    updateMascot(`太棒了！${merged.expr} = ${settings.target}！${recordDailySolve()}`);
+    speakMessage(`太棒了！${merged.expr}等于${settings.target}`);
+    endHand('solved', merged.expr);
+  } else if (mergeGame.isFinished) {
+    updateMascot(`最后得到 ${merged.value}，不是${settings.target}哦，撤销一步再试试！`);
+    speakMessage(`最后得到${merged.value}，不是${settings.target}哦`);
+  }
+}
+
+function undoMerge() {
+  if (!mergeGame.undo()) return;
+  selectedCardIds = [];
+  renderMergeCards();
+  renderMergeOps();
+}
+
 function resetSolutions() {
   isSolutionsVisible = false;
   solutionsPanel.classList.remove('visible');
@@ -171,13 +541,82 @@ function resetSolutions() {
   // CSS handles visibility with max-height and opacity on .visible.
   // We should make sure content is cleared or updated.
   solutionsList.innerHTML = '';
-  solutionCountSpan.textContent = currentSolutions.length;
+  solutionCountSpan.textContent = totalSolutions;
+  rulesNote.textContent = describeRules();
+
+  hintList.innerHTML = '';
+  hintPanel.classList.add('hidden');
+  solveBtn.textContent = '提示 (Hint)';
   
   // Enable solve button again
   solveBtn.disabled = false;
   solveBtn.classList.remove('disabled');
 }
 
+// Reveal one more level of the hint ladder instead of every solution at once
+function showNextHint() {
+  const hint = hintLadder.next();
+  if (!hint) return;
+
+  addHint(hint);
+  updateMascot(hint);
+  if (round) round.useHint();
+  if (handRecord && handRecord.result === null) {
+    handRecord.hints++;
+    saveProfileHistory();
+  }
+  speakMessage(hint);
+
+  if (!hintLadder.hasMore) {
+    solveBtn.textContent = '看全部答案 (All)';
+  }
+}
+
+function addHint(text) {
+  const item = document.createElement('li');
+  item.textContent = text;
+  hintList.appendChild(item);
+  hintPanel.classList.remove('hidden');
+}
+
+/**
+ * The hand on the table was solved ('solved', or 'no-answer' when 没有答案 was
+ * right), 'missed' (没有答案 on a hand with one) or 'revealed' (all the
+ * answers shown): counts it for the 一副牌, the 计时赛, the 题单 and the
+ * player's history.
+ */
+function endHand(result, answer = null) {
+  const solved = result === 'solved' || result === 'no-answer';
+  recordDeckOutcome(result === 'revealed' ? 'passed' : result);
+  recordSetOutcome(result);
+  finishRoundHand(solved ? 'solved' : result === 'revealed' ? 'given-up' : 'missed', answer);
+  if (finishRecord(handRecord, solved ? 'solved' : result, { answer })) saveProfileHistory();
+}
+
+// Whether the hand on the table may have no answer, so 没有答案 is worth a guess
+function isNoAnswerChallenge() {
+  return deck ? settings.deckUnsolvable === 'challenge' : settings.unsolvableRate > 0;
+}
+
+// 没有答案: right when the hand has no solution, otherwise show one that works
+function sayNoAnswer() {
+  noAnswerBtn.disabled = true;
+
+  if (currentSolutions.length === 0) {
+    updateMascot(`答对啦！这一组怎么算都凑不出${settings.target}，你看出来啦！`);
+    speakMessage(`答对啦！这一组凑不出${settings.target}`);
+    endHand('no-answer', '没有答案');
+    return;
+  }
+
+  const [simplest] = currentSolutions;
+  const message = `其实能凑出来哦：${simplest.expr} = ${settings.target}`;
+  addHint(message);
+  updateMascot(message);
+  speakMessage(`其实能凑出来哦：${simplest.expr}等于${settings.target}`);
+  endHand('missed', '没有答案');
+}
+
 function showSolutions() {
   if (isSolutionsVisible) return;
 
@@ -185,13 +624,16 @@ function showSolutions() {
   solveBtn.disabled = true;
   solveBtn.classList.add('disabled');
 
-  // Randomize solutions order to discourage pattern memorization
-  // (though solver usually produces deterministic output order, users act differently)
-  const shuffledSolutions = [...currentSolutions].sort(() => Math.random() - 0.5);
-
-  solutionsList.innerHTML = shuffledSolutions
-    .map(sol => `<li>${sol} = 24</li>`)
-    .join('');
+  // One line per idea, simplest first and marked; the other ways to write it fold out under 其他写法
+  const others = currentSolutions.slice(1);
+  solutionsList.innerHTML = currentSolutions
+    .map((sol, index) => index === 0
+      ? `<li class="simplest"><span class="simplest-tag">⭐ 最简单</span>${sol.expr} = ${settings.target}${renderVariants(sol.variants)}</li>`
+      : `<li>${sol.expr} = ${settings.target}${renderVariants(sol.variants)}</li>`)
+    .join('') + (totalSolutions > currentSolutions.length
+    ? `<li class="more-solutions">……还有 ${totalSolutions - currentSolutions.length} 种，只列出最简单的 ${currentSolutions.length} 种</li>`
+    : '');
+  readRestBtn.classList.toggle('hidden', others.length === 0);
 
   solutionsPanel.classList.remove('hidden');
   // Trigger reflow to ensure transition works if going from display:none
@@ -199,34 +641,916 @@ function showSolutions() {
   solutionsPanel.classList.add('visible');
 
   isSolutionsVisible = true;
-  updateMascot("这里是所有的解法，记住思路比答案更重要哦！");
+  updateMascot(totalSolutions > currentSolutions.length
+    ? "这里是最简单的几种解法，记住思路比答案更重要哦！"
+    : "这里是所有的解法，记住思路比答案更重要哦！");
+  endHand('revealed');
 
-  // Speak solutions
-  const speakSolutions = async () => {
-    // Clear any existing speech and reset flag
-    stopSpeech();
-    shouldStopSpeaking = false;
-    
-    // Speak each solution
-    for (const sol of shuffledSolutions) {
-      if (shouldStopSpeaking) break;
-      await speak(`${sol}等于24`);
-      if (shouldStopSpeaking) break;
-      await new Promise(resolve => setTimeout(resolve, 500));
+  // Only the simplest is read out; the rest wait for 读其他解法
+  const closing = others.length > 0
+    ? `还有${others.length}种解法，想听的话点“读其他解法”。`
+    : antiRoteTip.textContent;
+  speakSolutions(currentSolutions.slice(0, 1), closing);
+}
+
+// Read the solutions after the simplest one, on request
+function readOtherSolutions() {
+  speakSolutions(currentSolutions.slice(1), antiRoteTip.textContent);
+}
+
+// Speaks each solution in turn, then a closing line
+async function speakSolutions(solutions, closing) {
+  // Clear any existing speech and reset flag
+  stopSpeech();
+  shouldStopSpeaking = false;
+
+  for (const sol of solutions) {
+    if (shouldStopSpeaking) break;
+    await speak(`${sol.expr}等于${settings.target}`);
+    if (shouldStopSpeaking) break;
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  if (shouldStopSpeaking) return;
+
+  // Pause for 1 second before the closing line
+  await new Promise(resolve => setTimeout(resolve, 1000));
+
+  if (shouldStopSpeaking) return;
+
+  await speak(closing);
+}
+
+function renderVariants(variants) {
+  if (variants.length === 0) return '';
+
+  const items = variants.map(variant => `<li>${variant}</li>`).join('');
+  return `<details class="variants"><summary>其他写法 (${variants.length})</summary><ul>${items}</ul></details>`;
+}
+
+function toggleAnswerPanel() {
+  isAnswerVisible = !isAnswerVisible;
+  answerPanel.classList.toggle('hidden', !isAnswerVisible);
+  if (isAnswerVisible) {
+    if (isMergeMode) toggleMergeMode();
+    updateMascot(`用这${currentNumbers.length}张牌凑出${settings.target}，每张牌只能用一次哦！`);
+  }
+}
+
+function resetAnswer() {
+  answerInput.value = '';
+  renderAnswerCards();
+}
+
+function renderAnswerCards() {
+  answerCards.innerHTML = currentNumbers
+    .map((num, index) => `<button class="key card-key" data-index="${index}">${formatNumber(num)}</button>`)
+    .join('');
+  syncAnswerCards();
+}
+
+// Grey out the card keys whose numbers already appear in the answer
+function syncAnswerCards() {
+  const typed = (Checker.toAscii(answerInput.value).match(/\d+/g) || []).map(Number);
+  const used = new Set();
+
+  typed.forEach(value => {
+    const index = currentNumbers.findIndex((num, i) => num === value && !used.has(i));
+    if (index !== -1) used.add(index);
+  });
+
+  answerCards.querySelectorAll('.card-key').forEach(key => {
+    key.disabled = used.has(Number(key.dataset.index));
+  });
+}
+
+function appendAnswerToken(token) {
+  const text = answerInput.value.trimEnd();
+  answerInput.value = text ? `${text} ${token}` : token;
+  syncAnswerCards();
+}
+
+function deleteAnswerToken() {
+  // Drop the last number, operator or bracket
+  answerInput.value = answerInput.value
+    .trimEnd()
+    .replace(/(\d+|[AJQKajqk]|\S)$/, '')
+    .trimEnd();
+  syncAnswerCards();
+}
+
+function submitAnswer() {
+  const expression = answerInput.value.trim();
+  const { correct, error } = checker.check(expression, currentNumbers);
+
+  if (correct) {
+    updateMascot(`答对啦！${expression} = ${settings.target}，你真棒！${recordDailySolve()}`);
+    speakMessage(`答对啦！${expression}等于${settings.target}`);
+    endHand('solved', expression);
+  } else {
+    if (handRecord && handRecord.result === null) {
+      handRecord.mistakes++;
+      saveProfileHistory();
     }
-    
-    if (shouldStopSpeaking) return;
-    
-    // Pause for 1 second before speaking the tip
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    if (shouldStopSpeaking) return;
-    
-    // Speak the anti-rote tip from the page
-    await speak(antiRoteTip.textContent);
+    // Tell the child exactly what went wrong
+    updateMascot(error.message);
+    speakMessage(error.message);
+  }
+}
+
+// Short note on the active rules, so the solution count makes sense
+function describeRules() {
+  const rules = [];
+  if (settings.fractions) rules.push('允许分数');
+  if (settings.intermediates !== 'any') rules.push(INTERMEDIATE_CHOICES[settings.intermediates]);
+  if (settings.equivalence !== 'commutative') rules.push(EQUIVALENCE_CHOICES[settings.equivalence]);
+  if (settings.extras.length > 0) rules.push(`可以用${settings.extras.map(name => EXTRA_CHOICES[name].split(' ')[0]).join('、')}`);
+  return rules.length > 0 ? `（${rules.join('，')}）` : '';
+}
+
+function renderSettings() {
+  targetSelect.innerHTML = TARGET_CHOICES
+    .map(value => `<option value="${value}">${value}</option>`)
+    .join('');
+  handSizeSelect.innerHTML = HAND_SIZE_CHOICES
+    .map(value => `<option value="${value}">${value} 张</option>`)
+    .join('');
+  intermediatesSelect.innerHTML = Object.entries(INTERMEDIATE_CHOICES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  equivalenceSelect.innerHTML = Object.entries(EQUIVALENCE_CHOICES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  difficultySelect.innerHTML = ['any', ...DIFFICULTY_LEVELS]
+    .map(value => `<option value="${value}">${value === 'any' ? '随机' : DIFFICULTY_LABELS[value]}</option>`)
+    .join('');
+  unsolvableRateSelect.innerHTML = Object.entries(UNSOLVABLE_RATE_CHOICES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  deckUnsolvableSelect.innerHTML = Object.entries(DECK_UNSOLVABLE_CHOICES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+
+  // The panel shows the player's own settings, whatever rules the hand on the table is played by
+  targetSelect.value = playerSettings.target;
+  handSizeSelect.value = playerSettings.handSize;
+  fractionsToggle.checked = playerSettings.fractions;
+  intermediatesSelect.value = playerSettings.intermediates;
+  equivalenceSelect.value = playerSettings.equivalence;
+  difficultySelect.value = playerSettings.difficulty;
+  unsolvableRateSelect.value = String(playerSettings.unsolvableRate);
+  deckUnsolvableSelect.value = playerSettings.deckUnsolvable;
+
+  // Extra operators only go up to EXTRAS_MAX_HAND_SIZE cards
+  const extrasAllowed = playerSettings.handSize <= EXTRAS_MAX_HAND_SIZE;
+  extrasOptions.innerHTML = Object.entries(EXTRA_CHOICES)
+    .map(([value, label]) => `<label><input type="checkbox" value="${value}"${playerSettings.extras.includes(value) ? ' checked' : ''}${extrasAllowed ? '' : ' disabled'} /> ${label}</label>`)
+    .join('') + (extrasAllowed ? '' : `（最多 ${EXTRAS_MAX_HAND_SIZE} 张牌时可用）`);
+  extrasOptions.classList.toggle('disabled', !extrasAllowed);
+
+  renderOperatorKeys();
+}
+
+// Keypad keys for the operators in play
+function renderOperatorKeys() {
+  answerOps.querySelectorAll('.extra-key').forEach(key => {
+    key.classList.toggle('hidden', !settings.extras.includes(key.dataset.extra));
+  });
+}
+
+// The player changed their settings: saved, and played by from now on
+function updateSettings(changes) {
+  playerSettings = saveSettings({ ...playerSettings, ...changes });
+  useRules(playerSettings);
+}
+
+// Plays by `changes` to the player's settings, without saving them, until restoreSettings()
+function playBy(changes) {
+  useRules(handRules(playerSettings, changes));
+}
+
+function restoreSettings() {
+  useRules(playerSettings);
+}
+
+function useRules(rules) {
+  if (JSON.stringify(rules) === JSON.stringify(settings)) return;
+  settings = rules;
+  dealer.close();
+  dealer = new Dealer(settings);
+  checker = new Checker(settings);
+  renderOperatorKeys();
+}
+
+function applySettings() {
+  updateSettings({
+    target: Number(targetSelect.value),
+    handSize: Number(handSizeSelect.value),
+    fractions: fractionsToggle.checked,
+    intermediates: intermediatesSelect.value,
+    equivalence: equivalenceSelect.value,
+    difficulty: difficultySelect.value,
+    extras: [...extrasOptions.querySelectorAll('input:checked')].map(input => input.value),
+    unsolvableRate: Number(unsolvableRateSelect.value),
+    deckUnsolvable: deckUnsolvableSelect.value
+  });
+  renderSettings();
+
+  // New rules mid-round: the round can't count any more
+  stopRound();
+  stopSet();
+  // New rules mid-deck: start over with a fresh deck
+  if (deck) {
+    startDeck();
+    return;
+  }
+  startGame(dealHand(), { message: `用${settings.handSize}张牌凑出${settings.target}，开始吧！` });
+}
+
+// 一副牌: shuffle a real 52-card deck and deal it out a hand at a time
+function startDeck() {
+  stopRound();
+  stopSet();
+  restoreSettings();
+  deck = new Deck();
+  deckPanel.classList.add('hidden');
+  deckBtn.textContent = '不玩一副牌 (Exit)';
+  nextDeckHand(`洗好一副牌啦！一共 ${Deck.SIZE} 张，每次发 ${settings.handSize} 张。`);
+}
+
+function stopDeck() {
+  deck = null;
+  deckPanel.classList.add('hidden');
+  deckBtn.textContent = '一副牌 (Deck)';
+}
+
+async function nextDeckHand(message = '下一组牌来了！') {
+  if (!deck.canDeal(settings.handSize)) {
+    finishDeck();
+    return;
+  }
+
+  const skipped = [];
+  if (await startGame(dealFromDeck(skipped), { message }) && skipped.length > 0) {
+    const hands = skipped.map(numbers => numbers.map(formatNumber).join(' ')).join('、');
+    updateMascot(`${hands} 没有答案，先放到一边。${message}`);
+  }
+}
+
+// Resolves to the next hand worth playing, putting aside hands without an
+// answer (into `skipped`) when the settings say so; null when the deck runs out
+async function dealFromDeck(skipped) {
+  while (deck.canDeal(settings.handSize)) {
+    const { numbers, suits } = deck.deal(settings.handSize);
+    const hand = await dealer.describe(numbers, { suits });
+    if (hand.solutions.length > 0 || settings.deckUnsolvable === 'challenge') return hand;
+
+    deck.record('skipped');
+    skipped.push(numbers);
+  }
+
+  finishDeck();
+  return null;
+}
+
+// Counts the hand on the table towards the 一副牌 score; the summary shows after the last hand
+function recordDeckOutcome(outcome) {
+  if (!deck || !deck.record(outcome)) return;
+  if (!deck.canDeal(settings.handSize)) showDeckSummary();
+}
+
+function finishDeck() {
+  deck.record('passed');
+  const { score, played } = showDeckSummary();
+  updateMascot(`这副牌打完啦！${played} 组里得了 ${score} 分，再来一副吧！`);
+  speakMessage(`这副牌打完啦！得了${score}分`);
+}
+
+function showDeckSummary() {
+  const summary = deck.summary();
+  const lines = [
+    `<li class="deck-score">得分：${summary.score} / ${summary.played}</li>`,
+    `<li>做出来 ${summary.solved} 组</li>`
+  ];
+  if (summary['no-answer'] > 0) lines.push(`<li>看出没有答案 ${summary['no-answer']} 组</li>`);
+  if (summary.missed > 0) lines.push(`<li>说没有答案，其实有 ${summary.missed} 组</li>`);
+  if (summary.passed > 0) lines.push(`<li>没做出来 ${summary.passed} 组</li>`);
+  if (summary.skipped > 0) lines.push(`<li>没有答案、跳过了 ${summary.skipped} 组</li>`);
+  if (summary.left > 0) lines.push(`<li>剩下 ${summary.left} 张牌不够发一组</li>`);
+
+  deckSummary.innerHTML = lines.join('');
+  deckPanel.classList.remove('hidden');
+  return summary;
+}
+
+// 计时赛: pick a mode; the high scores shown are the player's for the current difficulty
+function toggleTimedPanel() {
+  timedPanel.classList.toggle('hidden');
+  if (timedPanel.classList.contains('hidden')) return;
+
+  timedModes.innerHTML = Object.entries(TIMED_MODES)
+    .map(([mode, { label }]) => `<button class="btn primary-btn timed-start" data-mode="${mode}">${label}</button>`)
+    .join('');
+  highScoresEl.innerHTML = Object.entries(TIMED_MODES)
+    .map(([mode, { label }]) => renderHighScores(mode, settings.difficulty, label))
+    .join('');
+}
+
+function startRound(mode) {
+  stopDeck();
+  stopSet();
+  restoreSettings();
+  stopRound();
+  round = new TimedRound(mode, settings.difficulty);
+
+  timedPanel.classList.add('hidden');
+  roundPanel.classList.add('hidden');
+  timedBtn.textContent = '结束计时 (Stop)';
+  roundClock = setInterval(tickRound, 250);
+  nextRoundHand(`${TIMED_MODES[mode].label}开始！答对越快、用的提示越少，分数越高！`);
+}
+
+// Leaves the round without a score (e.g. another mode was picked)
+function stopRound() {
+  clearInterval(roundClock);
+  clearTimeout(roundNext);
+  round = null;
+  roundStatus.classList.add('hidden');
+  timedBtn.textContent = '计时赛 (Timed)';
+}
+
+function nextRoundHand(message = '下一组！') {
+  clearTimeout(roundNext);
+  startGame(dealHand(), { message });
+}
+
+// Ends the hand on the table with one of HAND_OUTCOMES; after a moment the next one is dealt
+function finishRoundHand(outcome, answer = null) {
+  if (!round || !round.current) return;
+
+  const points = round.finishHand(outcome, answer);
+  if (points > 0) updateMascot(`${mascotMessage.textContent} +${points} 分！`);
+  renderRoundStatus();
+
+  if (round.isOver()) {
+    endRound();
+  } else if (outcome !== 'skipped') {
+    roundNext = setTimeout(nextRoundHand, outcome === 'solved' ? 1500 : 3000);
+  }
+}
+
+function tickRound() {
+  if (round.current && round.isOver()) {
+    // Time's up in the middle of a hand
+    round.finishHand('timeout');
+    endRound();
+    return;
+  }
+  renderRoundStatus();
+}
+
+function renderRoundStatus() {
+  const left = round.timeLeft();
+  const clock = left === null ? `⏱ ${formatClock(round.time())}` : `⏱ 还剩 ${formatClock(left)}`;
+  const count = round.rules.hands === null
+    ? `第 ${round.hands.length} 组`
+    : `第 ${round.hands.length}/${round.rules.hands} 组`;
+
+  roundStatus.textContent = `${clock} · ${count} · ${round.score} 分`;
+  roundStatus.classList.remove('hidden');
+}
+
+const ROUND_OUTCOME_LABELS = {
+  'missed': '没有答案 ✗',
+  'given-up': '看了答案',
+  'skipped': '跳过',
+  'timeout': '时间到'
+};
+
+// Scores the round, keeps it in the high scores and lists every hand next to its simplest solution
+function endRound() {
+  const finished = round;
+  stopRound();
+
+  const { table, rank } = addHighScore(highScoreTable, profile.id, finished.mode, finished.difficulty, finished.result(dateKey()));
+  highScoreTable = saveHighScores(table);
+
+  const rows = finished.hands.map(hand => `<tr>
+      <td>${hand.numbers.map(formatNumber).join(' ')}</td>
+      <td>${hand.outcome === 'solved' ? hand.answer : ROUND_OUTCOME_LABELS[hand.outcome]}</td>
+      <td>${hand.solution || '没有答案'}</td>
+      <td>${Math.round(hand.seconds)} 秒${hand.hints > 0 ? `，提示 ${hand.hints} 次` : ''}</td>
+      <td class="points">${hand.points}</td>
+    </tr>`);
+  roundTable.innerHTML = `<thead><tr><th>牌</th><th>你的答案</th><th>最简单的解法</th><th>用时</th><th class="points">得分</th></tr></thead>
+    <tbody>${rows.join('')}</tbody>`;
+
+  roundTitle.textContent = `计时赛结束！做出 ${finished.solved} 组，${finished.score} 分${rank === 0 ? ' 🏆 新纪录！' : ''}`;
+  roundHighScores.innerHTML = renderHighScores(finished.mode, finished.difficulty, TIMED_MODES[finished.mode].label, rank);
+  roundAgainBtn.dataset.mode = finished.mode;
+  roundPanel.classList.remove('hidden');
+
+  const message = `计时赛结束！一共 ${finished.score} 分${rank === 0 ? '，新纪录！' : rank > 0 ? `，排第 ${rank + 1}！` : '。'}`;
+  updateMascot(message);
+  speakMessage(message);
+}
+
+function renderHighScores(mode, difficulty, label, highlight = -1) {
+  const level = difficulty === 'any' ? '随机难度' : DIFFICULTY_LABELS[difficulty];
+  const entries = highScores(highScoreTable, profile.id, mode, difficulty);
+  const items = entries
+    .map((entry, index) => `<li${index === highlight ? ' class="new-record"' : ''}>${entry.score} 分 · 做出 ${entry.solved} 组 · ${formatClock(entry.seconds * 1000)} · ${entry.date}</li>`)
+    .join('');
+
+  return `<div>🏆 ${profile.avatar} ${escapeHtml(profile.name)} 的${label}（${level}）${items ? `<ol>${items}</ol>` : '：还没有成绩'}</div>`;
+}
+
+// 题单: the sets a parent or teacher wrote, to play or edit
+function toggleSetsPanel() {
+  setsPanel.classList.toggle('hidden');
+  if (setsPanel.classList.contains('hidden')) {
+    closeSetEditor();
+    return;
+  }
+  renderSetList();
+}
+
+function renderSetList() {
+  setList.innerHTML = puzzleSets.length === 0
+    ? '<div class="set-empty">还没有题单，点“新建题单”写一个吧。</div>'
+    : puzzleSets
+      .map(({ id, name, hands }) => `<div class="set-row">
+          <span class="set-title">${escapeHtml(name)}（${hands.length} 组）</span>
+          <button class="key" data-action="play" data-id="${id}">▶️ 开始</button>
+          <button class="key" data-action="edit" data-id="${id}">✏️ 编辑</button>
+          <button class="key" data-action="delete" data-id="${id}">🗑</button>
+        </div>`)
+      .join('');
+}
+
+// Plays a 题单 from its first hand, in place of random deals
+function startSet(set) {
+  stopDeck();
+  stopRound();
+  setPlay = new SetPlay(set, playerSettings);
+  setsPanel.classList.add('hidden');
+  setDonePanel.classList.add('hidden');
+  closeSetEditor();
+  setsBtn.textContent = '不做题单 (Exit)';
+  nextSetHand(`开始做「${set.name}」啦！一共 ${set.hands.length} 组。`);
+}
+
+// Back to the player's own settings, which the 题单's hands were played around
+function stopSet() {
+  setPlay = null;
+  setDonePanel.classList.add('hidden');
+  setsBtn.textContent = '题单 (Sets)';
+  restoreSettings();
+}
+
+// Deals the 题单's next hand by the player's settings with its target and number
+// of cards (for this hand only: the player's settings aren't changed), even
+// right after a link or 今日一题 played by other rules
+function nextSetHand(message = '下一组来了！') {
+  const hand = setPlay.next();
+  if (!hand) {
+    finishSet();
+    return;
+  }
+
+  if (hand.target !== settings.target) message = `这一组要凑 ${hand.target} 哦！${message}`;
+  useRules(hand.rules);
+  startGame(dealer.describe(hand.numbers), { message });
+}
+
+// Counts the hand on the table towards the 题单; the summary shows after the last hand
+function recordSetOutcome(result) {
+  if (!setPlay || !setPlay.record(result)) return;
+  if (!setPlay.hasNext) showSetSummary();
+}
+
+function finishSet() {
+  const { name } = setPlay.set;
+  const { solved, hands } = showSetSummary();
+  updateMascot(`「${name}」做完啦！${hands} 组里做对了 ${solved} 组。`);
+  speakMessage(`题单做完啦！做对了${solved}组`);
+}
+
+function showSetSummary() {
+  const summary = setPlay.summary();
+  const lines = [
+    `<li class="deck-score">做对：${summary.solved} / ${summary.hands}</li>`
+  ];
+  const unsolved = summary.played - summary.solved - summary.skipped;
+  if (unsolved > 0) lines.push(`<li>没做出来 ${unsolved} 组</li>`);
+  if (summary.skipped > 0) lines.push(`<li>跳过了 ${summary.skipped} 组</li>`);
+
+  setDoneTitle.textContent = `「${setPlay.set.name}」做完啦！`;
+  setSummary.innerHTML = lines.join('');
+  setDonePanel.classList.remove('hidden');
+  return summary;
+}
+
+function openSetEditor(id = null) {
+  const set = puzzleSets.find(s => s.id === id);
+  editingSetId = set ? set.id : null;
+  setNameInput.value = set ? set.name : '';
+  setHandsInput.value = set ? set.hands.map(formatSetHand).join('\n') : '';
+  // The rules may have changed since the last check
+  setChecks.clear();
+  setEditor.classList.remove('hidden');
+  renderSetCheck();
+  checkSetHands();
+}
+
+function closeSetEditor() {
+  clearTimeout(setCheckTimer);
+  setCheckPass++;
+  if (setChecker) {
+    setChecker.close();
+    setChecker = null;
+  }
+  editingSetId = null;
+  setEditor.classList.add('hidden');
+}
+
+// A hand as the editor shows it: 3 3 8 8, or 2 2 3 3 = 10
+function formatSetHand({ numbers, target }) {
+  const cards = numbers.map(formatNumber).join(' ');
+  return target === DEFAULT_TARGET ? cards : `${cards} = ${target}`;
+}
+
+const setCheckKey = ({ numbers, target }) => `${target}:${numbers.join('-')}`;
+
+// Solves the editor's hands not checked yet, one at a time off the page, under the rules the 题单 is played by
+async function checkSetHands() {
+  const pass = ++setCheckPass;
+
+  for (const hand of parseHands(setHandsInput.value)) {
+    if (hand.error || setChecks.has(setCheckKey(hand))) continue;
+
+    const rules = handRules(playerSettings, { target: hand.target, handSize: hand.numbers.length });
+    if (!setChecker || setChecker.settings.target !== rules.target || setChecker.settings.handSize !== rules.handSize) {
+      if (setChecker) setChecker.close();
+      setChecker = new Dealer(rules);
+    }
+
+    try {
+      setChecks.set(setCheckKey(hand), await setChecker.describe(hand.numbers));
+    } catch (e) {
+      // The hands changed (or the editor closed): a newer pass takes over
+      if (e.code === 'cancelled') return;
+      console.warn("Failed to check a hand:", e);
+      setChecks.set(setCheckKey(hand), null);
+    }
+    if (pass !== setCheckPass) return;
+    renderSetCheck();
+  }
+}
+
+// One line per hand: whether it can be made, and how hard it is and what it takes
+function renderSetCheck() {
+  setCheck.innerHTML = parseHands(setHandsInput.value)
+    .map(hand => {
+      if (hand.error) return `<li class="wrong">❌ ${escapeHtml(hand.line)}：${hand.error}</li>`;
+
+      const cards = `${hand.numbers.map(formatNumber).join(' ')} → ${hand.target}`;
+      const key = setCheckKey(hand);
+      if (!setChecks.has(key)) return `<li class="pending">⏳ ${cards}：检查中…</li>`;
+
+      const described = setChecks.get(key);
+      if (described === null) return `<li class="pending">❓ ${cards}：没能检查</li>`;
+      if (described.solutions.length === 0) return `<li class="unsolvable">⚠️ ${cards}：按现在的规则凑不出来</li>`;
+
+      const { level, factors } = described.difficulty;
+      const kinds = handKinds({ unsolvable: false, factors }).map(kind => KIND_LABELS[kind]).join('、');
+      return `<li>✅ ${cards}：${described.totalSolutions} 种解法 · ${DIFFICULTY_LABELS[level]} · ${kinds}</li>`;
+    })
+    .join('');
+}
+
+function saveSet() {
+  const hands = parseHands(setHandsInput.value);
+  const wrong = hands.filter(hand => hand.error).length;
+  if (hands.length === 0 || wrong > 0) {
+    updateMascot(hands.length === 0 ? '题单里还没有牌哦，每行写一组吧。' : `有 ${wrong} 行写得不对，改好再保存吧。`);
+    return;
+  }
+
+  const set = {
+    id: editingSetId ?? newSetId(puzzleSets),
+    name: setNameInput.value.trim() || `题单 ${puzzleSets.length + 1}`,
+    hands: hands.map(({ numbers, target }) => ({ numbers, target }))
   };
-  
-  speakSolutions();
+  puzzleSets = savePuzzleSets(editingSetId
+    ? puzzleSets.map(s => (s.id === set.id ? set : s))
+    : [...puzzleSets, set]);
+
+  const flagged = hands.filter(hand => {
+    const described = setChecks.get(setCheckKey(hand));
+    return described && described.solutions.length === 0;
+  }).length;
+  closeSetEditor();
+  renderSetList();
+  updateMascot(`题单「${set.name}」保存好啦${flagged > 0 ? `，其中 ${flagged} 组按现在的规则凑不出来` : ''}。`);
+}
+
+function deleteSet(id) {
+  const set = puzzleSets.find(s => s.id === id);
+  if (!confirm(`删除题单「${set.name}」吗？`)) return;
+
+  puzzleSets = savePuzzleSets(puzzleSets.filter(s => s.id !== id));
+  if (editingSetId === id) closeSetEditor();
+  renderSetList();
+}
+
+// Starts the player's history record for a newly dealt hand; the one before is done
+function startHandRecord(hand) {
+  closeHandRecord();
+  const mode = round ? 'timed' : deck ? 'deck' : setPlay ? 'set' : dailyDay ? 'daily' : hand.review ? 'review' : 'free';
+  handRecord = startRecord(hand, { mode, target: settings.target });
+  handHistory.push(handRecord);
+  saveProfileHistory();
+}
+
+// A hand left without a result was skipped, after however long it was on the table
+function closeHandRecord() {
+  if (finishRecord(handRecord, 'skipped')) saveProfileHistory();
+  handRecord = null;
+}
+
+function saveProfileHistory() {
+  handHistory = saveHistory(profile.id, handHistory);
+}
+
+function toggleProfilePanel() {
+  profilePanel.classList.toggle('hidden');
+  if (profilePanel.classList.contains('hidden')) return;
+  profileNameInput.value = profile.name;
+  renderProfiles();
+}
+
+function renderProfiles() {
+  profileBtn.textContent = profile.avatar;
+  profileBtn.title = profile.name;
+
+  profileList.innerHTML = profiles.profiles
+    .map(({ id, name, avatar }) => `<button class="key profile-key${id === profile.id ? ' current' : ''}" data-id="${id}">${avatar} ${escapeHtml(name)}</button>`)
+    .join('');
+  avatarChoices.innerHTML = AVATARS
+    .map(avatar => `<button class="key avatar-key${avatar === chosenAvatar ? ' current' : ''}" data-avatar="${avatar}">${avatar}</button>`)
+    .join('');
+  profileRemoveBtn.disabled = profiles.profiles.length === 1;
+}
+
+// Another player takes over: their own history, high scores and a fresh hand
+function switchProfile(state, message) {
+  closeHandRecord();
+  profiles = saveProfiles(state);
+  profile = currentProfile(profiles);
+  handHistory = loadHistory(profile.id);
+  chosenAvatar = profile.avatar;
+  profileNameInput.value = profile.name;
+  renderProfiles();
+  if (!statsPanel.classList.contains('hidden')) renderStats();
+
+  stopRound();
+  stopDeck();
+  stopSet();
+  restoreSettings();
+  timedPanel.classList.add('hidden');
+  roundPanel.classList.add('hidden');
+  startGame(dealHand(), { message });
+}
+
+function chooseProfile(id) {
+  if (id === profile.id) return;
+  const { name, avatar } = profiles.profiles.find(p => p.id === id);
+  switchProfile(selectProfile(profiles, id), `${avatar} ${name}，欢迎回来！我们来算${settings.target}吧！`);
+}
+
+function createProfile() {
+  const state = addProfile(profiles, profileNameInput.value === profile.name ? '' : profileNameInput.value, chosenAvatar);
+  const { name, avatar } = currentProfile(state);
+  switchProfile(state, `${avatar} ${name}，你好！我们来算${settings.target}吧！`);
+}
+
+function saveProfileDetails() {
+  profiles = saveProfiles(updateProfile(profiles, profile.id, { name: profileNameInput.value, avatar: chosenAvatar }));
+  profile = currentProfile(profiles);
+  renderProfiles();
+  updateMascot(`好的，${profile.avatar} ${profile.name}！`);
+}
+
+function deleteProfile() {
+  if (profiles.profiles.length === 1) return;
+  if (!confirm(`删除 ${profile.name} 和 TA 的所有记录吗？`)) return;
+
+  const removed = profile;
+  handRecord = null;
+  clearHistory(removed.id);
+  const { [removed.id]: _, ...scores } = highScoreTable;
+  highScoreTable = saveHighScores(scores);
+
+  const state = removeProfile(profiles, removed.id);
+  const { name, avatar } = currentProfile(state);
+  switchProfile(state, `${avatar} ${name}，轮到你啦！`);
+}
+
+// Everything the progress file carries (see backup.js), as it is now
+function currentData() {
+  return {
+    profiles,
+    histories: Object.fromEntries(profiles.profiles.map(({ id }) => [id, id === profile.id ? handHistory : loadHistory(id)])),
+    highScores: highScoreTable,
+    puzzleSets
+  };
+}
+
+// Saves the progress file, to take to another device
+function exportProgress() {
+  const backup = createBackup(currentData());
+  const url = URL.createObjectURL(new Blob([JSON.stringify(backup)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `calc24-${dateKey()}.json`;
+  link.click();
+  // Safari still needs the URL a moment after the click
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  updateMascot("进度存好啦！在另一台设备上点“导入进度”选这个文件就行。");
+}
+
+// Merges a progress file from another device into this one; the hand on the table plays on
+async function importProgress(file) {
+  let merged;
+  try {
+    merged = mergeBackup(currentData(), parseBackup(await file.text()));
+  } catch (e) {
+    if (!(e instanceof BackupError)) throw e;
+    updateMascot(`这个文件导入不了：${e.message}`);
+    return;
+  }
+
+  profiles = saveProfiles(merged.profiles);
+  Object.entries(merged.histories).forEach(([id, records]) => {
+    if (id !== profile.id) saveHistory(id, records);
+  });
+  handHistory = merged.histories[profile.id];
+  saveProfileHistory();
+  highScoreTable = saveHighScores(merged.highScores);
+  puzzleSets = savePuzzleSets(merged.puzzleSets);
+
+  renderProfiles();
+  if (!setsPanel.classList.contains('hidden')) renderSetList();
+  if (!statsPanel.classList.contains('hidden')) renderStats();
+
+  const { profiles: players, records, puzzleSets: sets } = merged.added;
+  updateMascot(players + records + sets === 0
+    ? '这个文件里的东西这里都已经有了。'
+    : `导入好啦：新玩家 ${players} 个，做题记录 ${records} 条，题单 ${sets} 个。`);
+}
+
+function toggleStats() {
+  statsPanel.classList.toggle('hidden');
+  if (!statsPanel.classList.contains('hidden')) renderStats();
+}
+
+// For the parents: how the current player is doing, over time and by kind of hand
+function renderStats() {
+  const summary = summarizeHistory(handHistory);
+
+  statsOverview.textContent = summary.played === 0
+    ? `${profile.avatar} ${profile.name} 还没有认真做过题。`
+    : `${profile.avatar} ${profile.name}：做了 ${summary.played} 组，做对 ${summary.solved} 组（正确率 ${formatPercent(summary.accuracy)}），做对的平均用时 ${formatSeconds(summary.averageSeconds)}`;
+
+  statsDays.innerHTML = summary.byDay
+    .map(({ day, played, solved, accuracy }) => `<div class="stats-day${played === 0 ? ' empty' : ''}" title="${day}：${solved}/${played}">
+        <span>${formatPercent(accuracy)}</span>
+        <div class="stats-bar" style="height: ${Math.round((accuracy || 0) * 80)}%"></div>
+        <span>${day.slice(5)}</span>
+      </div>`)
+    .join('');
+
+  statsKinds.innerHTML = `<thead><tr><th>题型</th><th>做了</th><th>正确率</th><th>平均用时</th></tr></thead>
+    <tbody>${summary.byKind
+      .map(kind => `<tr${kind.weak ? ' class="weak"' : ''}>
+          <td>${kind.weak ? '⚠️ ' : ''}${KIND_LABELS[kind.kind]}</td>
+          <td>${kind.played}</td>
+          <td>${formatPercent(kind.accuracy)}</td>
+          <td>${formatSeconds(kind.averageSeconds)}</td>
+        </tr>`)
+      .join('')}</tbody>`;
+
+  const weak = summary.byKind.filter(kind => kind.weak).map(kind => KIND_LABELS[kind.kind]);
+  statsWeak.textContent = weak.length > 0
+    ? `要多练练：${weak.join('、')}`
+    : summary.played > 0 ? '还没有发现明显的薄弱题型，继续加油！' : '';
+
+  renderReviewQueue();
+}
+
+// Which hands will come back, and when (see review.js)
+function renderReviewQueue() {
+  const queue = buildReviewQueue(handHistory);
+  if (queue.length === 0) {
+    reviewTable.innerHTML = '<tbody><tr><td>现在没有要复习的题。</td></tr></tbody>';
+    return;
+  }
+
+  const today = dateKey();
+  const rows = queue.map(item => `<tr>
+      <td>${item.numbers.map(formatNumber).join(' ')}${item.target !== 24 ? `（凑 ${item.target}）` : ''}</td>
+      <td>${item.box} / ${BOX_DAYS.length}</td>
+      <td>${item.due <= today ? '该复习了' : item.due}</td>
+      <td>${item.lapses}</td>
+      <td>${item.since}</td>
+    </tr>`);
+  reviewTable.innerHTML = `<thead><tr><th>牌</th><th>第几盒</th><th>下次复习</th><th>没做好</th><th>第一次</th></tr></thead>
+    <tbody>${rows.join('')}</tbody>`;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Deal today's 今日一题: the same hand for everyone, with the classic rules
+// (for this hand only; the player's own settings are back with the next 换一组)
+function startDaily() {
+  const today = dateKey();
+  stopDeck();
+  stopRound();
+  stopSet();
+  playBy(DAILY_SETTINGS);
+
+  startGame(dealer.generate({ difficulty: DAILY_DIFFICULTY, seed: dailySeed(today) }), {
+    day: today,
+    message: streakRecord.lastSolved === today
+      ? "今天的题已经做出来啦，想再算一遍也可以哦！"
+      : "今日一题来啦！每天做一题，连续打卡吧！"
+  });
+}
+
+// Counts a solved 今日一题 towards the streak; returns a line for the mascot
+function recordDailySolve() {
+  const today = dateKey();
+  // Only today's puzzle counts (not one left open since yesterday)
+  if (dailyDay !== today || streakRecord.lastSolved === today) return '';
+
+  streakRecord = saveStreak(recordSolve(streakRecord, today));
+  renderStreak();
+  return ` 🔥 已经连续 ${streakRecord.streak} 天做出今日一题！`;
+}
+
+function renderStreak() {
+  const streak = currentStreak(streakRecord, dateKey());
+  streakBadge.classList.toggle('hidden', streak === 0);
+  streakBadge.textContent = `🔥 ${streak}`;
+  streakBadge.title = `连续 ${streak} 天做出今日一题（最长 ${streakRecord.best} 天）`;
+}
+
+// Open the puzzle in the URL hash, if there is one. Returns false otherwise.
+function startFromLink() {
+  const puzzle = decodePuzzle(location.hash);
+  if (!puzzle) return false;
+  stopDeck();
+  stopRound();
+  stopSet();
+
+  // A seed-only link is dealt with the player's own settings
+  if (!puzzle.numbers) {
+    restoreSettings();
+    startGame(dealHand(puzzle.seed));
+    return true;
+  }
+
+  // Otherwise the link decides which variant of the game this hand is played
+  // by; the player's own settings are back with the next 换一组
+  playBy({
+    target: puzzle.target ?? 24,
+    handSize: puzzle.numbers.length,
+    fractions: puzzle.fractions,
+    intermediates: puzzle.intermediates,
+    extras: puzzle.extras
+  });
+
+  startGame(dealer.describe(puzzle.numbers, { suits: puzzle.suits, seed: puzzle.seed }));
+  return true;
+}
+
+async function sharePuzzle() {
+  const url = location.href;
+  try {
+    if (navigator.share) {
+      await navigator.share({ title: '咪猪头算24', text: '来试试这一题！', url });
+      return;
+    }
+    await navigator.clipboard.writeText(url);
+    updateMascot("链接复制好啦，发给小伙伴试试这一题吧！");
+  } catch (e) {
+    // Share sheet closed without sharing
+    if (e.name === 'AbortError') return;
+    updateMascot(`把这个链接发给小伙伴吧：${url}`);
+  }
 }
 
 function updateMascot(text) {
@@ -241,21 +1565,179 @@ function updateMascot(text) {
 function randomMascotMessage() {
   if (!isSolutionsVisible) {
     const msg = MESSAGES[Math.floor(Math.random() * MESSAGES.length)];
-    updateMascot(msg);
+    updateMascot(msg.replace('{target}', settings.target));
   }
 }
 
 // Event Listeners
-refreshBtn.addEventListener('click', () => {
-  initGame();
-  randomMascotMessage();
+settingsBtn.addEventListener('click', () => {
+  settingsPanel.classList.toggle('hidden');
+});
+
+profileBtn.addEventListener('click', toggleProfilePanel);
+profileList.addEventListener('click', (event) => {
+  const key = event.target.closest('.profile-key');
+  if (key) chooseProfile(key.dataset.id);
+});
+avatarChoices.addEventListener('click', (event) => {
+  const key = event.target.closest('.avatar-key');
+  if (!key) return;
+  chosenAvatar = key.dataset.avatar;
+  renderProfiles();
+});
+profileAddBtn.addEventListener('click', createProfile);
+profileSaveBtn.addEventListener('click', saveProfileDetails);
+profileRemoveBtn.addEventListener('click', deleteProfile);
+statsBtn.addEventListener('click', toggleStats);
+exportBtn.addEventListener('click', exportProgress);
+importBtn.addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', () => {
+  const [file] = importFile.files;
+  importFile.value = '';
+  if (file) importProgress(file);
+});
+
+// Closing the page ends the hand on the table, with the time spent on it
+window.addEventListener('pagehide', closeHandRecord);
+
+targetSelect.addEventListener('change', applySettings);
+handSizeSelect.addEventListener('change', applySettings);
+fractionsToggle.addEventListener('change', applySettings);
+intermediatesSelect.addEventListener('change', applySettings);
+equivalenceSelect.addEventListener('change', applySettings);
+difficultySelect.addEventListener('change', applySettings);
+extrasOptions.addEventListener('change', applySettings);
+unsolvableRateSelect.addEventListener('change', applySettings);
+deckUnsolvableSelect.addEventListener('change', applySettings);
+
+shareBtn.addEventListener('click', sharePuzzle);
+dailyBtn.addEventListener('click', startDaily);
+
+deckBtn.addEventListener('click', () => {
+  if (!deck) {
+    startDeck();
+    return;
+  }
+  stopDeck();
+  startGame();
+});
+deckAgainBtn.addEventListener('click', startDeck);
+
+timedBtn.addEventListener('click', () => {
+  if (!round) {
+    toggleTimedPanel();
+    return;
+  }
+  stopRound();
+  updateMascot("计时赛结束啦，这一轮不算分。");
+});
+timedModes.addEventListener('click', (event) => {
+  const button = event.target.closest('.timed-start');
+  if (button) startRound(button.dataset.mode);
+});
+roundAgainBtn.addEventListener('click', () => startRound(roundAgainBtn.dataset.mode));
+
+setsBtn.addEventListener('click', () => {
+  if (!setPlay) {
+    toggleSetsPanel();
+    return;
+  }
+  stopSet();
+  startGame();
+});
+setList.addEventListener('click', (event) => {
+  const button = event.target.closest('[data-action]');
+  if (!button) return;
+  const { action, id } = button.dataset;
+  if (action === 'play') startSet(puzzleSets.find(set => set.id === id));
+  else if (action === 'edit') openSetEditor(id);
+  else if (action === 'delete') deleteSet(id);
+});
+setNewBtn.addEventListener('click', () => openSetEditor());
+setHandsInput.addEventListener('input', () => {
+  renderSetCheck();
+  // Check once the typing stops
+  clearTimeout(setCheckTimer);
+  setCheckTimer = setTimeout(checkSetHands, 300);
+});
+setSaveBtn.addEventListener('click', saveSet);
+setCancelBtn.addEventListener('click', closeSetEditor);
+setAgainBtn.addEventListener('click', () => startSet(setPlay.set));
+noAnswerBtn.addEventListener('click', sayNoAnswer);
+
+// A puzzle link pasted into an open tab
+window.addEventListener('hashchange', startFromLink);
+
+refreshBtn.addEventListener('click', async () => {
+  // In a 计时赛 a new hand skips this one
+  if (round) {
+    finishRoundHand('skipped');
+    if (round) nextRoundHand();
+    return;
+  }
+  // In 一副牌 the next hand comes from the deck
+  if (deck) {
+    nextDeckHand();
+    return;
+  }
+  // In a 题单 the next hand is the next one on the list
+  if (setPlay) {
+    nextSetHand();
+    return;
+  }
+  // After a link's hand, back to the player's own rules
+  restoreSettings();
+  if (await startGame() && !isReviewHand) randomMascotMessage();
+});
+
+answerBtn.addEventListener('click', toggleAnswerPanel);
+
+answerCards.addEventListener('click', (event) => {
+  const key = event.target.closest('.card-key');
+  if (!key || key.disabled) return;
+  appendAnswerToken(currentNumbers[Number(key.dataset.index)].toString());
+});
+
+answerOps.addEventListener('click', (event) => {
+  const key = event.target.closest('.op-key');
+  if (key) appendAnswerToken(key.dataset.token);
 });
 
+answerInput.addEventListener('input', syncAnswerCards);
+answerInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') submitAnswer();
+});
+answerDeleteBtn.addEventListener('click', deleteAnswerToken);
+answerClearBtn.addEventListener('click', resetAnswer);
+answerSubmitBtn.addEventListener('click', submitAnswer);
+
+mergeBtn.addEventListener('click', toggleMergeMode);
+
+cardsContainer.addEventListener('click', (event) => {
+  if (!isMergeMode) return;
+  const cardEl = event.target.closest('.card.selectable');
+  if (cardEl) selectMergeCard(Number(cardEl.dataset.id));
+});
+
+mergeOps.addEventListener('click', (event) => {
+  const key = event.target.closest('.op-option');
+  if (key && !key.disabled) applyMergeOption(Number(key.dataset.option));
+});
+
+readRestBtn.addEventListener('click', readOtherSolutions);
+
+mergeUndoBtn.addEventListener('click', undoMerge);
+mergeRestartBtn.addEventListener('click', resetMerge);
+
 solveBtn.addEventListener('click', () => {
   if (isSolutionsVisible) {
     updateMascot("已经在显示答案啦！");
     return;
   }
+  if (hintLadder.hasMore) {
+    showNextHint();
+    return;
+  }
   showSolutions();
 });
 
@@ -267,4 +1749,9 @@ setInterval(() => {
 }, 30000);
 
 // Start
-initGame();
+renderSettings();
+renderProfiles();
+renderStreak();
+if (!startFromLink()) {
+  startGame();
+}
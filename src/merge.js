@@ -0,0 +1,137 @@
+import { Solver } from './solver.js';
+
+const SYMBOLS = { '+': '+', '-': '−', '*': '×', '/': '÷', '^': '^', '&': '拼' };
+
+// Short labels for Solver.rejectReason codes, shown on disabled operation keys
+const REASONS = {
+    'divide-by-zero': '不能除以 0',
+    'uneven-division': '除不尽',
+    'negative': '会变成负数',
+    'zero': '会变成 0',
+    'no-result': '算不了',
+    'not-a-card': '只能拼原来的牌'
+};
+
+/**
+ * Tap-to-play "merge two cards" game state.
+ *
+ * Each move is one solution step (see Solver): the player picks two cards and an
+ * operator, and both cards are replaced by a single card holding the result.
+ * The game is won when a single card equal to the target is left.
+ * With extra operators on, ^ and joining two dealt cards (1 拼 2 = 12) are
+ * offered too; √ and ! are left to typed answers.
+ *
+ * Card: { id, value, expr, index }
+ *   - index: position in the dealt hand, or null for a merged card
+ *   - expr: how the card was made, e.g. "(8 − 2) × 4"
+ */
+export class MergeGame {
+    constructor(numbers, solver = new Solver()) {
+        this.solver = solver;
+        this.target = solver.target;
+        this.numbers = numbers;
+        this.restart();
+    }
+
+    restart() {
+        this.nextId = 0;
+        this.cards = this.numbers.map((value, index) => this._card(value, value.toString(), index));
+        this.history = [];
+    }
+
+    get isFinished() {
+        return this.cards.length === 1;
+    }
+
+    get isSolved() {
+        return this.isFinished && this.cards[0].value === this.target;
+    }
+
+    /**
+     * Lists every way to combine two cards, in both orders where order matters.
+     * Each option: { left, op, right, value, allowed, reason }
+     */
+    options(idA, idB) {
+        const a = this._find(idA);
+        const b = this._find(idB);
+        if (!a || !b || a === b) return [];
+
+        const ops = this.solver.extras.has('&') ? [...this.solver.binaryOps, '&'] : this.solver.binaryOps;
+        const options = [];
+        for (const op of ops) {
+            options.push(this._option(a, op, b));
+            // Subtraction, division, powers and joining also go the other way round
+            if (op !== '+' && op !== '*' && a.value !== b.value) {
+                options.push(this._option(b, op, a));
+            }
+        }
+        return options;
+    }
+
+    merge(leftId, op, rightId) {
+        const left = this._find(leftId);
+        const right = this._find(rightId);
+        if (!left || !right || left === right) return null;
+
+        const option = this._option(left, op, right);
+        if (!option.allowed) return null;
+
+        this.history.push(this.cards);
+
+        const expr = op === '&'
+            ? `${left.expr}${right.expr}`
+            : `${MergeGame.wrap(left)} ${SYMBOLS[op]} ${MergeGame.wrap(right)}`;
+        const merged = this._card(option.value, expr, null);
+
+        // The new card takes the place of the first card picked
+        this.cards = this.cards
+            .map(card => (card === left ? merged : card))
+            .filter(card => card !== right);
+
+        return merged;
+    }
+
+    undo() {
+        if (this.history.length === 0) return false;
+        this.cards = this.history.pop();
+        return true;
+    }
+
+    _option(left, op, right) {
+        // Only cards as dealt can be joined, not results
+        if (op === '&' && (left.index === null || right.index === null)) {
+            return { left, op, right, value: null, allowed: false, reason: REASONS['not-a-card'] };
+        }
+
+        const value = this.solver.applyOp(left.value, op, right.value);
+        return {
+            left,
+            op,
+            right,
+            value,
+            allowed: value !== null,
+            reason: value === null ? this.reasonFor(left.value, op, right.value) : null
+        };
+    }
+
+    reasonFor(a, op, b) {
+        return REASONS[this.solver.rejectReason(a, op, b)] || '不能这样算';
+    }
+
+    _card(value, expr, index) {
+        return { id: this.nextId++, value, expr, index };
+    }
+
+    _find(id) {
+        return this.cards.find(card => card.id === id);
+    }
+
+    static symbol(op) {
+        return SYMBOLS[op];
+    }
+
+    // Merged cards are bracketed when they become part of a bigger expression (joined cards read as one number)
+    static wrap(card) {
+        return card.expr.includes(' ') ? `(${card.expr})` : card.expr;
+    }
+}
@@ -1,3 +1,7 @@
+import { hashSeed } from './random.js';
+import { Fraction } from './fraction.js';
+import { power, squareRoot, factorial, concat } from './operators.js';
+
 /**
  * Normalizes a math expression string to a canonical form.
  * 
@@ -102,28 +106,190 @@
  *         6. Serialize back to string.
  */
 
+/**
+ * Thrown by Normalizer.tokenize / Normalizer.parse when the input is not a
+ * well-formed expression. `code` is stable and meant for callers that want
+ * to explain the problem (see Checker); `message` is for developers.
+ */
+export class ParseError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ParseError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Binding strength for display: atoms (numbers, √a, a!, joined cards) 4, ^ 3, * / 2, + - 1
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, '^': 3 };
+const ATOM = 4;
+
+/**
+ * When two expressions count as the same solution:
+ *   strict:      only when they read the same (spacing and extra brackets aside)
+ *   commutative: also when they differ by order or grouping, 4 * 6 = 6 * 4 (default)
+ *   algebraic:   also when they differ by distributing or factoring,
+ *                4 * (6 + 1) = 4 * 6 + 4 * 1
+ */
+export const EQUIVALENCE_LEVELS = ['strict', 'commutative', 'algebraic'];
+
+// Two primes just under 2^26, so products of residues stay exact in a double
+const ALGEBRAIC_PRIMES = [67108859, 67108837];
+
 export class Normalizer {
+    constructor({ equivalence = 'commutative' } = {}) {
+        this.equivalence = equivalence;
+    }
+
     normalize(expression) {
         // 1. Tokenize
         const tokens = this.tokenize(expression);
         // 2. Parse (Shunting-yard or recursive descent)
         // Simple recursive descent
         const ast = this.parse(tokens);
-        // 3. Transform
+        // 3-4. Transform and stringify
+        return this.normalizeTree(ast);
+    }
+
+    // Signature for an already-built AST (e.g. a Solver solution tree), no parsing needed
+    normalizeTree(ast) {
+        if (this.equivalence === 'strict') return Normalizer.formatTree(ast);
+        if (this.equivalence === 'algebraic') return Normalizer.algebraicSignature(ast);
+
         const canonical = this.canonicalize(ast);
-        // 4. Stringify
         return this.serialize(canonical);
     }
 
+    /**
+     * Signature that is equal exactly when two expressions are the same
+     * rational function of their cards (each card value being a variable),
+     * however they are expanded or factored.
+     *
+     * Rather than expanding symbolically, every card value is replaced by a
+     * fixed pseudo-random number and the expression is evaluated modulo two
+     * large primes: different functions almost never agree on both.
+     */
+    static algebraicSignature(ast) {
+        const residues = ALGEBRAIC_PRIMES.map((prime, i) => evaluateModulo(ast, prime, i));
+        return `Alg(${residues.join(',')})`;
+    }
+
+    /**
+     * Turns an AST back into an infix string with only the brackets it needs:
+     * - a child that binds looser than its parent is wrapped: (1 + 2) * 3
+     * - the right side of - and / is wrapped at equal precedence: 1 - (2 - 3)
+     * - the left side of ^ is wrapped at equal precedence: (2 ^ 3) ^ 2
+     * - √ and ! wrap anything but a number: √(7 + 9), (1 + 3)!
+     * Joined cards are written together: 1 & 2 reads 12.
+     */
+    static formatTree(node) {
+        if (node.type === 'number') return node.value.toString();
+
+        if (node.type === 'unary') {
+            const text = Normalizer.formatTree(node.operand);
+            const bare = node.operand.type === 'number' || node.operand.op === '&';
+            const operand = bare ? text : `(${text})`;
+            return node.op === '√' ? `√${operand}` : `${operand}!`;
+        }
+
+        if (node.op === '&') return `${node.left.value}${node.right.value}`;
+
+        const myPrec = PRECEDENCE[node.op];
+
+        const format = (child, isRight) => {
+            const text = Normalizer.formatTree(child);
+            const childPrec = precedenceOf(child);
+
+            let needsParens = childPrec < myPrec;
+            if (childPrec === myPrec && isRight && (node.op === '-' || node.op === '/')) {
+                needsParens = true;
+            }
+            if (childPrec === myPrec && !isRight && node.op === '^') {
+                needsParens = true;
+            }
+            return needsParens ? `(${text})` : text;
+        };
+
+        return `${format(node.left, false)} ${node.op} ${format(node.right, true)}`;
+    }
+
+    /**
+     * The expression in a standard reading order, as an AST (see readableForm):
+     * 2 - 11 + 13 * (6 / 3) -> 13 * 6 / 3 + 2 - 11
+     */
+    readableTree(ast) {
+        return Normalizer.canonicalToTree(this.readableForm(ast));
+    }
+
+    /**
+     * Sum / Product form of an AST (same node shapes as canonicalize) in the
+     * order people write it: added terms before subtracted ones, multiplied
+     * factors before divisors, larger values first within each. So the result
+     * reads 13 - 11 rather than -11 + 13.
+     *
+     * Unlike canonicalize, which may flip a difference inside a product, the
+     * value never changes.
+     */
+    readableForm(node) {
+        if (node.type === 'number') return node;
+        if (node.type === 'unary') return { ...node, operand: this.readableForm(node.operand) };
+        if (node.op === '^' || node.op === '&') {
+            return { ...node, left: this.readableForm(node.left), right: this.readableForm(node.right) };
+        }
+
+        if (node.op === '+' || node.op === '-') {
+            const terms = this.flattenSum(node, 1).map(t => ({ node: this.readableForm(t.node), sign: t.sign }));
+            return { type: 'sum', terms: sortReadable(terms, t => t.sign < 0) };
+        }
+
+        const factors = this.flattenProduct(node, false).map(f => ({ node: this.readableForm(f.node), inverse: f.inverse, sign: 1 }));
+        return { type: 'product', factors: sortReadable(factors, f => f.inverse) };
+    }
+
+    // Infix text for a Sum / Product node, with only the brackets it needs: 13 * (8 - 6) - 2
+    static formatCanonical(node) {
+        return Normalizer.formatTree(Normalizer.canonicalToTree(node));
+    }
+
+    // Sum / Product node -> binary AST, operands taken left to right: a + b - c is (a + b) - c
+    static canonicalToTree(node) {
+        if (node.type === 'number') return node;
+        if (node.type === 'unary') return { ...node, operand: Normalizer.canonicalToTree(node.operand) };
+        if (node.type === 'binary') {
+            return { ...node, left: Normalizer.canonicalToTree(node.left), right: Normalizer.canonicalToTree(node.right) };
+        }
+
+        const [ops, operands] = node.type === 'sum'
+            ? [['+', '-'], node.terms.map(t => [t.sign < 0, t.node])]
+            : [['*', '/'], node.factors.map(f => [f.inverse, f.node])];
+
+        return operands.slice(1).reduce(
+            (left, [inverse, child]) => ({ type: 'binary', op: ops[inverse ? 1 : 0], left, right: Normalizer.canonicalToTree(child) }),
+            Normalizer.canonicalToTree(operands[0][1])
+        );
+    }
+
     tokenize(expr) {
+        // Anything other than numbers, operators, parens and spaces is an error
+        const unknown = expr.match(/[^\d()+\-*/^√!\s]/);
+        if (unknown) {
+            throw new ParseError('unknown-symbol', `Unknown symbol "${unknown[0]}"`, { symbol: unknown[0] });
+        }
+
         // Split by operators and parens, keep them
         // Remove spaces
-        return expr.match(/(\d+|\(|\)|\+|\-|\*|\/)/g) || [];
+        return expr.match(/(\d+|\(|\)|\+|\-|\*|\/|\^|√|!)/g) || [];
     }
 
     parse(tokens) {
         let cursor = 0;
 
+        const fail = (code, message) => {
+            throw new ParseError(code, message, { position: cursor, token: tokens[cursor] });
+        };
+
+        if (tokens.length === 0) fail('empty', 'Expression is empty');
+
         const parseExpression = () => {
             let left = parseTerm();
             while (cursor < tokens.length && (tokens[cursor] === '+' || tokens[cursor] === '-')) {
@@ -135,26 +301,65 @@ export class Normalizer {
         };
 
         const parseTerm = () => {
-            let left = parseFactor();
+            let left = parsePower();
             while (cursor < tokens.length && (tokens[cursor] === '*' || tokens[cursor] === '/')) {
                 const op = tokens[cursor++];
-                const right = parseFactor();
+                const right = parsePower();
                 left = { type: 'binary', op, left, right };
             }
             return left;
         };
 
+        // a ^ b ^ c is a ^ (b ^ c)
+        const parsePower = () => {
+            const left = parseRoot();
+            if (tokens[cursor] !== '^') return left;
+            cursor++;
+            return { type: 'binary', op: '^', left, right: parsePower() };
+        };
+
+        // √ binds to what follows, ! to what comes before: √4! is √(4!)
+        const parseRoot = () => {
+            if (tokens[cursor] !== '√') return parseFactorial();
+            cursor++;
+            return { type: 'unary', op: '√', operand: parseRoot() };
+        };
+
+        const parseFactorial = () => {
+            let operand = parseFactor();
+            while (tokens[cursor] === '!') {
+                cursor++;
+                operand = { type: 'unary', op: '!', operand };
+            }
+            return operand;
+        };
+
         const parseFactor = () => {
-            const token = tokens[cursor++];
+            const token = tokens[cursor];
+            if (token === undefined) fail('unexpected-end', 'Expression ends after an operator');
             if (token === '(') {
+                cursor++;
                 const expr = parseExpression();
+                if (tokens[cursor] === undefined) fail('unclosed-bracket', 'Missing closing bracket');
+                if (tokens[cursor] !== ')') fail('unexpected-token', `Unexpected "${tokens[cursor]}"`);
                 cursor++; // Skip )
                 return expr;
             }
+            if (!/^\d+$/.test(token)) {
+                fail(token === ')' ? 'unmatched-bracket' : 'unexpected-token', `Unexpected "${token}"`);
+            }
+            cursor++;
             return { type: 'number', value: parseInt(token, 10) };
         };
 
-        return parseExpression();
+        const ast = parseExpression();
+
+        // Everything must be consumed, e.g. "3 4" or "(1 + 2))" are errors
+        if (cursor < tokens.length) {
+            fail(tokens[cursor] === ')' ? 'unmatched-bracket' : 'unexpected-token', `Unexpected "${tokens[cursor]}"`);
+        }
+
+        return ast;
     }
 
     // Canonicalize: Convert tree to Sums and Products
@@ -164,6 +369,10 @@ export class Normalizer {
     //   Number: { type: 'number', value: ... }
     canonicalize(node) {
         if (node.type === 'number') return node;
+        // √, ! and ^ keep their place; joined cards count as the number they make
+        if (node.type === 'unary') return { ...node, operand: this.canonicalize(node.operand) };
+        if (node.op === '&') return { type: 'number', value: concat(node.left.value, node.right.value) };
+        if (node.op === '^') return { ...node, left: this.canonicalize(node.left), right: this.canonicalize(node.right) };
 
         // Post-order traversal: normalize children first? 
         // Actually no, we need to flatten structure first, then normalize children.
@@ -304,11 +513,11 @@ export class Normalizer {
                 };
             });
             
-            // Sort the final factors to ensure consistent order
+            // Sort the final factors to ensure consistent order (3 before /3, whatever the input order)
             finalFactors.sort((a, b) => {
                 const sa = Normalizer.serializeNode(a.node);
                 const sb = Normalizer.serializeNode(b.node);
-                return sa.localeCompare(sb);
+                return sa.localeCompare(sb) || (a.inverse ? 1 : 0) - (b.inverse ? 1 : 0);
             });
             
             return { type: 'product', factors: finalFactors };
@@ -420,6 +629,97 @@ export class Normalizer {
             return `Prod(${parts.join(',')})`;
         }
 
+        if (node.type === 'unary') {
+            return `${node.op === '√' ? 'Sqrt' : 'Fact'}(${Normalizer.serializeNode(node.operand)})`;
+        }
+
+        if (node.op === '^') {
+            return `Pow(${Normalizer.serializeNode(node.left)},${Normalizer.serializeNode(node.right)})`;
+        }
+
         return "";
     }
 }
+
+// Terms or factors in reading order: those without `isAfter` first, larger values
+// first, then shorter text (2 before 11 - 9), so equal values always come out the same way
+function sortReadable(items, isAfter) {
+    const keyed = items.map(item => ({
+        item,
+        after: isAfter(item) ? 1 : 0,
+        value: Number(canonicalValue(item.node)),
+        text: Normalizer.formatCanonical(item.node)
+    }));
+    keyed.sort((a, b) => a.after - b.after
+        || b.value - a.value
+        || a.text.length - b.text.length
+        || (a.text < b.text ? -1 : a.text > b.text ? 1 : 0));
+    return keyed.map(({ item }) => item);
+}
+
+// Exact value of a readableForm node (null when it divides by zero or has no result)
+function canonicalValue(node) {
+    if (node.type === 'number') return node.value;
+    if (node.type === 'unary') {
+        const operand = canonicalValue(node.operand);
+        if (operand === null) return null;
+        return node.op === '√' ? squareRoot(operand) : factorial(operand);
+    }
+    if (node.type === 'binary') {
+        const [left, right] = [canonicalValue(node.left), canonicalValue(node.right)];
+        if (left === null || right === null) return null;
+        return node.op === '^' ? power(left, right) : concat(left, right);
+    }
+
+    const parts = node.type === 'sum' ? node.terms : node.factors;
+    let value = node.type === 'sum' ? 0 : 1;
+    for (const part of parts) {
+        const x = canonicalValue(part.node);
+        if (x === null) return null;
+        if (node.type === 'sum') value = part.sign < 0 ? Fraction.sub(value, x) : Fraction.add(value, x);
+        else value = part.inverse ? Fraction.div(value, x) : Fraction.mul(value, x);
+        if (value === null) return null;
+    }
+    return value;
+}
+
+// The expression modulo `prime`, with each card value v standing for a
+// random-looking residue (the same one every time for v and `round`)
+function evaluateModulo(node, prime, round) {
+    if (node.type === 'number') {
+        return hashSeed(`card:${node.value}:${round}`) % (prime - 1) + 1;
+    }
+    // √, ! and ^ have no algebra here: each distinct one is a variable of its own
+    if (node.type === 'unary' || node.op === '^') {
+        const key = Normalizer.serializeNode(new Normalizer().canonicalize(node));
+        return hashSeed(`extra:${key}:${round}`) % (prime - 1) + 1;
+    }
+    if (node.op === '&') {
+        return hashSeed(`card:${concat(node.left.value, node.right.value)}:${round}`) % (prime - 1) + 1;
+    }
+
+    const left = evaluateModulo(node.left, prime, round);
+    const right = evaluateModulo(node.right, prime, round);
+    switch (node.op) {
+        case '+': return (left + right) % prime;
+        case '-': return (left - right + prime) % prime;
+        case '*': return (left * right) % prime;
+        case '/': return (left * inverseModulo(right, prime)) % prime;
+    }
+    return 0;
+}
+
+function precedenceOf(node) {
+    return node.type === 'binary' && node.op !== '&' ? PRECEDENCE[node.op] : ATOM;
+}
+
+// Inverse by Fermat's little theorem, a^(prime - 2) (0 stays 0)
+function inverseModulo(a, prime) {
+    let result = 1;
+    let base = a % prime;
+    for (let exponent = prime - 2; exponent > 0; exponent = Math.floor(exponent / 2)) {
+        if (exponent % 2 === 1) result = (result * base) % prime;
+        base = (base * base) % prime;
+    }
+    return result;
+}
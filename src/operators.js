@@ -0,0 +1,69 @@
+import { Fraction } from './fraction.js';
+
+/**
+ * Extra operators a player can switch on (settings `extras`), on top of + - * /:
+ *   power:     a ^ b with a whole exponent     2 ^ 3 = 8
+ *   sqrt:      √a when the root is exact       √9 = 3
+ *   factorial: a! for whole a from 0 to 10     4! = 24
+ *   concat:    two cards side by side          1 and 2 make 12 (or 21)
+ *
+ * Each helper returns null when there is no result, including results that
+ * would grow past MAX_VALUE, so the search stays small.
+ */
+export const EXTRA_OPERATORS = ['power', 'sqrt', 'factorial', 'concat'];
+
+// Expression-tree operator for each extra: '^' and '&' are binary, '√' and '!' unary
+export const EXTRA_SYMBOLS = { power: '^', sqrt: '√', factorial: '!', concat: '&' };
+
+export const UNARY_OPERATORS = ['√', '!'];
+
+export const MAX_VALUE = 10000000;
+
+// Past 4 cards the extras make too many values to search in time
+export const EXTRAS_MAX_HAND_SIZE = 4;
+
+const MAX_FACTORIAL = 10;
+
+export function power(base, exponent) {
+    if (!Number.isInteger(exponent)) return null;
+
+    // 0 and ±1 never grow, whatever the exponent
+    if (base === 0) return exponent > 0 ? 0 : null;
+    if (base === 1) return 1;
+    if (base === -1) return exponent % 2 === 0 ? 1 : -1;
+
+    let result = 1;
+    for (let i = 0; i < Math.abs(exponent); i++) {
+        result = Fraction.mul(result, base);
+        if (tooLarge(result)) return null;
+    }
+    return exponent < 0 ? Fraction.div(1, result) : result;
+}
+
+export function squareRoot(value) {
+    if (value < 0) return null;
+    const { num, den } = Fraction.isFraction(value) ? value : { num: value, den: 1 };
+    const [rootNum, rootDen] = [Math.round(Math.sqrt(num)), Math.round(Math.sqrt(den))];
+    if (rootNum * rootNum !== num || rootDen * rootDen !== den) return null;
+    return Fraction.of(rootNum, rootDen);
+}
+
+export function factorial(value) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_FACTORIAL) return null;
+    let result = 1;
+    for (let i = 2; i <= value; i++) result *= i;
+    return result;
+}
+
+// Card values written one after the other: 1 and 13 make 113
+export function concat(left, right) {
+    if (!Number.isInteger(left) || !Number.isInteger(right) || left < 1 || right < 1) return null;
+    const value = Number(`${left}${right}`);
+    return value > MAX_VALUE ? null : value;
+}
+
+function tooLarge(value) {
+    return Fraction.isFraction(value)
+        ? Math.abs(value.num) > MAX_VALUE || value.den > MAX_VALUE
+        : Math.abs(value) > MAX_VALUE;
+}
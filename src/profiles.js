@@ -0,0 +1,151 @@
+/**
+ * Player profiles, one per child, each with a name, an avatar and a history
+ * of every hand dealt to them, all kept in localStorage.
+ *
+ * Profiles: { current, profiles: [{ id, name, avatar }] }; there is always at
+ * least one. A history is a list of hand records, oldest first (see
+ * startRecord), capped at MAX_HISTORY.
+ */
+const STORAGE_KEY = 'calc24.profiles';
+const HISTORY_PREFIX = 'calc24.history.';
+
+export const AVATARS = ['🐷', '🐱', '🐶', '🐰', '🦊', '🐼', '🐯', '🐸', '🐵', '🐨'];
+export const MAX_HISTORY = 2000;
+
+// How a hand ended; a hand left without one was skipped
+export const RECORD_RESULTS = ['solved', 'missed', 'revealed', 'skipped'];
+
+// How a hand was dealt
+export const RECORD_MODES = ['free', 'review', 'daily', 'deck', 'timed', 'set'];
+
+const DEFAULT_PROFILE = { id: 'p1', name: '小朋友', avatar: AVATARS[0] };
+
+export function loadProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        const profiles = Array.isArray(saved.profiles) ? saved.profiles.filter(isProfile) : [];
+        if (profiles.length === 0) return { current: DEFAULT_PROFILE.id, profiles: [{ ...DEFAULT_PROFILE }] };
+
+        const current = profiles.some(profile => profile.id === saved.current) ? saved.current : profiles[0].id;
+        return { current, profiles };
+    } catch (e) {
+        console.warn("Failed to load profiles:", e);
+        return { current: DEFAULT_PROFILE.id, profiles: [{ ...DEFAULT_PROFILE }] };
+    }
+}
+
+export function saveProfiles(state) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+        console.warn("Failed to save profiles:", e);
+    }
+    return state;
+}
+
+export function currentProfile(state) {
+    return state.profiles.find(profile => profile.id === state.current);
+}
+
+// Adds a profile and makes it the current one; by default it gets an avatar nobody has yet
+export function addProfile(state, name, avatar = AVATARS.find(a => !state.profiles.some(profile => profile.avatar === a))) {
+    const used = new Set(state.profiles.map(profile => profile.id));
+    let n = state.profiles.length + 1;
+    while (used.has(`p${n}`)) n++;
+
+    const profile = { id: `p${n}`, name: cleanName(name) || `玩家 ${n}`, avatar: AVATARS.includes(avatar) ? avatar : AVATARS[0] };
+    return { current: profile.id, profiles: [...state.profiles, profile] };
+}
+
+export function selectProfile(state, id) {
+    return state.profiles.some(profile => profile.id === id) ? { ...state, current: id } : state;
+}
+
+// Changes the name and/or avatar of a profile
+export function updateProfile(state, id, { name, avatar } = {}) {
+    return {
+        ...state,
+        profiles: state.profiles.map(profile => (profile.id !== id ? profile : {
+            ...profile,
+            name: cleanName(name) || profile.name,
+            avatar: AVATARS.includes(avatar) ? avatar : profile.avatar
+        }))
+    };
+}
+
+// Removes a profile, except the last one; the first one left becomes current if needed
+export function removeProfile(state, id) {
+    const profiles = state.profiles.filter(profile => profile.id !== id);
+    if (profiles.length === 0) return state;
+    return { current: state.current === id ? profiles[0].id : state.current, profiles };
+}
+
+export function loadHistory(id) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HISTORY_PREFIX + id) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        console.warn("Failed to load history:", e);
+        return [];
+    }
+}
+
+export function saveHistory(id, history) {
+    const kept = history.length > MAX_HISTORY ? history.slice(-MAX_HISTORY) : history;
+    try {
+        localStorage.setItem(HISTORY_PREFIX + id, JSON.stringify(kept));
+    } catch (e) {
+        console.warn("Failed to save history:", e);
+    }
+    return kept;
+}
+
+export function clearHistory(id) {
+    try {
+        localStorage.removeItem(HISTORY_PREFIX + id);
+    } catch (e) {
+        console.warn("Failed to clear history:", e);
+    }
+}
+
+/**
+ * A new record for a hand just dealt (a Generator puzzle), played in `mode`
+ * (one of RECORD_MODES). `factors` are what the hand needs
+ * (rateHand), empty for a hand without an answer. The game fills in the rest:
+ * `result` (one of RECORD_RESULTS, null while playing), `seconds` to the
+ * result, `hints` levels used, wrong answers (`mistakes`) and the `answer`.
+ */
+export function startRecord(hand, { mode = 'free', target = 24, now = Date.now() } = {}) {
+    return {
+        at: now,
+        mode,
+        numbers: hand.numbers,
+        target,
+        level: hand.difficulty.level,
+        factors: hand.difficulty.factors,
+        unsolvable: hand.solutions.length === 0,
+        result: null,
+        seconds: null,
+        hints: 0,
+        mistakes: 0,
+        answer: null
+    };
+}
+
+// Ends a record with one of RECORD_RESULTS; only the first result counts. Returns whether it was set.
+export function finishRecord(record, result, { answer = null, now = Date.now() } = {}) {
+    if (!record || record.result !== null) return false;
+    record.result = result;
+    record.answer = answer;
+    record.seconds = Math.round((now - record.at) / 100) / 10;
+    return true;
+}
+
+function isProfile(profile) {
+    return profile && typeof profile.id === 'string' && typeof profile.name === 'string' && AVATARS.includes(profile.avatar);
+}
+
+// A name as profiles keep it: trimmed, at most 12 characters
+export function cleanName(name) {
+    return typeof name === 'string' ? name.trim().slice(0, 12) : '';
+}
@@ -0,0 +1,110 @@
+import { Solver } from './solver.js';
+import { Normalizer } from './normalizer.js';
+import { levelForScore } from './difficulty.js';
+import { PUZZLES } from './data/puzzles.js';
+
+/**
+ * Every 4-card hand (A to K) solved ahead of time under the classic rules,
+ * so dealing doesn't have to run the solver. The data lives in
+ * src/data/puzzles.js, written by `npm run build:puzzles`.
+ *
+ * Each hand (sorted, "1-1-4-6") maps to "score|factors|solutions", "" when
+ * it can't be solved:
+ *   score:     rateHand() score
+ *   factors:   rateHand() factors, one letter each (see FACTOR_CODES)
+ *   solutions: Solver.solve() trees in postfix, one character per token,
+ *              cards in hex: "64*1*1*" is ((6 * 4) * 1) * 1; comma separated,
+ *              each followed by its variants after spaces
+ */
+const FACTOR_CODES = {
+    'division': 'd',
+    'product-of-sums': 'p',
+    'fractions': 'f',
+    'large-values': 'l'
+};
+const CODE_FACTORS = Object.fromEntries(Object.entries(FACTOR_CODES).map(([factor, code]) => [code, factor]));
+
+export class PuzzleBook {
+    // The rules the book was built with
+    static RULES = { target: 24, handSize: 4, fractions: false, intermediates: 'any', extras: [] };
+
+    // True when the book holds the answers for hands dealt with these settings
+    static covers(settings) {
+        return Object.entries(PuzzleBook.RULES).every(([key, value]) => JSON.stringify(settings[key]) === JSON.stringify(value));
+    }
+
+    static key(numbers) {
+        return [...numbers].sort((a, b) => a - b).join('-');
+    }
+
+    constructor(solver = new Solver(PuzzleBook.RULES), puzzles = PUZZLES) {
+        this.solver = solver;
+        this.puzzles = puzzles;
+    }
+
+    has(numbers) {
+        return PuzzleBook.key(numbers) in this.puzzles;
+    }
+
+    /**
+     * Difficulty rating of a hand, as rateHand() gives it for the hand's
+     * solutions, without building the solutions. null for hands not in the book.
+     */
+    rate(numbers) {
+        const entry = this.puzzles[PuzzleBook.key(numbers)];
+        if (entry === undefined) return null;
+        if (entry === '') return { score: Infinity, level: null, factors: [], solutionCount: 0 };
+
+        const [score, factors, solutions] = entry.split('|');
+        return {
+            score: Number(score),
+            level: levelForScore(Number(score)),
+            factors: [...factors].map(code => CODE_FACTORS[code]),
+            solutionCount: solutions.split(',').length
+        };
+    }
+
+    // The hand's solutions as Solver.solve() gives them for the sorted hand; null when not in the book
+    solutions(numbers) {
+        const entry = this.puzzles[PuzzleBook.key(numbers)];
+        if (entry === undefined) return null;
+        if (entry === '') return [];
+
+        return entry.split('|')[2].split(',').map(group => {
+            const [solution, ...variants] = group.split(' ').map(PuzzleBook.decodeTree);
+            return this.solver.fromTree(solution, undefined, variants.map(Normalizer.formatTree));
+        });
+    }
+
+    // The book entry for a hand, from its solutions and rateHand() rating
+    static encodeEntry(solutions, rating) {
+        if (solutions.length === 0) return '';
+        const factors = rating.factors.map(factor => FACTOR_CODES[factor]).join('');
+        // Variants are display strings: any tree that reads the same will do
+        const parser = new Normalizer();
+        const groups = solutions.map(sol => [
+            PuzzleBook.encodeTree(sol.tree),
+            ...sol.variants.map(variant => PuzzleBook.encodeTree(parser.parse(parser.tokenize(variant))))
+        ].join(' '));
+        return `${rating.score}|${factors}|${groups.join(',')}`;
+    }
+
+    static encodeTree(node) {
+        if (node.type === 'number') return node.value.toString(16);
+        return PuzzleBook.encodeTree(node.left) + PuzzleBook.encodeTree(node.right) + node.op;
+    }
+
+    static decodeTree(text) {
+        const stack = [];
+        for (const token of text) {
+            if (Solver.OPERATORS.includes(token)) {
+                const right = stack.pop();
+                const left = stack.pop();
+                stack.push({ type: 'binary', op: token, left, right });
+            } else {
+                stack.push({ type: 'number', value: parseInt(token, 16) });
+            }
+        }
+        return stack[0];
+    }
+}
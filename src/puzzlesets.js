@@ -0,0 +1,123 @@
+import { HAND_SIZE_CHOICES, handRules } from './settings.js';
+
+/**
+ * 题单: lists of hands put together by a parent or teacher, kept in
+ * localStorage: [{ id, name, hands: [{ numbers, target }] }], and played
+ * through in order (SetPlay) instead of dealing at random.
+ *
+ * Cards are MIN_CARD to MAX_CARD, HAND_SIZE_CHOICES of them (see settings.js),
+ * and each hand has a target: any whole number above 0, 24 unless the line says.
+ */
+const STORAGE_KEY = 'calc24.puzzlesets';
+
+export const MIN_CARD = 1;
+export const MAX_CARD = 13;
+export const DEFAULT_TARGET = 24;
+
+const CARD_NAMES = { A: 1, J: 11, Q: 12, K: 13 };
+
+export function loadPuzzleSets() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        console.warn("Failed to load puzzle sets:", e);
+        return [];
+    }
+}
+
+export function savePuzzleSets(sets) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(sets));
+    } catch (e) {
+        console.warn("Failed to save puzzle sets:", e);
+    }
+    return sets;
+}
+
+// An id no set in `sets` has yet
+export function newSetId(sets) {
+    const used = new Set(sets.map(set => set.id));
+    let n = sets.length + 1;
+    while (used.has(`s${n}`)) n++;
+    return `s${n}`;
+}
+
+/**
+ * Reads one line of the editor: the cards, then optionally = and the target,
+ * e.g. "3 3 8 8", "A 5 5 5" or "2 2 3 3 = 10". Returns { numbers, target },
+ * or { error } with a message for the adult typing.
+ */
+export function parseHandLine(line) {
+    const [cards, target, ...rest] = line.split(/[=＝]/);
+    if (rest.length > 0) return { error: '一行只能有一个 =' };
+
+    const numbers = cards.trim().split(/[\s,，、]+/).filter(Boolean)
+        .map(token => CARD_NAMES[token.toUpperCase()] ?? (/^\d+$/.test(token) ? Number(token) : NaN));
+    if (numbers.some(n => !(n >= MIN_CARD && n <= MAX_CARD))) {
+        return { error: `牌要写 ${MIN_CARD} 到 ${MAX_CARD}，或者 A、J、Q、K` };
+    }
+    if (!HAND_SIZE_CHOICES.includes(numbers.length)) {
+        return { error: `一组要 ${Math.min(...HAND_SIZE_CHOICES)} 到 ${Math.max(...HAND_SIZE_CHOICES)} 张牌` };
+    }
+    if (target === undefined) return { numbers, target: DEFAULT_TARGET };
+
+    const value = Number(target.trim());
+    if (!/^\d+$/.test(target.trim()) || value < 1) return { error: '要凑的数要写一个大于 0 的整数' };
+    return { numbers, target: value };
+}
+
+// The editor's text, a hand per line, blank lines left out: [{ line, numbers, target } or { line, error }]
+export function parseHands(text) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .map(line => ({ line, ...parseHandLine(line) }));
+}
+
+/**
+ * A 题单 played through in order, by the player's `settings` with each hand's
+ * target and number of cards. Every hand dealt gets one outcome, as the
+ * game ends it: 'solved', 'no-answer' (没有答案, rightly), 'missed' (没有答案,
+ * but it has one) or 'revealed' (the answers shown); a hand left without one
+ * was skipped.
+ */
+export class SetPlay {
+    constructor(set, settings) {
+        this.set = set;
+        this.settings = settings;
+        this.outcomes = []; // one per hand dealt so far, null until it ends
+    }
+
+    get hasNext() {
+        return this.outcomes.length < this.set.hands.length;
+    }
+
+    // The next hand ({ numbers, target, rules }), or null after the last one; `rules` are
+    // the player's settings for it (see handRules), whatever the hand before was played by
+    next() {
+        if (!this.hasNext) return null;
+        this.outcomes.push(null);
+        const hand = this.set.hands[this.outcomes.length - 1];
+        return { ...hand, rules: handRules(this.settings, { target: hand.target, handSize: hand.numbers.length }) };
+    }
+
+    // Sets the current hand's outcome; only the first one counts. Returns whether it was set.
+    record(outcome) {
+        const last = this.outcomes.length - 1;
+        if (last < 0 || this.outcomes[last] !== null) return false;
+        this.outcomes[last] = outcome;
+        return true;
+    }
+
+    // { hands, played, solved, skipped }: `solved` counts 没有答案 said rightly, `skipped` the hands left without an outcome
+    summary() {
+        const count = (...outcomes) => this.outcomes.filter(outcome => outcomes.includes(outcome)).length;
+        return {
+            hands: this.set.hands.length,
+            played: this.outcomes.length,
+            solved: count('solved', 'no-answer'),
+            skipped: count(null)
+        };
+    }
+}
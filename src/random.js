@@ -0,0 +1,29 @@
+/**
+ * Small seedable random number generator (mulberry32), so a deal can be
+ * reproduced from its seed. Seeds are unsigned 32-bit integers.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A fresh seed for a puzzle that doesn't need to be reproduced yet
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Turns a string (e.g. a date) into a seed, so the same text always deals the same hand (FNV-1a)
+export function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
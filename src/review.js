@@ -0,0 +1,77 @@
+import { dateKey } from './daily.js';
+import { isPlayed } from './stats.js';
+
+/**
+ * 复习: hands the child struggled with come back after growing intervals,
+ * Leitner style, so a missed hand isn't gone forever.
+ *
+ * The queue is worked out from the profile's hand history (profiles.js), so
+ * it needs no storage of its own:
+ *   - a played hand that wasn't solved, or needed hints, goes (back) into
+ *     box 1 and is due again BOX_DAYS[0] days later
+ *   - solving it without hints once it is due moves it up a box, due again
+ *     after that box's interval; solving it early doesn't count
+ *   - solved from the last box, it is learned and leaves the queue
+ * Hands are the same whatever the order of the cards. Hands without an
+ * answer aren't reviewed.
+ */
+export const BOX_DAYS = [1, 2, 4, 8, 16];
+
+// Free play deals this many new hands between two reviews
+export const NEW_HANDS_PER_REVIEW = 2;
+
+export function reviewKey(numbers, target) {
+    return `${target}:${[...numbers].sort((a, b) => a - b).join('-')}`;
+}
+
+/**
+ * The review queue after `history` (oldest record first), soonest due first:
+ * [{ key, numbers, target, box, due, lapses, since, seen }], where `box` is
+ * 1 to BOX_DAYS.length, `due` and `since` (first struggled) are 'YYYY-MM-DD',
+ * `lapses` counts the times it was struggled with and `seen` is when it was
+ * last dealt, played or not.
+ */
+export function buildReviewQueue(history) {
+    const items = new Map();
+
+    history.forEach(record => {
+        const key = reviewKey(record.numbers, record.target);
+        const item = items.get(key);
+        if (item) item.seen = record.at;
+        if (record.unsolvable || record.result === null || !isPlayed(record)) return;
+
+        const day = dateKey(new Date(record.at));
+
+        if (record.result !== 'solved' || record.hints > 0) {
+            items.set(key, {
+                key,
+                numbers: [...record.numbers].sort((a, b) => a - b),
+                target: record.target,
+                box: 1,
+                due: addDays(day, BOX_DAYS[0]),
+                lapses: item ? item.lapses + 1 : 1,
+                since: item ? item.since : day,
+                seen: record.at
+            });
+        } else if (item && day >= item.due) {
+            if (item.box === BOX_DAYS.length) {
+                items.delete(key);
+            } else {
+                item.box++;
+                item.due = addDays(day, BOX_DAYS[item.box - 1]);
+            }
+        }
+    });
+
+    return [...items.values()].sort((a, b) => a.due.localeCompare(b.due) || a.box - b.box);
+}
+
+// The hands due by `today`, the one dealt longest ago first, so a skipped one waits its turn
+export function dueReviews(queue, today = dateKey()) {
+    return queue.filter(item => item.due <= today).sort((a, b) => a.seen - b.seen);
+}
+
+function addDays(day, days) {
+    const [year, month, date] = day.split('-').map(Number);
+    return dateKey(new Date(year, month - 1, date + days));
+}
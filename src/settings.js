@@ -0,0 +1,117 @@
+import { DIFFICULTY_LEVELS } from './difficulty.js';
+import { EQUIVALENCE_LEVELS } from './normalizer.js';
+import { EXTRA_OPERATORS, EXTRAS_MAX_HAND_SIZE } from './operators.js';
+
+/**
+ * Game settings, saved in localStorage so they survive reloads.
+ *
+ * - target:    the number to make (classic game: 24)
+ * - handSize:  how many cards are dealt (classic game: 4)
+ * - fractions: allow divisions that don't come out even (see Solver)
+ * - intermediates: 'any' | 'non-negative' | 'positive' (see Solver)
+ * - difficulty: 'any' or one of DIFFICULTY_LEVELS (see Generator.generate)
+ * - equivalence: one of EQUIVALENCE_LEVELS, which solutions count as the same (see Normalizer)
+ * - extras:    EXTRA_OPERATORS switched on (see operators.js), only for hands
+ *              of up to EXTRAS_MAX_HAND_SIZE cards
+ * - unsolvableRate: share of dealt hands that have no answer, for the
+ *              没有答案 challenge (0: every hand can be solved)
+ * - deckUnsolvable: 'skip' | 'challenge', what 一副牌 does with a hand that
+ *              has no answer (see Deck)
+ */
+const STORAGE_KEY = 'calc24.settings';
+
+export const DEFAULT_SETTINGS = {
+    target: 24,
+    handSize: 4,
+    fractions: false,
+    intermediates: 'any',
+    difficulty: 'any',
+    equivalence: 'commutative',
+    extras: [],
+    unsolvableRate: 0,
+    deckUnsolvable: 'skip'
+};
+
+export const TARGET_CHOICES = [10, 12, 18, 24, 36, 48];
+export const HAND_SIZE_CHOICES = [3, 4, 5, 6];
+export const INTERMEDIATE_CHOICES = {
+    'any': '可以有负数',
+    'non-negative': '不能有负数',
+    'positive': '不能有负数和0'
+};
+export const EQUIVALENCE_CHOICES = {
+    'strict': '写法不同就算不同',
+    'commutative': '交换、结合算相同',
+    'algebraic': '乘法分配也算相同'
+};
+export const EXTRA_CHOICES = {
+    'power': '乘方 2^3',
+    'sqrt': '开方 √9',
+    'factorial': '阶乘 4!',
+    'concat': '拼数 1 2→12'
+};
+
+export const UNSOLVABLE_RATE_CHOICES = {
+    '0': '不出',
+    '0.1': '偶尔出',
+    '0.25': '有时出',
+    '0.5': '经常出'
+};
+export const DECK_UNSOLVABLE_CHOICES = {
+    'skip': '跳过',
+    'challenge': '当作“没有答案”题'
+};
+
+export function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return sanitizeSettings({ ...DEFAULT_SETTINGS, ...saved });
+    } catch (e) {
+        console.warn("Failed to load settings:", e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function saveSettings(settings) {
+    const clean = sanitizeSettings(settings);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(clean));
+    } catch (e) {
+        // Private browsing or storage full: keep playing with the in-memory settings
+        console.warn("Failed to save settings:", e);
+    }
+    return clean;
+}
+
+/**
+ * The rules one hand is played by when it asks for `changes` to the player's
+ * `settings` (a shared link, 今日一题, a 题单 hand); never saved. Its target
+ * may be any whole number above 0, not only one of TARGET_CHOICES.
+ */
+export function handRules(settings, changes) {
+    const rules = sanitizeSettings({ ...settings, ...changes });
+    return Number.isInteger(changes.target) && changes.target > 0 ? { ...rules, target: changes.target } : rules;
+}
+
+// Fall back to the defaults for anything we don't recognise (old or hand-edited storage)
+export function sanitizeSettings(settings) {
+    const handSize = HAND_SIZE_CHOICES.includes(settings.handSize) ? settings.handSize : DEFAULT_SETTINGS.handSize;
+    const extras = Array.isArray(settings.extras) && handSize <= EXTRAS_MAX_HAND_SIZE
+        ? EXTRA_OPERATORS.filter(name => settings.extras.includes(name))
+        : DEFAULT_SETTINGS.extras;
+
+    return {
+        ...settings,
+        target: TARGET_CHOICES.includes(settings.target) ? settings.target : DEFAULT_SETTINGS.target,
+        handSize,
+        fractions: settings.fractions === true,
+        intermediates: settings.intermediates in INTERMEDIATE_CHOICES ? settings.intermediates : DEFAULT_SETTINGS.intermediates,
+        difficulty: DIFFICULTY_LEVELS.includes(settings.difficulty) ? settings.difficulty : DEFAULT_SETTINGS.difficulty,
+        equivalence: EQUIVALENCE_LEVELS.includes(settings.equivalence) ? settings.equivalence : DEFAULT_SETTINGS.equivalence,
+        extras,
+        unsolvableRate: typeof settings.unsolvableRate === 'number' && String(settings.unsolvableRate) in UNSOLVABLE_RATE_CHOICES
+            ? settings.unsolvableRate
+            : DEFAULT_SETTINGS.unsolvableRate,
+        deckUnsolvable: settings.deckUnsolvable in DECK_UNSOLVABLE_CHOICES ? settings.deckUnsolvable : DEFAULT_SETTINGS.deckUnsolvable
+    };
+}
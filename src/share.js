@@ -0,0 +1,71 @@
+import { EXTRA_OPERATORS } from './operators.js';
+import { HAND_SIZE_CHOICES, INTERMEDIATE_CHOICES } from './settings.js';
+
+/**
+ * Puzzle links: the hand (and optionally its suits, seed and game variant)
+ * live in the URL hash, e.g. #hand=3-3-8-8&suits=hdcs&seed=12345 or
+ * #hand=1-1-1-1&extras=factorial-concat or #hand=2-5-7&target=10&intermediates=positive
+ *
+ * A link with only a seed (#seed=12345) re-deals that seed with the
+ * reader's own settings.
+ */
+const SUIT_CODES = { '♥': 'h', '♦': 'd', '♣': 'c', '♠': 's' };
+const CODE_SUITS = Object.fromEntries(Object.entries(SUIT_CODES).map(([suit, code]) => [code, suit]));
+
+export function encodePuzzle({ numbers, suits = null, seed = null, target = 24, fractions = false, intermediates = 'any', extras = [] }) {
+    const params = new URLSearchParams();
+    params.set('hand', numbers.join('-'));
+    if (suits) params.set('suits', suits.map(suit => SUIT_CODES[suit]).join(''));
+    if (target !== 24) params.set('target', target);
+    if (fractions) params.set('fractions', '1');
+    if (intermediates !== 'any') params.set('intermediates', intermediates);
+    if (extras.length > 0) params.set('extras', extras.join('-'));
+    if (seed !== null) params.set('seed', seed);
+    return `#${params}`;
+}
+
+/**
+ * Returns { numbers, suits, seed, target, fractions, intermediates, extras } or
+ * null when the hash holds no usable puzzle. `numbers` is null for seed-only
+ * links; `suits`, `seed` and `target` are null when missing. Unknown extras
+ * are dropped, and missing or unknown intermediates are 'any'.
+ */
+export function decodePuzzle(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+    const seed = params.has('seed') ? parseUint(params.get('seed')) : null;
+    const numbers = params.has('hand') ? parseHand(params.get('hand')) : null;
+
+    if (numbers === null && seed === null) return null;
+
+    let suits = null;
+    if (numbers && params.has('suits')) {
+        suits = [...params.get('suits')].map(code => CODE_SUITS[code]);
+        if (suits.length !== numbers.length || suits.includes(undefined)) suits = null;
+    }
+
+    const target = params.has('target') ? parseUint(params.get('target')) : null;
+
+    return {
+        numbers,
+        suits,
+        seed,
+        target,
+        fractions: params.get('fractions') === '1',
+        intermediates: params.get('intermediates') in INTERMEDIATE_CHOICES ? params.get('intermediates') : 'any',
+        extras: EXTRA_OPERATORS.filter(name => (params.get('extras') || '').split('-').includes(name))
+    };
+}
+
+// "3-3-8-8" -> [3, 3, 8, 8]; HAND_SIZE_CHOICES cards from A (1) to K (13)
+function parseHand(text) {
+    const numbers = text.split('-').map(Number);
+    const valid = HAND_SIZE_CHOICES.includes(numbers.length)
+        && numbers.every(n => Number.isInteger(n) && n >= 1 && n <= 13);
+    return valid ? numbers : null;
+}
+
+function parseUint(text) {
+    const value = Number(text);
+    return /^\d+$/.test(text) && value <= 4294967295 ? value : null;
+}
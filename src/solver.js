@@ -1,162 +1,435 @@
 import { Normalizer } from './normalizer.js';
+import { Fraction } from './fraction.js';
+import { EXTRA_SYMBOLS, UNARY_OPERATORS, power, squareRoot, factorial, concat } from './operators.js';
 
+/**
+ * Finds every distinct way to make the target from the given numbers.
+ * Any hand size works; the target defaults to the classic 24.
+ *
+ * Rules:
+ *   fractions: false (default) - division only when it comes out even
+ *   fractions: true            - any division, with exact Fraction intermediates,
+ *                                so 3, 3, 8, 8 -> 8 / (3 - 8 / 3)
+ *   intermediates: 'any' (default) - steps may give any result
+ *   intermediates: 'non-negative'  - no step may give a negative result
+ *   intermediates: 'positive'      - no step may give a negative result or zero
+ *   extras: ['power', 'sqrt', 'factorial', 'concat'] (any of them, see operators.js)
+ *           - also a ^ b, √a, a! and two cards joined into one number, so
+ *             1, 1, 1, 1 -> (1 + 1 + 1 + 1)! and 1, 1, 2, 2 -> 12 + 12
+ *
+ * `equivalence` (see Normalizer) decides which solutions count as the same;
+ * with 'strict', 3 + 8 and 8 + 3 are both listed.
+ *
+ * Each solution is a structured object:
+ *   {
+ *     expr:      display string, derived from the tree ("(10 * 10 - 4) / 4"); added
+ *                terms come before subtracted ones and larger values first,
+ *                so it reads 13 - 11 rather than -11 + 13
+ *     tree:      expression tree in the Normalizer AST format
+ *                ({ type: 'binary', op, left, right } / { type: 'number', value } /
+ *                { type: 'unary', op, operand }; joined cards are op '&')
+ *     steps:     [{ left, op, right, value }] in an order a player could do them
+ *                (right is null for √ and !)
+ *     signature: Normalizer signature, equal for equivalent solutions
+ *     variants:  other ways to write the same solution (display strings), e.g.
+ *                "11 - (2 - 6 - 9)" for "11 + 9 + 6 - 2"
+ *   }
+ *
+ * Search: the cards are split into two halves every possible way (each
+ * unordered pair of halves once, so a + b and b + a are not both tried).
+ * The values each group of cards can make are worked out once per group and
+ * reused; the trees for a value are then built backwards from the target, and
+ * trees that read the same are dropped as soon as they are built. The
+ * remaining trees are grouped by signature into solutions and their variants.
+ * √ and ! go on top of what a group of cards makes with the other operators,
+ * at most once in a row (no √√16 or 3!!).
+ */
 export class Solver {
-    constructor() {
-        this.target = 24;
+    static OPERATORS = ['+', '-', '*', '/'];
+
+    constructor({ target = 24, fractions = false, intermediates = 'any', equivalence = 'commutative', extras = [] } = {}) {
+        this.target = target;
+        this.fractions = fractions;
+        this.intermediates = intermediates;
         this.solutions = [];
+        this.normalizer = new Normalizer({ equivalence });
+
+        // Operators in play beyond + - * /, as tree symbols
+        this.extras = new Set(extras.map(name => EXTRA_SYMBOLS[name]));
+        this.binaryOps = this.extras.has('^') ? [...Solver.OPERATORS, '^'] : Solver.OPERATORS;
+        this.unaryOps = UNARY_OPERATORS.filter(op => this.extras.has(op));
     }
 
     solve(numbers) {
         this.solutions = [];
-        if (numbers.length !== 4) return [];
-
-        // Use a Set to avoid duplicate solution strings
-        this.foundSolutions = new Set();
-
-        // We work with objects { value: number, expr: string, op: precedence }
-        // Precedence: 0 (atom), 1 (*, /), 2 (+, -)
-        // Actually, simple string building with parentheses logic is easier if we just wrap everything, 
-        // but cleaning it up is nicer. Let's just always wrap for simplicity, or manage precedence.
-        // For a child, fully parenthesized might be clearer? Or maybe standard precedence.
-        // Let's stick to standard precedence logic for display, but for now simple structure.
-
-        const initialItems = numbers.map(n => ({
-            value: n,
-            expr: n.toString(),
-            prec: 3
-        }));
-
-        this._search(initialItems);
-
-        // Deduplicate using Normalizer
-        const uniqueSolutions = [];
-        const seenSignatures = new Set();
-        const normalizer = new Normalizer(); // Assuming Normalizer is defined elsewhere or imported
-
-        for (const sol of this.foundSolutions) {
-            try {
-                const sig = normalizer.normalize(sol);
-                if (!seenSignatures.has(sig)) {
-                    seenSignatures.add(sig);
-                    uniqueSolutions.push(sol);
-                }
-            } catch (e) {
-                console.warn("Failed to normalize:", sol, e);
-                // Fallback: keep it if we can't normalize
-                uniqueSolutions.push(sol);
+        if (numbers.length === 0) return [];
+
+        // Memos for this hand, keyed by sorted multisets of cards ("3,3,8")
+        this.reachable = new Map();
+        this.bases = new Map();
+        this.found = new Map();
+
+        const hand = [...numbers].sort((a, b) => a - b);
+
+        // The first tree of each signature stands for the solution, the others are its variants
+        const groups = new Map(); // signature -> { tree, exprs }
+        for (const { tree, expr } of this._find(hand, this.target)) {
+            const signature = this.normalizer.normalizeTree(tree);
+            if (groups.has(signature)) {
+                groups.get(signature).exprs.push(expr);
+            } else {
+                groups.set(signature, { tree, exprs: [expr] });
             }
         }
 
-        return uniqueSolutions;
+        this.solutions = [...groups].map(([signature, { tree, exprs }]) => {
+            const readable = this._readable(tree);
+            const expr = Normalizer.formatTree(readable);
+            return this.fromTree(readable, signature, exprs.filter(other => other !== expr));
+        });
+
+        this.reachable = null;
+        this.bases = null;
+        this.found = null;
+        return this.solutions;
+    }
+
+    /**
+     * The tree rewritten in reading order (see Normalizer.readableForm), so a
+     * solution reads the same whichever of its trees the search found first.
+     * Strict equivalence keeps the tree as found: there, the order is what
+     * tells solutions apart.
+     */
+    _readable(tree) {
+        if (this.normalizer.equivalence === 'strict') return tree;
+        const readable = this.normalizer.readableTree(tree);
+        return this._follows(readable) ? readable : tree;
     }
 
-    _search(items) {
-        if (items.length === 1) {
-            if (Math.abs(items[0].value - this.target) < 1e-6) {
-                this.foundSolutions.add(items[0].expr);
+    // True when every step of the tree is allowed and it still makes the target
+    _follows(tree) {
+        const evaluate = node => {
+            if (node.type === 'number') return node.value;
+            if (node.type === 'unary') {
+                const operand = evaluate(node.operand);
+                return operand === null ? null : this.applyOp(operand, node.op);
+            }
+            const left = evaluate(node.left);
+            const right = evaluate(node.right);
+            return left === null || right === null ? null : this.applyOp(left, node.op, right);
+        };
+        const value = evaluate(tree);
+        return value !== null && valueKey(value) === valueKey(this.target);
+    }
+
+    /**
+     * Every value the cards can make (key -> value), following the rules at each step.
+     */
+    _reach(cards) {
+        if (this.unaryOps.length === 0) return this._base(cards);
+
+        const key = cards.join(',');
+        if (this.reachable.has(key)) return this.reachable.get(key);
+
+        // The base values, and √ or ! of each
+        const base = this._base(cards);
+        const values = new Map(base);
+        for (const value of base.values()) {
+            for (const op of this.unaryOps) {
+                const result = this.applyOp(value, op);
+                if (result !== null) values.set(valueKey(result), result);
             }
-            return;
         }
 
-        for (let i = 0; i < items.length; i++) {
-            for (let j = 0; j < items.length; j++) {
-                if (i === j) continue;
+        this.reachable.set(key, values);
+        return values;
+    }
 
-                const a = items[i];
-                const b = items[j];
+    // Values the cards make without √ or ! as the last step: a card, joined cards or a binary step
+    _base(cards) {
+        const key = cards.join(',');
+        if (this.bases.has(key)) return this.bases.get(key);
 
-                // Remaining items excluding a and b
-                const nextItemsBase = items.filter((_, idx) => idx !== i && idx !== j);
+        const values = new Map();
+        if (cards.length === 1) {
+            values.set(valueKey(cards[0]), cards[0]);
+        }
+        for (const [x, y] of this._joins(cards)) {
+            const joined = this.applyOp(x, '&', y);
+            if (joined !== null) values.set(valueKey(joined), joined);
+        }
 
-                // Try all 4 operations
-                this._tryOp(a, b, '+', nextItemsBase);
-                this._tryOp(a, b, '-', nextItemsBase); // a - b
-                this._tryOp(a, b, '*', nextItemsBase);
+        for (const [left, right, same] of Solver.splits(cards)) {
+            const rightValues = this._reach(right);
+            for (const a of this._reach(left).values()) {
+                for (const b of rightValues.values()) {
+                    for (const op of this.binaryOps) {
+                        const forward = this.applyOp(a, op, b);
+                        if (forward !== null) values.set(valueKey(forward), forward);
 
-                // Division: ONLY if exact integer division
-                if (b.value !== 0 && a.value % b.value === 0) {
-                    this._tryOp(a, b, '/', nextItemsBase);
+                        // b - a, b / a and b ^ a; + and * give the same either way, equal halves cover both orders
+                        if (same || op === '+' || op === '*') continue;
+                        const backward = this.applyOp(b, op, a);
+                        if (backward !== null) values.set(valueKey(backward), backward);
+                    }
                 }
             }
         }
+
+        this.bases.set(key, values);
+        return values;
     }
 
-    _tryOp(a, b, op, baseItems) {
-        let val = 0;
-        let prec = 0; // 0: atom/parens, 1: mul/div, 2: add/sub
+    // Card orders that can be joined into one number: both orders of a pair of cards
+    _joins(cards) {
+        if (!this.extras.has('&') || cards.length !== 2) return [];
+        const [a, b] = cards;
+        return a === b ? [[a, b]] : [[a, b], [b, a]];
+    }
 
-        // Calculate value
-        switch (op) {
-            case '+': val = a.value + b.value; prec = 2; break;
-            case '-': val = a.value - b.value; prec = 2; break;
-            case '*': val = a.value * b.value; prec = 1; break;
-            case '/': val = a.value / b.value; prec = 1; break;
+    /**
+     * Expression trees ({ tree, expr }) that make `value` from the cards, each written differently.
+     */
+    _find(cards, value) {
+        if (this.unaryOps.length === 0) return this._findBase(cards, value);
+
+        const key = `${cards.join(',')}~${valueKey(value)}`;
+        if (this.found.has(key)) return this.found.get(key);
+
+        const results = new Map(this._findBase(cards, value).map(found => [found.expr, found]));
+
+        // √ or ! of a base value; √1, 1! and 2! change nothing and are left out
+        for (const base of this._base(cards).values()) {
+            if (valueKey(base) === valueKey(value)) continue;
+            for (const op of this.unaryOps) {
+                const result = this.applyOp(base, op);
+                if (result === null || valueKey(result) !== valueKey(value)) continue;
+
+                for (const { tree } of this._findBase(cards, base)) {
+                    const wrapped = { type: 'unary', op, operand: tree };
+                    const expr = Normalizer.formatTree(wrapped);
+                    if (!results.has(expr)) results.set(expr, { tree: wrapped, expr });
+                }
+            }
+        }
+
+        const list = [...results.values()];
+        this.found.set(key, list);
+        return list;
+    }
+
+    /**
+     * Trees for _base values: works backwards. For each way to split the cards
+     * and each value of one half, the operator fixes what the other half has to make.
+     */
+    _findBase(cards, value) {
+        const key = `${cards.join(',')}=${valueKey(value)}`;
+        if (this.found.has(key)) return this.found.get(key);
+
+        const results = new Map(); // expr -> { tree, expr }
+        const add = tree => {
+            const expr = Normalizer.formatTree(tree);
+            if (!results.has(expr)) results.set(expr, { tree, expr });
+        };
+
+        if (cards.length === 1) {
+            if (cards[0] === value) add({ type: 'number', value });
+        }
+        for (const [x, y] of this._joins(cards)) {
+            const joined = this.applyOp(x, '&', y);
+            if (joined !== null && valueKey(joined) === valueKey(value)) {
+                add({ type: 'binary', op: '&', left: { type: 'number', value: x }, right: { type: 'number', value: y } });
+            }
         }
 
-        // Format expression
-        // If child expression has lower precedence (higher number in my scale), wrap it
-        // Scale: 0 (high/atom), 1 (*, /), 2 (+, -)
-        // Actually standard: 
-        // 3: atom
-        // 2: * /
-        // 1: + -
-        // Let's use standard for check.
-
-        const PRECOF = { '+': 1, '-': 1, '*': 2, '/': 2 };
-        const myPrec = PRECOF[op];
-
-        const format = (item, isRight = false) => {
-            let text = item.expr;
-            // If child has lower precedence (e.g. + inside *), wrap
-            // Or if same precedence and it matters (e.g. - or / on right), wrap
-            // Simple heuristic: if item.prec < myPrec, no wrap. 
-            // If item.prec > myPrec (meaning lower priority operation was done), wrap.
-            // Wait, I stored prec as 1 or 2. 
-            // Let's just track "priority". Higher is tighter binding.
-            // If child priority < current priority, wrap.
-            // Example: (1+2) * 3. Child +, 1. Current *, 2. 1 < 2, wrap.
-            // Example: 1*2 + 3. Child *, 2. Current +, 1. 2 >= 1, no wrap.
-
-            // Special case: Right side of - or /. 
-            // 1 - (2 - 3) -> distinct from 1 - 2 - 3.
-            // 1 / (2 / 3) -> distinct from 1 / 2 / 3.
-            // If we have same precedence on right for non-commutative, wrap?
-            // Actually, strictly: 
-            // (a - b) - c = a - b - c (left assoc)
-            // a - (b - c) (requires parens)
-
-            let needsParens = false;
-            if (item.prec < myPrec) {
-                needsParens = true;
-            } else if (item.prec === myPrec) {
-                if (isRight && (op === '-' || op === '/')) {
-                    needsParens = true;
+        for (const [left, right, same] of Solver.splits(cards)) {
+            const rightValues = this._reach(right);
+
+            for (const a of this._reach(left).values()) {
+                for (const [op, flipped, partners] of this._partners(a, value, rightValues, same)) {
+                    for (const b of partners) {
+                        const [x, y] = flipped ? [b, a] : [a, b];
+                        const result = this.applyOp(x, op, y);
+                        if (result === null || valueKey(result) !== valueKey(value)) continue;
+
+                        const [leftCards, rightCards] = flipped ? [right, left] : [left, right];
+                        for (const l of this._find(leftCards, x)) {
+                            for (const r of this._find(rightCards, y)) {
+                                add({ type: 'binary', op, left: l.tree, right: r.tree });
+                            }
+                        }
+                    }
                 }
-                // For + and *: commutative-ish visually, but (1+2)+3 vs 1+(2+3).
-                // Usually we don't need parens for 1+(2+3).
             }
+        }
 
-            return needsParens ? `(${text})` : text;
+        const list = [...results.values()];
+        this.found.set(key, list);
+        return list;
+    }
+
+    /**
+     * For one value `a` of the left half: [op, flipped, candidates for b] so that
+     * a op b (or b op a when flipped) could make `value`. Candidates still need
+     * checking against the rules.
+     */
+    _partners(a, value, rightValues, same) {
+        const lookup = b => {
+            if (b === null) return [];
+            const found = rightValues.get(valueKey(b));
+            return found === undefined ? [] : [found];
         };
+        const all = [...rightValues.values()];
+        const isZero = x => x === 0;
+
+        const partners = [
+            ['+', false, lookup(Fraction.sub(value, a))],
+            ['-', false, lookup(Fraction.sub(a, value))],
+            // 0 * b is 0 for every b
+            ['*', false, isZero(a) ? (isZero(value) ? all : []) : lookup(Fraction.div(value, a))],
+            // a / b is 0 for every b when a is 0
+            ['/', false, isZero(value) ? (isZero(a) ? all : []) : lookup(Fraction.div(a, value))]
+        ];
+        if (!same) {
+            partners.push(
+                ['-', true, lookup(Fraction.add(value, a))],
+                ['/', true, lookup(Fraction.mul(value, a))]
+            );
+            // b + a and b * a only differ from a + b and a * b in how they read
+            if (this.normalizer.equivalence === 'strict') {
+                partners.push(['+', true, partners[0][2]], ['*', true, partners[2][2]]);
+            }
+        }
+        // Powers have no handy inverse: every value is a candidate
+        if (this.extras.has('^')) {
+            partners.push(['^', false, all]);
+            if (!same) partners.push(['^', true, all]);
+        }
+        return partners;
+    }
+
+    /**
+     * Every way to split sorted cards into two non-empty halves, each unordered
+     * pair once: [left, right, same], where `same` marks halves with equal cards.
+     */
+    static splits(cards) {
+        const seen = new Set();
+        const result = [];
+        const count = cards.length;
 
-        // For the recursion item, we store the precedence of the operation that created it.
-        // Atoms have precedence 3 (highest).
+        for (let mask = 1; mask < (1 << count) - 1; mask++) {
+            const left = cards.filter((_, i) => mask & (1 << i));
+            const right = cards.filter((_, i) => !(mask & (1 << i)));
+            const leftKey = left.join(',');
+            const rightKey = right.join(',');
 
-        // Let's re-define prec passed in objs.
-        // a.prec and b.prec are what they came with.
-        // New item will have myPrec.
+            const pairKey = leftKey < rightKey ? `${leftKey}|${rightKey}` : `${rightKey}|${leftKey}`;
+            if (seen.has(pairKey)) continue;
+            seen.add(pairKey);
 
-        const exprA = format(a, false);
-        const exprB = format(b, true);
+            result.push([left, right, leftKey === rightKey]);
+        }
+        return result;
+    }
 
-        const newExpr = `${exprA} ${op} ${exprB}`;
+    /**
+     * Applies a single step under the game rules; `b` is left out for √ and !.
+     * Returns the result, or null when the step is not allowed.
+     */
+    applyOp(a, op, b = null) {
+        const value = this._compute(a, op, b);
+        if (value === null || !this._allowsResult(value)) return null;
+        return value;
+    }
+
+    /**
+     * Why applyOp(a, op, b) is not allowed, as a code for callers that explain it:
+     * 'divide-by-zero' | 'uneven-division' | 'operator-off' | 'no-result' |
+     * 'negative' | 'zero', or null if allowed. 'no-result' covers the extra
+     * operators: a power, root or factorial that has no whole (or small enough) result.
+     */
+    rejectReason(a, op, b = null) {
+        if (!Solver.OPERATORS.includes(op) && !this.extras.has(op)) return 'operator-off';
+        if (op === '/' && b === 0) return 'divide-by-zero';
+
+        const value = this._compute(a, op, b);
+        if (value === null) return op === '/' ? 'uneven-division' : 'no-result';
+        if (!this._allowsResult(value)) return value < 0 ? 'negative' : 'zero';
+        return null;
+    }
 
-        const newItem = {
-            value: val,
-            expr: newExpr,
-            prec: myPrec
+    _compute(a, op, b) {
+        switch (op) {
+            case '+': return Fraction.add(a, b);
+            case '-': return Fraction.sub(a, b);
+            case '*': return Fraction.mul(a, b);
+            case '/':
+                // Integer rules: division ONLY if exact integer division
+                if (!this.fractions && (b === 0 || a % b !== 0)) return null;
+                return Fraction.div(a, b); // null when dividing by zero
+        }
+        if (!this.extras.has(op)) return null;
+
+        const value = this._computeExtra(a, op, b);
+        // Integer rules: 2 ^ -1 is as uneven as 1 / 2
+        return !this.fractions && Fraction.isFraction(value) ? null : value;
+    }
+
+    _computeExtra(a, op, b) {
+        switch (op) {
+            case '^': return power(a, b);
+            case '√': return squareRoot(a);
+            case '!': return factorial(a);
+            case '&': return concat(a, b);
+        }
+        return null;
+    }
+
+    // Intermediate rule (see constructor): values are numbers or Fractions, never a zero Fraction
+    _allowsResult(value) {
+        if (this.intermediates === 'non-negative') return value >= 0;
+        if (this.intermediates === 'positive') return value > 0;
+        return true;
+    }
+
+    /**
+     * Builds the solution object for an expression tree that reaches the target,
+     * e.g. one read from the PuzzleBook. Steps come in the same order solve() gives.
+     */
+    fromTree(tree, signature = this.normalizer.normalizeTree(tree), variants = []) {
+        const steps = [];
+        const evaluate = node => {
+            if (node.type === 'number') return node.value;
+            if (node.type === 'unary') {
+                const operand = evaluate(node.operand);
+                const value = this.applyOp(operand, node.op);
+                steps.push({ left: operand, op: node.op, right: null, value });
+                return value;
+            }
+            const left = evaluate(node.left);
+            const right = evaluate(node.right);
+            const value = this.applyOp(left, node.op, right);
+            steps.push({ left, op: node.op, right, value });
+            return value;
+        };
+        evaluate(tree);
+
+        return {
+            expr: Normalizer.formatTree(tree),
+            tree,
+            steps,
+            signature,
+            variants
         };
+    }
 
-        this._search([...baseItems, newItem]);
+    // True when some intermediate result of the solution is not a whole number
+    static usesFractions(solution) {
+        return solution.steps.some(step => Fraction.isFraction(step.value));
     }
 }
+
+// Map key for a value: 8, -3 or 8/3 (see Fraction.toString)
+function valueKey(value) {
+    return String(value);
+}
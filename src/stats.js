@@ -0,0 +1,87 @@
+import { dateKey } from './daily.js';
+
+/**
+ * Statistics for the parents' view, from a profile's hand history (see
+ * profiles.js).
+ *
+ * A hand counts as played once the child did something with it: solved it,
+ * gave up on it (没有答案 or the answers), or spent MIN_SECONDS on it.
+ * Hands dealt and skipped straight away are left out.
+ *
+ * Hands are grouped by kind, from the factors their rating found (division,
+ * fractions, large values…); a kind is a weak spot when it is played at
+ * least MIN_KIND_HANDS times and goes clearly worse than the child's
+ * average: accuracy WEAK_ACCURACY_GAP lower, or WEAK_TIME_RATIO times slower.
+ */
+export const MIN_SECONDS = 10;
+export const MIN_KIND_HANDS = 3;
+const WEAK_ACCURACY_GAP = 0.15;
+const WEAK_TIME_RATIO = 1.5;
+
+export const KIND_LABELS = {
+    'plain': '只用加减乘',
+    'division': '要用除法',
+    'product-of-sums': '和的乘积',
+    'large-values': '大的乘积（中间数大）',
+    'fractions': '要用分数',
+    'extras': '更多运算',
+    'no-answer': '没有答案'
+};
+
+export function isPlayed(record) {
+    return (record.result !== null && record.result !== 'skipped') || record.seconds >= MIN_SECONDS;
+}
+
+export function handKinds(record) {
+    if (record.unsolvable) return ['no-answer'];
+    return record.factors.length > 0 ? record.factors : ['plain'];
+}
+
+/**
+ * Returns { played, solved, accuracy, averageSeconds, byDay, byKind }:
+ * - accuracy: share of played hands solved (null before any)
+ * - averageSeconds: mean time of the solved hands (null before any)
+ * - byDay: the last `days` days up to `today`, oldest first:
+ *   [{ day, played, solved, accuracy }]
+ * - byKind: [{ kind, played, solved, accuracy, averageSeconds, weak }] in
+ *   KIND_LABELS order, for the kinds played
+ */
+export function summarizeHistory(records, { days = 14, today = dateKey() } = {}) {
+    const played = records.filter(isPlayed);
+    const overall = tally(played);
+
+    const byDay = lastDays(today, days).map(day => {
+        const { played: count, solved, accuracy } = tally(played.filter(record => dateKey(new Date(record.at)) === day));
+        return { day, played: count, solved, accuracy };
+    });
+
+    const byKind = Object.keys(KIND_LABELS)
+        .map(kind => ({ kind, ...tally(played.filter(record => handKinds(record).includes(kind))) }))
+        .filter(kind => kind.played > 0)
+        .map(kind => ({ ...kind, weak: isWeak(kind, overall) }));
+
+    return { ...overall, byDay, byKind };
+}
+
+function tally(records) {
+    const solved = records.filter(record => record.result === 'solved');
+    return {
+        played: records.length,
+        solved: solved.length,
+        accuracy: records.length > 0 ? solved.length / records.length : null,
+        averageSeconds: solved.length > 0 ? solved.reduce((sum, record) => sum + record.seconds, 0) / solved.length : null
+    };
+}
+
+function isWeak(kind, overall) {
+    if (kind.played < MIN_KIND_HANDS) return false;
+    if (kind.accuracy < overall.accuracy - WEAK_ACCURACY_GAP) return true;
+    return kind.averageSeconds !== null && overall.averageSeconds !== null
+        && kind.averageSeconds > overall.averageSeconds * WEAK_TIME_RATIO;
+}
+
+// 'YYYY-MM-DD' for the `count` days ending on `today`, oldest first
+function lastDays(today, count) {
+    const [year, month, date] = today.split('-').map(Number);
+    return Array.from({ length: count }, (_, i) => dateKey(new Date(year, month - 1, date - (count - 1 - i))));
+}
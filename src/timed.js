@@ -0,0 +1,169 @@
+/**
+ * 计时赛: a round of hands against the clock, in one of TIMED_MODES:
+ *   hands  a fixed number of hands, as fast as you can
+ *   blitz  as many hands as you can in a few minutes
+ *
+ * The clock only runs while a hand is on the table, not while one is being
+ * dealt. Each hand scores by scoreHand(); the best rounds are kept per
+ * player (profile id, see profiles.js), mode and difficulty in localStorage.
+ */
+const STORAGE_KEY = 'calc24.highscores';
+
+export const TIMED_MODES = {
+    hands: { label: '10 组计时', hands: 10, seconds: null },
+    blitz: { label: '3 分钟挑战', hands: null, seconds: 180 }
+};
+
+// How a hand ended; only 'solved' scores
+export const HAND_OUTCOMES = ['solved', 'missed', 'given-up', 'skipped', 'timeout'];
+
+export const HIGH_SCORE_COUNT = 5;
+
+const BASE_POINTS = 100;
+// Every second under this earns 2 extra points
+const FAST_SECONDS = 30;
+
+/**
+ * Points for a solved hand: 100, plus 2 for every second under 30, then cut
+ * by the share of hint levels used (`hints` of `levels`), so a hand solved
+ * after the full answer was shown scores nothing.
+ */
+export function scoreHand({ seconds, hints = 0, levels = 0 }) {
+    const points = BASE_POINTS + 2 * Math.max(0, FAST_SECONDS - Math.floor(seconds));
+    const helped = levels > 0 ? Math.min(hints, levels) / levels : 0;
+    return Math.round(points * (1 - helped));
+}
+
+export class TimedRound {
+    constructor(mode, difficulty = 'any') {
+        this.mode = mode;
+        this.rules = TIMED_MODES[mode];
+        this.difficulty = difficulty;
+        this.hands = []; // { numbers, solution, levels, hints, answer, outcome, seconds, points }
+        this.elapsed = 0; // ms spent on finished hands
+        this.startedAt = null; // when the hand on the table was dealt
+    }
+
+    // The hand being played, or null between hands
+    get current() {
+        const hand = this.hands[this.hands.length - 1];
+        return hand && hand.outcome === null ? hand : null;
+    }
+
+    get score() {
+        return this.hands.reduce((sum, hand) => sum + hand.points, 0);
+    }
+
+    get solved() {
+        return this.hands.filter(hand => hand.outcome === 'solved').length;
+    }
+
+    // ms on the clock so far
+    time(now = Date.now()) {
+        return this.elapsed + (this.startedAt === null ? 0 : now - this.startedAt);
+    }
+
+    // ms left in a blitz round, null when the round is a number of hands
+    timeLeft(now = Date.now()) {
+        return this.rules.seconds === null ? null : Math.max(0, this.rules.seconds * 1000 - this.time(now));
+    }
+
+    isOver(now = Date.now()) {
+        if (this.rules.hands !== null) {
+            return this.hands.filter(hand => hand.outcome !== null).length >= this.rules.hands;
+        }
+        return this.timeLeft(now) === 0;
+    }
+
+    /**
+     * Puts a hand on the table and starts its clock. `solution` is the
+     * simplest solution's expr (null when there is none) and `levels` the
+     * number of hint levels it has.
+     */
+    startHand({ numbers, solution = null, levels = 0 }, now = Date.now()) {
+        this.hands.push({ numbers, solution, levels, hints: 0, answer: null, outcome: null, seconds: null, points: 0 });
+        this.startedAt = now;
+    }
+
+    useHint() {
+        if (this.current) this.current.hints++;
+    }
+
+    // Ends the current hand with one of HAND_OUTCOMES; returns its points
+    finishHand(outcome, answer = null, now = Date.now()) {
+        const hand = this.current;
+        if (!hand) return 0;
+
+        const ms = now - this.startedAt;
+        this.elapsed += ms;
+        this.startedAt = null;
+
+        hand.outcome = outcome;
+        hand.answer = answer;
+        hand.seconds = ms / 1000;
+        hand.points = outcome === 'solved' ? scoreHand(hand) : 0;
+        return hand.points;
+    }
+
+    // The entry for the high-score table
+    result(date) {
+        return {
+            score: this.score,
+            solved: this.solved,
+            hands: this.hands.length,
+            seconds: Math.round(this.time() / 1000),
+            date
+        };
+    }
+}
+
+// 1:05 for 65 000 ms
+export function formatClock(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * High scores, best first:
+ * { [player]: { [`${mode}:${difficulty}`]: [{ score, solved, hands, seconds, date }] } }
+ */
+export function loadHighScores() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (e) {
+        console.warn("Failed to load high scores:", e);
+        return {};
+    }
+}
+
+export function saveHighScores(table) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(table));
+    } catch (e) {
+        console.warn("Failed to save high scores:", e);
+    }
+    return table;
+}
+
+export function highScores(table, player, mode, difficulty) {
+    return (table[player] && table[player][`${mode}:${difficulty}`]) || [];
+}
+
+/**
+ * Returns { table, rank }: the table with `entry` added to the player's list
+ * (higher score first, then faster; an earlier entry stays ahead of an equal
+ * one), and the entry's place in it, or -1 if it didn't make the top
+ * HIGH_SCORE_COUNT.
+ */
+export function addHighScore(table, player, mode, difficulty, entry) {
+    const key = `${mode}:${difficulty}`;
+    const list = [...highScores(table, player, mode, difficulty), entry]
+        .sort((a, b) => b.score - a.score || a.seconds - b.seconds)
+        .slice(0, HIGH_SCORE_COUNT);
+
+    return {
+        table: { ...table, [player]: { ...table[player], [key]: list } },
+        rank: list.indexOf(entry)
+    };
+}
@@ -0,0 +1,33 @@
+import { Generator } from './generator.js';
+
+/**
+ * Runs Generator calls off the main thread for Dealer.
+ * Message in:  { id, settings, method: 'generate' | 'describe', args }
+ * Message out: { id, hand } with the hand packed by packHand(), or { id, error }
+ */
+let generator = null;
+let generatorKey = null;
+
+self.onmessage = ({ data: { id, settings, method, args } }) => {
+    try {
+        // Reuse the generator (and its puzzle book) while the settings stay the same
+        const key = JSON.stringify(settings);
+        if (key !== generatorKey) {
+            generator = new Generator(settings);
+            generatorKey = key;
+        }
+
+        self.postMessage({ id, hand: packHand(generator[method](...args)) });
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+};
+
+// Fraction values would arrive as plain objects: send each solution's tree,
+// signature and variants only, Dealer rebuilds the rest on the page
+function packHand(hand) {
+    return {
+        ...hand,
+        solutions: hand.solutions.map(({ tree, signature, variants }) => ({ tree, signature, variants }))
+    };
+}
@@ -0,0 +1,27 @@
+/**
+ * The checks the test scripts share: report() prints one check as PASS or
+ * FAIL with what was expected and what came out; finish() prints the tally
+ * and exits non-zero if any check failed.
+ */
+let passed = 0;
+let total = 0;
+
+export function report(result, desc, expected, got) {
+    total++;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`Expected: ${expected}`);
+    console.log(`Got: ${got}`);
+    console.log('---');
+}
+
+export function finish() {
+    console.log(`\nResult: ${passed}/${total} Passed`);
+
+    if (passed === total) {
+        process.exit(0);
+    } else {
+        process.exit(1);
+    }
+}
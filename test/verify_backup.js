@@ -0,0 +1,155 @@
+import { FORMAT_VERSION, BackupError, createBackup, parseBackup, migrate, mergeBackup } from '../src/backup.js';
+import { report, finish } from './report.js';
+
+console.log("Running Backup Tests...\n");
+
+// The BackupError code parseBackup throws for `text`, or 'ok'
+function parseCode(text) {
+    try {
+        parseBackup(text);
+        return 'ok';
+    } catch (e) {
+        if (!(e instanceof BackupError)) throw e;
+        return e.code;
+    }
+}
+
+function record(at, numbers, result = 'solved') {
+    return {
+        at, mode: 'free', numbers, target: 24, level: 'easy', factors: [], unsolvable: false,
+        result, seconds: 12.5, hints: 0, mistakes: 0, answer: result === 'solved' ? '(1+2+3)*4' : null
+    };
+}
+
+const tablet = {
+    profiles: { current: 'p2', profiles: [{ id: 'p1', name: '小朋友', avatar: '🐷' }, { id: 'p2', name: '小明', avatar: '🐱' }] },
+    histories: { p1: [record(1000, [1, 2, 3, 4])], p2: [record(2000, [3, 3, 8, 8], 'missed'), record(3000, [4, 4, 6, 6])] },
+    highScores: { p2: { 'hands:any': [{ score: 900, solved: 9, hands: 10, seconds: 200, date: '2025-03-01' }] } },
+    puzzleSets: [{ id: 's1', name: '和的乘积', hands: [{ numbers: [1, 2, 3, 4], target: 24 }, { numbers: [2, 2, 3, 3], target: 10 }] }]
+};
+const text = JSON.stringify(createBackup(tablet, Date.UTC(2025, 2, 1)));
+
+const parsed = parseBackup(text);
+report(
+    parsed.version === FORMAT_VERSION && parsed.exportedAt === '2025-03-01T00:00:00.000Z' && JSON.stringify(parsed.history) === JSON.stringify(tablet.histories),
+    "An exported file reads back as it was",
+    `version ${FORMAT_VERSION}, exported 2025-03-01, same history`,
+    `version ${parsed.version}, exported ${parsed.exportedAt}`
+);
+
+const codes = [
+    parseCode('{"format": "calc24-backup",'),
+    parseCode('{"hand": [3, 3, 8, 8]}'),
+    parseCode(JSON.stringify({ ...JSON.parse(text), version: FORMAT_VERSION + 1 }))
+].join(' ');
+report(codes === 'not-json not-a-backup too-new', "Broken, foreign and newer files are turned away", 'not-json not-a-backup too-new', codes);
+
+const badAvatar = JSON.parse(text);
+badAvatar.profiles.profiles[1].avatar = '🦖';
+let error = null;
+try {
+    parseBackup(JSON.stringify(badAvatar));
+} catch (e) {
+    error = e;
+}
+report(
+    error && error.code === 'invalid' && error.path === 'backup.profiles.profiles[1].avatar',
+    "A file that doesn't fit the schema says where",
+    'invalid at backup.profiles.profiles[1].avatar',
+    error && `${error.code} at ${error.path}`
+);
+
+const badRecord = JSON.parse(text);
+badRecord.history.p2[1].result = 'won';
+const badHand = JSON.parse(text);
+badHand.puzzleSets[0].hands[1].numbers = [2, 2, 3, 14];
+const badTarget = JSON.parse(text);
+badTarget.puzzleSets[0].hands[0].target = 0;
+const strayHistory = JSON.parse(text);
+strayHistory.history.p9 = [];
+const problems = [badRecord, badHand, badTarget, strayHistory].map(data => parseCode(JSON.stringify(data))).join(' ');
+report(problems === 'invalid invalid invalid invalid', "Bad records, cards, targets and history for unknown players are caught", 'invalid invalid invalid invalid', problems);
+
+const setsOnly = parseCode(JSON.stringify({ format: 'calc24-backup', version: 1, exportedAt: '', puzzleSets: tablet.puzzleSets }));
+report(setsOnly === 'ok', "A file can carry only 题单", 'ok', setsOnly);
+
+const steps = [data => ({ ...data, names: data.name.split(' ') }), data => ({ ...data, count: data.names.length })];
+const migrated = migrate({ version: 1, name: 'a b c' }, steps);
+report(
+    migrated.version === 3 && migrated.count === 3,
+    "Migrations run in order up to the latest version",
+    'version 3, count 3',
+    `version ${migrated.version}, count ${migrated.count}`
+);
+
+// A version 1 file comes in whole, 题单 hands with any target included
+const v1 = {
+    format: 'calc24-backup', version: 1, exportedAt: '', profiles: tablet.profiles,
+    puzzleSets: [
+        { id: 's1', name: '混合', hands: [{ numbers: [1, 2, 3, 4], target: 30 }, { numbers: [2, 2, 3, 3], target: 10 }] },
+        { id: 's2', name: '凑 100', hands: [{ numbers: [5, 5, 4, 1], target: 100 }] }
+    ]
+};
+const upgraded = parseBackup(JSON.stringify(v1));
+const imported = upgraded.puzzleSets.map(set => `${set.name}: ${set.hands.map(hand => hand.target).join(' ')}`).join(' | ');
+report(
+    upgraded.version === FORMAT_VERSION && imported === '混合: 30 10 | 凑 100: 100' && upgraded.profiles.current === 'p2',
+    "A version 1 file is upgraded with all its 题单 hands",
+    `version ${FORMAT_VERSION}, 混合: 30 10 | 凑 100: 100`,
+    `version ${upgraded.version}, ${imported}`
+);
+
+// Another device, with 小明 on it already, and its own 题单 of the same name
+const ipad = {
+    profiles: { current: 'p1', profiles: [{ id: 'p1', name: '小明', avatar: '🐼' }] },
+    histories: { p1: [record(2000, [3, 3, 8, 8], 'missed'), record(5000, [1, 5, 5, 5], 'revealed')] },
+    highScores: {},
+    puzzleSets: [{ id: 's1', name: '和的乘积', hands: [{ numbers: [6, 6, 6, 6], target: 24 }] }]
+};
+const merged = mergeBackup(ipad, parsed);
+const names = merged.profiles.profiles.map(({ id, name, avatar }) => `${id}:${name}${avatar}`).join(' ');
+report(
+    names === 'p1:小明🐼 p2:小朋友🐷' && merged.profiles.current === 'p1' && merged.added.profiles === 1,
+    "Players are matched by name; new ones are added without taking over",
+    'p1:小明🐼 p2:小朋友🐷, current p1, 1 added',
+    `${names}, current ${merged.profiles.current}, ${merged.added.profiles} added`
+);
+
+const times = merged.histories.p1.map(r => r.at).join(' ');
+report(
+    times === '2000 3000 5000' && merged.histories.p2.length === 1 && merged.added.records === 2
+        && merged.histories.p1[0] === ipad.histories.p1[0],
+    "Histories are merged without duplicates, keeping the local records",
+    '2000 3000 5000 for 小明, 1 record for 小朋友, 2 added',
+    `${times}, ${merged.histories.p2.length}, ${merged.added.records} added`
+);
+
+const scores = merged.highScores.p1['hands:any'].map(entry => entry.score).join(' ');
+report(scores === '900', "High scores follow the player", '900 for 小明', scores);
+
+const sets = merged.puzzleSets.map(({ id, name }) => `${id}:${name}`).join(' ');
+report(sets === 's1:和的乘积 s2:和的乘积 (2)', "A different 题单 with a taken name is numbered", 's1:和的乘积 s2:和的乘积 (2)', sets);
+
+const again = mergeBackup(merged, parsed);
+const counts = JSON.stringify(again.added);
+report(
+    counts === '{"profiles":0,"records":0,"puzzleSets":0}' && again.highScores.p1['hands:any'].length === 1,
+    "Importing the same file twice adds nothing",
+    '{"profiles":0,"records":0,"puzzleSets":0}, 1 high score',
+    `${counts}, ${again.highScores.p1['hands:any'].length} high score(s)`
+);
+
+// A long, space-padded name is shortened when added, and still matches on the next import
+const longName = { ...JSON.parse(text), history: {}, highScores: {}, puzzleSets: [] };
+longName.profiles.profiles[1].name = '  小明和他的好朋友们一起来算二十四点  ';
+const first = mergeBackup(ipad, longName);
+const second = mergeBackup(first, longName);
+const kept = first.profiles.profiles.map(profile => profile.name).join(' | ');
+report(
+    first.added.profiles === 2 && second.added.profiles === 0 && second.profiles.profiles.length === 3,
+    "A long name isn't added again on the next import",
+    '2 added, then 0; 3 players',
+    `${first.added.profiles} added (${kept}), then ${second.added.profiles}; ${second.profiles.profiles.length} players`
+);
+
+finish();
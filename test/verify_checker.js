@@ -0,0 +1,64 @@
+import { Checker } from '../src/checker.js';
+
+
+const testCases = [
+    { expr: "1 * 2 * 3 * 4", numbers: [1, 2, 3, 4], expected: true, desc: "Simple product" },
+    { expr: "(10 * 10 - 4) / 4", numbers: [10, 10, 4, 4], expected: true, desc: "Brackets and exact division" },
+    { expr: "6 × 4 × 1 ÷ 1", numbers: [4, 6, 1, 1], expected: true, desc: "Keypad symbols × and ÷" },
+    { expr: "K + J - A + A", numbers: [13, 11, 1, 1], expected: true, desc: "Card faces A/J/Q/K" },
+    { expr: "1 + 2 + 3 + 4", numbers: [1, 2, 3, 4], expected: false, code: 'value', desc: "Wrong value (10)" },
+    { expr: "6 * 4", numbers: [4, 6, 1, 1], expected: false, code: 'cards', desc: "Not every card used" },
+    { expr: "6 * 4 * 1 * 1 * 1", numbers: [4, 6, 1, 1], expected: false, code: 'cards', desc: "A card used twice" },
+    { expr: "5 * 5 - 1 + 0", numbers: [5, 9, 1, 0], expected: false, code: 'cards', desc: "5 used twice, 9 never used" },
+    { expr: "8 / (3 - 8 / 3)", numbers: [3, 3, 8, 8], expected: false, code: 'division', desc: "Fractional division is not allowed" },
+    { expr: "(8 + 4) / 0 + 6", numbers: [8, 4, 0, 6], expected: false, code: 'division', desc: "Division by zero" },
+    { expr: "", numbers: [1, 2, 3, 4], expected: false, code: 'empty', desc: "Empty answer" },
+    { expr: "1 * 2 * 3 * x", numbers: [1, 2, 3, 4], expected: false, code: 'unknown-symbol', mentions: '+ - × ÷ ( )', desc: "Unknown symbol" },
+    { expr: "1 * 2 * 3 * x", numbers: [1, 2, 3, 4], options: { extras: ['power', 'factorial', 'concat'] }, expected: false, code: 'unknown-symbol', mentions: '+ - × ÷ ^ ! ( )', desc: "Unknown symbol, with the extra operators that may be typed" },
+    { expr: "(1 + 2 * 3 * 4", numbers: [1, 2, 3, 4], expected: false, code: 'unclosed-bracket', desc: "Missing closing bracket" },
+    { expr: "1 * 2 * 3 * 4)", numbers: [1, 2, 3, 4], expected: false, code: 'unmatched-bracket', desc: "Extra closing bracket" },
+    { expr: "1 * 2 * 3 *", numbers: [1, 2, 3, 4], expected: false, code: 'unexpected-end', desc: "Ends with an operator" },
+    { expr: "12 3 4", numbers: [1, 2, 3, 4], expected: false, code: 'unexpected-token', desc: "Missing operator" },
+    { expr: "8 / (3 - 8 / 3)", numbers: [3, 3, 8, 8], options: { fractions: true }, expected: true, desc: "Fraction mode: 8/(3-8/3)" },
+    { expr: "8 / 3 + 8 + 8", numbers: [3, 3, 8, 8], options: { fractions: true }, expected: false, code: 'cards', desc: "Fraction mode still checks cards" },
+    { expr: "8 / 3 * 8 + 3", numbers: [3, 3, 8, 8], options: { fractions: true }, expected: false, code: 'value', desc: "Fraction mode: 73/3 is not 24" },
+    { expr: "2 - 11 * (1 - 3)", numbers: [1, 2, 3, 11], expected: true, desc: "Negative step allowed by default" },
+    { expr: "2 - 11 * (1 - 3)", numbers: [1, 2, 3, 11], options: { intermediates: 'non-negative' }, expected: false, code: 'negative', desc: "Negative step rejected by the rule" },
+    { expr: "2 + 11 * (3 - 1)", numbers: [1, 2, 3, 11], options: { intermediates: 'non-negative' }, expected: true, desc: "Same idea without a negative step" },
+    { expr: "12 + 12 + (1 - 1)", numbers: [1, 1, 12, 12], options: { intermediates: 'positive' }, expected: false, code: 'zero', desc: "Zero step rejected by the rule" },
+    { expr: "(1 + 1 + 1 + 1)!", numbers: [1, 1, 1, 1], options: { extras: ['factorial'] }, expected: true, desc: "Factorial when switched on" },
+    { expr: "(1 + 1 + 1 + 1)!", numbers: [1, 1, 1, 1], expected: false, code: 'operator', desc: "Factorial when switched off" },
+    { expr: "2 ^ 3 * 3 * 1", numbers: [1, 2, 3, 3], options: { extras: ['power'] }, expected: true, desc: "Power" },
+    { expr: "√9 * 8 * 1", numbers: [1, 8, 9], options: { extras: ['sqrt'] }, expected: true, desc: "Square root" },
+    { expr: "√8 * 9 * 1", numbers: [1, 8, 9], options: { extras: ['sqrt'] }, expected: false, code: 'no-result', desc: "Square root that isn't whole" },
+    { expr: "12 * (1 + 1)", numbers: [1, 1, 1, 2], options: { extras: ['concat'] }, expected: true, desc: "12 from the cards 1 and 2" },
+    { expr: "12 * (1 + 1)", numbers: [1, 1, 1, 2], expected: false, code: 'cards', desc: "No joining when switched off" },
+    { expr: "12 + 12 * 1", numbers: [1, 1, 2, 12], options: { extras: ['concat'] }, expected: true, desc: "A dealt Q is used before joining 1 and 2" }
+];
+
+console.log("Running Checker Tests...\n");
+
+let passed = 0;
+testCases.forEach(({ expr, numbers, options = {}, expected, code = null, mentions = '', desc }) => {
+    const checker = new Checker(options);
+    const { correct, value, error } = checker.check(expr, numbers);
+
+    const result = correct === expected && (error ? error.code : null) === code && (!mentions || error.message.includes(mentions));
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`Input: ${expr} with ${numbers}`);
+    console.log(`Expected: ${expected}, Got: ${correct} (Value: ${value})`);
+    if (error) {
+        console.log(`Reason: [${error.code}] ${error.message}`);
+    }
+    console.log('---');
+});
+
+console.log(`\nResult: ${passed}/${testCases.length} Passed`);
+
+if (passed === testCases.length) {
+    process.exit(0);
+} else {
+    process.exit(1);
+}
@@ -0,0 +1,64 @@
+import { DAILY_SETTINGS, DAILY_DIFFICULTY, dateKey, dailySeed, currentStreak, recordSolve } from '../src/daily.js';
+import { Generator } from '../src/generator.js';
+import { report, finish } from './report.js';
+
+const empty = { lastSolved: null, streak: 0, best: 0 };
+
+const streakCases = [
+    {
+        record: empty, today: '2025-03-01',
+        expected: { lastSolved: '2025-03-01', streak: 1, best: 1 },
+        desc: "First solve starts a streak"
+    },
+    {
+        record: { lastSolved: '2025-02-28', streak: 4, best: 4 }, today: '2025-03-01',
+        expected: { lastSolved: '2025-03-01', streak: 5, best: 5 },
+        desc: "Next day extends the streak (across a month end)"
+    },
+    {
+        record: { lastSolved: '2025-03-01', streak: 5, best: 5 }, today: '2025-03-01',
+        expected: { lastSolved: '2025-03-01', streak: 5, best: 5 },
+        desc: "Solving twice on one day counts once"
+    },
+    {
+        record: { lastSolved: '2024-12-29', streak: 7, best: 9 }, today: '2025-01-01',
+        expected: { lastSolved: '2025-01-01', streak: 1, best: 9 },
+        desc: "A missed day restarts the streak, best is kept"
+    }
+];
+
+console.log("Running Daily Puzzle Tests...\n");
+
+streakCases.forEach(({ record, today, expected, desc }) => {
+    const got = recordSolve(record, today);
+    report(JSON.stringify(got) === JSON.stringify(expected), desc, JSON.stringify(expected), JSON.stringify(got));
+});
+
+const record = { lastSolved: '2025-03-01', streak: 3, best: 3 };
+const shown = ['2025-03-01', '2025-03-02', '2025-03-03'].map(day => currentStreak(record, day));
+report(shown.join() === '3,3,0', "Streak is shown until a day is missed", '3,3,0', shown.join());
+
+const key = dateKey(new Date(2025, 0, 5, 23, 30));
+report(key === '2025-01-05', "dateKey uses the local calendar day", '2025-01-05', key);
+
+// Everyone gets the same hand on a given day, and it changes every day
+const dealDaily = day => new Generator(DAILY_SETTINGS).generate({ difficulty: DAILY_DIFFICULTY, seed: dailySeed(day) });
+
+const first = dealDaily('2025-03-01');
+const again = dealDaily('2025-03-01');
+report(
+    JSON.stringify([first.numbers, first.suits]) === JSON.stringify([again.numbers, again.suits]),
+    "Same day, same hand",
+    `${first.numbers} ${first.suits}`,
+    `${again.numbers} ${again.suits}`
+);
+
+const week = ['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07'];
+const hands = week.map(day => dealDaily(day));
+const distinct = new Set(hands.map(hand => hand.numbers.join())).size;
+report(distinct > 1, "Different days deal different hands", '> 1 distinct hand in a week', distinct);
+
+const levels = hands.map(hand => hand.difficulty.level);
+report(levels.every(level => level === DAILY_DIFFICULTY), `Daily hands are ${DAILY_DIFFICULTY}`, DAILY_DIFFICULTY, levels.join());
+
+finish();
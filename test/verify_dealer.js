@@ -0,0 +1,63 @@
+import { Dealer } from '../src/dealer.js';
+import { Generator } from '../src/generator.js';
+import { Fraction } from '../src/fraction.js';
+import { report, finish } from './report.js';
+
+console.log("Running Dealer Tests...\n");
+
+const errorCode = promise => promise.then(() => 'resolved', e => e.code);
+
+// Without worker support the generator runs on the page
+const local = new Dealer({ handSize: 5 }, { useWorker: false });
+const hand = await local.generate({ seed: 2024 });
+const expected = new Generator({ handSize: 5 }).generate({ seed: 2024 });
+report(
+    hand.numbers.join() === expected.numbers.join() && hand.solutions.length === expected.solutions.length,
+    "Deals the same hand as the Generator for a seed",
+    `${expected.numbers} (${expected.solutions.length} solutions)`,
+    `${hand.numbers} (${hand.solutions.length} solutions)`
+);
+
+const first = errorCode(local.generate());
+const second = local.describe([3, 3, 8, 8]);
+report(await first === 'cancelled', "A new deal cancels the running one", 'cancelled', await first);
+report((await second).numbers.join() === '3,3,8,8', "The newer deal still arrives", '3,3,8,8', (await second).numbers);
+
+// The worker: messages go through structured cloning, like postMessage
+const posted = [];
+globalThis.self = { postMessage: message => posted.push(structuredClone(message)) };
+await import('../src/worker.js');
+
+const fractionSettings = { fractions: true };
+self.onmessage({ data: { id: 1, settings: fractionSettings, method: 'describe', args: [[3, 3, 8, 8], {}] } });
+const unpacked = new Dealer(fractionSettings, { useWorker: false })._unpack(posted[0].hand);
+const steps = unpacked.solutions[0].steps;
+report(
+    unpacked.solutions[0].expr === '8 / (3 - 8 / 3)' && Fraction.isFraction(steps[0].value),
+    "Worker hands keep their Fraction steps",
+    '8 / (3 - 8 / 3) with a Fraction first step',
+    `${unpacked.solutions[0].expr} with first step ${steps[0].value}`
+);
+
+// A worker that never answers: the deal times out, the worker is dropped
+class SilentWorker {
+    constructor() { SilentWorker.created++; }
+    postMessage() {}
+    terminate() { SilentWorker.terminated++; }
+}
+SilentWorker.created = 0;
+SilentWorker.terminated = 0;
+globalThis.Worker = SilentWorker;
+
+const timeout = Dealer.TIMEOUT;
+Dealer.TIMEOUT = 50;
+const silent = new Dealer({});
+const timedOut = await errorCode(silent.generate());
+report(timedOut === 'timeout' && SilentWorker.terminated === 1, "A stuck deal times out", 'timeout, worker stopped', `${timedOut}, ${SilentWorker.terminated} stopped`);
+
+const cancelled = errorCode(silent.generate());
+silent.cancel();
+report(await cancelled === 'cancelled' && SilentWorker.created === 2, "cancel() rejects and drops the busy worker", 'cancelled, fresh worker', `${await cancelled}, ${SilentWorker.created} created`);
+Dealer.TIMEOUT = timeout;
+
+finish();
@@ -0,0 +1,56 @@
+import { Deck } from '../src/deck.js';
+import { report, finish } from './report.js';
+
+console.log("Running Deck Tests...\n");
+
+const cardText = cards => cards.map(card => `${card.value}${card.suit}`).join(' ');
+
+const deck = new Deck(2024);
+const distinct = new Set(deck.cards.map(card => `${card.value}${card.suit}`)).size;
+report(deck.cards.length === 52 && distinct === 52, "A deck holds 52 different cards", '52 distinct', `${deck.cards.length} cards, ${distinct} distinct`);
+
+const same = new Deck(2024);
+const other = new Deck(2025);
+report(cardText(same.cards) === cardText(deck.cards), "The same seed shuffles the same deck", cardText(deck.cards.slice(0, 4)), cardText(same.cards.slice(0, 4)));
+report(cardText(other.cards) !== cardText(deck.cards), "Another seed shuffles differently", 'a different order', cardText(other.cards.slice(0, 4)));
+
+// Thirteen hands of four use every card once, then the deck is empty
+const seen = [];
+let hand;
+while ((hand = deck.deal(4))) {
+    hand.numbers.forEach((value, i) => seen.push(`${value}${hand.suits[i]}`));
+}
+report(
+    seen.length === 52 && new Set(seen).size === 52 && deck.remaining === 0,
+    "Four at a time, without replacement, until the deck runs out",
+    '13 hands, 52 different cards, 0 left',
+    `${deck.hands.length} hands, ${new Set(seen).size} different cards, ${deck.remaining} left`
+);
+
+// Five at a time leaves two cards that can't make a hand
+const fives = new Deck(1);
+let count = 0;
+while (fives.deal(5)) count++;
+report(count === 10 && fives.remaining === 2 && !fives.canDeal(5), "Leftover cards don't make a hand", '10 hands, 2 left', `${count} hands, ${fives.remaining} left`);
+
+// Scoring: one outcome per hand, the first one counts
+const round = new Deck(7);
+round.deal(4);
+round.record('solved');
+round.record('passed');
+round.deal(4);
+round.record('no-answer');
+round.deal(4);
+round.record('missed');
+round.deal(4);
+round.record('skipped');
+round.deal(4); // moved on without an outcome
+round.deal(4); // still on the table
+const outcomes = round.hands.map(h => h.outcome).join();
+report(outcomes === 'solved,no-answer,missed,skipped,passed,', "Hands keep their first outcome", 'solved,no-answer,missed,skipped,passed,', outcomes);
+
+const summary = round.summary();
+const expected = { solved: 1, 'no-answer': 1, missed: 1, skipped: 1, passed: 2, hands: 6, played: 5, score: 2, left: 28 };
+report(JSON.stringify(summary) === JSON.stringify(expected), "Summary counts the outcomes and the score", JSON.stringify(expected), JSON.stringify(summary));
+
+finish();
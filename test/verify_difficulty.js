@@ -0,0 +1,103 @@
+import { Solver } from '../src/solver.js';
+import { Generator } from '../src/generator.js';
+import { rateHand, simplicityScore, rankSolutions } from '../src/difficulty.js';
+
+const solver = new Solver();
+const fractionSolver = new Solver({ fractions: true });
+
+const testCases = [
+    { input: [4, 6, 1, 1], expected: 'easy', desc: "Many plain solutions (4*6*1*1)" },
+    { input: [1, 2, 3, 4], expected: 'easy', desc: "1*2*3*4" },
+    { input: [2, 2, 3, 6], expected: 'medium', desc: "Needs a product of sums" },
+    { input: [10, 10, 4, 4], expected: 'hard', desc: "Single solution with division and 100" },
+    { input: [3, 3, 8, 8], fractionMode: true, expected: 'hard', desc: "Fractions only" },
+    { input: [1, 1, 1, 1], expected: null, desc: "Unsolvable hand has no level" }
+];
+
+console.log("Running Difficulty Tests...\n");
+
+let passed = 0;
+let total = 0;
+
+testCases.forEach(({ input, fractionMode = false, expected, desc }) => {
+    const rating = rateHand((fractionMode ? fractionSolver : solver).solve(input));
+
+    const result = rating.level === expected;
+    total++;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`Input: ${input}`);
+    console.log(`Expected: ${expected}, Got: ${rating.level} (Score: ${rating.score}, Factors: ${rating.factors})`);
+    console.log('---');
+});
+
+// The generator deals hands of the requested level
+const generator = new Generator();
+['easy', 'medium', 'hard'].forEach(level => {
+    const levels = Array.from({ length: 5 }, () => generator.generate({ difficulty: level }).difficulty.level);
+
+    const result = levels.every(got => got === level);
+    total++;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] generate({ difficulty: '${level}' })`);
+    console.log(`Got: ${levels}`);
+    console.log('---');
+});
+
+// The equivalence setting changes the listed solutions, not the rating
+const listed = ['strict', 'commutative', 'algebraic'].map(equivalence => new Generator({ equivalence }).describe([4, 6, 1, 1]));
+const counts = listed.map(hand => hand.solutions.length);
+const scores = listed.map(hand => hand.difficulty.score);
+const listResult = counts.join() === '80,6,3' && new Set(scores).size === 1;
+total++;
+if (listResult) passed++;
+console.log(`[${listResult ? 'PASS' : 'FAIL'}] Equivalence only changes the solution list`);
+console.log(`Counts: ${counts}, Scores: ${scores}`);
+console.log('---');
+
+// A long list is cut to the simplest MAX_LISTED, with the full count alongside
+const maxListed = Generator.MAX_LISTED;
+Generator.MAX_LISTED = 10;
+const capped = new Generator({ equivalence: 'strict' }).describe([4, 6, 1, 1]);
+Generator.MAX_LISTED = maxListed;
+const cappedScores = capped.solutions.map(simplicityScore);
+const cappedResult = capped.solutions.length === 10 && capped.totalSolutions === 80
+    && cappedScores.every((score, i) => i === 0 || cappedScores[i - 1] <= score)
+    && cappedScores[0] === Math.min(...listed[0].solutions.map(simplicityScore));
+total++;
+if (cappedResult) passed++;
+console.log(`[${cappedResult ? 'PASS' : 'FAIL'}] Only the simplest solutions are listed, counted in full`);
+console.log(`Expected: 10 listed of 80, simplest first`);
+console.log(`Got: ${capped.solutions.length} listed of ${capped.totalSolutions}, scores ${cappedScores}`);
+console.log('---');
+
+// Solutions are listed from simplest to hardest
+const rankCases = [
+    { input: [4, 6, 1, 1], simplest: '6 * 4 * 1 * 1', desc: "Plain multiplication beats brackets and mixed operators" },
+    { input: [11, 9, 6, 2], simplest: '11 + 9 + 6 - 2', desc: "Adding up beats brackets and division" },
+    { input: [1, 2, 3, 4], simplest: '4 * 3 * 2 * 1', desc: "No division before dividing by 1" }
+];
+rankCases.forEach(({ input, simplest, desc }) => {
+    const ranked = rankSolutions(solver.solve(input));
+    const scores = ranked.map(simplicityScore);
+    const sorted = scores.every((score, i) => i === 0 || scores[i - 1] <= score);
+
+    const result = ranked[0].expr === simplest && sorted;
+    total++;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`Expected: ${simplest} first, scores rising`);
+    console.log(`Got: ${ranked.map((sol, i) => `${sol.expr} (${scores[i]})`).join(', ')}`);
+    console.log('---');
+});
+
+console.log(`\nResult: ${passed}/${total} Passed`);
+
+if (passed === total) {
+    process.exit(0);
+} else {
+    process.exit(1);
+}
@@ -0,0 +1,35 @@
+import { Fraction } from '../src/fraction.js';
+
+const testCases = [
+    { actual: () => `${Fraction.of(6, 4)}`, expected: '3/2', desc: "Reduces to lowest terms" },
+    { actual: () => Fraction.of(8, 2), expected: 4, desc: "Whole results are plain numbers" },
+    { actual: () => `${Fraction.of(3, -6)}`, expected: '-1/2', desc: "Sign lives in the numerator" },
+    { actual: () => Fraction.add(Fraction.of(1, 3), Fraction.of(2, 3)), expected: 1, desc: "1/3 + 2/3 = 1" },
+    { actual: () => `${Fraction.sub(3, Fraction.of(8, 3))}`, expected: '1/3', desc: "3 - 8/3 = 1/3" },
+    { actual: () => Fraction.div(8, Fraction.of(1, 3)), expected: 24, desc: "8 / (1/3) = 24" },
+    { actual: () => Fraction.mul(Fraction.of(24, 5), 5), expected: 24, desc: "24/5 * 5 = 24" },
+    { actual: () => Fraction.div(7, 0), expected: null, desc: "Division by zero gives null" },
+    { actual: () => Fraction.add(2, 3), expected: 5, desc: "Integers stay integers" },
+    { actual: () => Fraction.of(1, 3) < Fraction.of(1, 2), expected: true, desc: "Fractions compare as numbers" }
+];
+
+console.log("Running Fraction Tests...\n");
+
+let passed = 0;
+testCases.forEach(({ actual, expected, desc }) => {
+    const got = actual();
+    const result = got === expected;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`Expected: ${expected}, Got: ${got}`);
+    console.log('---');
+});
+
+console.log(`\nResult: ${passed}/${testCases.length} Passed`);
+
+if (passed === testCases.length) {
+    process.exit(0);
+} else {
+    process.exit(1);
+}
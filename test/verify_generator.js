@@ -0,0 +1,79 @@
+import { Generator } from '../src/generator.js';
+import { Solver } from '../src/solver.js';
+import { report, finish } from './report.js';
+
+console.log("Running Generator Tests...\n");
+
+const seeds = Array.from({ length: 20 }, (_, i) => 1000 + i);
+const deal = (settings, seed) => new Generator(settings).generate({ seed });
+
+// Without the challenge, seeds deal what they always dealt
+const plain = seeds.map(seed => deal({}, seed).numbers.join());
+const noChallenge = seeds.map(seed => deal({ unsolvableRate: 0 }, seed).numbers.join());
+report(plain.join(' ') === noChallenge.join(' '), "A zero rate deals the usual hands", plain.slice(0, 3).join(' '), noChallenge.slice(0, 3).join(' '));
+
+// Unsolvable is decided by the active rules
+const ruleCases = [
+    { settings: {}, desc: "classic rules" },
+    { settings: { fractions: true }, desc: "fraction mode" },
+    { settings: { target: 36, handSize: 3 }, desc: "3 cards to 36" },
+    { settings: { extras: ['factorial'] }, desc: "factorial on" }
+];
+ruleCases.forEach(({ settings, desc }) => {
+    const solver = new Solver(settings);
+    const hands = seeds.slice(0, 5).map(seed => deal({ ...settings, unsolvableRate: 1 }, seed));
+    const solvable = hands.filter(hand => hand.solutions.length > 0 || solver.solve(hand.numbers).length > 0);
+    report(
+        solvable.length === 0 && hands.every(hand => hand.difficulty.level === null),
+        `Every deal has no answer at rate 1 (${desc})`,
+        'no solutions',
+        solvable.map(hand => hand.numbers.join()).join(' ') || 'no solutions'
+    );
+});
+
+const mixed = seeds.map(seed => deal({ unsolvableRate: 0.5 }, seed).solutions.length === 0);
+const unsolvable = mixed.filter(Boolean).length;
+report(unsolvable > 0 && unsolvable < seeds.length, "Some deals have no answer at rate 0.5", `some of ${seeds.length}`, unsolvable);
+
+const again = seeds.map(seed => deal({ unsolvableRate: 0.5 }, seed).numbers.join());
+const first = seeds.map(seed => deal({ unsolvableRate: 0.5 }, seed).numbers.join());
+report(again.join(' ') === first.join(' '), "The same seed makes the same choice", first.slice(0, 3).join(' '), again.slice(0, 3).join(' '));
+
+// With some rules almost every hand has an answer: when no unsolvable one turns up, deal a solvable one
+const allSolvable = new Generator({ unsolvableRate: 1 });
+allSolvable._dealUnsolvable = () => null;
+const fallback = allSolvable.generate({ seed: 7 });
+report(fallback.solutions.length > 0, "Falls back to a solvable hand", 'solutions', `${fallback.numbers}: ${fallback.solutions.length} solutions`);
+
+// And the other way round: under rules where hardly any hand has an answer,
+// unsolvable deals count towards MAX_ATTEMPTS and the time limit too
+const scarce = new Generator({ target: 36, handSize: 3, intermediates: 'positive' });
+const level = scarce._level.bind(scarce);
+let dealt = 0;
+scarce._level = numbers => {
+    dealt++;
+    return level(numbers);
+};
+const attempts = Generator.MAX_ATTEMPTS;
+Generator.MAX_ATTEMPTS = 5;
+const deals = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => {
+    dealt = 0;
+    scarce.generate({ difficulty: 'hard', seed });
+    return dealt;
+});
+
+// No hand can make 10000 with 3 cards: only the time limit stops the search
+Generator.MAX_ATTEMPTS = Infinity;
+const started = Date.now();
+const impossible = new Generator({ target: 10000, handSize: 3 }).generate({ timeLimit: 50 });
+const elapsed = Date.now() - started;
+Generator.MAX_ATTEMPTS = attempts;
+
+report(
+    deals.every(count => count <= 5) && elapsed < 1000 && impossible.solutions.length === 0,
+    "Unsolvable deals count towards the attempts and the time limit",
+    'at most 5 deals per hand; the last deal after ~50 ms',
+    `${deals.join(' ')} deals; ${impossible.numbers} after ${elapsed} ms`
+);
+
+finish();
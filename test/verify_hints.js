@@ -0,0 +1,52 @@
+import { Solver } from '../src/solver.js';
+import { HintLadder } from '../src/hints.js';
+
+const solver = new Solver();
+
+console.log("Running Hint Ladder Tests...\n");
+
+let passed = 0;
+let total = 0;
+
+const check = (desc, condition, detail = '') => {
+    total++;
+    if (condition) passed++;
+    console.log(`[${condition ? 'PASS' : 'FAIL'}] ${desc}`);
+    if (detail) console.log(detail);
+    console.log('---');
+};
+
+// Every step of every solution must be a legal move that ends on 24
+const solutions = solver.solve([10, 10, 4, 4]);
+const stepsValid = solutions.every(sol =>
+    sol.steps.length === 3 &&
+    sol.steps.every(step => solver.applyOp(step.left, step.op, step.right) === step.value) &&
+    sol.steps[2].value === 24
+);
+check("Solver exposes three valid steps per solution", solutions.length > 0 && stepsValid,
+    solutions.map(sol => `${sol.expr}: ${sol.steps.map(HintLadder.formatStep).join(' | ')}`).join('\n'));
+
+const ladder = new HintLadder(solutions);
+const hints = [];
+while (ladder.hasMore) hints.push(ladder.next());
+check("Four hint levels for a 4-card hand", hints.length === 4 && ladder.next() === null, hints.join('\n'));
+check("Level 2 names the first pair", hints[1].startsWith('先算'), hints[1]);
+check("Level 3 names the second step", hints[2].startsWith('再算'), hints[2]);
+check("Only the last level shows a full solution", hints[3].includes(solutions[0].expr) &&
+    hints.slice(0, 3).every(hint => !hint.includes(solutions[0].expr)));
+
+check("Level 1: division is required for 10,10,4,4", hints[0] === '这一组一定要用到除法哦！', hints[0]);
+
+const additive = new HintLadder(solver.solve([9, 9, 3, 3]));
+check("Level 1: addition and subtraction are enough for 9,9,3,3", additive.next().startsWith('只用加法和减法'));
+
+const empty = new HintLadder(solver.solve([1, 1, 1, 1]));
+check("No hints for an unsolvable hand", !empty.hasMore && empty.total === 0);
+
+console.log(`\nResult: ${passed}/${total} Passed`);
+
+if (passed === total) {
+    process.exit(0);
+} else {
+    process.exit(1);
+}
@@ -0,0 +1,72 @@
+import { MergeGame } from '../src/merge.js';
+import { Solver } from '../src/solver.js';
+
+console.log("Running Merge Game Tests...\n");
+
+let passed = 0;
+let total = 0;
+
+const check = (desc, condition, detail = '') => {
+    total++;
+    if (condition) passed++;
+    console.log(`[${condition ? 'PASS' : 'FAIL'}] ${desc}`);
+    if (detail) console.log(detail);
+    console.log('---');
+};
+
+// Solve 4, 6, 1, 1 as (6 × 4) × 1 × 1
+const game = new MergeGame([4, 6, 1, 1]);
+const [c4, c6, c1a, c1b] = game.cards.map(c => c.id);
+
+const first = game.merge(c6, '*', c4);
+check("Merging two cards replaces them with the result", first.value === 24 && game.cards.length === 3,
+    `Cards: ${game.cards.map(c => c.value)}`);
+
+const second = game.merge(first.id, '*', c1a);
+const third = game.merge(second.id, '/', c1b);
+check("Game is solved when the last card is 24", game.isSolved, `Expression: ${third.expr}`);
+
+check("Last card remembers how it was made", third.expr === '((6 × 4) × 1) ÷ 1', `Got: ${third.expr}`);
+
+check("Undo restores the previous cards", game.undo() && game.cards.length === 2 && !game.isFinished,
+    `Cards: ${game.cards.map(c => c.value)}`);
+
+game.restart();
+check("Restart deals the original cards again", game.cards.map(c => c.value).join() === '4,6,1,1' && game.history.length === 0);
+
+// Uneven division is offered but not allowed
+const hard = new MergeGame([8, 3, 8, 3]);
+const options = hard.options(hard.cards[0].id, hard.cards[1].id);
+const divide = options.find(o => o.op === '/' && o.left.value === 8);
+const reverseDivide = options.find(o => o.op === '/' && o.left.value === 3);
+check("Non-exact division is shown as not allowed", divide && !divide.allowed && divide.reason === '除不尽',
+    `Options: ${options.map(o => `${o.left.value}${o.op}${o.right.value}=${o.allowed ? o.value : o.reason}`).join(', ')}`);
+check("Both orders are offered for − and ÷", reverseDivide !== undefined && options.length === 6);
+check("A disallowed merge does nothing", hard.merge(hard.cards[0].id, '/', hard.cards[1].id) === null && hard.cards.length === 4);
+
+// With the "no negatives" rule, 3 − 8 is offered but not allowed
+const careful = new MergeGame([8, 3, 8, 3], new Solver({ intermediates: 'non-negative' }));
+const negative = careful.options(careful.cards[0].id, careful.cards[1].id)
+    .find(o => o.op === '-' && o.left.value === 3);
+check("Negative result is not allowed under the rule", negative && !negative.allowed && negative.reason === '会变成负数',
+    `Reason: ${negative && negative.reason}`);
+
+// Extra operators: powers, and joining two dealt cards into one number
+const extra = new MergeGame([1, 2, 3, 3], new Solver({ extras: ['power', 'concat'] }));
+const [x1, x2, x3, x4] = extra.cards.map(c => c.id);
+const twelve = extra.merge(x1, '&', x2);
+check("Two dealt cards join into one number", twelve && twelve.value === 12 && twelve.expr === '12', `Got: ${twelve && twelve.expr}`);
+
+const rejoin = extra.options(twelve.id, x3).find(o => o.op === '&');
+check("A result can't be joined again", rejoin && !rejoin.allowed && rejoin.reason === '只能拼原来的牌', `Reason: ${rejoin && rejoin.reason}`);
+
+const cube = extra.merge(x3, '^', x4);
+check("Power merge", cube && cube.value === 27 && cube.expr === '3 ^ 3', `Got: ${cube && `${cube.expr} = ${cube.value}`}`);
+
+console.log(`\nResult: ${passed}/${total} Passed`);
+
+if (passed === total) {
+    process.exit(0);
+} else {
+    process.exit(1);
+}
@@ -1,6 +1,10 @@
 import { Normalizer } from '../src/normalizer.js';
 
-const normalizer = new Normalizer();
+const normalizers = {
+    strict: new Normalizer({ equivalence: 'strict' }),
+    commutative: new Normalizer(),
+    algebraic: new Normalizer({ equivalence: 'algebraic' })
+};
 
 const testPairs = [
     {
@@ -21,6 +25,12 @@ const testPairs = [
         expectMatch: true,
         desc: "Commutative Multiplication"
     },
+    {
+        a: "3 / 3 * 3 * 8",
+        b: "8 / (3 / 3) * 3",
+        expectMatch: true,
+        desc: "Same card multiplied and divided, in any order"
+    },
     {
         a: "9 + 6 - 2 + 11",
         b: "11 + 9 + 6 - 2",
@@ -38,13 +48,85 @@ const testPairs = [
         b: "4 * 6 + 4 * 1",
         expectMatch: false,
         desc: "Distribution (Should be DIFFERENT algorithms)"
+    },
+    {
+        a: "4 * (6 + 1)",
+        b: "4 * 6 + 4 * 1",
+        equivalence: 'algebraic',
+        expectMatch: true,
+        desc: "Algebraic: distribution is the same solution"
+    },
+    {
+        a: "(8 - 2) * 4 - 3 * 0",
+        b: "8 * 4 - 2 * 4",
+        equivalence: 'algebraic',
+        expectMatch: false,
+        desc: "Algebraic: same value, different cards"
+    },
+    {
+        a: "8 / (3 - 8 / 3)",
+        b: "3 * 8 / (3 * 3 - 8)",
+        equivalence: 'algebraic',
+        expectMatch: true,
+        desc: "Algebraic: clearing a fraction is the same solution"
+    },
+    {
+        a: "4 * 6",
+        b: "6 * 4",
+        equivalence: 'strict',
+        expectMatch: false,
+        desc: "Strict: order matters"
+    },
+    {
+        a: "(4 * 6) * (1 * 1)",
+        b: "4*6*(1*1)",
+        equivalence: 'strict',
+        expectMatch: true,
+        desc: "Strict: spacing and extra brackets don't"
+    },
+    {
+        a: "(1 + 3)! * √9",
+        b: "3 * (3 + 1)!",
+        expectMatch: false,
+        desc: "√9 is not the card 3"
+    },
+    {
+        a: "(1 + 3)! * √(7 + 9)",
+        b: "√(9 + 7) * (3 + 1)!",
+        expectMatch: true,
+        desc: "Order inside √ and ! doesn't matter"
+    },
+    {
+        a: "2 ^ 3 * 3",
+        b: "3 ^ 2 * 3",
+        expectMatch: false,
+        desc: "Powers don't commute"
+    },
+    {
+        a: "(2 + 2) ^ 2 + 8",
+        b: "8 + (2 + 2) ^ 2",
+        equivalence: 'algebraic',
+        expectMatch: true,
+        desc: "Algebraic: powers move around like any other term"
     }
 ];
 
+// Readable form: the same value, written in a standard order
+const readableCases = [
+    { input: '3 * 2 ^ 3', expected: '2 ^ 3 * 3', desc: "Powers sort by their value" },
+    { input: '1 + √(3 + 6) * 3!', expected: '3! * √(6 + 3) + 1', desc: "√ and ! keep their brackets" },
+    { input: '11 - (2 - 6 - 9)', expected: '11 + 9 + 6 - 2', desc: "Added terms first, larger first" },
+    { input: '2 - 11 + 13 * (6 / 3)', expected: '13 * 6 / 3 + 2 - 11', desc: "Products are flattened, divisors last" },
+    { input: '6 / (2 / 8)', expected: '8 * 6 / 2', desc: "Division inside a divisor becomes a factor" },
+    { input: '(1 - 3) * 11', expected: '11 * (1 - 3)', desc: "A difference inside a product is not flipped" }
+];
+
 console.log("Running Normalizer Tests...\n");
 
 let passed = 0;
-testPairs.forEach(({ a, b, expectMatch, desc }) => {
+const total = testPairs.length + readableCases.length;
+testPairs.forEach(({ a, b, equivalence = 'commutative', expectMatch, desc }) => {
+    const normalizer = normalizers[equivalence];
     let sigA, sigB;
     try {
         sigA = normalizer.normalize(a);
@@ -69,9 +151,24 @@ testPairs.forEach(({ a, b, expectMatch, desc }) => {
     console.log('---');
 });
 
-console.log(`\nResult: ${passed}/${testPairs.length} Passed`);
+readableCases.forEach(({ input, expected, desc }) => {
+    const normalizer = normalizers.commutative;
+    const readable = normalizer.readableForm(normalizer.parse(normalizer.tokenize(input)));
+    const got = Normalizer.formatCanonical(readable);
+
+    const result = got === expected;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`Input: ${input}`);
+    console.log(`Expected: ${expected}`);
+    console.log(`Got: ${got}`);
+    console.log('---');
+});
+
+console.log(`\nResult: ${passed}/${total} Passed`);
 
-if (passed === testPairs.length) {
+if (passed === total) {
     process.exit(0);
 } else {
     process.exit(1);
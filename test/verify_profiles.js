@@ -0,0 +1,50 @@
+import { addProfile, selectProfile, updateProfile, removeProfile, currentProfile, startRecord, finishRecord } from '../src/profiles.js';
+import { report, finish } from './report.js';
+
+console.log("Running Profile Tests...\n");
+
+const list = state => state.profiles.map(({ id, name, avatar }) => `${id}:${name}${avatar}`).join(' ');
+
+const start = { current: 'p1', profiles: [{ id: 'p1', name: '小朋友', avatar: '🐷' }] };
+
+const added = addProfile(start, '  小明  ', '🐱');
+report(list(added) === 'p1:小朋友🐷 p2:小明🐱' && added.current === 'p2', "A new profile gets its own id and becomes current", 'p1:小朋友🐷 p2:小明🐱, current p2', `${list(added)}, current ${added.current}`);
+
+const unnamed = addProfile(added, '', '🦖');
+report(currentProfile(unnamed).name === '玩家 3' && currentProfile(unnamed).avatar === '🐷', "Missing name and unknown avatar get defaults", '玩家 3 🐷', `${currentProfile(unnamed).name} ${currentProfile(unnamed).avatar}`);
+
+const switched = selectProfile(added, 'p1');
+const unknown = selectProfile(added, 'p9');
+report(switched.current === 'p1' && unknown.current === 'p2', "Only existing profiles can be selected", 'p1, then still p1 for an unknown id', `${switched.current}, ${unknown.current}`);
+
+const renamed = updateProfile(added, 'p2', { name: '明明', avatar: '🐼' });
+const blank = updateProfile(renamed, 'p2', { name: ' ' });
+report(list(blank) === 'p1:小朋友🐷 p2:明明🐼', "Profiles can be renamed and change avatar", 'p1:小朋友🐷 p2:明明🐼', list(blank));
+
+const removed = removeProfile(added, 'p1');
+const readded = addProfile(removed, '小红');
+report(
+    removed.current === 'p2' && list(readded) === 'p2:小明🐱 p3:小红🐷',
+    "Removing keeps the others' ids; a new profile takes a free avatar",
+    'current p2, then p2:小明🐱 p3:小红🐷',
+    `current ${removed.current}, then ${list(readded)}`
+);
+report(removeProfile(start, 'p1') === start, "The last profile can't be removed", 'unchanged', list(removeProfile(start, 'p1')));
+
+// Hand records
+const hand = { numbers: [3, 3, 8, 8], solutions: [{}], difficulty: { level: 'hard', factors: ['division', 'fractions'] } };
+const record = startRecord(hand, { mode: 'daily', now: 1000 });
+record.hints++;
+const first = finishRecord(record, 'solved', { answer: '8/(3-8/3)', now: 43250 });
+const second = finishRecord(record, 'skipped', { now: 90000 });
+report(
+    first && !second && record.result === 'solved' && record.seconds === 42.3 && record.answer === '8/(3-8/3)',
+    "A record keeps its first result, time and answer",
+    'solved in 42.3 s with 8/(3-8/3)',
+    `${record.result} in ${record.seconds} s with ${record.answer}`
+);
+
+const none = startRecord({ numbers: [1, 1, 1, 1], solutions: [], difficulty: { level: null, factors: [] } });
+report(none.unsolvable && none.mode === 'free' && none.result === null, "Hands without an answer are marked", 'unsolvable, free, no result yet', `${none.unsolvable}, ${none.mode}, ${none.result}`);
+
+finish();
@@ -0,0 +1,60 @@
+import { Solver } from '../src/solver.js';
+import { Generator } from '../src/generator.js';
+import { PuzzleBook } from '../src/puzzlebook.js';
+import { rateHand } from '../src/difficulty.js';
+import { PUZZLES } from '../src/data/puzzles.js';
+import { report, finish } from './report.js';
+
+// Cross-check: every hand in the book against the live solver.
+// If this fails after changing the solver or the rating, run `npm run build:puzzles`.
+const solver = new Solver(PuzzleBook.RULES);
+const book = new PuzzleBook();
+
+console.log("Running Puzzle Book Tests...\n");
+
+const keys = Object.keys(PUZZLES);
+report(keys.length === 1820, "Book holds every 4-card hand", 1820, keys.length);
+
+const mismatches = [];
+keys.forEach(key => {
+    const numbers = key.split('-').map(Number);
+    const live = solver.solve(numbers);
+    const stored = book.solutions(numbers);
+
+    const strip = solutions => JSON.stringify(solutions.map(({ expr, steps, signature, variants }) => ({ expr, steps, signature, variants })));
+    if (strip(stored) !== strip(live) || JSON.stringify(book.rate(numbers)) !== JSON.stringify(rateHand(live))) {
+        mismatches.push(key);
+    }
+});
+report(mismatches.length === 0, "Solutions, variants and ratings match the live solver", 'no mismatches', mismatches.slice(0, 10).join(' ') || 'none');
+
+// Any card order gives the same distinct solutions
+const shuffledCases = [[8, 3, 8, 3], [13, 1, 12, 7], [4, 10, 10, 4], [6, 1, 9, 2]];
+shuffledCases.forEach(numbers => {
+    const expected = solver.solve(numbers).map(sol => sol.signature).sort().join(' ');
+    const got = book.solutions(numbers).map(sol => sol.signature).sort().join(' ');
+    report(got === expected, `Same solutions for unsorted hand ${numbers}`, expected || '(none)', got || '(none)');
+});
+
+// The generator reads the book only for the rules it was built with
+const coverCases = [
+    { settings: {}, expected: true, desc: "Classic rules use the book" },
+    { settings: { handSize: 5 }, expected: false, desc: "Five cards are solved live" },
+    { settings: { target: 36 }, expected: false, desc: "Another target is solved live" },
+    { settings: { fractions: true }, expected: false, desc: "Fraction mode is solved live" },
+    { settings: { extras: ['factorial'] }, expected: false, desc: "Extra operators are solved live" }
+];
+coverCases.forEach(({ settings, expected, desc }) => {
+    const got = new Generator(settings).book !== null;
+    report(got === expected, desc, expected, got);
+});
+
+const hand = new Generator().generate({ difficulty: 'hard', seed: 7 });
+report(
+    hand.difficulty.level === 'hard' && hand.solutions.length === hand.difficulty.solutionCount,
+    "Generated hand comes with its book solutions and rating",
+    'hard, matching solution count',
+    `${hand.numbers}: ${hand.difficulty.level}, ${hand.solutions.length}/${hand.difficulty.solutionCount}`
+);
+
+finish();
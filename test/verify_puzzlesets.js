@@ -0,0 +1,82 @@
+import { parseHandLine, parseHands, newSetId, SetPlay } from '../src/puzzlesets.js';
+import { DEFAULT_SETTINGS, handRules } from '../src/settings.js';
+import { report, finish } from './report.js';
+
+console.log("Running Puzzle Set Tests...\n");
+
+const show = hand => (hand.error ? `error: ${hand.error}` : `${hand.numbers.join(' ')} → ${hand.target}`);
+
+const plain = show(parseHandLine('3 3 8 8'));
+report(plain === '3 3 8 8 → 24', "A line of cards makes 24", '3 3 8 8 → 24', plain);
+
+const named = show(parseHandLine(' a, J，q 、K = 36 '));
+report(named === '1 11 12 13 → 36', "Picture cards, commas and a target after =", '1 11 12 13 → 36', named);
+
+const uncommon = show(parseHandLine('5 5 4 1 = 100'));
+report(uncommon === '5 5 4 1 → 100', "A target the settings don't offer", '5 5 4 1 → 100', uncommon);
+
+const errors = ['1 2 3 14', '1 2 x 4', '4 4', '1 2 3 4 5 6 7', '1 1 1 1 = 0', '1 2 3 4 = 24 = 10']
+    .map(line => (parseHandLine(line).error ? 'error' : 'ok'))
+    .join(' ');
+report(
+    errors === 'error error error error error error',
+    "Bad cards, hand sizes, targets and extra = are errors",
+    'error error error error error error',
+    errors
+);
+
+const hands = parseHands('3 3 8 8\n\n  \n1 5 5 5\n2 2 3 3=10\n');
+const lines = hands.map(hand => `${hand.line} (${show(hand)})`).join(' | ');
+report(
+    hands.length === 3 && lines === '3 3 8 8 (3 3 8 8 → 24) | 1 5 5 5 (1 5 5 5 → 24) | 2 2 3 3=10 (2 2 3 3 → 10)',
+    "The editor's text is a hand per line, blank lines left out",
+    '3 3 8 8 (3 3 8 8 → 24) | 1 5 5 5 (1 5 5 5 → 24) | 2 2 3 3=10 (2 2 3 3 → 10)',
+    lines
+);
+
+const id = newSetId([{ id: 's1' }, { id: 's3' }]);
+report(id === 's4', "A new set id doesn't clash", 's4', id);
+
+const week = { id: 's1', name: '第一周', hands: [{ numbers: [3, 3, 8, 8], target: 24 }, { numbers: [1, 2, 3, 4], target: 24 }, { numbers: [2, 2, 3, 3], target: 10 }] };
+const play = new SetPlay(week, DEFAULT_SETTINGS);
+const dealt = [];
+while (play.hasNext) dealt.push(play.next().numbers.join(''));
+report(dealt.join(' ') === '3388 1234 2233' && play.next() === null, "Hands come in the order of the list", '3388 1234 2233, then null', `${dealt.join(' ')}, then ${play.next()}`);
+
+const round = new SetPlay(week, DEFAULT_SETTINGS);
+round.next();
+round.record('solved');
+round.record('revealed');
+round.next();
+round.next();
+round.record('no-answer');
+const summary = JSON.stringify(round.summary());
+report(
+    summary === '{"hands":3,"played":3,"solved":2,"skipped":1}',
+    "Only the first outcome counts; a hand left without one was skipped",
+    '{"hands":3,"played":3,"solved":2,"skipped":1}',
+    summary
+);
+
+// Started right after a link played with fractions, no negatives and √: the first
+// hand has the link's target and cards, but is played by the player's rules
+const own = { ...DEFAULT_SETTINGS, extras: ['factorial'] };
+const link = handRules(own, { target: 24, handSize: 4, fractions: true, intermediates: 'positive', extras: ['sqrt'] });
+const first = new SetPlay(week, own).next().rules;
+const rulesOf = ({ target, handSize, fractions, intermediates, extras }) => `${target}/${handSize} fractions:${fractions} ${intermediates} [${extras}]`;
+report(
+    rulesOf(first) === '24/4 fractions:false any [factorial]' && rulesOf(link) !== rulesOf(first),
+    "A 题单 hand is played by the player's rules, not the link's before it",
+    '24/4 fractions:false any [factorial]',
+    `${rulesOf(first)} (link: ${rulesOf(link)})`
+);
+
+const far = new SetPlay({ id: 's2', name: '凑 100', hands: [{ numbers: [5, 5, 4, 1, 2], target: 100 }] }, own).next().rules;
+report(
+    rulesOf(far) === '100/5 fractions:false any []',
+    "A hand's own target is kept, and extras are left out past four cards",
+    '100/5 fractions:false any []',
+    rulesOf(far)
+);
+
+finish();
@@ -0,0 +1,76 @@
+import { buildReviewQueue, dueReviews, reviewKey, BOX_DAYS } from '../src/review.js';
+import { report, finish } from './report.js';
+
+console.log("Running Review Tests...\n");
+
+// A played hand as profiles.js records it, on a local day
+const record = (day, numbers, result, { hints = 0, seconds = 30, target = 24, unsolvable = false } = {}) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return { at: new Date(year, month - 1, date, 16).getTime(), numbers, target, factors: [], unsolvable, result, seconds, hints };
+};
+
+const describe = queue => queue.map(item => `${item.numbers.join('-')} box ${item.box} due ${item.due}`).join(', ') || 'empty';
+
+report(reviewKey([8, 3, 8, 3], 24) === reviewKey([3, 3, 8, 8], 24) && reviewKey([3, 3, 8, 8], 24) !== reviewKey([3, 3, 8, 8], 36), "Same cards in any order, per target", 'equal keys, target apart', reviewKey([8, 3, 8, 3], 24));
+
+const entryCases = [
+    { history: [record('2025-03-01', [3, 3, 8, 8], 'revealed')], expected: '3-3-8-8 box 1 due 2025-03-02', desc: "Looking at the answers puts a hand in box 1" },
+    { history: [record('2025-03-01', [1, 5, 5, 5], 'solved', { hints: 2 })], expected: '1-5-5-5 box 1 due 2025-03-02', desc: "Solving with hints does too" },
+    { history: [record('2025-03-01', [4, 4, 10, 10], 'missed')], expected: '4-4-10-10 box 1 due 2025-03-02', desc: "So does 没有答案 on a hand with one" },
+    { history: [record('2025-03-01', [6, 6, 6, 6], 'solved')], expected: 'empty', desc: "Solved without help: nothing to review" },
+    { history: [record('2025-03-01', [3, 3, 8, 8], 'skipped', { seconds: 2 })], expected: 'empty', desc: "A hand skipped straight away isn't reviewed" },
+    { history: [record('2025-03-01', [1, 1, 1, 1], 'revealed', { unsolvable: true })], expected: 'empty', desc: "Hands without an answer aren't reviewed" }
+];
+entryCases.forEach(({ history, expected, desc }) => {
+    const got = describe(buildReviewQueue(history));
+    report(got === expected, desc, expected, got);
+});
+
+// The boxes: 1, 2, 4, 8 and 16 days, then learned
+const days = ['2025-03-02', '2025-03-04', '2025-03-08', '2025-03-16', '2025-04-01'];
+let history = [record('2025-03-01', [3, 3, 8, 8], 'revealed')];
+const steps = days.map(day => {
+    history = [...history, record(day, [8, 3, 3, 8], 'solved')];
+    return describe(buildReviewQueue(history));
+});
+const expectedSteps = [
+    '3-3-8-8 box 2 due 2025-03-04',
+    '3-3-8-8 box 3 due 2025-03-08',
+    '3-3-8-8 box 4 due 2025-03-16',
+    '3-3-8-8 box 5 due 2025-04-01',
+    'empty'
+];
+report(steps.join(' / ') === expectedSteps.join(' / '), `Each on-time solve moves up a box, learned after box ${BOX_DAYS.length}`, expectedSteps.join(' / '), steps.join(' / '));
+
+const early = describe(buildReviewQueue([record('2025-03-01', [3, 3, 8, 8], 'revealed'), record('2025-03-01', [3, 3, 8, 8], 'solved')]));
+report(early === '3-3-8-8 box 1 due 2025-03-02', "Solving again right after the answers doesn't count", '3-3-8-8 box 1 due 2025-03-02', early);
+
+const lapse = buildReviewQueue([
+    record('2025-03-01', [3, 3, 8, 8], 'revealed'),
+    record('2025-03-02', [3, 3, 8, 8], 'solved'),
+    record('2025-03-04', [3, 3, 8, 8], 'solved', { hints: 1 })
+]);
+report(
+    describe(lapse) === '3-3-8-8 box 1 due 2025-03-05' && lapse[0].lapses === 2 && lapse[0].since === '2025-03-01',
+    "Struggling again goes back to box 1",
+    '3-3-8-8 box 1 due 2025-03-05, 2 lapses since 2025-03-01',
+    `${describe(lapse)}, ${lapse[0].lapses} lapses since ${lapse[0].since}`
+);
+
+const queue = buildReviewQueue([
+    record('2025-03-03', [1, 2, 3, 4], 'revealed'),
+    record('2025-03-01', [5, 5, 5, 1], 'revealed'),
+    record('2025-03-02', [2, 7, 7, 9], 'missed')
+]);
+const due = dueReviews(queue, '2025-03-03').map(item => item.numbers.join('-')).join(' ');
+report(due === '1-5-5-5 2-7-7-9', "Due hands, dealt longest ago first", '1-5-5-5 2-7-7-9', due);
+
+// A review dealt and skipped goes behind the others
+const later = dueReviews(buildReviewQueue([
+    record('2025-03-01', [5, 5, 5, 1], 'revealed'),
+    record('2025-03-02', [2, 7, 7, 9], 'missed'),
+    record('2025-03-04', [1, 5, 5, 5], 'skipped', { seconds: 1 })
+]), '2025-03-04').map(item => item.numbers.join('-')).join(' ');
+report(later === '2-7-7-9 1-5-5-5', "A review skipped straight away waits its turn", '2-7-7-9 1-5-5-5', later);
+
+finish();
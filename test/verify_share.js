@@ -0,0 +1,102 @@
+import { encodePuzzle, decodePuzzle } from '../src/share.js';
+import { Generator } from '../src/generator.js';
+
+const testCases = [
+    {
+        hash: encodePuzzle({ numbers: [3, 3, 8, 8], suits: ['♥', '♦', '♣', '♠'], seed: 12345 }),
+        expected: { numbers: [3, 3, 8, 8], suits: ['♥', '♦', '♣', '♠'], seed: 12345, target: null, fractions: false, intermediates: 'any', extras: [] },
+        desc: "Round trip with suits and seed"
+    },
+    {
+        hash: encodePuzzle({ numbers: [1, 5, 13], target: 36, fractions: true }),
+        expected: { numbers: [1, 5, 13], suits: null, seed: null, target: 36, fractions: true, intermediates: 'any', extras: [] },
+        desc: "Round trip with target and fraction mode"
+    },
+    {
+        hash: '#seed=42',
+        expected: { numbers: null, suits: null, seed: 42, target: null, fractions: false, intermediates: 'any', extras: [] },
+        desc: "Seed-only link"
+    },
+    {
+        hash: '#hand=3-3-8-8&suits=hx',
+        expected: { numbers: [3, 3, 8, 8], suits: null, seed: null, target: null, fractions: false, intermediates: 'any', extras: [] },
+        desc: "Bad suits are dropped"
+    },
+    {
+        hash: encodePuzzle({ numbers: [1, 1, 1, 1], extras: ['factorial', 'concat'] }),
+        expected: { numbers: [1, 1, 1, 1], suits: null, seed: null, target: null, fractions: false, intermediates: 'any', extras: ['factorial', 'concat'] },
+        desc: "Round trip with extra operators"
+    },
+    {
+        hash: '#hand=1-1-1-1&extras=concat-cube-power',
+        expected: { numbers: [1, 1, 1, 1], suits: null, seed: null, target: null, fractions: false, intermediates: 'any', extras: ['power', 'concat'] },
+        desc: "Unknown extras are dropped"
+    },
+    {
+        hash: encodePuzzle({ numbers: [2, 5, 7], target: 10, intermediates: 'positive' }),
+        expected: { numbers: [2, 5, 7], suits: null, seed: null, target: 10, fractions: false, intermediates: 'positive', extras: [] },
+        desc: "Round trip with the rule for steps"
+    },
+    {
+        hash: '#hand=2-5-7&intermediates=whole',
+        expected: { numbers: [2, 5, 7], suits: null, seed: null, target: null, fractions: false, intermediates: 'any', extras: [] },
+        desc: "An unknown rule for steps is 'any'"
+    },
+    { hash: '', expected: null, desc: "Empty hash" },
+    { hash: '#hand=0-3-8-8', expected: null, desc: "Card value out of range" },
+    { hash: '#hand=1-2-3-4-5-6-7', expected: null, desc: "Too many cards" },
+    { hash: '#hand=8-3', expected: null, desc: "Too few cards" },
+    { hash: '#seed=-1', expected: null, desc: "Negative seed" }
+];
+
+console.log("Running Share Link Tests...\n");
+
+let passed = 0;
+let total = 0;
+
+testCases.forEach(({ hash, expected, desc }) => {
+    const got = decodePuzzle(hash);
+
+    const result = JSON.stringify(got) === JSON.stringify(expected);
+    total++;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`Hash: ${hash}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Got: ${JSON.stringify(got)}`);
+    console.log('---');
+});
+
+// The same seed deals the same hand
+const seedCases = [
+    { settings: {}, options: {}, desc: "Same seed, same hand" },
+    { settings: { handSize: 5 }, options: {}, desc: "Same seed, same five-card hand" },
+    { settings: {}, options: { difficulty: 'hard' }, desc: "Same seed, same hard hand" }
+];
+
+seedCases.forEach(({ settings, options, desc }) => {
+    const deal = () => {
+        const { numbers, suits, seed } = new Generator(settings).generate({ ...options, seed: 2024 });
+        return JSON.stringify({ numbers, suits, seed });
+    };
+    const first = deal();
+    const second = deal();
+
+    const result = first === second;
+    total++;
+    if (result) passed++;
+
+    console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
+    console.log(`First: ${first}`);
+    console.log(`Second: ${second}`);
+    console.log('---');
+});
+
+console.log(`\nResult: ${passed}/${total} Passed`);
+
+if (passed === total) {
+    process.exit(0);
+} else {
+    process.exit(1);
+}
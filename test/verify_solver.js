@@ -1,30 +1,61 @@
 import { Solver } from '../src/solver.js';
 
-const solver = new Solver();
-
 const testCases = [
     { input: [4, 6, 1, 1], expected: true, desc: "Simple checks (e.g. 4*6*1*1)" },
     { input: [1, 1, 1, 1], expected: false, desc: "Impossible case" },
     { input: [3, 3, 8, 8], expected: false, desc: "Fraction case (8/(3-8/3)) - Should fail under integer-only rule" },
     { input: [1, 2, 3, 4], expected: true, desc: "1*2*3*4 = 24" },
-    { input: [10, 10, 4, 4], expected: true, desc: "User example (10*10-4)/4" }
+    { input: [10, 10, 4, 4], expected: true, desc: "User example (10*10-4)/4" },
+    { input: [12, 11, 2], target: 10, expected: true, desc: "3 cards, target 10 (11*2-12)" },
+    { input: [1, 1, 2], target: 10, expected: false, desc: "3 cards, target 10 - impossible" },
+    { input: [7, 4, 7, 7, 11], target: 36, expected: true, desc: "5 cards, target 36" },
+    { input: [13, 12, 11, 10, 9, 8], expected: true, desc: "6 cards (e.g. 8 + 9 + 11 + 12 / (10 - 13))" },
+    { input: [3, 3, 3, 8], expected: true, count: 4, desc: "3 / 3 * 3 * 8 and 8 / (3 / 3) * 3 are one solution" },
+    { input: [5], target: 5, expected: true, desc: "Single card equal to the target" },
+    { input: [3, 3, 8, 8], fractions: true, expected: true, desc: "Fraction mode finds 8/(3-8/3)" },
+    { input: [1, 5, 5, 5], fractions: true, expected: true, desc: "Fraction mode finds (5-1/5)*5" },
+    { input: [1, 1, 1, 1], fractions: true, expected: false, desc: "Fraction mode - still impossible" },
+    { input: [1, 2, 3, 11], expected: true, count: 5, desc: "Negatives allowed: 2-11*(1-3) counts" },
+    { input: [1, 2, 3, 11], intermediates: 'non-negative', expected: true, count: 4, desc: "No negatives: 2-11*(1-3) is dropped" },
+    { input: [1, 1, 12, 12], intermediates: 'positive', expected: true, desc: "No negatives or zero: 12+12 with 1*1 still works" },
+    { input: [1, 1, 1, 1], target: 0, expected: true, desc: "Target 0 with zero allowed (1-1+1-1)" },
+    { input: [1, 1, 1, 1], target: 0, intermediates: 'positive', expected: false, desc: "Target 0 when zero is forbidden" },
+    { input: [4, 6, 1, 1], equivalence: 'strict', expected: true, count: 80, desc: "Strict: 4 * 6 and 6 * 4 both listed" },
+    { input: [4, 6, 1, 1], expected: true, count: 6, desc: "Commutative: 4 * 6 * 1 * 1, 1 + 4 * 6 - 1, ..." },
+    { input: [4, 6, 1, 1], equivalence: 'algebraic', expected: true, count: 3, desc: "Algebraic: 4 * 6 * 1 * 1 and 4 * 6 / 1 / 1 are one" },
+    { input: [3, 3, 8, 8], fractions: true, equivalence: 'algebraic', expected: true, count: 1, desc: "Algebraic with fractions" },
+    { input: [11, 9, 6, 2], expected: true, count: 4, variant: ['11 + 9 + 6 - 2', '11 - (2 - 6 - 9)'], desc: "Other ways to write a solution are kept as its variants" },
+    { input: [2, 9, 6, 11], expected: true, variant: ['11 + 9 + 6 - 2', '6 + 9 + 11 - 2'], desc: "The solution reads larger terms first, whatever the search found first" },
+    { input: [1, 1, 1, 1], extras: ['factorial'], expected: true, contains: '(1 + 1 + 1 + 1)!', desc: "Factorial: (1+1+1+1)!" },
+    { input: [1, 2, 3, 3], extras: ['power'], expected: true, contains: '2 ^ 3 * 3 * 1', desc: "Power: 2^3*3*1" },
+    { input: [1, 8, 9], extras: ['sqrt'], expected: true, contains: '8 * √9 * 1', desc: "Square root: 8*√9*1" },
+    { input: [1, 1, 2, 1], extras: ['concat'], expected: true, contains: '12 * (1 + 1)', desc: "Joined cards: 12*(1+1)" },
+    { input: [1, 1, 2, 1], expected: false, desc: "Without joining, 1, 1, 1, 2 is impossible" }
 ];
 
 console.log("Running Solver Tests...\n");
 
 let passed = 0;
-testCases.forEach(({ input, expected, desc }) => {
+testCases.forEach(({ input, target = 24, fractions = false, intermediates = 'any', equivalence = 'commutative', extras = [], expected, count, variant, contains, desc }) => {
+    const solver = new Solver({ target, fractions, intermediates, equivalence, extras });
     const solutions = solver.solve(input);
     const hasSolution = solutions.length > 0;
 
-    const result = hasSolution === expected;
+    // variant: [solution, another way to write it]
+    const hasVariant = variant === undefined ||
+        solutions.some(sol => sol.expr === variant[0] && sol.variants.includes(variant[1]));
+
+    // contains: one solution's expr
+    const hasExpr = contains === undefined || solutions.some(sol => sol.expr === contains);
+
+    const result = hasSolution === expected && (count === undefined || solutions.length === count) && hasVariant && hasExpr;
     if (result) passed++;
 
     console.log(`[${result ? 'PASS' : 'FAIL'}] ${desc}`);
-    console.log(`Input: ${input}`);
+    console.log(`Input: ${input} (Target: ${target}${fractions ? ', fractions' : ''}, Intermediates: ${intermediates}, Equivalence: ${equivalence})`);
     console.log(`Expected: ${expected}, Got: ${hasSolution} (Count: ${solutions.length})`);
     if (solutions.length > 0) {
-        console.log(`Sample: ${solutions[0]}`);
+        console.log(`Sample: ${solutions[0].expr}`);
     }
     console.log('---');
 });
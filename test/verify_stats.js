@@ -0,0 +1,73 @@
+import { summarizeHistory, isPlayed, handKinds } from '../src/stats.js';
+import { report, finish } from './report.js';
+
+console.log("Running Statistics Tests...\n");
+
+// One record as profiles.js keeps them, dealt on a given local day
+const record = (day, result, seconds, factors = [], unsolvable = false) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return { at: new Date(year, month - 1, date, 16).getTime(), numbers: [1, 2, 3, 4], factors, unsolvable, result, seconds, hints: 0 };
+};
+
+const playedCases = [
+    { record: record('2025-03-01', 'solved', 4), expected: true, desc: "A quick solve is played" },
+    { record: record('2025-03-01', 'revealed', 3), expected: true, desc: "Giving up counts as played" },
+    { record: record('2025-03-01', 'skipped', 2), expected: false, desc: "A hand skipped straight away isn't" },
+    { record: record('2025-03-01', 'skipped', 25), expected: true, desc: "A hand tried for a while and skipped is" },
+    { record: record('2025-03-01', null, null), expected: false, desc: "The hand still on the table isn't" }
+];
+playedCases.forEach(({ record: r, expected, desc }) => {
+    const got = isPlayed(r);
+    report(got === expected, desc, expected, got);
+});
+
+report(
+    [handKinds(record('2025-03-01', 'solved', 5)), handKinds(record('2025-03-01', 'solved', 5, [], true))].join(' ') === 'plain no-answer',
+    "Hands without factors are plain, unsolvable ones their own kind",
+    'plain no-answer',
+    [handKinds(record('2025-03-01', 'solved', 5)), handKinds(record('2025-03-01', 'solved', 5, [], true))].join(' ')
+);
+
+const history = [
+    record('2025-03-01', 'solved', 10),
+    record('2025-03-01', 'solved', 20),
+    record('2025-03-01', 'skipped', 1),
+    record('2025-03-02', 'solved', 12, ['large-values']),
+    record('2025-03-02', 'solved', 18, ['large-values']),
+    record('2025-03-03', 'revealed', 60, ['division']),
+    record('2025-03-03', 'solved', 40, ['division']),
+    record('2025-03-03', 'skipped', 30, ['division', 'fractions']),
+    record('2025-03-03', 'solved', 10)
+];
+const summary = summarizeHistory(history, { days: 4, today: '2025-03-03' });
+
+report(
+    summary.played === 8 && summary.solved === 6 && summary.accuracy === 0.75 && summary.averageSeconds === 110 / 6,
+    "Overall accuracy and average solve time",
+    '6/8 solved, 75%, 18.3 s',
+    `${summary.solved}/${summary.played} solved, ${summary.accuracy * 100}%, ${summary.averageSeconds.toFixed(1)} s`
+);
+
+const days = summary.byDay.map(({ day, played, solved }) => `${day}:${solved}/${played}`).join(' ');
+report(days === '2025-02-28:0/0 2025-03-01:2/2 2025-03-02:2/2 2025-03-03:2/4', "Accuracy day by day, empty days included", '2025-02-28:0/0 2025-03-01:2/2 2025-03-02:2/2 2025-03-03:2/4', days);
+
+const kinds = summary.byKind.map(({ kind, played, solved, weak }) => `${kind}:${solved}/${played}${weak ? '!' : ''}`).join(' ');
+report(
+    kinds === 'plain:3/3 division:1/3! large-values:2/2 fractions:0/1',
+    "Division is a weak spot; too few fraction hands to tell",
+    'plain:3/3 division:1/3! large-values:2/2 fractions:0/1',
+    kinds
+);
+
+// Slow but right is a weak spot too
+const slow = summarizeHistory([
+    ...Array.from({ length: 6 }, () => record('2025-03-03', 'solved', 10)),
+    ...Array.from({ length: 3 }, () => record('2025-03-03', 'solved', 50, ['product-of-sums']))
+], { days: 1, today: '2025-03-03' });
+const sums = slow.byKind.find(kind => kind.kind === 'product-of-sums');
+report(sums.weak && sums.accuracy === 1, "Much slower than usual is a weak spot", 'weak at 100%', `${sums.weak ? 'weak' : 'fine'} at ${sums.accuracy * 100}%`);
+
+const empty = summarizeHistory([], { days: 2, today: '2025-03-03' });
+report(empty.accuracy === null && empty.byKind.length === 0 && empty.byDay.length === 2, "No history yet", 'no accuracy, no kinds, 2 empty days', `${empty.accuracy}, ${empty.byKind.length} kinds, ${empty.byDay.length} days`);
+
+finish();
@@ -0,0 +1,72 @@
+import { TimedRound, scoreHand, addHighScore, highScores, formatClock, HIGH_SCORE_COUNT } from '../src/timed.js';
+import { report, finish } from './report.js';
+
+console.log("Running Timed Round Tests...\n");
+
+const scoreCases = [
+    { hand: { seconds: 10 }, expected: 140, desc: "Fast answers earn a time bonus" },
+    { hand: { seconds: 45 }, expected: 100, desc: "Slow answers still score" },
+    { hand: { seconds: 10, hints: 1, levels: 4 }, expected: 105, desc: "Each hint level takes off a share" },
+    { hand: { seconds: 10, hints: 4, levels: 4 }, expected: 0, desc: "Solved after the full answer: nothing" },
+    { hand: { seconds: 30, hints: 0, levels: 0 }, expected: 100, desc: "A hand without hints (no answer) keeps full points" }
+];
+scoreCases.forEach(({ hand, expected, desc }) => {
+    const got = scoreHand(hand);
+    report(got === expected, desc, expected, got);
+});
+
+// A round of hands: the clock only runs while a hand is on the table
+const round = new TimedRound('hands', 'easy');
+round.startHand({ numbers: [3, 3, 8, 8], solution: '8 / (3 - 8 / 3)', levels: 3 }, 0);
+round.useHint();
+round.finishHand('solved', '8/(3-8/3)', 20000);
+round.startHand({ numbers: [1, 1, 1, 1], solution: null, levels: 0 }, 25000);
+round.finishHand('given-up', null, 40000);
+
+report(round.time(99999) === 35000, "Dealing time isn't on the clock", 35000, round.time(99999));
+report(
+    round.score === 80 && round.solved === 1,
+    "Round score adds up the hands",
+    '80 points, 1 solved',
+    `${round.score} points, ${round.solved} solved`
+);
+report(round.current === null && round.finishHand('solved') === 0, "Only the hand on the table can be finished", 0, 'no hand');
+
+for (let i = 0; i < 8; i++) {
+    round.startHand({ numbers: [6, 6, 6, 6], solution: '6 + 6 + 6 + 6', levels: 3 }, 50000);
+    round.finishHand('skipped', null, 51000);
+}
+report(round.isOver(), "A 10-hand round ends after the tenth hand", true, round.isOver());
+
+// Blitz: over when the time runs out, hand or no hand
+const blitz = new TimedRound('blitz');
+blitz.startHand({ numbers: [4, 4, 4, 4], solution: '4 * 4 + 4 + 4', levels: 3 }, 0);
+report(blitz.timeLeft(60000) === 120000 && !blitz.isOver(60000), "Blitz counts down", '2:00 left', formatClock(blitz.timeLeft(60000)));
+report(blitz.isOver(180000), "Blitz ends after 3 minutes", true, blitz.isOver(180000));
+
+// High scores: per player, mode and difficulty, best first
+let table = {};
+const entry = (score, seconds) => ({ score, solved: 1, hands: 1, seconds, date: '2025-03-01' });
+[300, 500, 100].forEach(score => {
+    table = addHighScore(table, '小明', 'hands', 'easy', entry(score, 60)).table;
+});
+const tie = addHighScore(table, '小明', 'hands', 'easy', entry(300, 90));
+const scores = highScores(tie.table, '小明', 'hands', 'easy').map(e => `${e.score}/${e.seconds}`).join(' ');
+report(scores === '500/60 300/60 300/90 100/60' && tie.rank === 2, "Sorted by score, then time; an equal score goes after", '500/60 300/60 300/90 100/60, rank 2', `${scores}, rank ${tie.rank}`);
+
+const others = [highScores(tie.table, '小红', 'hands', 'easy').length, highScores(tie.table, '小明', 'blitz', 'easy').length, highScores(tie.table, '小明', 'hands', 'hard').length];
+report(others.join() === '0,0,0', "Each player, mode and difficulty has its own table", '0,0,0', others.join());
+
+let full = tie.table;
+[900, 800, 700].forEach(score => {
+    full = addHighScore(full, '小明', 'hands', 'easy', entry(score, 60)).table;
+});
+const low = addHighScore(full, '小明', 'hands', 'easy', entry(50, 60));
+report(
+    low.rank === -1 && highScores(low.table, '小明', 'hands', 'easy').length === HIGH_SCORE_COUNT,
+    `Only the top ${HIGH_SCORE_COUNT} are kept`,
+    `rank -1, ${HIGH_SCORE_COUNT} entries`,
+    `rank ${low.rank}, ${highScores(low.table, '小明', 'hands', 'easy').length} entries`
+);
+
+finish();